@@ -0,0 +1,287 @@
+import http from "http";
+import { createAptosService } from "../src/services/aptosService.js";
+import { getEnvConfig, validateNetworkConfig } from "../src/services/networkConfig.js";
+import { QueryCache } from "../src/services/queryCache.js";
+import { isValidAddress, normalizeAddress } from "../src/services/addressUtils.js";
+import { INSTITUTION_PAGE_SIZE, USER_TYPE_NAMES } from "../src/services/constants.js";
+import { today } from "../src/services/dates.js";
+
+// Read-only JSON API over the attendance contract for systems without an
+// Aptos SDK. Every response is JSON; failures are { error, reason } with an
+// HTTP status. See "REST API" in README.md.
+//
+//   GET /api/health                                   network, module and default institution served
+//   GET /api/institutions?start=&limit=               a page of the institutions on the contract
+//   GET /api/attendance?date=                         every record for a day (default today)
+//   GET /api/users/:address                           profile and active flag
+//   GET /api/users/:address/attendance?from=&to=      one user's records between two days
+//
+// Every route takes ?institution= to answer for an institution other than the
+// default one.
+
+const DEFAULT_CACHE_SECONDS = 15;
+
+const NOT_FOUND = /Move abort|ABORTED|E_INSTITUTION_NOT_FOUND/i;
+
+export class ApiError extends Error {
+  constructor(status, reason, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+export const readConfig = (env = process.env) => ({
+  port: Number(env.API_PORT || 8545),
+  origin: env.API_ALLOWED_ORIGIN || "*",
+  cacheSeconds: Number(env.API_CACHE_SECONDS ?? DEFAULT_CACHE_SECONDS),
+  network: validateNetworkConfig({
+    ...getEnvConfig(),
+    backend: "chain",
+    sponsorUrl: "",
+    ...(env.API_INSTITUTION && { institution: env.API_INSTITUTION }),
+  }),
+});
+
+const isoTime = (seconds) => (Number(seconds) > 0 ? new Date(Number(seconds) * 1000).toISOString() : null);
+
+const toRecord = (record) => ({
+  address: normalizeAddress(record.userAddress),
+  date: record.date,
+  status: record.status,
+  checkIn: isoTime(record.checkInTime),
+  checkOut: isoTime(record.checkOutTime),
+  markedBy: normalizeAddress(record.markedBy),
+});
+
+// A malformed escape is left as is and rejected by the route's own checks.
+const decodePart = (part) => {
+  try {
+    return decodeURIComponent(part);
+  } catch (error) {
+    return part;
+  }
+};
+
+
+export const createGateway = ({ service, cacheSeconds = DEFAULT_CACHE_SECONDS, origin = "*" }) => {
+  const cache = new QueryCache({ staleTime: cacheSeconds * 1000 });
+
+  // Views go through the cache, so repeated requests within cacheSeconds share
+  // one fullnode call; a fullnode failure is retried before it surfaces.
+  const query = (key, fetcher) => cache.fetch(key, fetcher).catch((error) => {
+    throw new ApiError(502, "upstream_failed", error.message);
+  });
+
+  const requireAddress = (value) => {
+    if (!isValidAddress(value)) {
+      throw new ApiError(400, "invalid_address", `"${value}" is not an account address`);
+    }
+    return normalizeAddress(value);
+  };
+
+  const optionalCount = (params, name, fallback) => {
+    const value = params.get(name);
+    if (value === null || value === "") return fallback;
+    if (!/^\d+$/.test(value)) {
+      throw new ApiError(400, "invalid_page", `${name} "${value}" is not a whole number`);
+    }
+    return Number(value);
+  };
+
+  const requireDate = (value, name) => {
+    const day = value ? service.dayKey(value) : null;
+    if (!day) {
+      throw new ApiError(400, "invalid_date", value ? `${name} "${value}" is not a valid date; use YYYY-MM-DD` : `${name} is required`);
+    }
+    return day;
+  };
+
+  // The service for ?institution=, or the default one. A missing institution
+  // makes the view abort; that is a 404, not an upstream failure.
+  const requireInstitution = async (params) => {
+    const raw = params.get("institution");
+    if (!raw) return service;
+
+    if (!isValidAddress(raw)) {
+      throw new ApiError(400, "invalid_institution", `"${raw}" is not an institution address`);
+    }
+    const institution = normalizeAddress(raw);
+    const info = await query(["institution", institution], async () => {
+      const result = await service.getInstitutionInfo(institution);
+      const missing = result.abortName === "E_INSTITUTION_NOT_FOUND" || NOT_FOUND.test(result.error || "");
+      return result.success || !missing ? result : { success: true, data: null };
+    });
+    if (!info) {
+      throw new ApiError(404, "institution_not_found", `No institution exists at ${institution}`);
+    }
+    return institution === service.getInstitution() ? service : service.withInstitution(institution);
+  };
+
+  const requireRegistered = async (scoped, address) => {
+    const registered = await query(
+      ["isRegistered", scoped.getInstitution(), address],
+      () => scoped.isUserRegistered(address)
+    );
+    if (!registered) {
+      throw new ApiError(404, "user_not_found", `${address} is not registered`);
+    }
+  };
+
+  const health = async () => {
+    const config = service.getConfig();
+    return {
+      network: config.network,
+      moduleAddress: normalizeAddress(config.moduleAddress),
+      moduleName: config.moduleName,
+      institution: service.getInstitution(),
+      timeZone: config.timeZone || "UTC",
+    };
+  };
+
+  const institutions = async (params) => {
+    const start = optionalCount(params, "start", 0);
+    const limit = Math.min(optionalCount(params, "limit", INSTITUTION_PAGE_SIZE), INSTITUTION_PAGE_SIZE);
+    if (limit === 0) {
+      throw new ApiError(400, "invalid_page", "limit must be at least 1");
+    }
+    const [total, page] = await Promise.all([
+      query(["institutionCount"], () => service.getInstitutionCount()),
+      query(["institutionsPage", start, limit], () => service.getInstitutionsPage(start, limit)),
+    ]);
+    return {
+      total,
+      start,
+      nextStart: page.nextStart,
+      count: page.institutions.length,
+      data: page.institutions.map((institution) => ({ ...institution, createdAt: isoTime(institution.createdAt) })),
+    };
+  };
+
+  const dailyAttendance = async (params) => {
+    const scoped = await requireInstitution(params);
+    const date = params.get("date") ? requireDate(params.get("date"), "date") : today(service.getConfig().timeZone);
+    const records = await query(
+      ["dailyAttendance", scoped.getInstitution(), date],
+      () => scoped.getDailyAttendance(date)
+    );
+    return { institution: scoped.getInstitution(), date, count: records.length, data: records.map(toRecord) };
+  };
+
+  const user = async (params, [rawAddress]) => {
+    const address = requireAddress(rawAddress);
+    const scoped = await requireInstitution(params);
+    await requireRegistered(scoped, address);
+
+    const institution = scoped.getInstitution();
+    const [info, active] = await Promise.all([
+      query(["userInfo", institution, address], () => scoped.getUserInfo(address)),
+      query(["isActive", institution, address], () => scoped.isUserActive(address)),
+    ]);
+    return {
+      institution,
+      data: {
+        address,
+        name: info.name,
+        role: USER_TYPE_NAMES[info.userType],
+        registeredAt: isoTime(info.registrationTime),
+        active,
+      },
+    };
+  };
+
+  const userAttendance = async (params, [rawAddress]) => {
+    const address = requireAddress(rawAddress);
+    const from = requireDate(params.get("from"), "from");
+    const to = requireDate(params.get("to"), "to");
+    if (from > to) {
+      throw new ApiError(400, "invalid_range", `from (${from}) is after to (${to})`);
+    }
+    const scoped = await requireInstitution(params);
+    await requireRegistered(scoped, address);
+
+    const records = await query(
+      ["userAttendanceRange", scoped.getInstitution(), address, from, to],
+      () => scoped.getUserAttendanceRange(address, from, to)
+    );
+    return {
+      institution: scoped.getInstitution(),
+      address,
+      from,
+      to,
+      count: records.length,
+      data: records.map(toRecord),
+    };
+  };
+
+  const routes = [
+    [/^\/api\/health$/, health],
+    [/^\/api\/institutions$/, institutions],
+    [/^\/api\/attendance$/, dailyAttendance],
+    [/^\/api\/users\/([^/]+)$/, user],
+    [/^\/api\/users\/([^/]+)\/attendance$/, userAttendance],
+  ];
+
+  const route = async (request) => {
+    const url = new URL(request.url, "http://localhost");
+    const pathname = url.pathname.replace(/\/+$/, "");
+
+    for (const [pattern, handler] of routes) {
+      const match = pathname.match(pattern);
+      if (!match) continue;
+      if (request.method !== "GET") {
+        throw new ApiError(405, "method_not_allowed", `${request.method} is not supported; the API is read-only`);
+      }
+      return handler(url.searchParams, match.slice(1).map(decodePart));
+    }
+    throw new ApiError(404, "not_found", `No route for ${request.method} ${url.pathname}`);
+  };
+
+  const handler = async (request, response) => {
+    const headers = {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Methods": "GET, OPTIONS",
+      "Access-Control-Allow-Headers": "Accept, Content-Type",
+    };
+
+    if (request.method === "OPTIONS") {
+      response.writeHead(204, headers);
+      response.end();
+      return;
+    }
+
+    try {
+      const body = await route(request);
+      response.writeHead(200, { ...headers, "Cache-Control": `public, max-age=${cacheSeconds}` });
+      response.end(JSON.stringify(body));
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        console.error("API error:", error);
+      }
+      response.writeHead(error.status || 500, { ...headers, "Cache-Control": "no-store" });
+      response.end(JSON.stringify({ error: error.message, reason: error.reason || "internal" }));
+    }
+  };
+
+  return { handler, cache };
+};
+
+
+export const main = async () => {
+  const config = readConfig();
+  const service = createAptosService(config.network);
+  const { handler, cache } = createGateway({ service, cacheSeconds: config.cacheSeconds, origin: config.origin });
+
+  // Keys such as date ranges are open-ended, so idle ones are dropped.
+  setInterval(() => cache.prune(config.cacheSeconds * 1000), 60 * 1000).unref();
+
+  const server = http.createServer(handler);
+  server.listen(config.port, () => {
+    const { network, moduleAddress, moduleName } = config.network;
+    console.log(`Serving ${moduleAddress}::${moduleName} on ${network}, cached for ${config.cacheSeconds}s`);
+    console.log(`Default institution ${service.getInstitution()}`);
+    console.log(`Listening on http://localhost:${config.port}/api`);
+  });
+};
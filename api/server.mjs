@@ -0,0 +1,12 @@
+import { register } from "module";
+
+// Entry point for the REST API gateway. Like the admin CLI it imports the app's
+// services, so the loader is registered before the gateway is loaded.
+register("../cli/loader.mjs", import.meta.url);
+
+const { main } = await import("./gateway.mjs");
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,452 @@
+import { promises as fs } from "fs";
+import { parseArgs } from "util";
+import { PrivateKey, PrivateKeyVariants } from "@aptos-labs/ts-sdk";
+import { createAptosService } from "../src/services/aptosService.js";
+import { getEnvConfig, validateNetworkConfig } from "../src/services/networkConfig.js";
+import { createPrivateKeySigner } from "../src/services/signers.js";
+import { formatCsv } from "../src/services/csv.js";
+import { isValidAddress, normalizeAddress } from "../src/services/addressUtils.js";
+import { USER_TYPES, USER_TYPE_NAMES, ATTENDANCE_STATUSES } from "../src/services/constants.js";
+import { today } from "../src/services/dates.js";
+
+// Command-line access to the attendance contract through AptosService, signing
+// with a key file instead of a browser wallet. See "Admin CLI" in README.md.
+
+const USAGE = `Usage: node cli/wenidi.mjs <command> [arguments] [options]
+
+Commands:
+  init                                  Initialize the attendance system (module account only)
+  register <name> [--role R]            Register the key's account
+  register <name> --address A [--role R]
+                                        Register another account (admin only)
+  mark <address> [date] [--absent | --status S]
+                                        Mark attendance (default: present, today)
+  checkout [date]                       Check the key's account out (default: today)
+  show-user <address> [--date D] [--format text|json]
+                                        Show a user's profile, status and a day's record
+  daily [date] [--format json|csv]      Print every record for a day (default: today)
+  admin [show]                          Show the system admin, pending transfer and deactivated users
+  admin role <address> <role>           Change a user's role
+  admin deactivate <address>            Deactivate a user
+  admin reactivate <address>            Reactivate a user
+  admin transfer <address>              Propose a system admin transfer
+  admin accept                          Accept a transfer proposed to the key's account
+  admin cancel                          Cancel a pending transfer
+  institution [list]                    List every institution on the contract
+  institution show [address]            Show an institution (default: --institution)
+  institution create <name>             Create an institution with the key's account as admin
+  institution mine [address]            List the institutions an account belongs to and its roles
+  institution directory <name>          Index an existing deployment's users (module account only)
+
+Options:
+  --network N          local, devnet, testnet, mainnet or custom (REACT_APP_NETWORK)
+  --fullnode-url URL   Fullnode for custom networks (REACT_APP_FULLNODE_URL)
+  --module-address A   Address the module is published at (REACT_APP_MODULE_ADDRESS)
+  --module-name N      Module name (REACT_APP_MODULE_NAME)
+  --institution A      Institution to act on; default the module's own (REACT_APP_INSTITUTION)
+  --timezone TZ        Institution timezone for "today" and dates (REACT_APP_TIMEZONE)
+  --key-file PATH      Hex Ed25519 private key used to sign (WENIDI_KEY_FILE)
+  --verbose            Log service errors in full
+  -h, --help           Show this help
+`;
+
+const OPTIONS = {
+  network: { type: "string" },
+  "fullnode-url": { type: "string" },
+  "module-address": { type: "string" },
+  "module-name": { type: "string" },
+  institution: { type: "string" },
+  timezone: { type: "string" },
+  "key-file": { type: "string" },
+  role: { type: "string" },
+  address: { type: "string" },
+  status: { type: "string" },
+  absent: { type: "boolean" },
+  date: { type: "string" },
+  format: { type: "string" },
+  verbose: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+const log = (message) => process.stderr.write(`${message}\n`);
+
+const print = (text) => process.stdout.write(text.endsWith("\n") ? text : `${text}\n`);
+
+const isoTime = (seconds) => (Number(seconds) > 0 ? new Date(Number(seconds) * 1000).toISOString() : "");
+
+const requireAddress = (address, label = "address") => {
+  if (!isValidAddress(address)) {
+    throw new UsageError(address ? `Invalid ${label} "${address}"` : `Missing ${label}`);
+  }
+  return normalizeAddress(address);
+};
+
+const requireRole = (role) => {
+  if (!USER_TYPES[role]) {
+    throw new UsageError(`Unknown role "${role}". Use one of: ${Object.keys(USER_TYPES).join(", ")}`);
+  }
+  return role;
+};
+
+const requireFormat = (format, formats) => {
+  if (!formats.includes(format)) {
+    throw new UsageError(`Unknown format "${format}". Use one of: ${formats.join(", ")}`);
+  }
+  return format;
+};
+
+// The service's results carry an error message instead of throwing.
+const unwrap = (result) => {
+  if (!result.success) throw new Error(result.error);
+  return result.data;
+};
+
+export const readConfig = (options) => validateNetworkConfig({
+  ...getEnvConfig(),
+  backend: "chain",
+  sponsorUrl: "",
+  ...(options.network && { network: options.network }),
+  ...(options["fullnode-url"] && { fullnodeUrl: options["fullnode-url"] }),
+  ...(options["module-address"] && { moduleAddress: options["module-address"] }),
+  ...(options["module-name"] && { moduleName: options["module-name"] }),
+  ...(options.institution && { institution: options.institution }),
+  ...(options.timezone && { timeZone: options.timezone }),
+});
+
+// The file holds the hex private key, optionally with the ed25519-priv- prefix
+// the Aptos CLI writes.
+export const loadKeyFileSigner = async (keyFile) => {
+  if (!keyFile) {
+    throw new UsageError("This command signs a transaction: pass --key-file or set WENIDI_KEY_FILE");
+  }
+  const keyText = (await fs.readFile(keyFile, "utf8")).trim();
+  return createPrivateKeySigner(PrivateKey.formatPrivateKey(keyText, PrivateKeyVariants.Ed25519));
+};
+
+
+// Submits through AptosService, reporting progress on stderr so stdout stays
+// clean for scripts. Resolves to the confirmed result or throws its error.
+const submit = async (label, send) => {
+  const result = await send({
+    onStatus: ({ status, hash }) => {
+      if (status === "submitted") log(`${label}: submitted ${hash}`);
+    },
+  });
+  if (!result.success) throw new Error(`${label} failed: ${result.error}`);
+  log(`${label}: confirmed ${result.hash}`);
+  return result;
+};
+
+const init = async ({ service, signer }) => {
+  const admin = await signer();
+  if (normalizeAddress(admin.address) !== normalizeAddress(service.moduleAddress)) {
+    throw new Error(`init must be signed by the module account ${normalizeAddress(service.moduleAddress)}, not ${normalizeAddress(admin.address)}`);
+  }
+
+  const existing = await service.getAdminAddress();
+  if (existing.success) {
+    print(`Already initialized; system admin is ${normalizeAddress(existing.data)}`);
+    return;
+  }
+
+  await submit("Initialize", (options) => service.initializeSystem(admin, options));
+  print(`Initialized; system admin is ${normalizeAddress(admin.address)}`);
+};
+
+const register = async ({ service, signer, args, options }) => {
+  const [name] = args;
+  if (!name) throw new UsageError("Missing name");
+  const role = requireRole(options.role || "student");
+  const account = await signer();
+
+  if (!options.address) {
+    await submit("Register", (opts) => service.registerUser(account, name, role, opts));
+    print(`Registered ${normalizeAddress(account.address)} as ${role}`);
+    return;
+  }
+
+  const userAddress = requireAddress(options.address);
+  const result = await submit("Register", (opts) => service.adminRegisterUsers(
+    account,
+    [{ userAddress, name, userType: role }],
+    opts
+  ));
+  const [outcome] = result.results;
+  print(outcome.status === "registered"
+    ? `Registered ${userAddress} as ${role}`
+    : `Skipped ${userAddress}: ${outcome.reason || outcome.status}`);
+};
+
+const mark = async ({ service, signer, args, options }) => {
+  const userAddress = requireAddress(args[0]);
+  const date = args[1] || options.date || today(service.getConfig().timeZone);
+  const status = options.absent ? "absent" : options.status || "present";
+  if (options.absent && options.status && options.status !== "absent") {
+    throw new UsageError("Use either --absent or --status");
+  }
+  if (ATTENDANCE_STATUSES[status] === undefined) {
+    throw new UsageError(`Unknown status "${status}". Use one of: ${Object.keys(ATTENDANCE_STATUSES).join(", ")}`);
+  }
+
+  const account = await signer();
+  await submit("Mark attendance", (opts) => service.markAttendance(account, userAddress, date, status, opts));
+  print(`Marked ${userAddress} ${status} on ${service.dayKey(date)}`);
+};
+
+const checkout = async ({ service, signer, args, options }) => {
+  const date = args[0] || options.date || today(service.getConfig().timeZone);
+  const account = await signer();
+  await submit("Check out", (opts) => service.markCheckout(account, date, opts));
+  print(`Checked ${normalizeAddress(account.address)} out on ${service.dayKey(date)}`);
+};
+
+const showUser = async ({ service, args, options }) => {
+  const address = requireAddress(args[0]);
+  const format = requireFormat(options.format || "text", ["text", "json"]);
+  if (options.date && !service.dayKey(options.date)) {
+    throw new UsageError(`"${options.date}" is not a valid date. Use YYYY-MM-DD`);
+  }
+
+  const registered = unwrap(await service.isUserRegistered(address));
+  if (!registered) {
+    print(format === "json" ? JSON.stringify({ address, registered: false }) : `${address} is not registered`);
+    return;
+  }
+
+  const [info, active, record] = await Promise.all([
+    service.getUserInfo(address).then(unwrap),
+    service.isUserActive(address).then(unwrap),
+    options.date ? service.getUserAttendance(address, options.date) : null,
+  ]);
+  // A day without a record makes the view abort.
+  if (record && !record.success && !/abort/i.test(record.error || "")) throw new Error(record.error);
+
+  const user = {
+    address,
+    registered: true,
+    name: info.name,
+    role: USER_TYPE_NAMES[info.userType],
+    registeredAt: isoTime(info.registrationTime),
+    active,
+    ...(options.date && { date: service.dayKey(options.date), record: record.success ? record.data : null }),
+  };
+
+  if (format === "json") {
+    print(JSON.stringify(user, null, 2));
+    return;
+  }
+
+  const lines = [
+    `Address:    ${user.address}`,
+    `Name:       ${user.name}`,
+    `Role:       ${user.role}`,
+    `Registered: ${user.registeredAt}`,
+    `Active:     ${user.active ? "yes" : "no"}`,
+  ];
+  if (options.date) {
+    lines.push(user.record
+      ? `${user.date}: ${user.record.status}, in ${isoTime(user.record.checkInTime) || "-"}, out ${isoTime(user.record.checkOutTime) || "-"}`
+      : `${user.date}: not marked`);
+  }
+  print(lines.join("\n"));
+};
+
+const DAILY_COLUMNS = ["date", "address", "status", "check_in", "check_out", "marked_by"];
+
+const daily = async ({ service, args, options }) => {
+  const date = args[0] || options.date || today(service.getConfig().timeZone);
+  const format = requireFormat(options.format || "json", ["json", "csv"]);
+
+  const records = unwrap(await service.getDailyAttendance(date, {
+    onPage: ({ loaded, total }) => {
+      if (total > loaded) log(`Loaded ${loaded} of ${total}`);
+    },
+  }));
+
+  if (format === "json") {
+    print(JSON.stringify(records, null, 2));
+    return;
+  }
+  print(`${formatCsv([
+    DAILY_COLUMNS,
+    ...records.map((record) => [
+      record.date,
+      normalizeAddress(record.userAddress),
+      record.status,
+      isoTime(record.checkInTime),
+      isoTime(record.checkOutTime),
+      normalizeAddress(record.markedBy),
+    ]),
+  ])}\r\n`);
+};
+
+const ADMIN_ACTIONS = {
+  show: async ({ service }) => {
+    const [admin, pending, deactivated] = await Promise.all([
+      service.getAdminAddress().then(unwrap),
+      service.getPendingAdmin().then(unwrap),
+      service.getDeactivatedUsers().then(unwrap),
+    ]);
+    print([
+      `System admin:      ${normalizeAddress(admin)}`,
+      `Pending transfer:  ${pending || "none"}`,
+      `Deactivated users: ${deactivated.length ? deactivated.join(", ") : "none"}`,
+    ].join("\n"));
+  },
+  role: async ({ service, signer, args }) => {
+    const userAddress = requireAddress(args[0]);
+    const role = requireRole(args[1]);
+    const account = await signer();
+    await submit("Change role", (opts) => service.setUserType(account, userAddress, role, opts));
+    print(`${userAddress} is now ${role}`);
+  },
+  deactivate: async ({ service, signer, args }) => {
+    const userAddress = requireAddress(args[0]);
+    const account = await signer();
+    await submit("Deactivate user", (opts) => service.deactivateUser(account, userAddress, opts));
+    print(`Deactivated ${userAddress}`);
+  },
+  reactivate: async ({ service, signer, args }) => {
+    const userAddress = requireAddress(args[0]);
+    const account = await signer();
+    await submit("Reactivate user", (opts) => service.reactivateUser(account, userAddress, opts));
+    print(`Reactivated ${userAddress}`);
+  },
+  transfer: async ({ service, signer, args }) => {
+    const newAdmin = requireAddress(args[0], "new admin address");
+    const account = await signer();
+    await submit("Propose admin transfer", (opts) => service.proposeAdminTransfer(account, newAdmin, opts));
+    print(`Proposed ${newAdmin} as system admin; they accept with "admin accept"`);
+  },
+  accept: async ({ service, signer }) => {
+    const account = await signer();
+    await submit("Accept admin transfer", (opts) => service.acceptAdminTransfer(account, opts));
+    print(`${normalizeAddress(account.address)} is now the system admin`);
+  },
+  cancel: async ({ service, signer }) => {
+    const account = await signer();
+    await submit("Cancel admin transfer", (opts) => service.cancelAdminTransfer(account, opts));
+    print("Cancelled the pending admin transfer");
+  },
+};
+
+const admin = async (context) => {
+  const [action = "show", ...args] = context.args;
+  if (!ADMIN_ACTIONS[action]) {
+    throw new UsageError(`Unknown admin action "${action}". Use one of: ${Object.keys(ADMIN_ACTIONS).join(", ")}`);
+  }
+  return ADMIN_ACTIONS[action]({ ...context, args });
+};
+
+const printInstitution = (institution) => print([
+  `Address: ${institution.address}`,
+  `Name:    ${institution.name || "-"}`,
+  `Admin:   ${institution.admin}`,
+  `Created: ${isoTime(institution.createdAt) || "-"}`,
+].join("\n"));
+
+const INSTITUTION_ACTIONS = {
+  list: async ({ service }) => {
+    const institutions = unwrap(await service.getInstitutions());
+    print(institutions.length
+      ? institutions.map((institution) => `${institution.address}  ${institution.name}`).join("\n")
+      : "No institutions");
+  },
+  show: async ({ service, args }) => {
+    const address = args[0] ? requireAddress(args[0], "institution address") : service.getInstitution();
+    printInstitution(unwrap(await service.getInstitutionInfo(address)));
+  },
+  create: async ({ service, signer, args }) => {
+    const [name] = args;
+    if (!name) throw new UsageError("Missing name");
+    const account = await signer();
+    const result = await submit("Create institution", (opts) => service.createInstitution(account, name, opts));
+    print(`Created ${name} at ${result.institution}; pass --institution ${result.institution} to use it`);
+  },
+  mine: async ({ service, signer, args }) => {
+    const address = args[0] ? requireAddress(args[0]) : normalizeAddress((await signer()).address);
+    const memberships = unwrap(await service.getUserInstitutions(address));
+    print(memberships.length
+      ? memberships.map((membership) => (
+        `${membership.institution}  ${membership.name}  ${USER_TYPE_NAMES[membership.userType]}`
+      )).join("\n")
+      : `${address} does not belong to any institution`);
+  },
+  directory: async ({ service, signer, args }) => {
+    const [name] = args;
+    if (!name) throw new UsageError("Missing name");
+    const account = await signer();
+    await submit("Initialize directory", (opts) => service.initializeDirectory(account, name, opts));
+    print(`Indexed the users of ${name}`);
+  },
+};
+
+const institution = async (context) => {
+  const [action = "list", ...args] = context.args;
+  if (!INSTITUTION_ACTIONS[action]) {
+    throw new UsageError(`Unknown institution action "${action}". Use one of: ${Object.keys(INSTITUTION_ACTIONS).join(", ")}`);
+  }
+  return INSTITUTION_ACTIONS[action]({ ...context, args });
+};
+
+const COMMANDS = {
+  init,
+  register,
+  mark,
+  checkout,
+  "show-user": showUser,
+  daily,
+  admin,
+  institution,
+};
+
+
+// Runs one command and resolves to the process exit code: 0 on success, 1
+// when the command failed and 2 for a usage mistake.
+export const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    log(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values: options, positionals } = parsed;
+  const [name, ...args] = positionals;
+  if (options.help || !name || name === "help") {
+    print(USAGE);
+    return options.help || name === "help" ? 0 : 2;
+  }
+  if (!COMMANDS[name]) {
+    log(`Unknown command "${name}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  // The services log failures with console.error; the CLI reports them itself.
+  if (!options.verbose) {
+    console.error = () => {};
+    console.warn = () => {};
+  }
+
+  let signerPromise = null;
+  try {
+    const service = createAptosService(readConfig(options));
+    const signer = () => {
+      signerPromise = signerPromise || loadKeyFileSigner(options["key-file"] || process.env.WENIDI_KEY_FILE);
+      return signerPromise;
+    };
+    await COMMANDS[name]({ service, signer, args, options });
+    return 0;
+  } catch (error) {
+    log(error.message);
+    return error instanceof UsageError ? 2 : 1;
+  }
+};
@@ -0,0 +1,32 @@
+// Module hooks that let Node import the React app's services as they are
+// written for the bundler: files under src/ are ES modules even though they
+// end in .js, and relative imports leave out the extension or index.js.
+
+const SRC_URL = new URL("../src/", import.meta.url).href;
+
+const isRelative = (specifier) => specifier.startsWith("./") || specifier.startsWith("../");
+
+export async function resolve(specifier, context, nextResolve) {
+  if (!isRelative(specifier) || !context.parentURL?.startsWith(SRC_URL)) {
+    return nextResolve(specifier, context);
+  }
+
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code === "ERR_UNSUPPORTED_DIR_IMPORT") {
+      return nextResolve(`${specifier}/index.js`, context);
+    }
+    if (error.code === "ERR_MODULE_NOT_FOUND") {
+      return nextResolve(`${specifier}.js`, context);
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_URL) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
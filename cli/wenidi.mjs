@@ -0,0 +1,9 @@
+import { register } from "module";
+
+// Entry point for the admin CLI. The loader has to be in place before anything
+// under src/ is imported, so the commands are loaded afterwards.
+register("./loader.mjs", import.meta.url);
+
+const { main } = await import("./commands.mjs");
+
+process.exitCode = await main(process.argv.slice(2));
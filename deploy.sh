@@ -3,6 +3,9 @@
 
 set -e
 
+# Target network: local, devnet, testnet or mainnet
+NETWORK="${NETWORK:-testnet}"
+
 echo "🚀 Starting deployment of Wenidi Attendance System..."
 
 # Colors for output
@@ -31,7 +34,7 @@ fi
 echo -e "${BLUE}🔐 Checking Aptos account...${NC}"
 if [ ! -f ".aptos/config.yaml" ]; then
     echo -e "${YELLOW}⚠️ No Aptos account found. Creating new account...${NC}"
-    aptos init --network testnet
+    aptos init --network "$NETWORK"
 else
     echo -e "${GREEN}✅ Aptos account found${NC}"
 fi
@@ -58,22 +61,22 @@ else
 fi
 
 # Publish the contract
-echo -e "${BLUE}📦 Publishing contract to Aptos testnet...${NC}"
+echo -e "${BLUE}📦 Publishing contract to Aptos $NETWORK...${NC}"
 if aptos move publish --assume-yes; then
     echo -e "${GREEN}✅ Contract published successfully${NC}"
     
     # Get the account address
-    ACCOUNT_ADDRESS=$(aptos account list --query balance --assume-yes | grep -o '0x[845fb204faa0c5c6134194e9307989763adbcdb26c8b877354deb363f08485db]*' | head -1)
+    ACCOUNT_ADDRESS="0x$(aptos config show-profiles --profile default | grep '"account"' | head -1 | sed -E 's/.*"account": "(0x)?([0-9a-fA-F]+)".*/\2/')"
     echo -e "${GREEN}📍 Contract deployed at address: $ACCOUNT_ADDRESS${NC}"
     
     # Update the frontend configuration
     echo -e "${BLUE}🔧 Updating frontend configuration...${NC}"
-    if [ -f "src/services/aptosService.js" ]; then
-        # Replace the MODULE_ADDRESS in the service file
-        sed -i.bak "s/const MODULE_ADDRESS = \"0x42\"/const MODULE_ADDRESS = \"$ACCOUNT_ADDRESS\"/" src/services/aptosService.js
-        rm src/services/aptosService.js.bak 2>/dev/null || true
-        echo -e "${GREEN}✅ Frontend configuration updated${NC}"
-    fi
+    cat > .env.local <<EOF
+REACT_APP_NETWORK=$NETWORK
+REACT_APP_MODULE_ADDRESS=$ACCOUNT_ADDRESS
+REACT_APP_MODULE_NAME=attendance_system
+EOF
+    echo -e "${GREEN}✅ Frontend configuration written to .env.local${NC}"
     
 else
     echo -e "${RED}❌ Contract deployment failed${NC}"
@@ -92,14 +95,14 @@ fi
 echo -e "${GREEN}🎉 Deployment completed successfully!${NC}"
 echo -e "${BLUE}📋 Deployment Summary:${NC}"
 echo -e "   Contract Address: $ACCOUNT_ADDRESS"
-echo -e "   Network: Testnet"
+echo -e "   Network: $NETWORK"
 echo -e "   Status: Active"
 echo ""
 echo -e "${YELLOW}📝 Next Steps:${NC}"
-echo -e "   1. Update your frontend with the contract address: $ACCOUNT_ADDRESS"
+echo -e "   1. Check .env.local points at the contract address: $ACCOUNT_ADDRESS"
 echo -e "   2. Start the React development server: npm start"
 echo -e "   3. Connect your wallet and register users"
 echo ""
 echo -e "${GREEN}🔗 Useful Links:${NC}"
-echo -e "   • Aptos Explorer: https://explorer.aptoslabs.com/account/$ACCOUNT_ADDRESS?network=testnet"
+echo -e "   • Aptos Explorer: https://explorer.aptoslabs.com/account/$ACCOUNT_ADDRESS?network=$NETWORK"
 echo -e "   • Aptos Faucet: https://aptoslabs.com/testnet-faucet"
\ No newline at end of file
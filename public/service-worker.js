@@ -0,0 +1,62 @@
+/* eslint-env serviceworker */
+
+// Caches the app shell so the dashboard opens without a connection. Pages are
+// network-first with the cached index.html as the fallback; the hashed build
+// assets under static/ never change, so they are served from the cache first.
+// Fullnode and wallet requests are left to the network: check-ins made offline
+// are queued by the app itself (src/services/offlineQueue.js).
+
+const CACHE_NAME = "wenidi-shell-v1";
+const SHELL = ["./", "index.html", "manifest.json", "logo192.png", "logo512.png"];
+
+const scoped = (path) => new URL(path, self.registration.scope).toString();
+
+// The build's script and style bundles, as referenced by index.html.
+const bundlesOf = (html) => [...html.matchAll(/(?:src|href)="([^"]*static\/[^"]+)"/g)].map((match) => scoped(match[1]));
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL.map(scoped))
+        .then(() => cache.match(scoped("index.html")))
+        .then((response) => response.text())
+        .then((html) => cache.addAll(bundlesOf(html))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheResponse = (request, response) => {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+  }
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith(self.registration.scope)) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((response) => cacheResponse(scoped("index.html"), response))
+        .catch(() => caches.match(scoped("index.html")))
+    );
+    return;
+  }
+
+  if (request.url.startsWith(scoped("static/")) || SHELL.map(scoped).includes(request.url)) {
+    event.respondWith(
+      caches.match(request).then((cached) => cached || fetch(request).then((response) => cacheResponse(request, response)))
+    );
+  }
+});
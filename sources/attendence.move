@@ -1,278 +1,3741 @@
-module wenidi_addr::attendance_system {
-    use std::signer;
-    use std::vector;
-    use std::string::{Self, String};
-    use std::timestamp;
-    use aptos_framework::account;
-    use aptos_framework::event::{Self, EventHandle};
-    use aptos_std::table::{Self, Table};
-    use aptos_std::smart_table::{Self, SmartTable};
-
-    
-    const E_NOT_AUTHORIZED: u64 = 1;
-    const E_USER_NOT_FOUND: u64 = 2;
-    const E_ALREADY_REGISTERED: u64 = 3;
-    const E_INVALID_USER_TYPE: u64 = 4;
-    const E_ATTENDANCE_ALREADY_MARKED: u64 = 5;
-
-   
-    const USER_TYPE_STUDENT: u8 = 1;
-    const USER_TYPE_TEACHER: u8 = 2;
-    const USER_TYPE_ADMIN: u8 = 3;
-
-   
-    struct User has store, copy, drop {
-        address: address,
-        name: String,
-        user_type: u8,
-        registration_time: u64,
-    }
-
-    struct AttendanceRecord has store, copy, drop {
-        user_address: address,
-        date: String,
-        check_in_time: u64,
-        check_out_time: u64,
-        is_present: bool,
-        marked_by: address,
-    }
-
-    struct AttendanceSystem has key {
-        admin: address,
-        users: SmartTable<address, User>,
-        attendance_records: SmartTable<String, vector<AttendanceRecord>>, 
-        daily_attendance: SmartTable<address, SmartTable<String, AttendanceRecord>>, 
-        user_registration_events: EventHandle<UserRegistrationEvent>,
-        attendance_marked_events: EventHandle<AttendanceMarkedEvent>,
-    }
-
-   
-    struct UserRegistrationEvent has drop, store {
-        user_address: address,
-        name: String,
-        user_type: u8,
-        timestamp: u64,
-    }
-
-    struct AttendanceMarkedEvent has drop, store {
-        user_address: address,
-        date: String,
-        check_in_time: u64,
-        is_present: bool,
-        marked_by: address,
-        timestamp: u64,
-    }
-
-    
-    public entry fun initialize(admin: &signer) {
-        let admin_addr = signer::address_of(admin);
-        
-        let attendance_system = AttendanceSystem {
-            admin: admin_addr,
-            users: smart_table::new(),
-            attendance_records: smart_table::new(),
-            daily_attendance: smart_table::new(),
-            user_registration_events: account::new_event_handle<UserRegistrationEvent>(admin),
-            attendance_marked_events: account::new_event_handle<AttendanceMarkedEvent>(admin),
-        };
-
-        
-        let admin_user = User {
-            address: admin_addr,
-            name: string::utf8(b"System Admin"),
-            user_type: USER_TYPE_ADMIN,
-            registration_time: timestamp::now_seconds(),
-        };
-
-        smart_table::add(&mut attendance_system.users, admin_addr, admin_user);
-        smart_table::add(&mut attendance_system.daily_attendance, admin_addr, smart_table::new());
-
-        move_to(admin, attendance_system);
-    }
-
-    
-    public entry fun register_user(
-        account: &signer,
-        name: String,
-        user_type: u8
-    ) acquires AttendanceSystem {
-        let user_addr = signer::address_of(account);
-        let attendance_system = borrow_global_mut<AttendanceSystem>(@wenidi_addr);
-
-        assert!(user_type == USER_TYPE_STUDENT || user_type == USER_TYPE_TEACHER, E_INVALID_USER_TYPE);
-        assert!(!smart_table::contains(&attendance_system.users, user_addr), E_ALREADY_REGISTERED);
-
-        let user = User {
-            address: user_addr,
-            name,
-            user_type,
-            registration_time: timestamp::now_seconds(),
-        };
-
-        smart_table::add(&mut attendance_system.users, user_addr, user);
-        smart_table::add(&mut attendance_system.daily_attendance, user_addr, smart_table::new());
-
-        // Emit registration event
-        event::emit_event(&mut attendance_system.user_registration_events, UserRegistrationEvent {
-            user_address: user_addr,
-            name,
-            user_type,
-            timestamp: timestamp::now_seconds(),
-        });
-    }
-
-    
-    public entry fun mark_attendance(
-        marker: &signer,
-        user_address: address,
-        date: String,
-        is_present: bool
-    ) acquires AttendanceSystem {
-        let marker_addr = signer::address_of(marker);
-        let attendance_system = borrow_global_mut<AttendanceSystem>(@wenidi_addr);
-
-        
-        assert!(
-            marker_addr == user_address || 
-            is_admin(marker_addr, &attendance_system.users) || 
-            is_teacher(marker_addr, &attendance_system.users),
-            E_NOT_AUTHORIZED
-        );
-
-        
-        assert!(smart_table::contains(&attendance_system.users, user_address), E_USER_NOT_FOUND);
-
-        let current_time = timestamp::now_seconds();
-        
-        
-        let user_attendance = smart_table::borrow_mut(&mut attendance_system.daily_attendance, user_address);
-        assert!(!smart_table::contains(user_attendance, date), E_ATTENDANCE_ALREADY_MARKED);
-
-        let attendance_record = AttendanceRecord {
-            user_address,
-            date,
-            check_in_time: current_time,
-            check_out_time: 0,
-            is_present,
-            marked_by: marker_addr,
-        };
-
-        
-        smart_table::add(user_attendance, date, attendance_record);
-
-        
-        if (!smart_table::contains(&attendance_system.attendance_records, date)) {
-            smart_table::add(&mut attendance_system.attendance_records, date, vector::empty<AttendanceRecord>());
-        };
-        
-        let daily_records = smart_table::borrow_mut(&mut attendance_system.attendance_records, date);
-        vector::push_back(daily_records, attendance_record);
-
-        
-        event::emit_event(&mut attendance_system.attendance_marked_events, AttendanceMarkedEvent {
-            user_address,
-            date,
-            check_in_time: current_time,
-            is_present,
-            marked_by: marker_addr,
-            timestamp: current_time,
-        });
-    }
-
-    
-    public entry fun mark_checkout(
-        user: &signer,
-        date: String
-    ) acquires AttendanceSystem {
-        let user_addr = signer::address_of(user);
-        let attendance_system = borrow_global_mut<AttendanceSystem>(@wenidi_addr);
-
-        let user_attendance = smart_table::borrow_mut(&mut attendance_system.daily_attendance, user_addr);
-        assert!(smart_table::contains(user_attendance, date), E_USER_NOT_FOUND);
-
-        let attendance_record = smart_table::borrow_mut(user_attendance, date);
-        attendance_record.check_out_time = timestamp::now_seconds();
-
-        
-        let daily_records = smart_table::borrow_mut(&mut attendance_system.attendance_records, date);
-        let len = vector::length(daily_records);
-        let i = 0;
-        while (i < len) {
-            let record = vector::borrow_mut(daily_records, i);
-            if (record.user_address == user_addr) {
-                record.check_out_time = timestamp::now_seconds();
-                break
-            };
-            i = i + 1;
-        };
-    }
-
-    
-    #[view]
-    public fun get_user_info(user_address: address): User acquires AttendanceSystem {
-        let attendance_system = borrow_global<AttendanceSystem>(@wenidi_addr);
-        assert!(smart_table::contains(&attendance_system.users, user_address), E_USER_NOT_FOUND);
-        *smart_table::borrow(&attendance_system.users, user_address)
-    }
-
-    #[view]
-    public fun get_user_attendance(user_address: address, date: String): AttendanceRecord acquires AttendanceSystem {
-        let attendance_system = borrow_global<AttendanceSystem>(@wenidi_addr);
-        let user_attendance = smart_table::borrow(&attendance_system.daily_attendance, user_address);
-        *smart_table::borrow(user_attendance, date)
-    }
-
-    #[view]
-    public fun get_daily_attendance(date: String): vector<AttendanceRecord> acquires AttendanceSystem {
-        let attendance_system = borrow_global<AttendanceSystem>(@wenidi_addr);
-        if (smart_table::contains(&attendance_system.attendance_records, date)) {
-            *smart_table::borrow(&attendance_system.attendance_records, date)
-        } else {
-            vector::empty<AttendanceRecord>()
-        }
-    }
-
-    #[view]
-    public fun is_user_registered(user_address: address): bool acquires AttendanceSystem {
-        let attendance_system = borrow_global<AttendanceSystem>(@wenidi_addr);
-        smart_table::contains(&attendance_system.users, user_address)
-    }
-
-    #[view]
-    public fun get_admin_address(): address acquires AttendanceSystem {
-        let attendance_system = borrow_global<AttendanceSystem>(@wenidi_addr);
-        attendance_system.admin
-    }
-
-    
-    fun is_admin(user_addr: address, users: &SmartTable<address, User>): bool {
-        if (smart_table::contains(users, user_addr)) {
-            let user = smart_table::borrow(users, user_addr);
-            user.user_type == USER_TYPE_ADMIN
-        } else {
-            false
-        }
-    }
-
-    fun is_teacher(user_addr: address, users: &SmartTable<address, User>): bool {
-        if (smart_table::contains(users, user_addr)) {
-            let user = smart_table::borrow(users, user_addr);
-            user.user_type == USER_TYPE_TEACHER
-        } else {
-            false
-        }
-    }
-
-    
-    #[view]
-    public fun get_all_attendance_by_date(date: String, caller: address): vector<AttendanceRecord> acquires AttendanceSystem {
-        let attendance_system = borrow_global<AttendanceSystem>(@wenidi_addr);
-        assert!(is_admin(caller, &attendance_system.users), E_NOT_AUTHORIZED);
-        
-        if (smart_table::contains(&attendance_system.attendance_records, date)) {
-            *smart_table::borrow(&attendance_system.attendance_records, date)
-        } else {
-            vector::empty<AttendanceRecord>()
-        }
-    }
-}
\ No newline at end of file
+module wenidi_addr::attendance_system {
+    use std::bcs;
+    use std::signer;
+    use std::vector;
+    use std::string::{Self, String};
+    use std::timestamp;
+    use aptos_framework::account;
+    use aptos_framework::event::{Self, EventHandle};
+    use aptos_framework::object;
+    use aptos_std::table::{Self, Table};
+    use aptos_std::smart_table::{Self, SmartTable};
+    use aptos_std::comparator;
+    use aptos_std::ed25519;
+    use aptos_std::string_utils;
+
+    
+    const E_NOT_AUTHORIZED: u64 = 1;
+    const E_USER_NOT_FOUND: u64 = 2;
+    const E_ALREADY_REGISTERED: u64 = 3;
+    const E_INVALID_USER_TYPE: u64 = 4;
+    const E_ATTENDANCE_ALREADY_MARKED: u64 = 5;
+    const E_BATCH_LENGTH_MISMATCH: u64 = 6;
+    const E_COURSE_NOT_FOUND: u64 = 7;
+    const E_SESSION_NOT_FOUND: u64 = 8;
+    const E_SESSION_EXISTS: u64 = 9;
+    const E_NOT_ENROLLED: u64 = 10;
+    const E_CHECK_IN_CODE_EXPIRED: u64 = 11;
+    const E_INVALID_CHECK_IN_CODE: u64 = 12;
+    const E_INVALID_STATUS: u64 = 13;
+    const E_INVALID_WINDOW: u64 = 14;
+    const E_CORRECTION_NOT_FOUND: u64 = 15;
+    const E_CORRECTION_NOT_PENDING: u64 = 16;
+    const E_INVALID_LEAVE: u64 = 17;
+    const E_LEAVE_NOT_FOUND: u64 = 18;
+    const E_LEAVE_NOT_PENDING: u64 = 19;
+    const E_PROTECTED_ADMIN: u64 = 20;
+    const E_USER_INACTIVE: u64 = 21;
+    const E_USER_ACTIVE: u64 = 22;
+    const E_NO_ADMIN_TRANSFER: u64 = 23;
+    const E_INVALID_DATE: u64 = 24;
+    const E_INSTITUTION_NOT_FOUND: u64 = 25;
+    const E_SELF_CHECK_IN_DISABLED: u64 = 26;
+    const E_INSTITUTION_LIMIT: u64 = 27;
+    const E_INVALID_CHECKOUT: u64 = 28;
+    const E_INVALID_UTC_OFFSET: u64 = 29;
+
+   
+    const USER_TYPE_STUDENT: u8 = 1;
+    const USER_TYPE_TEACHER: u8 = 2;
+    const USER_TYPE_ADMIN: u8 = 3;
+
+    
+    const SKIP_ALREADY_MARKED: u8 = 1;
+    const SKIP_USER_NOT_FOUND: u8 = 2;
+    const SKIP_ALREADY_REGISTERED: u8 = 3;
+    const SKIP_NOT_ENROLLED: u8 = 4;
+
+    
+    const STATUS_PRESENT: u8 = 1;
+    const STATUS_LATE: u8 = 2;
+    const STATUS_ABSENT: u8 = 3;
+    const STATUS_EXCUSED: u8 = 4;
+    const STATUS_HALF_DAY: u8 = 5;
+
+    // Attendance windows are keyed by session slot; slot 0 is the window for
+    // daily attendance.
+    const DAILY_WINDOW_SLOT: u8 = 0;
+    const SECONDS_PER_DAY: u64 = 86400;
+    // Window times wrap at midnight UTC; times up to this long before a
+    // window's start count as before it rather than late on the day before.
+    const EARLY_ARRIVAL_SECS: u64 = 43200;
+
+    // Offsets run from UTC-12:00 to UTC+14:00.
+    const MAX_MINUTES_WEST_OF_UTC: u64 = 720;
+    const MAX_MINUTES_EAST_OF_UTC: u64 = 840;
+
+    
+    const CORRECTION_PENDING: u8 = 1;
+    const CORRECTION_APPROVED: u8 = 2;
+    const CORRECTION_REJECTED: u8 = 3;
+
+    
+    const LEAVE_PENDING: u8 = 1;
+    const LEAVE_APPROVED: u8 = 2;
+    const LEAVE_REJECTED: u8 = 3;
+    const LEAVE_CANCELLED: u8 = 4;
+
+    // Reason categories: 1 medical, 2 family, 3 personal, 4 school activity, 5 other.
+    const LEAVE_CATEGORY_MEDICAL: u8 = 1;
+    const LEAVE_CATEGORY_OTHER: u8 = 5;
+
+    
+    const ADMIN_TRANSFER_PROPOSED: u8 = 1;
+    const ADMIN_TRANSFER_ACCEPTED: u8 = 2;
+    const ADMIN_TRANSFER_CANCELLED: u8 = 3;
+
+    const MAX_LEAVE_DATES: u64 = 31;
+    const DOCUMENT_HASH_LENGTH: u64 = 32;
+
+    // Most records one get_daily_attendance_page call returns.
+    const MAX_DAILY_PAGE_SIZE: u64 = 200;
+
+    // Most institutions one get_institutions_page call returns, and most one
+    // account may open, so the directory can't be flooded from a single key.
+    const MAX_INSTITUTION_PAGE_SIZE: u64 = 100;
+    const MAX_INSTITUTIONS_PER_CREATOR: u64 = 5;
+
+    // ASCII bytes checked by assert_valid_date and written by hex_digit.
+    const DATE_SEPARATOR: u8 = 45;
+    const DIGIT_ZERO: u8 = 48;
+    const LETTER_A: u8 = 97;
+
+    // Longest lifetime a teacher may give a check-in code, until an admin changes it.
+    const DEFAULT_CHECK_IN_VALIDITY_SECS: u64 = 600;
+
+   
+    struct User has store, copy, drop {
+        address: address,
+        name: String,
+        user_type: u8,
+        registration_time: u64,
+    }
+
+    struct AttendanceRecord has store, copy, drop {
+        user_address: address,
+        date: String,
+        check_in_time: u64,
+        check_out_time: u64,
+        is_present: bool,
+        marked_by: address,
+    }
+
+    struct AttendanceSystem has key {
+        admin: address,
+        users: SmartTable<address, User>,
+        attendance_records: SmartTable<String, vector<AttendanceRecord>>, 
+        daily_attendance: SmartTable<address, SmartTable<String, AttendanceRecord>>, 
+        user_registration_events: EventHandle<UserRegistrationEvent>,
+        attendance_marked_events: EventHandle<AttendanceMarkedEvent>,
+    }
+
+    struct Course has store, copy, drop {
+        id: u64,
+        code: String,
+        name: String,
+        teacher: address,
+        created_at: u64,
+    }
+
+    // A single class meeting of a course; slot distinguishes several meetings
+    // on the same date (1 = first period, 2 = second, ...).
+    struct Session has store, copy, drop {
+        id: u64,
+        course_id: u64,
+        date: String,
+        slot: u8,
+        created_by: address,
+        created_at: u64,
+    }
+
+    struct SessionAttendanceRecord has store, copy, drop {
+        session_id: u64,
+        user_address: address,
+        check_in_time: u64,
+        is_present: bool,
+        marked_by: address,
+    }
+
+    // Kept in its own resource so deployments that predate courses can add it
+    // with initialize_courses without changing the AttendanceSystem layout.
+    struct CourseRegistry has key {
+        next_course_id: u64,
+        next_session_id: u64,
+        courses: SmartTable<u64, Course>,
+        enrollments: SmartTable<u64, vector<address>>,
+        student_courses: SmartTable<address, vector<u64>>,
+        sessions: SmartTable<u64, Session>,
+        course_sessions: SmartTable<u64, vector<u64>>,
+        session_attendance: SmartTable<u64, vector<SessionAttendanceRecord>>,
+        check_in_validity_secs: u64,
+    }
+
+    // Times are seconds after midnight UTC and may fall on either side of it.
+    // Self check-ins more than grace_secs after starts_at are late; a daily
+    // checkout before half_day_before turns a present or late day into a
+    // half-day (0 disables the cutoff).
+    struct AttendanceWindow has store, copy, drop {
+        slot: u8,
+        starts_at: u64,
+        grace_secs: u64,
+        half_day_before: u64,
+    }
+
+    // Statuses are kept beside the records rather than in them so that
+    // AttendanceRecord and SessionAttendanceRecord keep their layout. A record
+    // without a status here predates statuses and is present or absent by is_present.
+    struct AttendancePolicy has key {
+        windows: SmartTable<u8, AttendanceWindow>,
+        daily_statuses: SmartTable<String, SmartTable<address, u8>>,
+        session_statuses: SmartTable<u64, SmartTable<address, u8>>,
+    }
+
+    // Institutions whose users may check themselves in for daily attendance
+    // without a session code. Kept at @wenidi_addr for every institution;
+    // an institution not listed does not allow it.
+    struct SelfCheckInPolicy has key {
+        allowed: SmartTable<address, bool>,
+    }
+
+    // Each institution's offset from UTC, which decides which calendar day is
+    // today for checkouts. Kept at @wenidi_addr like SelfCheckInPolicy; an
+    // institution not listed keeps UTC days.
+    struct InstitutionClocks has key {
+        offsets: SmartTable<address, UtcOffset>,
+    }
+
+    struct UtcOffset has store, copy, drop {
+        minutes: u64,
+        west_of_utc: bool,
+    }
+
+    // View results pairing a record with its status.
+    struct AttendanceEntry has copy, drop {
+        record: AttendanceRecord,
+        status: u8,
+    }
+
+    struct SessionAttendanceEntry has copy, drop {
+        record: SessionAttendanceRecord,
+        status: u8,
+    }
+
+    // A requested change to a daily record's status. previous_status is the
+    // status at request time, and is updated to the status actually replaced
+    // when the correction is applied.
+    struct Correction has store, copy, drop {
+        id: u64,
+        user_address: address,
+        date: String,
+        previous_status: u8,
+        new_status: u8,
+        reason: String,
+        requested_by: address,
+        requested_at: u64,
+        state: u8,
+        reviewed_by: address,
+        reviewed_at: u64,
+    }
+
+    // Every correction ever requested, by id and by record, so a record's full
+    // history stays readable after it is amended.
+    struct CorrectionLog has key {
+        next_correction_id: u64,
+        corrections: SmartTable<u64, Correction>,
+        pending: vector<u64>,
+        record_corrections: SmartTable<address, SmartTable<String, vector<u64>>>,
+    }
+
+    // A student's request to be excused on one or more dates. document_hash is
+    // the SHA-256 of a supporting document kept off chain, or empty.
+    struct LeaveRequest has store, copy, drop {
+        id: u64,
+        user_address: address,
+        dates: vector<String>,
+        category: u8,
+        reason: String,
+        document_hash: vector<u8>,
+        requested_at: u64,
+        state: u8,
+        reviewed_by: address,
+        reviewed_at: u64,
+    }
+
+    // excused holds, by student and date, the leave id behind each excused
+    // record that approval wrote for a day nobody had marked yet. A real mark
+    // replaces such a record instead of aborting.
+    struct LeaveRegistry has key {
+        next_leave_id: u64,
+        requests: SmartTable<u64, LeaveRequest>,
+        pending: vector<u64>,
+        user_requests: SmartTable<address, vector<u64>>,
+        excused: SmartTable<address, SmartTable<String, u64>>,
+    }
+
+    // Deactivated accounts, with the time they were deactivated, and the
+    // account a system admin transfer is waiting on (@0x0 when none). The
+    // system admin itself stays in AttendanceSystem.admin.
+    struct RoleRegistry has key {
+        deactivated: SmartTable<address, u64>,
+        pending_admin: address,
+    }
+
+    // Each institution keeps the resources above at its own address: the one
+    // initialize sets up at @wenidi_addr, or an object made by create_institution.
+    struct Institution has key {
+        name: String,
+        created_by: address,
+        created_at: u64,
+    }
+
+    // Every institution by creation index, how many each account has opened,
+    // and the institutions each account is registered in. Kept at @wenidi_addr
+    // so clients can page through them without an indexer.
+    struct InstitutionDirectory has key {
+        institutions: SmartTable<u64, address>,
+        institution_count: u64,
+        created: SmartTable<address, u64>,
+        memberships: SmartTable<address, vector<address>>,
+    }
+
+    // View results for the directory. admin is the institution's system admin;
+    // user_type is the account's role in that institution.
+    struct InstitutionInfo has copy, drop {
+        address: address,
+        name: String,
+        admin: address,
+        created_at: u64,
+    }
+
+    struct Membership has copy, drop {
+        institution: address,
+        name: String,
+        user_type: u8,
+    }
+
+   
+    struct UserRegistrationEvent has drop, store {
+        user_address: address,
+        name: String,
+        user_type: u8,
+        timestamp: u64,
+    }
+
+    struct AttendanceMarkedEvent has drop, store {
+        user_address: address,
+        date: String,
+        check_in_time: u64,
+        is_present: bool,
+        marked_by: address,
+        timestamp: u64,
+    }
+
+    #[event]
+    struct AttendanceSkippedEvent has drop, store {
+        user_address: address,
+        date: String,
+        reason: u8,
+        marked_by: address,
+        timestamp: u64,
+    }
+
+    #[event]
+    struct RegistrationSkippedEvent has drop, store {
+        user_address: address,
+        reason: u8,
+        registered_by: address,
+        timestamp: u64,
+    }
+
+    #[event]
+    struct CourseCreatedEvent has drop, store {
+        course_id: u64,
+        code: String,
+        name: String,
+        teacher: address,
+        created_by: address,
+        timestamp: u64,
+    }
+
+    #[event]
+    struct EnrollmentChangedEvent has drop, store {
+        course_id: u64,
+        user_address: address,
+        enrolled: bool,
+        changed_by: address,
+        timestamp: u64,
+    }
+
+    #[event]
+    struct SessionCreatedEvent has drop, store {
+        session_id: u64,
+        course_id: u64,
+        date: String,
+        slot: u8,
+        created_by: address,
+        timestamp: u64,
+    }
+
+    #[event]
+    struct SessionAttendanceMarkedEvent has drop, store {
+        session_id: u64,
+        course_id: u64,
+        user_address: address,
+        date: String,
+        is_present: bool,
+        marked_by: address,
+        timestamp: u64,
+    }
+
+    // Emitted whenever a status is recorded or changes; session_id is 0 for
+    // daily attendance.
+    #[event]
+    struct AttendanceStatusEvent has drop, store {
+        user_address: address,
+        date: String,
+        session_id: u64,
+        status: u8,
+        changed_by: address,
+        timestamp: u64,
+    }
+
+    // Emitted when a correction is requested, approved or rejected; state is the
+    // correction's state after the change.
+    #[event]
+    struct AttendanceCorrectionEvent has drop, store {
+        correction_id: u64,
+        user_address: address,
+        date: String,
+        previous_status: u8,
+        new_status: u8,
+        reason: String,
+        requested_by: address,
+        state: u8,
+        actor: address,
+        timestamp: u64,
+    }
+
+    #[event]
+    struct UserRoleChangedEvent has drop, store {
+        user_address: address,
+        previous_type: u8,
+        new_type: u8,
+        changed_by: address,
+        timestamp: u64,
+    }
+
+    #[event]
+    struct UserActivationEvent has drop, store {
+        user_address: address,
+        active: bool,
+        changed_by: address,
+        timestamp: u64,
+    }
+
+    // state is proposed, accepted or cancelled.
+    #[event]
+    struct AdminTransferEvent has drop, store {
+        current_admin: address,
+        new_admin: address,
+        state: u8,
+        timestamp: u64,
+    }
+
+    #[event]
+    struct InstitutionCreatedEvent has drop, store {
+        institution: address,
+        name: String,
+        created_by: address,
+        timestamp: u64,
+    }
+
+    // Emitted when a leave request is filed, approved, rejected or cancelled;
+    // state is the request's state after the change.
+    #[event]
+    struct LeaveRequestEvent has drop, store {
+        leave_id: u64,
+        user_address: address,
+        dates: vector<String>,
+        category: u8,
+        state: u8,
+        actor: address,
+        timestamp: u64,
+    }
+
+    
+    public entry fun initialize(admin: &signer) {
+        let admin_addr = signer::address_of(admin);
+        
+        let attendance_system = AttendanceSystem {
+            admin: admin_addr,
+            users: smart_table::new(),
+            attendance_records: smart_table::new(),
+            daily_attendance: smart_table::new(),
+            user_registration_events: account::new_event_handle<UserRegistrationEvent>(admin),
+            attendance_marked_events: account::new_event_handle<AttendanceMarkedEvent>(admin),
+        };
+
+        
+        let admin_user = User {
+            address: admin_addr,
+            name: string::utf8(b"System Admin"),
+            user_type: USER_TYPE_ADMIN,
+            registration_time: timestamp::now_seconds(),
+        };
+
+        smart_table::add(&mut attendance_system.users, admin_addr, admin_user);
+        smart_table::add(&mut attendance_system.daily_attendance, admin_addr, smart_table::new());
+
+        move_to(admin, attendance_system);
+        move_to(admin, new_course_registry());
+        move_to(admin, new_attendance_policy());
+        move_to(admin, new_correction_log());
+        move_to(admin, new_leave_registry());
+        move_to(admin, new_role_registry());
+        move_to(admin, Institution {
+            name: string::utf8(b"Wenidi"),
+            created_by: admin_addr,
+            created_at: timestamp::now_seconds(),
+        });
+
+        let directory = new_institution_directory(admin_addr);
+        add_membership(&mut directory, admin_addr, admin_addr);
+        move_to(admin, directory);
+        move_to(admin, SelfCheckInPolicy { allowed: smart_table::new() });
+        move_to(admin, InstitutionClocks { offsets: smart_table::new() });
+    }
+
+    
+    // For deployments initialized before courses existed.
+    public entry fun initialize_courses(admin: &signer) {
+        assert!(signer::address_of(admin) == @wenidi_addr, E_NOT_AUTHORIZED);
+        move_to(admin, new_course_registry());
+    }
+
+    fun new_course_registry(): CourseRegistry {
+        CourseRegistry {
+            next_course_id: 1,
+            next_session_id: 1,
+            courses: smart_table::new(),
+            enrollments: smart_table::new(),
+            student_courses: smart_table::new(),
+            sessions: smart_table::new(),
+            course_sessions: smart_table::new(),
+            session_attendance: smart_table::new(),
+            check_in_validity_secs: DEFAULT_CHECK_IN_VALIDITY_SECS,
+        }
+    }
+
+    // For deployments initialized before attendance statuses existed. Until it
+    // runs, only present and absent can be recorded.
+    public entry fun initialize_attendance_policy(admin: &signer) {
+        assert!(signer::address_of(admin) == @wenidi_addr, E_NOT_AUTHORIZED);
+        move_to(admin, new_attendance_policy());
+    }
+
+    fun new_attendance_policy(): AttendancePolicy {
+        AttendancePolicy {
+            windows: smart_table::new(),
+            daily_statuses: smart_table::new(),
+            session_statuses: smart_table::new(),
+        }
+    }
+
+    // For deployments initialized before corrections existed.
+    public entry fun initialize_corrections(admin: &signer) {
+        assert!(signer::address_of(admin) == @wenidi_addr, E_NOT_AUTHORIZED);
+        move_to(admin, new_correction_log());
+    }
+
+    fun new_correction_log(): CorrectionLog {
+        CorrectionLog {
+            next_correction_id: 1,
+            corrections: smart_table::new(),
+            pending: vector::empty<u64>(),
+            record_corrections: smart_table::new(),
+        }
+    }
+
+    // For deployments initialized before leave requests existed. Approving
+    // leave records the excused status, so this also adds the attendance policy
+    // if initialize_attendance_policy has not run.
+    public entry fun initialize_leave(admin: &signer) {
+        let admin_addr = signer::address_of(admin);
+        assert!(admin_addr == @wenidi_addr, E_NOT_AUTHORIZED);
+        if (!exists<AttendancePolicy>(admin_addr)) {
+            move_to(admin, new_attendance_policy());
+        };
+        move_to(admin, new_leave_registry());
+    }
+
+    fun new_leave_registry(): LeaveRegistry {
+        LeaveRegistry {
+            next_leave_id: 1,
+            requests: smart_table::new(),
+            pending: vector::empty<u64>(),
+            user_requests: smart_table::new(),
+            excused: smart_table::new(),
+        }
+    }
+
+    // For deployments initialized before self check-in needed an admin's
+    // consent. Until it runs, and until an admin allows it, students can only
+    // check in with a session code.
+    public entry fun initialize_self_check_in(admin: &signer) {
+        assert!(signer::address_of(admin) == @wenidi_addr, E_NOT_AUTHORIZED);
+        move_to(admin, SelfCheckInPolicy { allowed: smart_table::new() });
+    }
+
+    // For deployments initialized before institutions had a UTC offset. Until
+    // it runs, every institution's day is the UTC day.
+    public entry fun initialize_clocks(admin: &signer) {
+        assert!(signer::address_of(admin) == @wenidi_addr, E_NOT_AUTHORIZED);
+        move_to(admin, InstitutionClocks { offsets: smart_table::new() });
+    }
+
+    // For deployments initialized before role management existed. Until it
+    // runs, every account counts as active.
+    public entry fun initialize_roles(admin: &signer) {
+        assert!(signer::address_of(admin) == @wenidi_addr, E_NOT_AUTHORIZED);
+        move_to(admin, new_role_registry());
+    }
+
+    fun new_role_registry(): RoleRegistry {
+        RoleRegistry {
+            deactivated: smart_table::new(),
+            pending_admin: @0x0,
+        }
+    }
+
+    // For deployments initialized before institutions existed. Names the
+    // institution at @wenidi_addr and lists its current users as members.
+    public entry fun initialize_directory(admin: &signer, name: String) acquires AttendanceSystem {
+        let admin_addr = signer::address_of(admin);
+        assert!(admin_addr == @wenidi_addr, E_NOT_AUTHORIZED);
+
+        let directory = new_institution_directory(admin_addr);
+        smart_table::for_each_ref(&borrow_global<AttendanceSystem>(admin_addr).users, |user_addr, _user| {
+            add_membership(&mut directory, *user_addr, admin_addr);
+        });
+
+        move_to(admin, Institution { name, created_by: admin_addr, created_at: timestamp::now_seconds() });
+        move_to(admin, directory);
+    }
+
+    fun new_institution_directory(first: address): InstitutionDirectory {
+        let institutions = smart_table::new();
+        smart_table::add(&mut institutions, 0, first);
+        InstitutionDirectory {
+            institutions,
+            institution_count: 1,
+            created: smart_table::new(),
+            memberships: smart_table::new(),
+        }
+    }
+
+    fun add_membership(directory: &mut InstitutionDirectory, user_addr: address, institution: address) {
+        if (!smart_table::contains(&directory.memberships, user_addr)) {
+            smart_table::add(&mut directory.memberships, user_addr, vector::empty<address>());
+        };
+        vector::push_back(smart_table::borrow_mut(&mut directory.memberships, user_addr), institution);
+    }
+
+    
+    // Any account may open up to MAX_INSTITUTIONS_PER_CREATOR institutions and
+    // becomes each one's system admin. The institution lives at a new object
+    // address, which is the institution argument of every *_in function.
+    public entry fun create_institution(creator: &signer, name: String) acquires InstitutionDirectory {
+        let creator_addr = signer::address_of(creator);
+        let constructor_ref = object::create_object(creator_addr);
+        let institution_signer = object::generate_signer(&constructor_ref);
+        let institution = signer::address_of(&institution_signer);
+
+        let attendance_system = AttendanceSystem {
+            admin: creator_addr,
+            users: smart_table::new(),
+            attendance_records: smart_table::new(),
+            daily_attendance: smart_table::new(),
+            user_registration_events: object::new_event_handle<UserRegistrationEvent>(&institution_signer),
+            attendance_marked_events: object::new_event_handle<AttendanceMarkedEvent>(&institution_signer),
+        };
+        add_user(institution, &mut attendance_system, creator_addr, string::utf8(b"System Admin"), USER_TYPE_ADMIN);
+
+        move_to(&institution_signer, attendance_system);
+        move_to(&institution_signer, new_course_registry());
+        move_to(&institution_signer, new_attendance_policy());
+        move_to(&institution_signer, new_correction_log());
+        move_to(&institution_signer, new_leave_registry());
+        move_to(&institution_signer, new_role_registry());
+        move_to(&institution_signer, Institution { name, created_by: creator_addr, created_at: timestamp::now_seconds() });
+
+        if (exists<InstitutionDirectory>(@wenidi_addr)) {
+            let directory = borrow_global_mut<InstitutionDirectory>(@wenidi_addr);
+            let created = *smart_table::borrow_with_default(&directory.created, creator_addr, &0);
+            assert!(created < MAX_INSTITUTIONS_PER_CREATOR, E_INSTITUTION_LIMIT);
+            smart_table::upsert(&mut directory.created, creator_addr, created + 1);
+            smart_table::add(&mut directory.institutions, directory.institution_count, institution);
+            directory.institution_count = directory.institution_count + 1;
+        };
+
+        event::emit(InstitutionCreatedEvent {
+            institution,
+            name,
+            created_by: creator_addr,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    #[view]
+    public fun get_institution(institution: address): InstitutionInfo acquires AttendanceSystem, Institution {
+        assert!(exists<AttendanceSystem>(institution), E_INSTITUTION_NOT_FOUND);
+        let (name, created_at) = if (exists<Institution>(institution)) {
+            let info = borrow_global<Institution>(institution);
+            (info.name, info.created_at)
+        } else {
+            (string::utf8(b""), 0)
+        };
+
+        InstitutionInfo {
+            address: institution,
+            name,
+            admin: borrow_global<AttendanceSystem>(institution).admin,
+            created_at,
+        }
+    }
+
+    #[view]
+    public fun get_institution_count(): u64 acquires InstitutionDirectory {
+        if (!exists<InstitutionDirectory>(@wenidi_addr)) {
+            return 0
+        };
+        borrow_global<InstitutionDirectory>(@wenidi_addr).institution_count
+    }
+
+    // Up to MAX_INSTITUTION_PAGE_SIZE institutions from the start-th, oldest
+    // first.
+    #[view]
+    public fun get_institutions_page(
+        start: u64,
+        limit: u64
+    ): vector<InstitutionInfo> acquires AttendanceSystem, Institution, InstitutionDirectory {
+        let page = vector::empty<InstitutionInfo>();
+        if (!exists<InstitutionDirectory>(@wenidi_addr)) {
+            return page
+        };
+
+        let directory = borrow_global<InstitutionDirectory>(@wenidi_addr);
+        let len = directory.institution_count;
+        let limit = if (limit > MAX_INSTITUTION_PAGE_SIZE) { MAX_INSTITUTION_PAGE_SIZE } else { limit };
+        let end = if (start >= len || len - start < limit) { len } else { start + limit };
+        let i = start;
+        while (i < end) {
+            vector::push_back(&mut page, get_institution(*smart_table::borrow(&directory.institutions, i)));
+            i = i + 1;
+        };
+        page
+    }
+
+    // The institutions an account is registered in, oldest membership first.
+    #[view]
+    public fun get_user_institutions(
+        user_address: address
+    ): vector<Membership> acquires AttendanceSystem, Institution, InstitutionDirectory {
+        let memberships = vector::empty<Membership>();
+        if (!exists<InstitutionDirectory>(@wenidi_addr)) {
+            return memberships
+        };
+
+        let directory = borrow_global<InstitutionDirectory>(@wenidi_addr);
+        if (smart_table::contains(&directory.memberships, user_address)) {
+            vector::for_each_ref(smart_table::borrow(&directory.memberships, user_address), |institution| {
+                let institution = *institution;
+                let name = get_institution(institution).name;
+                let users = &borrow_global<AttendanceSystem>(institution).users;
+                vector::push_back(&mut memberships, Membership {
+                    institution,
+                    name,
+                    user_type: smart_table::borrow(users, user_address).user_type,
+                });
+            });
+        };
+        memberships
+    }
+
+    
+    public entry fun register_user_in(
+        account: &signer,
+        institution: address,
+        name: String,
+        user_type: u8
+    ) acquires AttendanceSystem, InstitutionDirectory {
+        let user_addr = signer::address_of(account);
+        assert!(exists<AttendanceSystem>(institution), E_INSTITUTION_NOT_FOUND);
+        let attendance_system = borrow_global_mut<AttendanceSystem>(institution);
+
+        assert!(user_type == USER_TYPE_STUDENT || user_type == USER_TYPE_TEACHER, E_INVALID_USER_TYPE);
+        assert!(!smart_table::contains(&attendance_system.users, user_addr), E_ALREADY_REGISTERED);
+
+        add_user(institution, attendance_system, user_addr, name, user_type);
+    }
+
+    
+    // Pre-registers users on their behalf. Unlike register_user, any role
+    // (including admin) may be assigned; addresses that are already registered
+    // are skipped and reported through RegistrationSkippedEvent.
+    public entry fun admin_register_users_in(
+        admin: &signer,
+        institution: address,
+        user_addresses: vector<address>,
+        names: vector<String>,
+        user_types: vector<u8>
+    ) acquires AttendanceSystem, RoleRegistry, InstitutionDirectory {
+        let admin_addr = signer::address_of(admin);
+        assert_active(institution, admin_addr);
+        let attendance_system = borrow_global_mut<AttendanceSystem>(institution);
+
+        assert!(is_admin(admin_addr, &attendance_system.users), E_NOT_AUTHORIZED);
+
+        let len = vector::length(&user_addresses);
+        assert!(len == vector::length(&names) && len == vector::length(&user_types), E_BATCH_LENGTH_MISMATCH);
+
+        let i = 0;
+        while (i < len) {
+            let user_address = *vector::borrow(&user_addresses, i);
+            let user_type = *vector::borrow(&user_types, i);
+            assert!(
+                user_type == USER_TYPE_STUDENT || user_type == USER_TYPE_TEACHER || user_type == USER_TYPE_ADMIN,
+                E_INVALID_USER_TYPE
+            );
+
+            if (smart_table::contains(&attendance_system.users, user_address)) {
+                event::emit(RegistrationSkippedEvent {
+                    user_address,
+                    reason: SKIP_ALREADY_REGISTERED,
+                    registered_by: admin_addr,
+                    timestamp: timestamp::now_seconds(),
+                });
+            } else {
+                add_user(institution, attendance_system, user_address, *vector::borrow(&names, i), user_type);
+            };
+
+            i = i + 1;
+        };
+    }
+
+    
+    fun add_user(
+        institution: address,
+        attendance_system: &mut AttendanceSystem,
+        user_addr: address,
+        name: String,
+        user_type: u8
+    ) acquires InstitutionDirectory {
+        let user = User {
+            address: user_addr,
+            name,
+            user_type,
+            registration_time: timestamp::now_seconds(),
+        };
+
+        smart_table::add(&mut attendance_system.users, user_addr, user);
+        smart_table::add(&mut attendance_system.daily_attendance, user_addr, smart_table::new());
+
+        // Emit registration event
+        event::emit_event(&mut attendance_system.user_registration_events, UserRegistrationEvent {
+            user_address: user_addr,
+            name,
+            user_type,
+            timestamp: timestamp::now_seconds(),
+        });
+
+        if (exists<InstitutionDirectory>(@wenidi_addr)) {
+            add_membership(borrow_global_mut<InstitutionDirectory>(@wenidi_addr), user_addr, institution);
+        };
+    }
+
+    
+    public entry fun mark_attendance(
+        marker: &signer,
+        user_address: address,
+        date: String,
+        is_present: bool
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy {
+        mark_attendance_with_status(marker, user_address, date, legacy_status(is_present));
+    }
+
+    
+    // Teachers and admins record the status they choose. Users marking
+    // themselves may only check in, which the daily window classifies as
+    // present or late, or mark themselves absent. Checking in needs the
+    // institution to allow self check-in; otherwise students check in with a
+    // session code. Each day is marked once, except that a mark replaces the
+    // excused record of approved leave.
+    public entry fun mark_attendance_with_status_in(
+        marker: &signer,
+        institution: address,
+        user_address: address,
+        date: String,
+        status: u8
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy {
+        let marker_addr = signer::address_of(marker);
+        assert_active(institution, marker_addr);
+        assert_valid_date(&date);
+        let attendance_system = borrow_global_mut<AttendanceSystem>(institution);
+
+        
+        assert!(
+            marker_addr == user_address || 
+            is_admin(marker_addr, &attendance_system.users) || 
+            teaches_student(institution, marker_addr, user_address, &attendance_system.users),
+            E_NOT_AUTHORIZED
+        );
+        assert!(is_valid_status(status), E_INVALID_STATUS);
+        assert!(
+            marker_addr != user_address || status == STATUS_PRESENT || status == STATUS_ABSENT,
+            E_INVALID_STATUS
+        );
+        assert!(
+            marker_addr != user_address || status != STATUS_PRESENT || is_self_check_in_allowed_in(institution),
+            E_SELF_CHECK_IN_DISABLED
+        );
+
+        
+        assert!(smart_table::contains(&attendance_system.users, user_address), E_USER_NOT_FOUND);
+
+        assert!(clear_for_marking(institution, attendance_system, user_address, date), E_ATTENDANCE_ALREADY_MARKED);
+
+        if (marker_addr == user_address && status == STATUS_PRESENT) {
+            status = classify_arrival(institution, DAILY_WINDOW_SLOT, timestamp::now_seconds());
+        };
+
+        record_attendance(institution, attendance_system, marker_addr, user_address, date, status);
+    }
+
+    
+    public entry fun mark_attendance_batch(
+        marker: &signer,
+        user_addresses: vector<address>,
+        date: String,
+        present_flags: vector<bool>
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry {
+        let statuses = vector::map(present_flags, |is_present| legacy_status(is_present));
+        mark_attendance_batch_with_status(marker, user_addresses, date, statuses);
+    }
+
+    
+    public entry fun mark_attendance_batch_with_status_in(
+        marker: &signer,
+        institution: address,
+        user_addresses: vector<address>,
+        date: String,
+        statuses: vector<u8>
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry {
+        let marker_addr = signer::address_of(marker);
+        assert_active(institution, marker_addr);
+        assert_valid_date(&date);
+        let attendance_system = borrow_global_mut<AttendanceSystem>(institution);
+        let marker_is_admin = is_admin(marker_addr, &attendance_system.users);
+
+        assert!(
+            marker_is_admin || 
+            is_teacher(marker_addr, &attendance_system.users),
+            E_NOT_AUTHORIZED
+        );
+
+        let len = vector::length(&user_addresses);
+        assert!(len == vector::length(&statuses), E_BATCH_LENGTH_MISMATCH);
+        assert!(vector::all(&statuses, |status| is_valid_status(*status)), E_INVALID_STATUS);
+
+        let i = 0;
+        while (i < len) {
+            let user_address = *vector::borrow(&user_addresses, i);
+            let status = *vector::borrow(&statuses, i);
+
+            if (!smart_table::contains(&attendance_system.users, user_address)) {
+                event::emit(AttendanceSkippedEvent {
+                    user_address,
+                    date,
+                    reason: SKIP_USER_NOT_FOUND,
+                    marked_by: marker_addr,
+                    timestamp: timestamp::now_seconds(),
+                });
+            } else if (!marker_is_admin && !teaches_student(institution, marker_addr, user_address, &attendance_system.users)) {
+                event::emit(AttendanceSkippedEvent {
+                    user_address,
+                    date,
+                    reason: SKIP_NOT_ENROLLED,
+                    marked_by: marker_addr,
+                    timestamp: timestamp::now_seconds(),
+                });
+            } else if (!clear_for_marking(institution, attendance_system, user_address, date)) {
+                event::emit(AttendanceSkippedEvent {
+                    user_address,
+                    date,
+                    reason: SKIP_ALREADY_MARKED,
+                    marked_by: marker_addr,
+                    timestamp: timestamp::now_seconds(),
+                });
+            } else {
+                record_attendance(institution, attendance_system, marker_addr, user_address, date, status);
+            };
+
+            i = i + 1;
+        };
+    }
+
+    // True when user_address has no record for date, or only the excused record
+    // of approved leave, which is removed so the caller can record the real
+    // status in its place.
+    fun clear_for_marking(
+        institution: address,
+        attendance_system: &mut AttendanceSystem,
+        user_address: address,
+        date: String
+    ): bool acquires AttendancePolicy, LeaveRegistry {
+        let user_attendance = smart_table::borrow_mut(&mut attendance_system.daily_attendance, user_address);
+        if (!smart_table::contains(user_attendance, date)) {
+            return true
+        };
+
+        let record = *smart_table::borrow(user_attendance, date);
+        if (daily_entry(institution, record).status != STATUS_EXCUSED || !exists<LeaveRegistry>(institution)) {
+            return false
+        };
+        let excused = &mut borrow_global_mut<LeaveRegistry>(institution).excused;
+        if (!smart_table::contains(excused, user_address)) {
+            return false
+        };
+        let dates = smart_table::borrow_mut(excused, user_address);
+        if (!smart_table::contains(dates, date)) {
+            return false
+        };
+
+        smart_table::remove(dates, date);
+        smart_table::remove(user_attendance, date);
+        let daily_records = smart_table::borrow_mut(&mut attendance_system.attendance_records, date);
+        let (_, index) = vector::find(daily_records, |item| item.user_address == user_address);
+        vector::remove(daily_records, index);
+        true
+    }
+
+    
+    fun record_attendance(
+        institution: address,
+        attendance_system: &mut AttendanceSystem,
+        marker_addr: address,
+        user_address: address,
+        date: String,
+        status: u8
+    ) acquires AttendancePolicy {
+        let current_time = timestamp::now_seconds();
+        let is_present = counts_as_present(status);
+
+        let attendance_record = AttendanceRecord {
+            user_address,
+            date,
+            check_in_time: current_time,
+            check_out_time: 0,
+            is_present,
+            marked_by: marker_addr,
+        };
+
+        
+        let user_attendance = smart_table::borrow_mut(&mut attendance_system.daily_attendance, user_address);
+        smart_table::add(user_attendance, date, attendance_record);
+
+        
+        if (!smart_table::contains(&attendance_system.attendance_records, date)) {
+            smart_table::add(&mut attendance_system.attendance_records, date, vector::empty<AttendanceRecord>());
+        };
+        
+        let daily_records = smart_table::borrow_mut(&mut attendance_system.attendance_records, date);
+        vector::push_back(daily_records, attendance_record);
+
+        
+        event::emit_event(&mut attendance_system.attendance_marked_events, AttendanceMarkedEvent {
+            user_address,
+            date,
+            check_in_time: current_time,
+            is_present,
+            marked_by: marker_addr,
+            timestamp: current_time,
+        });
+
+        set_daily_status(institution, user_address, date, status, marker_addr);
+    }
+
+    
+    // Admins may create a course for any teacher; teachers only for themselves.
+    public entry fun create_course_in(
+        creator: &signer,
+        institution: address,
+        code: String,
+        name: String,
+        teacher: address
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry {
+        let creator_addr = signer::address_of(creator);
+        assert_active(institution, creator_addr);
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        let registry = borrow_global_mut<CourseRegistry>(institution);
+
+        assert!(
+            is_admin(creator_addr, &attendance_system.users) || creator_addr == teacher,
+            E_NOT_AUTHORIZED
+        );
+        assert!(is_teacher(teacher, &attendance_system.users), E_INVALID_USER_TYPE);
+
+        let course_id = registry.next_course_id;
+        registry.next_course_id = course_id + 1;
+
+        smart_table::add(&mut registry.courses, course_id, Course {
+            id: course_id,
+            code,
+            name,
+            teacher,
+            created_at: timestamp::now_seconds(),
+        });
+        smart_table::add(&mut registry.enrollments, course_id, vector::empty<address>());
+        smart_table::add(&mut registry.course_sessions, course_id, vector::empty<u64>());
+
+        event::emit(CourseCreatedEvent {
+            course_id,
+            code,
+            name,
+            teacher,
+            created_by: creator_addr,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    
+    // Students who are already enrolled are left as they are.
+    public entry fun enroll_students_in(
+        actor: &signer,
+        institution: address,
+        course_id: u64,
+        students: vector<address>
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry {
+        let actor_addr = signer::address_of(actor);
+        assert_active(institution, actor_addr);
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        let registry = borrow_global_mut<CourseRegistry>(institution);
+
+        assert!(smart_table::contains(&registry.courses, course_id), E_COURSE_NOT_FOUND);
+        assert_manages_course(actor_addr, course_id, registry, &attendance_system.users);
+
+        let len = vector::length(&students);
+        let i = 0;
+        while (i < len) {
+            let student = *vector::borrow(&students, i);
+            assert!(smart_table::contains(&attendance_system.users, student), E_USER_NOT_FOUND);
+            assert!(smart_table::borrow(&attendance_system.users, student).user_type == USER_TYPE_STUDENT, E_INVALID_USER_TYPE);
+
+            let enrolled = smart_table::borrow_mut(&mut registry.enrollments, course_id);
+            if (!vector::contains(enrolled, &student)) {
+                vector::push_back(enrolled, student);
+
+                if (!smart_table::contains(&registry.student_courses, student)) {
+                    smart_table::add(&mut registry.student_courses, student, vector::empty<u64>());
+                };
+                vector::push_back(smart_table::borrow_mut(&mut registry.student_courses, student), course_id);
+
+                event::emit(EnrollmentChangedEvent {
+                    course_id,
+                    user_address: student,
+                    enrolled: true,
+                    changed_by: actor_addr,
+                    timestamp: timestamp::now_seconds(),
+                });
+            };
+
+            i = i + 1;
+        };
+    }
+
+    public entry fun unenroll_student_in(
+        actor: &signer,
+        institution: address,
+        course_id: u64,
+        student: address
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry {
+        let actor_addr = signer::address_of(actor);
+        assert_active(institution, actor_addr);
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        let registry = borrow_global_mut<CourseRegistry>(institution);
+
+        assert!(smart_table::contains(&registry.courses, course_id), E_COURSE_NOT_FOUND);
+        assert_manages_course(actor_addr, course_id, registry, &attendance_system.users);
+
+        let enrolled = smart_table::borrow_mut(&mut registry.enrollments, course_id);
+        let (found, index) = vector::index_of(enrolled, &student);
+        if (!found) return;
+        vector::remove(enrolled, index);
+
+        let course_ids = smart_table::borrow_mut(&mut registry.student_courses, student);
+        let (_, course_index) = vector::index_of(course_ids, &course_id);
+        vector::remove(course_ids, course_index);
+
+        event::emit(EnrollmentChangedEvent {
+            course_id,
+            user_address: student,
+            enrolled: false,
+            changed_by: actor_addr,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    
+    public entry fun create_session_in(
+        actor: &signer,
+        institution: address,
+        course_id: u64,
+        date: String,
+        slot: u8
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry {
+        let actor_addr = signer::address_of(actor);
+        assert_active(institution, actor_addr);
+        assert_valid_date(&date);
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        let registry = borrow_global_mut<CourseRegistry>(institution);
+
+        assert!(smart_table::contains(&registry.courses, course_id), E_COURSE_NOT_FOUND);
+        assert_manages_course(actor_addr, course_id, registry, &attendance_system.users);
+
+        let existing = smart_table::borrow(&registry.course_sessions, course_id);
+        let duplicate = vector::any(existing, |id| {
+            let session = smart_table::borrow(&registry.sessions, *id);
+            session.date == date && session.slot == slot
+        });
+        assert!(!duplicate, E_SESSION_EXISTS);
+
+        let session_id = registry.next_session_id;
+        registry.next_session_id = session_id + 1;
+
+        smart_table::add(&mut registry.sessions, session_id, Session {
+            id: session_id,
+            course_id,
+            date,
+            slot,
+            created_by: actor_addr,
+            created_at: timestamp::now_seconds(),
+        });
+        vector::push_back(smart_table::borrow_mut(&mut registry.course_sessions, course_id), session_id);
+        smart_table::add(&mut registry.session_attendance, session_id, vector::empty<SessionAttendanceRecord>());
+
+        event::emit(SessionCreatedEvent {
+            session_id,
+            course_id,
+            date,
+            slot,
+            created_by: actor_addr,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    
+    // Marks a whole session in one transaction. Only the course teacher or an
+    // admin may mark; students who are not enrolled or already marked for the
+    // session are skipped and reported through AttendanceSkippedEvent.
+    public entry fun mark_session_attendance(
+        marker: &signer,
+        session_id: u64,
+        user_addresses: vector<address>,
+        present_flags: vector<bool>
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry {
+        let statuses = vector::map(present_flags, |is_present| legacy_status(is_present));
+        mark_session_attendance_with_status(marker, session_id, user_addresses, statuses);
+    }
+
+    
+    public entry fun mark_session_attendance_with_status_in(
+        marker: &signer,
+        institution: address,
+        session_id: u64,
+        user_addresses: vector<address>,
+        statuses: vector<u8>
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, RoleRegistry {
+        let marker_addr = signer::address_of(marker);
+        assert_active(institution, marker_addr);
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        let registry = borrow_global_mut<CourseRegistry>(institution);
+
+        assert!(smart_table::contains(&registry.sessions, session_id), E_SESSION_NOT_FOUND);
+        let session = *smart_table::borrow(&registry.sessions, session_id);
+        assert_manages_course(marker_addr, session.course_id, registry, &attendance_system.users);
+
+        let len = vector::length(&user_addresses);
+        assert!(len == vector::length(&statuses), E_BATCH_LENGTH_MISMATCH);
+        assert!(vector::all(&statuses, |status| is_valid_status(*status)), E_INVALID_STATUS);
+
+        let enrolled = *smart_table::borrow(&registry.enrollments, session.course_id);
+        let records = smart_table::borrow_mut(&mut registry.session_attendance, session_id);
+
+        let i = 0;
+        while (i < len) {
+            let user_address = *vector::borrow(&user_addresses, i);
+            let status = *vector::borrow(&statuses, i);
+            let is_present = counts_as_present(status);
+            let current_time = timestamp::now_seconds();
+
+            if (!vector::contains(&enrolled, &user_address)) {
+                event::emit(AttendanceSkippedEvent {
+                    user_address,
+                    date: session.date,
+                    reason: SKIP_NOT_ENROLLED,
+                    marked_by: marker_addr,
+                    timestamp: current_time,
+                });
+            } else if (vector::any(records, |record| record.user_address == user_address)) {
+                event::emit(AttendanceSkippedEvent {
+                    user_address,
+                    date: session.date,
+                    reason: SKIP_ALREADY_MARKED,
+                    marked_by: marker_addr,
+                    timestamp: current_time,
+                });
+            } else {
+                vector::push_back(records, SessionAttendanceRecord {
+                    session_id,
+                    user_address,
+                    check_in_time: current_time,
+                    is_present,
+                    marked_by: marker_addr,
+                });
+
+                event::emit(SessionAttendanceMarkedEvent {
+                    session_id,
+                    course_id: session.course_id,
+                    user_address,
+                    date: session.date,
+                    is_present,
+                    marked_by: marker_addr,
+                    timestamp: current_time,
+                });
+                set_session_status(institution, session_id, user_address, session.date, status, marker_addr);
+            };
+
+            i = i + 1;
+        };
+    }
+
+    
+    // Student self check-in with a code the course teacher signed in their wallet
+    // (see check_in_message). The public key must be the one behind the teacher's
+    // authentication key, so only single-key Ed25519 teacher accounts can issue codes.
+    // The window for the session's slot decides between present and late.
+    public entry fun check_in_with_code_in(
+        student: &signer,
+        institution: address,
+        session_id: u64,
+        expires_at: u64,
+        nonce: String,
+        teacher_public_key: vector<u8>,
+        signature: vector<u8>
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, RoleRegistry {
+        let student_addr = signer::address_of(student);
+        assert_active(institution, student_addr);
+        let registry = borrow_global_mut<CourseRegistry>(institution);
+
+        assert!(smart_table::contains(&registry.sessions, session_id), E_SESSION_NOT_FOUND);
+        let session = *smart_table::borrow(&registry.sessions, session_id);
+        let teacher = smart_table::borrow(&registry.courses, session.course_id).teacher;
+
+        // Codes from a teacher who has since been deactivated or demoted no
+        // longer count; a teacher promoted to admin still runs the course.
+        let users = &borrow_global<AttendanceSystem>(institution).users;
+        assert!(
+            is_user_active_in(institution, teacher) && (is_teacher(teacher, users) || is_admin(teacher, users)),
+            E_INVALID_CHECK_IN_CODE
+        );
+
+        let now = timestamp::now_seconds();
+        assert!(now <= expires_at, E_CHECK_IN_CODE_EXPIRED);
+        assert!(expires_at <= now + registry.check_in_validity_secs, E_INVALID_CHECK_IN_CODE);
+
+        let public_key = ed25519::new_unvalidated_public_key_from_bytes(teacher_public_key);
+        assert!(
+            ed25519::unvalidated_public_key_to_authentication_key(&public_key) == account::get_authentication_key(teacher),
+            E_INVALID_CHECK_IN_CODE
+        );
+        assert!(
+            ed25519::signature_verify_strict(
+                &ed25519::new_signature_from_bytes(signature),
+                &public_key,
+                check_in_message(institution, session_id, expires_at, nonce)
+            ),
+            E_INVALID_CHECK_IN_CODE
+        );
+
+        assert!(vector::contains(smart_table::borrow(&registry.enrollments, session.course_id), &student_addr), E_NOT_ENROLLED);
+        let records = smart_table::borrow_mut(&mut registry.session_attendance, session_id);
+        assert!(!vector::any(records, |record| record.user_address == student_addr), E_ATTENDANCE_ALREADY_MARKED);
+
+        // The teacher's signature is what authorizes the record, so it is
+        // attributed to them.
+        vector::push_back(records, SessionAttendanceRecord {
+            session_id,
+            user_address: student_addr,
+            check_in_time: now,
+            is_present: true,
+            marked_by: teacher,
+        });
+
+        event::emit(SessionAttendanceMarkedEvent {
+            session_id,
+            course_id: session.course_id,
+            user_address: student_addr,
+            date: session.date,
+            is_present: true,
+            marked_by: teacher,
+            timestamp: now,
+        });
+        set_session_status(institution, session_id, student_addr, session.date, classify_arrival(institution, session.slot, now), teacher);
+    }
+
+    public entry fun set_check_in_validity_in(admin: &signer, institution: address, seconds: u64) acquires AttendanceSystem, CourseRegistry, RoleRegistry {
+        assert_active(institution, signer::address_of(admin));
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        assert!(is_admin(signer::address_of(admin), &attendance_system.users), E_NOT_AUTHORIZED);
+        borrow_global_mut<CourseRegistry>(institution).check_in_validity_secs = seconds;
+    }
+
+    // Lets an institution's students check themselves in for daily attendance
+    // from anywhere, or requires a session code again (admins only).
+    public entry fun set_self_check_in_in(
+        admin: &signer,
+        institution: address,
+        allowed: bool
+    ) acquires AttendanceSystem, RoleRegistry, SelfCheckInPolicy {
+        assert_active(institution, signer::address_of(admin));
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        assert!(is_admin(signer::address_of(admin), &attendance_system.users), E_NOT_AUTHORIZED);
+        smart_table::upsert(&mut borrow_global_mut<SelfCheckInPolicy>(@wenidi_addr).allowed, institution, allowed);
+    }
+
+    // Sets the institution's offset from UTC, such as 330 minutes east for
+    // Asia/Colombo, so checkouts are for its own calendar day (admins only).
+    public entry fun set_utc_offset_in(
+        admin: &signer,
+        institution: address,
+        minutes: u64,
+        west_of_utc: bool
+    ) acquires AttendanceSystem, RoleRegistry, InstitutionClocks {
+        assert_active(institution, signer::address_of(admin));
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        assert!(is_admin(signer::address_of(admin), &attendance_system.users), E_NOT_AUTHORIZED);
+        let limit = if (west_of_utc) { MAX_MINUTES_WEST_OF_UTC } else { MAX_MINUTES_EAST_OF_UTC };
+        assert!(minutes <= limit, E_INVALID_UTC_OFFSET);
+        smart_table::upsert(
+            &mut borrow_global_mut<InstitutionClocks>(@wenidi_addr).offsets,
+            institution,
+            UtcOffset { minutes, west_of_utc }
+        );
+    }
+
+    // The bytes a wallet signs for signMessage({ message, nonce }) with no
+    // address, application or chain id: "APTOS\nmessage: <message>\nnonce: <nonce>".
+    // Codes for institutions other than the one at @wenidi_addr also name the
+    // institution, since session ids are only unique within one.
+    fun check_in_message(institution: address, session_id: u64, expires_at: u64, nonce: String): vector<u8> {
+        let message = b"APTOS\nmessage: wenidi check-in\nsession: ";
+        vector::append(&mut message, *string::bytes(&string_utils::to_string(&session_id)));
+        vector::append(&mut message, b"\nexpires: ");
+        vector::append(&mut message, *string::bytes(&string_utils::to_string(&expires_at)));
+        if (institution != @wenidi_addr) {
+            vector::append(&mut message, b"\ninstitution: 0x");
+            vector::for_each(bcs::to_bytes(&institution), |byte| {
+                vector::push_back(&mut message, hex_digit(byte >> 4));
+                vector::push_back(&mut message, hex_digit(byte & 15));
+            });
+        };
+        vector::append(&mut message, b"\nnonce: ");
+        vector::append(&mut message, *string::bytes(&nonce));
+        message
+    }
+
+    fun hex_digit(nibble: u8): u8 {
+        if (nibble < 10) DIGIT_ZERO + nibble else LETTER_A + nibble - 10
+    }
+
+    
+    // Users check out once, on the institution's current day, from a day they
+    // were marked present or late.
+    public entry fun mark_checkout_in(
+        user: &signer,
+        institution: address,
+        date: String
+    ) acquires AttendanceSystem, AttendancePolicy, RoleRegistry, InstitutionClocks {
+        let user_addr = signer::address_of(user);
+        assert_active(institution, user_addr);
+        assert!(date == today_in(institution), E_INVALID_CHECKOUT);
+        let attendance_system = borrow_global_mut<AttendanceSystem>(institution);
+
+        let user_attendance = smart_table::borrow_mut(&mut attendance_system.daily_attendance, user_addr);
+        assert!(smart_table::contains(user_attendance, date), E_USER_NOT_FOUND);
+
+        let attendance_record = smart_table::borrow_mut(user_attendance, date);
+        let status = daily_entry(institution, *attendance_record).status;
+        assert!(status == STATUS_PRESENT || status == STATUS_LATE, E_INVALID_CHECKOUT);
+        assert!(attendance_record.check_out_time == 0, E_INVALID_CHECKOUT);
+        attendance_record.check_out_time = timestamp::now_seconds();
+        let is_present = attendance_record.is_present;
+
+        
+        let daily_records = smart_table::borrow_mut(&mut attendance_system.attendance_records, date);
+        let len = vector::length(daily_records);
+        let i = 0;
+        while (i < len) {
+            let record = vector::borrow_mut(daily_records, i);
+            if (record.user_address == user_addr) {
+                record.check_out_time = timestamp::now_seconds();
+                break
+            };
+            i = i + 1;
+        };
+
+        apply_half_day_cutoff(institution, user_addr, date, is_present);
+    }
+
+    
+    public entry fun set_attendance_window_in(
+        admin: &signer,
+        institution: address,
+        slot: u8,
+        starts_at: u64,
+        grace_secs: u64,
+        half_day_before: u64
+    ) acquires AttendanceSystem, AttendancePolicy, RoleRegistry {
+        assert_active(institution, signer::address_of(admin));
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        assert!(is_admin(signer::address_of(admin), &attendance_system.users), E_NOT_AUTHORIZED);
+        assert!(starts_at < SECONDS_PER_DAY && half_day_before < SECONDS_PER_DAY, E_INVALID_WINDOW);
+
+        let policy = borrow_global_mut<AttendancePolicy>(institution);
+        smart_table::upsert(&mut policy.windows, slot, AttendanceWindow {
+            slot,
+            starts_at,
+            grace_secs,
+            half_day_before,
+        });
+    }
+
+    public entry fun remove_attendance_window_in(admin: &signer, institution: address, slot: u8) acquires AttendanceSystem, AttendancePolicy, RoleRegistry {
+        assert_active(institution, signer::address_of(admin));
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        assert!(is_admin(signer::address_of(admin), &attendance_system.users), E_NOT_AUTHORIZED);
+
+        let policy = borrow_global_mut<AttendancePolicy>(institution);
+        if (smart_table::contains(&policy.windows, slot)) {
+            smart_table::remove(&mut policy.windows, slot);
+        };
+    }
+
+    
+    // Changes the status of an existing daily record. Admin corrections are
+    // applied at once; teacher corrections, for students in their courses, wait
+    // in the pending queue for an admin to approve or reject.
+    public entry fun request_correction_in(
+        editor: &signer,
+        institution: address,
+        user_address: address,
+        date: String,
+        new_status: u8,
+        reason: String
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, CorrectionLog, RoleRegistry {
+        let editor_addr = signer::address_of(editor);
+        assert_active(institution, editor_addr);
+        let attendance_system = borrow_global_mut<AttendanceSystem>(institution);
+        let editor_is_admin = is_admin(editor_addr, &attendance_system.users);
+
+        assert!(
+            editor_is_admin || teaches_student(institution, editor_addr, user_address, &attendance_system.users),
+            E_NOT_AUTHORIZED
+        );
+        assert!(is_valid_status(new_status), E_INVALID_STATUS);
+        assert!(smart_table::contains(&attendance_system.daily_attendance, user_address), E_USER_NOT_FOUND);
+
+        let user_attendance = smart_table::borrow(&attendance_system.daily_attendance, user_address);
+        assert!(smart_table::contains(user_attendance, date), E_USER_NOT_FOUND);
+        let previous_status = daily_entry(institution, *smart_table::borrow(user_attendance, date)).status;
+
+        let log = borrow_global_mut<CorrectionLog>(institution);
+        let correction_id = log.next_correction_id;
+        log.next_correction_id = correction_id + 1;
+
+        let correction = Correction {
+            id: correction_id,
+            user_address,
+            date,
+            previous_status,
+            new_status,
+            reason,
+            requested_by: editor_addr,
+            requested_at: timestamp::now_seconds(),
+            state: CORRECTION_PENDING,
+            reviewed_by: @0x0,
+            reviewed_at: 0,
+        };
+        smart_table::add(&mut log.corrections, correction_id, correction);
+
+        if (!smart_table::contains(&log.record_corrections, user_address)) {
+            smart_table::add(&mut log.record_corrections, user_address, smart_table::new());
+        };
+        let user_corrections = smart_table::borrow_mut(&mut log.record_corrections, user_address);
+        if (!smart_table::contains(user_corrections, date)) {
+            smart_table::add(user_corrections, date, vector::empty<u64>());
+        };
+        vector::push_back(smart_table::borrow_mut(user_corrections, date), correction_id);
+
+        emit_correction_event(&correction, editor_addr);
+
+        if (editor_is_admin) {
+            apply_correction(institution, attendance_system, log, correction_id, editor_addr);
+        } else {
+            vector::push_back(&mut log.pending, correction_id);
+        };
+    }
+
+    public entry fun approve_correction_in(
+        admin: &signer,
+        institution: address,
+        correction_id: u64
+    ) acquires AttendanceSystem, AttendancePolicy, CorrectionLog, RoleRegistry {
+        let admin_addr = signer::address_of(admin);
+        assert_active(institution, admin_addr);
+        let attendance_system = borrow_global_mut<AttendanceSystem>(institution);
+        assert!(is_admin(admin_addr, &attendance_system.users), E_NOT_AUTHORIZED);
+
+        let log = borrow_global_mut<CorrectionLog>(institution);
+        take_pending(log, correction_id);
+        apply_correction(institution, attendance_system, log, correction_id, admin_addr);
+    }
+
+    public entry fun reject_correction_in(
+        admin: &signer,
+        institution: address,
+        correction_id: u64
+    ) acquires AttendanceSystem, CorrectionLog, RoleRegistry {
+        let admin_addr = signer::address_of(admin);
+        assert_active(institution, admin_addr);
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        assert!(is_admin(admin_addr, &attendance_system.users), E_NOT_AUTHORIZED);
+
+        let log = borrow_global_mut<CorrectionLog>(institution);
+        take_pending(log, correction_id);
+
+        let correction = smart_table::borrow_mut(&mut log.corrections, correction_id);
+        correction.state = CORRECTION_REJECTED;
+        correction.reviewed_by = admin_addr;
+        correction.reviewed_at = timestamp::now_seconds();
+        emit_correction_event(correction, admin_addr);
+    }
+
+    fun take_pending(log: &mut CorrectionLog, correction_id: u64) {
+        assert!(smart_table::contains(&log.corrections, correction_id), E_CORRECTION_NOT_FOUND);
+        let (found, index) = vector::index_of(&log.pending, &correction_id);
+        assert!(found, E_CORRECTION_NOT_PENDING);
+        vector::remove(&mut log.pending, index);
+    }
+
+    // Writes the new status into the record and its copy in the per-date list.
+    // The record keeps its original marked_by; the log keeps who changed it.
+    fun apply_correction(
+        institution: address,
+        attendance_system: &mut AttendanceSystem,
+        log: &mut CorrectionLog,
+        correction_id: u64,
+        reviewer: address
+    ) acquires AttendancePolicy {
+        let correction = smart_table::borrow_mut(&mut log.corrections, correction_id);
+        let user_address = correction.user_address;
+        let date = correction.date;
+        let is_present = counts_as_present(correction.new_status);
+
+        let user_attendance = smart_table::borrow_mut(&mut attendance_system.daily_attendance, user_address);
+        let record = smart_table::borrow_mut(user_attendance, date);
+        correction.previous_status = daily_entry(institution, *record).status;
+        record.is_present = is_present;
+
+        let daily_records = smart_table::borrow_mut(&mut attendance_system.attendance_records, date);
+        let len = vector::length(daily_records);
+        let i = 0;
+        while (i < len) {
+            let daily_record = vector::borrow_mut(daily_records, i);
+            if (daily_record.user_address == user_address) {
+                daily_record.is_present = is_present;
+                break
+            };
+            i = i + 1;
+        };
+
+        correction.state = CORRECTION_APPROVED;
+        correction.reviewed_by = reviewer;
+        correction.reviewed_at = timestamp::now_seconds();
+
+        set_daily_status(institution, user_address, date, correction.new_status, reviewer);
+        emit_correction_event(correction, reviewer);
+    }
+
+    fun emit_correction_event(correction: &Correction, actor: address) {
+        event::emit(AttendanceCorrectionEvent {
+            correction_id: correction.id,
+            user_address: correction.user_address,
+            date: correction.date,
+            previous_status: correction.previous_status,
+            new_status: correction.new_status,
+            reason: correction.reason,
+            requested_by: correction.requested_by,
+            state: correction.state,
+            actor,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    
+    // Students file leave for past or future dates; nothing changes until a
+    // teacher of theirs or an admin approves it.
+    public entry fun request_leave_in(
+        student: &signer,
+        institution: address,
+        dates: vector<String>,
+        category: u8,
+        reason: String,
+        document_hash: vector<u8>
+    ) acquires AttendanceSystem, LeaveRegistry, RoleRegistry {
+        let student_addr = signer::address_of(student);
+        assert_active(institution, student_addr);
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        assert!(smart_table::contains(&attendance_system.users, student_addr), E_USER_NOT_FOUND);
+        assert!(
+            smart_table::borrow(&attendance_system.users, student_addr).user_type == USER_TYPE_STUDENT,
+            E_NOT_AUTHORIZED
+        );
+
+        let date_count = vector::length(&dates);
+        assert!(date_count > 0 && date_count <= MAX_LEAVE_DATES, E_INVALID_LEAVE);
+        vector::for_each_ref(&dates, |date| assert_valid_date(date));
+        assert!(category >= LEAVE_CATEGORY_MEDICAL && category <= LEAVE_CATEGORY_OTHER, E_INVALID_LEAVE);
+        let hash_length = vector::length(&document_hash);
+        assert!(hash_length == 0 || hash_length == DOCUMENT_HASH_LENGTH, E_INVALID_LEAVE);
+
+        let registry = borrow_global_mut<LeaveRegistry>(institution);
+        let leave_id = registry.next_leave_id;
+        registry.next_leave_id = leave_id + 1;
+
+        let request = LeaveRequest {
+            id: leave_id,
+            user_address: student_addr,
+            dates,
+            category,
+            reason,
+            document_hash,
+            requested_at: timestamp::now_seconds(),
+            state: LEAVE_PENDING,
+            reviewed_by: @0x0,
+            reviewed_at: 0,
+        };
+        smart_table::add(&mut registry.requests, leave_id, request);
+        vector::push_back(&mut registry.pending, leave_id);
+
+        if (!smart_table::contains(&registry.user_requests, student_addr)) {
+            smart_table::add(&mut registry.user_requests, student_addr, vector::empty<u64>());
+        };
+        vector::push_back(smart_table::borrow_mut(&mut registry.user_requests, student_addr), leave_id);
+
+        emit_leave_event(&request, student_addr);
+    }
+
+    // Each approved date without a record gets an excused record, which a later
+    // mark may still replace if the student attends after all; a date already
+    // marked absent becomes excused. Dates the student attended keep their
+    // status.
+    public entry fun approve_leave_in(
+        reviewer: &signer,
+        institution: address,
+        leave_id: u64
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry {
+        let reviewer_addr = signer::address_of(reviewer);
+        assert_active(institution, reviewer_addr);
+        let attendance_system = borrow_global_mut<AttendanceSystem>(institution);
+        let registry = borrow_global_mut<LeaveRegistry>(institution);
+        let request = take_pending_leave(institution, registry, leave_id, reviewer_addr, &attendance_system.users);
+
+        let student = request.user_address;
+        let len = vector::length(&request.dates);
+        let i = 0;
+        while (i < len) {
+            let date = *vector::borrow(&request.dates, i);
+            let user_attendance = smart_table::borrow(&attendance_system.daily_attendance, student);
+            if (!smart_table::contains(user_attendance, date)) {
+                record_attendance(institution, attendance_system, reviewer_addr, student, date, STATUS_EXCUSED);
+                if (!smart_table::contains(&registry.excused, student)) {
+                    smart_table::add(&mut registry.excused, student, smart_table::new());
+                };
+                smart_table::add(smart_table::borrow_mut(&mut registry.excused, student), date, leave_id);
+            } else if (daily_entry(institution, *smart_table::borrow(user_attendance, date)).status == STATUS_ABSENT) {
+                set_daily_status(institution, student, date, STATUS_EXCUSED, reviewer_addr);
+            };
+            i = i + 1;
+        };
+
+        finish_leave(registry, leave_id, LEAVE_APPROVED, reviewer_addr);
+    }
+
+    public entry fun reject_leave_in(
+        reviewer: &signer,
+        institution: address,
+        leave_id: u64
+    ) acquires AttendanceSystem, CourseRegistry, LeaveRegistry, RoleRegistry {
+        let reviewer_addr = signer::address_of(reviewer);
+        assert_active(institution, reviewer_addr);
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        let registry = borrow_global_mut<LeaveRegistry>(institution);
+        take_pending_leave(institution, registry, leave_id, reviewer_addr, &attendance_system.users);
+        finish_leave(registry, leave_id, LEAVE_REJECTED, reviewer_addr);
+    }
+
+    // Students may withdraw their own request while it is still pending.
+    public entry fun cancel_leave_in(student: &signer, institution: address, leave_id: u64) acquires LeaveRegistry, RoleRegistry {
+        let student_addr = signer::address_of(student);
+        assert_active(institution, student_addr);
+        let registry = borrow_global_mut<LeaveRegistry>(institution);
+        assert!(smart_table::contains(&registry.requests, leave_id), E_LEAVE_NOT_FOUND);
+        assert!(smart_table::borrow(&registry.requests, leave_id).user_address == student_addr, E_NOT_AUTHORIZED);
+
+        let (found, index) = vector::index_of(&registry.pending, &leave_id);
+        assert!(found, E_LEAVE_NOT_PENDING);
+        vector::remove(&mut registry.pending, index);
+        finish_leave(registry, leave_id, LEAVE_CANCELLED, student_addr);
+    }
+
+    // Removes a request from the pending queue after checking that the reviewer
+    // is an admin or teaches the student.
+    fun take_pending_leave(
+        institution: address,
+        registry: &mut LeaveRegistry,
+        leave_id: u64,
+        reviewer: address,
+        users: &SmartTable<address,
+        User>
+    ): LeaveRequest acquires CourseRegistry {
+        assert!(smart_table::contains(&registry.requests, leave_id), E_LEAVE_NOT_FOUND);
+        let request = *smart_table::borrow(&registry.requests, leave_id);
+        assert!(
+            is_admin(reviewer, users) || teaches_student(institution, reviewer, request.user_address, users),
+            E_NOT_AUTHORIZED
+        );
+
+        let (found, index) = vector::index_of(&registry.pending, &leave_id);
+        assert!(found, E_LEAVE_NOT_PENDING);
+        vector::remove(&mut registry.pending, index);
+        request
+    }
+
+    fun finish_leave(registry: &mut LeaveRegistry, leave_id: u64, state: u8, actor: address) {
+        let request = smart_table::borrow_mut(&mut registry.requests, leave_id);
+        request.state = state;
+        request.reviewed_by = actor;
+        request.reviewed_at = timestamp::now_seconds();
+        emit_leave_event(request, actor);
+    }
+
+    fun emit_leave_event(request: &LeaveRequest, actor: address) {
+        event::emit(LeaveRequestEvent {
+            leave_id: request.id,
+            user_address: request.user_address,
+            dates: request.dates,
+            category: request.category,
+            state: request.state,
+            actor,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    
+    // Admins may change any role except the system admin's, including
+    // promoting other users to admin.
+    public entry fun set_user_type_in(
+        admin: &signer,
+        institution: address,
+        user_address: address,
+        user_type: u8
+    ) acquires AttendanceSystem, RoleRegistry {
+        let admin_addr = signer::address_of(admin);
+        assert_active(institution, admin_addr);
+        let attendance_system = borrow_global_mut<AttendanceSystem>(institution);
+
+        assert!(is_admin(admin_addr, &attendance_system.users), E_NOT_AUTHORIZED);
+        assert!(user_type >= USER_TYPE_STUDENT && user_type <= USER_TYPE_ADMIN, E_INVALID_USER_TYPE);
+        assert!(smart_table::contains(&attendance_system.users, user_address), E_USER_NOT_FOUND);
+        assert!(user_address != attendance_system.admin, E_PROTECTED_ADMIN);
+
+        let user = smart_table::borrow_mut(&mut attendance_system.users, user_address);
+        let previous_type = user.user_type;
+        user.user_type = user_type;
+
+        event::emit(UserRoleChangedEvent {
+            user_address,
+            previous_type,
+            new_type: user_type,
+            changed_by: admin_addr,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    // Deactivated users keep their records but can no longer mark attendance or
+    // use their role.
+    public entry fun deactivate_user_in(admin: &signer, institution: address, user_address: address) acquires AttendanceSystem, RoleRegistry {
+        let admin_addr = signer::address_of(admin);
+        assert_active(institution, admin_addr);
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+
+        assert!(is_admin(admin_addr, &attendance_system.users), E_NOT_AUTHORIZED);
+        assert!(smart_table::contains(&attendance_system.users, user_address), E_USER_NOT_FOUND);
+        assert!(user_address != attendance_system.admin, E_PROTECTED_ADMIN);
+
+        let roles = borrow_global_mut<RoleRegistry>(institution);
+        assert!(!smart_table::contains(&roles.deactivated, user_address), E_USER_INACTIVE);
+        smart_table::add(&mut roles.deactivated, user_address, timestamp::now_seconds());
+        if (roles.pending_admin == user_address) {
+            roles.pending_admin = @0x0;
+        };
+
+        event::emit(UserActivationEvent {
+            user_address,
+            active: false,
+            changed_by: admin_addr,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    public entry fun reactivate_user_in(admin: &signer, institution: address, user_address: address) acquires AttendanceSystem, RoleRegistry {
+        let admin_addr = signer::address_of(admin);
+        assert_active(institution, admin_addr);
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        assert!(is_admin(admin_addr, &attendance_system.users), E_NOT_AUTHORIZED);
+
+        let roles = borrow_global_mut<RoleRegistry>(institution);
+        assert!(smart_table::contains(&roles.deactivated, user_address), E_USER_ACTIVE);
+        smart_table::remove(&mut roles.deactivated, user_address);
+
+        event::emit(UserActivationEvent {
+            user_address,
+            active: true,
+            changed_by: admin_addr,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    // The system admin hands the system to another active admin in two steps:
+    // this proposal, then accept_admin_transfer signed by the new admin.
+    // Proposing again replaces the pending proposal.
+    public entry fun propose_admin_transfer_in(admin: &signer, institution: address, new_admin: address) acquires AttendanceSystem, RoleRegistry {
+        let admin_addr = signer::address_of(admin);
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        assert!(admin_addr == attendance_system.admin, E_NOT_AUTHORIZED);
+        assert!(new_admin != admin_addr, E_INVALID_USER_TYPE);
+        assert!(is_admin(new_admin, &attendance_system.users), E_INVALID_USER_TYPE);
+        assert_active(institution, new_admin);
+
+        borrow_global_mut<RoleRegistry>(institution).pending_admin = new_admin;
+        event::emit(AdminTransferEvent {
+            current_admin: admin_addr,
+            new_admin,
+            state: ADMIN_TRANSFER_PROPOSED,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    // The previous system admin stays an admin; the new one can demote them.
+    public entry fun accept_admin_transfer_in(new_admin: &signer, institution: address) acquires AttendanceSystem, RoleRegistry {
+        let new_admin_addr = signer::address_of(new_admin);
+        assert_active(institution, new_admin_addr);
+        let roles = borrow_global_mut<RoleRegistry>(institution);
+        assert!(roles.pending_admin != @0x0, E_NO_ADMIN_TRANSFER);
+        assert!(roles.pending_admin == new_admin_addr, E_NOT_AUTHORIZED);
+        roles.pending_admin = @0x0;
+
+        let attendance_system = borrow_global_mut<AttendanceSystem>(institution);
+        assert!(is_admin(new_admin_addr, &attendance_system.users), E_INVALID_USER_TYPE);
+        let current_admin = attendance_system.admin;
+        attendance_system.admin = new_admin_addr;
+
+        event::emit(AdminTransferEvent {
+            current_admin,
+            new_admin: new_admin_addr,
+            state: ADMIN_TRANSFER_ACCEPTED,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    public entry fun cancel_admin_transfer_in(admin: &signer, institution: address) acquires AttendanceSystem, RoleRegistry {
+        let admin_addr = signer::address_of(admin);
+        assert!(admin_addr == borrow_global<AttendanceSystem>(institution).admin, E_NOT_AUTHORIZED);
+
+        let roles = borrow_global_mut<RoleRegistry>(institution);
+        assert!(roles.pending_admin != @0x0, E_NO_ADMIN_TRANSFER);
+        let new_admin = roles.pending_admin;
+        roles.pending_admin = @0x0;
+
+        event::emit(AdminTransferEvent {
+            current_admin: admin_addr,
+            new_admin,
+            state: ADMIN_TRANSFER_CANCELLED,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    
+    #[view]
+    public fun get_user_info_in(institution: address, user_address: address): User acquires AttendanceSystem {
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        assert!(smart_table::contains(&attendance_system.users, user_address), E_USER_NOT_FOUND);
+        *smart_table::borrow(&attendance_system.users, user_address)
+    }
+
+    #[view]
+    public fun get_user_attendance_in(institution: address, user_address: address, date: String): AttendanceRecord acquires AttendanceSystem {
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        let user_attendance = smart_table::borrow(&attendance_system.daily_attendance, user_address);
+        *smart_table::borrow(user_attendance, date)
+    }
+
+    // Records for start_date..=end_date (YYYY-MM-DD, compared as strings), in no
+    // particular order. Days without a record are simply absent from the result.
+    #[view]
+    public fun get_user_attendance_range_in(
+        institution: address,
+        user_address: address,
+        start_date: String,
+        end_date: String
+    ): vector<AttendanceRecord> acquires AttendanceSystem {
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        let records = vector::empty<AttendanceRecord>();
+
+        if (!smart_table::contains(&attendance_system.daily_attendance, user_address)) {
+            return records
+        };
+
+        let user_attendance = smart_table::borrow(&attendance_system.daily_attendance, user_address);
+        smart_table::for_each_ref(user_attendance, |date, record| {
+            let after_start = !comparator::is_smaller_than(&comparator::compare(date, &start_date));
+            let before_end = !comparator::is_greater_than(&comparator::compare(date, &end_date));
+            if (after_start && before_end) {
+                vector::push_back(&mut records, *record);
+            };
+        });
+
+        records
+    }
+
+    #[view]
+    public fun get_daily_attendance_in(institution: address, date: String): vector<AttendanceRecord> acquires AttendanceSystem {
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        if (smart_table::contains(&attendance_system.attendance_records, date)) {
+            *smart_table::borrow(&attendance_system.attendance_records, date)
+        } else {
+            vector::empty<AttendanceRecord>()
+        }
+    }
+
+    #[view]
+    public fun get_daily_attendance_count_in(institution: address, date: String): u64 acquires AttendanceSystem {
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        if (smart_table::contains(&attendance_system.attendance_records, date)) {
+            vector::length(smart_table::borrow(&attendance_system.attendance_records, date))
+        } else {
+            0
+        }
+    }
+
+    // Up to limit records for a date starting at offset, in the order they were
+    // marked; limit is capped at MAX_DAILY_PAGE_SIZE. Records are only ever
+    // appended to a day, so offsets stay stable while paging.
+    #[view]
+    public fun get_daily_attendance_page_in(
+        institution: address,
+        date: String,
+        offset: u64,
+        limit: u64
+    ): vector<AttendanceRecord> acquires AttendanceSystem {
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        let page = vector::empty<AttendanceRecord>();
+        if (!smart_table::contains(&attendance_system.attendance_records, date)) {
+            return page
+        };
+
+        let records = smart_table::borrow(&attendance_system.attendance_records, date);
+        let len = vector::length(records);
+        let limit = if (limit > MAX_DAILY_PAGE_SIZE) { MAX_DAILY_PAGE_SIZE } else { limit };
+        let end = if (offset >= len || len - offset < limit) { len } else { offset + limit };
+        let i = offset;
+        while (i < end) {
+            vector::push_back(&mut page, *vector::borrow(records, i));
+            i = i + 1;
+        };
+        page
+    }
+
+    #[view]
+    public fun is_user_registered_in(institution: address, user_address: address): bool acquires AttendanceSystem {
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        smart_table::contains(&attendance_system.users, user_address)
+    }
+
+    #[view]
+    public fun get_admin_address_in(institution: address): address acquires AttendanceSystem {
+        let attendance_system = borrow_global<AttendanceSystem>(institution);
+        attendance_system.admin
+    }
+
+    #[view]
+    public fun get_course_in(institution: address, course_id: u64): Course acquires CourseRegistry {
+        let registry = borrow_global<CourseRegistry>(institution);
+        assert!(smart_table::contains(&registry.courses, course_id), E_COURSE_NOT_FOUND);
+        *smart_table::borrow(&registry.courses, course_id)
+    }
+
+    // All courses, in no particular order.
+    #[view]
+    public fun get_courses_in(institution: address): vector<Course> acquires CourseRegistry {
+        let registry = borrow_global<CourseRegistry>(institution);
+        let courses = vector::empty<Course>();
+        smart_table::for_each_ref(&registry.courses, |_id, course| {
+            vector::push_back(&mut courses, *course);
+        });
+        courses
+    }
+
+    #[view]
+    public fun get_teacher_courses_in(institution: address, teacher: address): vector<Course> acquires CourseRegistry {
+        let registry = borrow_global<CourseRegistry>(institution);
+        let courses = vector::empty<Course>();
+        smart_table::for_each_ref(&registry.courses, |_id, course| {
+            let course: &Course = course;
+            if (course.teacher == teacher) {
+                vector::push_back(&mut courses, *course);
+            };
+        });
+        courses
+    }
+
+    #[view]
+    public fun get_student_courses_in(institution: address, student: address): vector<Course> acquires CourseRegistry {
+        let registry = borrow_global<CourseRegistry>(institution);
+        let courses = vector::empty<Course>();
+        if (smart_table::contains(&registry.student_courses, student)) {
+            vector::for_each_ref(smart_table::borrow(&registry.student_courses, student), |id| {
+                vector::push_back(&mut courses, *smart_table::borrow(&registry.courses, *id));
+            });
+        };
+        courses
+    }
+
+    #[view]
+    public fun get_course_students_in(institution: address, course_id: u64): vector<address> acquires CourseRegistry {
+        let registry = borrow_global<CourseRegistry>(institution);
+        assert!(smart_table::contains(&registry.courses, course_id), E_COURSE_NOT_FOUND);
+        *smart_table::borrow(&registry.enrollments, course_id)
+    }
+
+    #[view]
+    public fun get_course_sessions_in(institution: address, course_id: u64): vector<Session> acquires CourseRegistry {
+        let registry = borrow_global<CourseRegistry>(institution);
+        assert!(smart_table::contains(&registry.courses, course_id), E_COURSE_NOT_FOUND);
+        let sessions = vector::empty<Session>();
+        vector::for_each_ref(smart_table::borrow(&registry.course_sessions, course_id), |id| {
+            vector::push_back(&mut sessions, *smart_table::borrow(&registry.sessions, *id));
+        });
+        sessions
+    }
+
+    #[view]
+    public fun get_session_in(institution: address, session_id: u64): Session acquires CourseRegistry {
+        let registry = borrow_global<CourseRegistry>(institution);
+        assert!(smart_table::contains(&registry.sessions, session_id), E_SESSION_NOT_FOUND);
+        *smart_table::borrow(&registry.sessions, session_id)
+    }
+
+    #[view]
+    public fun get_session_attendance_in(institution: address, session_id: u64): vector<SessionAttendanceRecord> acquires CourseRegistry {
+        let registry = borrow_global<CourseRegistry>(institution);
+        assert!(smart_table::contains(&registry.sessions, session_id), E_SESSION_NOT_FOUND);
+        *smart_table::borrow(&registry.session_attendance, session_id)
+    }
+
+    // One student's records across every session of a course.
+    #[view]
+    public fun get_student_session_attendance_in(
+        institution: address,
+        student: address,
+        course_id: u64
+    ): vector<SessionAttendanceRecord> acquires CourseRegistry {
+        let registry = borrow_global<CourseRegistry>(institution);
+        assert!(smart_table::contains(&registry.courses, course_id), E_COURSE_NOT_FOUND);
+        let records = vector::empty<SessionAttendanceRecord>();
+        vector::for_each_ref(smart_table::borrow(&registry.course_sessions, course_id), |id| {
+            vector::for_each_ref(smart_table::borrow(&registry.session_attendance, *id), |record| {
+                let record: &SessionAttendanceRecord = record;
+                if (record.user_address == student) {
+                    vector::push_back(&mut records, *record);
+                };
+            });
+        });
+        records
+    }
+
+    #[view]
+    public fun get_check_in_validity_in(institution: address): u64 acquires CourseRegistry {
+        borrow_global<CourseRegistry>(institution).check_in_validity_secs
+    }
+
+    #[view]
+    public fun get_utc_offset_in(institution: address): UtcOffset acquires InstitutionClocks {
+        if (exists<InstitutionClocks>(@wenidi_addr)) {
+            let offsets = &borrow_global<InstitutionClocks>(@wenidi_addr).offsets;
+            if (smart_table::contains(offsets, institution)) {
+                return *smart_table::borrow(offsets, institution)
+            };
+        };
+        UtcOffset { minutes: 0, west_of_utc: false }
+    }
+
+    #[view]
+    public fun is_self_check_in_allowed_in(institution: address): bool acquires SelfCheckInPolicy {
+        if (!exists<SelfCheckInPolicy>(@wenidi_addr)) {
+            return false
+        };
+        let allowed = &borrow_global<SelfCheckInPolicy>(@wenidi_addr).allowed;
+        smart_table::contains(allowed, institution) && *smart_table::borrow(allowed, institution)
+    }
+
+    
+    // The *_entries views return the same records as the views they wrap, each
+    // paired with its attendance status.
+    #[view]
+    public fun get_user_attendance_entry_in(
+        institution: address,
+        user_address: address,
+        date: String
+    ): AttendanceEntry acquires AttendanceSystem, AttendancePolicy {
+        daily_entry(institution, get_user_attendance_in(institution, user_address, date))
+    }
+
+    #[view]
+    public fun get_user_attendance_entries_in(
+        institution: address,
+        user_address: address,
+        start_date: String,
+        end_date: String
+    ): vector<AttendanceEntry> acquires AttendanceSystem, AttendancePolicy {
+        vector::map(get_user_attendance_range_in(institution, user_address, start_date, end_date), |record| daily_entry(institution, record))
+    }
+
+    #[view]
+    public fun get_daily_attendance_entries_in(institution: address, date: String): vector<AttendanceEntry> acquires AttendanceSystem, AttendancePolicy {
+        vector::map(get_daily_attendance_in(institution, date), |record| daily_entry(institution, record))
+    }
+
+    #[view]
+    public fun get_daily_attendance_entries_page_in(
+        institution: address,
+        date: String,
+        offset: u64,
+        limit: u64
+    ): vector<AttendanceEntry> acquires AttendanceSystem, AttendancePolicy {
+        vector::map(get_daily_attendance_page_in(institution, date, offset, limit), |record| daily_entry(institution, record))
+    }
+
+    #[view]
+    public fun get_session_attendance_entries_in(
+        institution: address,
+        session_id: u64
+    ): vector<SessionAttendanceEntry> acquires CourseRegistry, AttendancePolicy {
+        vector::map(get_session_attendance_in(institution, session_id), |record| session_entry(institution, record))
+    }
+
+    #[view]
+    public fun get_student_session_attendance_entries_in(
+        institution: address,
+        student: address,
+        course_id: u64
+    ): vector<SessionAttendanceEntry> acquires CourseRegistry, AttendancePolicy {
+        vector::map(get_student_session_attendance_in(institution, student, course_id), |record| session_entry(institution, record))
+    }
+
+    #[view]
+    public fun get_correction_in(institution: address, correction_id: u64): Correction acquires CorrectionLog {
+        let log = borrow_global<CorrectionLog>(institution);
+        assert!(smart_table::contains(&log.corrections, correction_id), E_CORRECTION_NOT_FOUND);
+        *smart_table::borrow(&log.corrections, correction_id)
+    }
+
+    // Corrections awaiting an admin, oldest first.
+    #[view]
+    public fun get_pending_corrections_in(institution: address): vector<Correction> acquires CorrectionLog {
+        let log = borrow_global<CorrectionLog>(institution);
+        vector::map_ref(&log.pending, |id| *smart_table::borrow(&log.corrections, *id))
+    }
+
+    // Every correction requested for one daily record, oldest first.
+    #[view]
+    public fun get_record_corrections_in(institution: address, user_address: address, date: String): vector<Correction> acquires CorrectionLog {
+        let corrections = vector::empty<Correction>();
+        if (!exists<CorrectionLog>(institution)) {
+            return corrections
+        };
+
+        let log = borrow_global<CorrectionLog>(institution);
+        if (smart_table::contains(&log.record_corrections, user_address)) {
+            let user_corrections = smart_table::borrow(&log.record_corrections, user_address);
+            if (smart_table::contains(user_corrections, date)) {
+                vector::for_each_ref(smart_table::borrow(user_corrections, date), |id| {
+                    vector::push_back(&mut corrections, *smart_table::borrow(&log.corrections, *id));
+                });
+            };
+        };
+        corrections
+    }
+
+    #[view]
+    public fun get_leave_request_in(institution: address, leave_id: u64): LeaveRequest acquires LeaveRegistry {
+        let registry = borrow_global<LeaveRegistry>(institution);
+        assert!(smart_table::contains(&registry.requests, leave_id), E_LEAVE_NOT_FOUND);
+        *smart_table::borrow(&registry.requests, leave_id)
+    }
+
+    // Leave requests awaiting review, oldest first.
+    #[view]
+    public fun get_pending_leave_requests_in(institution: address): vector<LeaveRequest> acquires LeaveRegistry {
+        let registry = borrow_global<LeaveRegistry>(institution);
+        vector::map_ref(&registry.pending, |id| *smart_table::borrow(&registry.requests, *id))
+    }
+
+    // Every leave request a student has filed, oldest first.
+    #[view]
+    public fun get_user_leave_requests_in(institution: address, user_address: address): vector<LeaveRequest> acquires LeaveRegistry {
+        let requests = vector::empty<LeaveRequest>();
+        if (!exists<LeaveRegistry>(institution)) {
+            return requests
+        };
+
+        let registry = borrow_global<LeaveRegistry>(institution);
+        if (smart_table::contains(&registry.user_requests, user_address)) {
+            vector::for_each_ref(smart_table::borrow(&registry.user_requests, user_address), |id| {
+                vector::push_back(&mut requests, *smart_table::borrow(&registry.requests, *id));
+            });
+        };
+        requests
+    }
+
+    #[view]
+    public fun is_user_active_in(institution: address, user_address: address): bool acquires RoleRegistry {
+        !exists<RoleRegistry>(institution) ||
+            !smart_table::contains(&borrow_global<RoleRegistry>(institution).deactivated, user_address)
+    }
+
+    // Deactivated accounts, in no particular order.
+    #[view]
+    public fun get_deactivated_users_in(institution: address): vector<address> acquires RoleRegistry {
+        let users = vector::empty<address>();
+        if (exists<RoleRegistry>(institution)) {
+            smart_table::for_each_ref(&borrow_global<RoleRegistry>(institution).deactivated, |user_address, _since| {
+                vector::push_back(&mut users, *user_address);
+            });
+        };
+        users
+    }
+
+    // The account a system admin transfer is waiting on, or @0x0.
+    #[view]
+    public fun get_pending_admin_in(institution: address): address acquires RoleRegistry {
+        if (exists<RoleRegistry>(institution)) {
+            borrow_global<RoleRegistry>(institution).pending_admin
+        } else {
+            @0x0
+        }
+    }
+
+    // All configured windows, in no particular order.
+    #[view]
+    public fun get_attendance_windows_in(institution: address): vector<AttendanceWindow> acquires AttendancePolicy {
+        let windows = vector::empty<AttendanceWindow>();
+        if (exists<AttendancePolicy>(institution)) {
+            smart_table::for_each_ref(&borrow_global<AttendancePolicy>(institution).windows, |_slot, window| {
+                vector::push_back(&mut windows, *window);
+            });
+        };
+        windows
+    }
+
+    
+    fun is_admin(user_addr: address, users: &SmartTable<address, User>): bool {
+        if (smart_table::contains(users, user_addr)) {
+            let user = smart_table::borrow(users, user_addr);
+            user.user_type == USER_TYPE_ADMIN
+        } else {
+            false
+        }
+    }
+
+    fun assert_active(institution: address, user_addr: address) acquires RoleRegistry {
+        assert!(exists<AttendanceSystem>(institution), E_INSTITUTION_NOT_FOUND);
+        assert!(is_user_active_in(institution, user_addr), E_USER_INACTIVE);
+    }
+
+    fun is_teacher(user_addr: address, users: &SmartTable<address, User>): bool {
+        if (smart_table::contains(users, user_addr)) {
+            let user = smart_table::borrow(users, user_addr);
+            user.user_type == USER_TYPE_TEACHER
+        } else {
+            false
+        }
+    }
+
+    fun assert_manages_course(
+        actor: address,
+        course_id: u64,
+        registry: &CourseRegistry,
+        users: &SmartTable<address, User>
+    ) {
+        let course = smart_table::borrow(&registry.courses, course_id);
+        assert!((course.teacher == actor && is_teacher(actor, users)) || is_admin(actor, users), E_NOT_AUTHORIZED);
+    }
+
+    // Teachers may mark students enrolled in one of their courses. Deployments
+    // without a CourseRegistry keep the old rule: any teacher may mark anyone.
+    fun teaches_student(
+        institution: address,
+        teacher: address,
+        student: address,
+        users: &SmartTable<address,
+        User>
+    ): bool acquires CourseRegistry {
+        if (!is_teacher(teacher, users)) {
+            return false
+        };
+        if (!exists<CourseRegistry>(institution)) {
+            return true
+        };
+
+        let registry = borrow_global<CourseRegistry>(institution);
+        if (!smart_table::contains(&registry.student_courses, student)) {
+            return false
+        };
+        vector::any(smart_table::borrow(&registry.student_courses, student), |id| {
+            smart_table::borrow(&registry.courses, *id).teacher == teacher
+        })
+    }
+
+    
+    fun is_valid_status(status: u8): bool {
+        status >= STATUS_PRESENT && status <= STATUS_HALF_DAY
+    }
+
+    // Records are keyed by "YYYY-MM-DD"; a date in any other shape would be
+    // stored under a key that no date query ever asks for.
+    fun assert_valid_date(date: &String) {
+        let bytes = string::bytes(date);
+        assert!(vector::length(bytes) == 10, E_INVALID_DATE);
+        assert!(*vector::borrow(bytes, 4) == DATE_SEPARATOR && *vector::borrow(bytes, 7) == DATE_SEPARATOR, E_INVALID_DATE);
+
+        let year = parse_digits(bytes, 0, 4);
+        let month = parse_digits(bytes, 5, 7);
+        let day = parse_digits(bytes, 8, 10);
+        assert!(year > 0 && month >= 1 && month <= 12, E_INVALID_DATE);
+        assert!(day >= 1 && day <= days_in_month(year, month), E_INVALID_DATE);
+    }
+
+    fun parse_digits(bytes: &vector<u8>, start: u64, end: u64): u64 {
+        let value = 0;
+        let i = start;
+        while (i < end) {
+            let byte = *vector::borrow(bytes, i);
+            assert!(byte >= DIGIT_ZERO && byte <= DIGIT_ZERO + 9, E_INVALID_DATE);
+            value = value * 10 + ((byte - DIGIT_ZERO) as u64);
+            i = i + 1;
+        };
+        value
+    }
+
+    fun days_in_month(year: u64, month: u64): u64 {
+        if (month == 2) {
+            if ((year % 4 == 0 && year % 100 != 0) || year % 400 == 0) 29 else 28
+        } else if (month == 4 || month == 6 || month == 9 || month == 11) {
+            30
+        } else {
+            31
+        }
+    }
+
+    // Late and half-day still count as attending; absent and excused do not.
+    fun counts_as_present(status: u8): bool {
+        status == STATUS_PRESENT || status == STATUS_LATE || status == STATUS_HALF_DAY
+    }
+
+    fun legacy_status(is_present: bool): u8 {
+        if (is_present) STATUS_PRESENT else STATUS_ABSENT
+    }
+
+    // Present, or late when the slot has a window and check_in_time falls
+    // after its grace period.
+    fun classify_arrival(institution: address, slot: u8, check_in_time: u64): u8 acquires AttendancePolicy {
+        if (!exists<AttendancePolicy>(institution)) {
+            return STATUS_PRESENT
+        };
+
+        let windows = &borrow_global<AttendancePolicy>(institution).windows;
+        if (!smart_table::contains(windows, slot)) {
+            return STATUS_PRESENT
+        };
+
+        let window = smart_table::borrow(windows, slot);
+        let elapsed = seconds_since_start(window, check_in_time);
+        if (!before_start(elapsed) && elapsed > window.grace_secs) {
+            STATUS_LATE
+        } else {
+            STATUS_PRESENT
+        }
+    }
+
+    // Seconds from the window's start to time of day, counted forward across
+    // midnight UTC, so that a school day that spans it (08:00 at UTC+10 starts
+    // at 22:00 UTC) compares correctly.
+    fun seconds_since_start(window: &AttendanceWindow, time: u64): u64 {
+        (time % SECONDS_PER_DAY + SECONDS_PER_DAY - window.starts_at) % SECONDS_PER_DAY
+    }
+
+    fun before_start(elapsed: u64): bool {
+        elapsed >= SECONDS_PER_DAY - EARLY_ARRIVAL_SECS
+    }
+
+    // The institution's current calendar day as YYYY-MM-DD.
+    fun today_in(institution: address): String acquires InstitutionClocks {
+        let offset = get_utc_offset_in(institution);
+        let now = timestamp::now_seconds();
+        let local = if (offset.west_of_utc) { now - offset.minutes * 60 } else { now + offset.minutes * 60 };
+        date_key(local / SECONDS_PER_DAY)
+    }
+
+    // The date days after 1970-01-01, by the inverse of the proleptic
+    // Gregorian day count (eras of 400 years, years starting in March).
+    fun date_key(days: u64): String {
+        let shifted = days + 719468;
+        let era = shifted / 146097;
+        let day_of_era = shifted - era * 146097;
+        let year_of_era = (day_of_era - day_of_era / 1460 + day_of_era / 36524 - day_of_era / 146096) / 365;
+        let day_of_year = day_of_era - (365 * year_of_era + year_of_era / 4 - year_of_era / 100);
+        let month_from_march = (5 * day_of_year + 2) / 153;
+        let day = day_of_year - (153 * month_from_march + 2) / 5 + 1;
+        let month = if (month_from_march < 10) { month_from_march + 3 } else { month_from_march - 9 };
+        let year = era * 400 + year_of_era + if (month <= 2) { 1 } else { 0 };
+
+        let bytes = vector::empty<u8>();
+        append_digits(&mut bytes, year, 4);
+        vector::push_back(&mut bytes, DATE_SEPARATOR);
+        append_digits(&mut bytes, month, 2);
+        vector::push_back(&mut bytes, DATE_SEPARATOR);
+        append_digits(&mut bytes, day, 2);
+        string::utf8(bytes)
+    }
+
+    fun append_digits(bytes: &mut vector<u8>, value: u64, width: u64) {
+        let digits = vector::empty<u8>();
+        let i = 0;
+        while (i < width) {
+            vector::push_back(&mut digits, DIGIT_ZERO + ((value % 10) as u8));
+            value = value / 10;
+            i = i + 1;
+        };
+        vector::reverse(&mut digits);
+        vector::append(bytes, digits);
+    }
+
+    // A checkout before the daily window's cutoff turns a present or late day
+    // into a half-day.
+    fun apply_half_day_cutoff(institution: address, user_address: address, date: String, is_present: bool) acquires AttendancePolicy {
+        if (!exists<AttendancePolicy>(institution)) return;
+
+        let policy = borrow_global<AttendancePolicy>(institution);
+        if (!smart_table::contains(&policy.windows, DAILY_WINDOW_SLOT)) return;
+
+        let window = smart_table::borrow(&policy.windows, DAILY_WINDOW_SLOT);
+        if (window.half_day_before == 0) return;
+
+        let elapsed = seconds_since_start(window, timestamp::now_seconds());
+        let early = before_start(elapsed) || elapsed < seconds_since_start(window, window.half_day_before);
+        let status = stored_daily_status(policy, user_address, date, is_present);
+
+        if (early && (status == STATUS_PRESENT || status == STATUS_LATE)) {
+            set_daily_status(institution, user_address, date, STATUS_HALF_DAY, user_address);
+        };
+    }
+
+    // Without an AttendancePolicy only the legacy present/absent flag is kept.
+    fun set_daily_status(institution: address, user_address: address, date: String, status: u8, changed_by: address) acquires AttendancePolicy {
+        if (!exists<AttendancePolicy>(institution)) {
+            assert!(status == STATUS_PRESENT || status == STATUS_ABSENT, E_INVALID_STATUS);
+            return
+        };
+
+        let statuses = &mut borrow_global_mut<AttendancePolicy>(institution).daily_statuses;
+        if (!smart_table::contains(statuses, date)) {
+            smart_table::add(statuses, date, smart_table::new());
+        };
+        smart_table::upsert(smart_table::borrow_mut(statuses, date), user_address, status);
+
+        event::emit(AttendanceStatusEvent {
+            user_address,
+            date,
+            session_id: 0,
+            status,
+            changed_by,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    fun set_session_status(
+        institution: address,
+        session_id: u64,
+        user_address: address,
+        date: String,
+        status: u8,
+        changed_by: address
+    ) acquires AttendancePolicy {
+        if (!exists<AttendancePolicy>(institution)) {
+            assert!(status == STATUS_PRESENT || status == STATUS_ABSENT, E_INVALID_STATUS);
+            return
+        };
+
+        let statuses = &mut borrow_global_mut<AttendancePolicy>(institution).session_statuses;
+        if (!smart_table::contains(statuses, session_id)) {
+            smart_table::add(statuses, session_id, smart_table::new());
+        };
+        smart_table::upsert(smart_table::borrow_mut(statuses, session_id), user_address, status);
+
+        event::emit(AttendanceStatusEvent {
+            user_address,
+            date,
+            session_id,
+            status,
+            changed_by,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    fun stored_daily_status(policy: &AttendancePolicy, user_address: address, date: String, is_present: bool): u8 {
+        if (smart_table::contains(&policy.daily_statuses, date)) {
+            let statuses = smart_table::borrow(&policy.daily_statuses, date);
+            if (smart_table::contains(statuses, user_address)) {
+                return *smart_table::borrow(statuses, user_address)
+            };
+        };
+        legacy_status(is_present)
+    }
+
+    fun daily_entry(institution: address, record: AttendanceRecord): AttendanceEntry acquires AttendancePolicy {
+        let status = if (exists<AttendancePolicy>(institution)) {
+            stored_daily_status(borrow_global<AttendancePolicy>(institution), record.user_address, record.date, record.is_present)
+        } else {
+            legacy_status(record.is_present)
+        };
+        AttendanceEntry { record, status }
+    }
+
+    fun session_entry(institution: address, record: SessionAttendanceRecord): SessionAttendanceEntry acquires AttendancePolicy {
+        let status = legacy_status(record.is_present);
+        if (exists<AttendancePolicy>(institution)) {
+            let statuses = &borrow_global<AttendancePolicy>(institution).session_statuses;
+            if (smart_table::contains(statuses, record.session_id)) {
+                let by_user = smart_table::borrow(statuses, record.session_id);
+                if (smart_table::contains(by_user, record.user_address)) {
+                    status = *smart_table::borrow(by_user, record.user_address);
+                };
+            };
+        };
+        SessionAttendanceEntry { record, status }
+    }
+
+    
+    #[view]
+    public fun get_all_attendance_by_date(date: String, caller: address): vector<AttendanceRecord> acquires AttendanceSystem {
+        let attendance_system = borrow_global<AttendanceSystem>(@wenidi_addr);
+        assert!(is_admin(caller, &attendance_system.users), E_NOT_AUTHORIZED);
+        
+        if (smart_table::contains(&attendance_system.attendance_records, date)) {
+            *smart_table::borrow(&attendance_system.attendance_records, date)
+        } else {
+            vector::empty<AttendanceRecord>()
+        }
+    }
+
+    
+    // The original single-institution API, kept with its signatures so clients
+    // written before institutions keep working. Each function acts on the
+    // institution initialize created at @wenidi_addr.
+    public entry fun register_user(account: &signer, name: String, user_type: u8) acquires AttendanceSystem, InstitutionDirectory {
+        register_user_in(account, @wenidi_addr, name, user_type);
+    }
+
+    public entry fun admin_register_users(
+        admin: &signer,
+        user_addresses: vector<address>,
+        names: vector<String>,
+        user_types: vector<u8>
+    ) acquires AttendanceSystem, RoleRegistry, InstitutionDirectory {
+        admin_register_users_in(admin, @wenidi_addr, user_addresses, names, user_types);
+    }
+
+    public entry fun mark_attendance_with_status(
+        marker: &signer,
+        user_address: address,
+        date: String,
+        status: u8
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy {
+        mark_attendance_with_status_in(marker, @wenidi_addr, user_address, date, status);
+    }
+
+    public entry fun mark_attendance_batch_with_status(
+        marker: &signer,
+        user_addresses: vector<address>,
+        date: String,
+        statuses: vector<u8>
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry {
+        mark_attendance_batch_with_status_in(marker, @wenidi_addr, user_addresses, date, statuses);
+    }
+
+    public entry fun create_course(
+        creator: &signer,
+        code: String,
+        name: String,
+        teacher: address
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry {
+        create_course_in(creator, @wenidi_addr, code, name, teacher);
+    }
+
+    public entry fun enroll_students(
+        actor: &signer,
+        course_id: u64,
+        students: vector<address>
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry {
+        enroll_students_in(actor, @wenidi_addr, course_id, students);
+    }
+
+    public entry fun unenroll_student(
+        actor: &signer,
+        course_id: u64,
+        student: address
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry {
+        unenroll_student_in(actor, @wenidi_addr, course_id, student);
+    }
+
+    public entry fun create_session(
+        actor: &signer,
+        course_id: u64,
+        date: String,
+        slot: u8
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry {
+        create_session_in(actor, @wenidi_addr, course_id, date, slot);
+    }
+
+    public entry fun mark_session_attendance_with_status(
+        marker: &signer,
+        session_id: u64,
+        user_addresses: vector<address>,
+        statuses: vector<u8>
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, RoleRegistry {
+        mark_session_attendance_with_status_in(marker, @wenidi_addr, session_id, user_addresses, statuses);
+    }
+
+    public entry fun check_in_with_code(
+        student: &signer,
+        session_id: u64,
+        expires_at: u64,
+        nonce: String,
+        teacher_public_key: vector<u8>,
+        signature: vector<u8>
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, RoleRegistry {
+        check_in_with_code_in(student, @wenidi_addr, session_id, expires_at, nonce, teacher_public_key, signature);
+    }
+
+    public entry fun set_check_in_validity(
+        admin: &signer,
+        seconds: u64
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry {
+        set_check_in_validity_in(admin, @wenidi_addr, seconds);
+    }
+
+    public entry fun set_self_check_in(admin: &signer, allowed: bool) acquires AttendanceSystem, RoleRegistry, SelfCheckInPolicy {
+        set_self_check_in_in(admin, @wenidi_addr, allowed);
+    }
+
+    public entry fun mark_checkout(
+        user: &signer,
+        date: String
+    ) acquires AttendanceSystem, AttendancePolicy, RoleRegistry, InstitutionClocks {
+        mark_checkout_in(user, @wenidi_addr, date);
+    }
+
+    public entry fun set_utc_offset(
+        admin: &signer,
+        minutes: u64,
+        west_of_utc: bool
+    ) acquires AttendanceSystem, RoleRegistry, InstitutionClocks {
+        set_utc_offset_in(admin, @wenidi_addr, minutes, west_of_utc);
+    }
+
+    public entry fun set_attendance_window(
+        admin: &signer,
+        slot: u8,
+        starts_at: u64,
+        grace_secs: u64,
+        half_day_before: u64
+    ) acquires AttendanceSystem, AttendancePolicy, RoleRegistry {
+        set_attendance_window_in(admin, @wenidi_addr, slot, starts_at, grace_secs, half_day_before);
+    }
+
+    public entry fun remove_attendance_window(
+        admin: &signer,
+        slot: u8
+    ) acquires AttendanceSystem, AttendancePolicy, RoleRegistry {
+        remove_attendance_window_in(admin, @wenidi_addr, slot);
+    }
+
+    public entry fun request_correction(
+        editor: &signer,
+        user_address: address,
+        date: String,
+        new_status: u8,
+        reason: String
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, CorrectionLog, RoleRegistry {
+        request_correction_in(editor, @wenidi_addr, user_address, date, new_status, reason);
+    }
+
+    public entry fun approve_correction(
+        admin: &signer,
+        correction_id: u64
+    ) acquires AttendanceSystem, AttendancePolicy, CorrectionLog, RoleRegistry {
+        approve_correction_in(admin, @wenidi_addr, correction_id);
+    }
+
+    public entry fun reject_correction(
+        admin: &signer,
+        correction_id: u64
+    ) acquires AttendanceSystem, CorrectionLog, RoleRegistry {
+        reject_correction_in(admin, @wenidi_addr, correction_id);
+    }
+
+    public entry fun request_leave(
+        student: &signer,
+        dates: vector<String>,
+        category: u8,
+        reason: String,
+        document_hash: vector<u8>
+    ) acquires AttendanceSystem, LeaveRegistry, RoleRegistry {
+        request_leave_in(student, @wenidi_addr, dates, category, reason, document_hash);
+    }
+
+    public entry fun approve_leave(
+        reviewer: &signer,
+        leave_id: u64
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry {
+        approve_leave_in(reviewer, @wenidi_addr, leave_id);
+    }
+
+    public entry fun reject_leave(
+        reviewer: &signer,
+        leave_id: u64
+    ) acquires AttendanceSystem, CourseRegistry, LeaveRegistry, RoleRegistry {
+        reject_leave_in(reviewer, @wenidi_addr, leave_id);
+    }
+
+    public entry fun cancel_leave(student: &signer, leave_id: u64) acquires LeaveRegistry, RoleRegistry {
+        cancel_leave_in(student, @wenidi_addr, leave_id);
+    }
+
+    public entry fun set_user_type(
+        admin: &signer,
+        user_address: address,
+        user_type: u8
+    ) acquires AttendanceSystem, RoleRegistry {
+        set_user_type_in(admin, @wenidi_addr, user_address, user_type);
+    }
+
+    public entry fun deactivate_user(admin: &signer, user_address: address) acquires AttendanceSystem, RoleRegistry {
+        deactivate_user_in(admin, @wenidi_addr, user_address);
+    }
+
+    public entry fun reactivate_user(admin: &signer, user_address: address) acquires AttendanceSystem, RoleRegistry {
+        reactivate_user_in(admin, @wenidi_addr, user_address);
+    }
+
+    public entry fun propose_admin_transfer(
+        admin: &signer,
+        new_admin: address
+    ) acquires AttendanceSystem, RoleRegistry {
+        propose_admin_transfer_in(admin, @wenidi_addr, new_admin);
+    }
+
+    public entry fun accept_admin_transfer(new_admin: &signer) acquires AttendanceSystem, RoleRegistry {
+        accept_admin_transfer_in(new_admin, @wenidi_addr);
+    }
+
+    public entry fun cancel_admin_transfer(admin: &signer) acquires AttendanceSystem, RoleRegistry {
+        cancel_admin_transfer_in(admin, @wenidi_addr);
+    }
+
+    #[view]
+    public fun get_user_info(user_address: address): User acquires AttendanceSystem {
+        get_user_info_in(@wenidi_addr, user_address)
+    }
+
+    #[view]
+    public fun get_user_attendance(user_address: address, date: String): AttendanceRecord acquires AttendanceSystem {
+        get_user_attendance_in(@wenidi_addr, user_address, date)
+    }
+
+    #[view]
+    public fun get_user_attendance_range(
+        user_address: address,
+        start_date: String,
+        end_date: String
+    ): vector<AttendanceRecord> acquires AttendanceSystem {
+        get_user_attendance_range_in(@wenidi_addr, user_address, start_date, end_date)
+    }
+
+    #[view]
+    public fun get_daily_attendance(date: String): vector<AttendanceRecord> acquires AttendanceSystem {
+        get_daily_attendance_in(@wenidi_addr, date)
+    }
+
+    #[view]
+    public fun get_daily_attendance_count(date: String): u64 acquires AttendanceSystem {
+        get_daily_attendance_count_in(@wenidi_addr, date)
+    }
+
+    #[view]
+    public fun get_daily_attendance_page(
+        date: String,
+        offset: u64,
+        limit: u64
+    ): vector<AttendanceRecord> acquires AttendanceSystem {
+        get_daily_attendance_page_in(@wenidi_addr, date, offset, limit)
+    }
+
+    #[view]
+    public fun is_user_registered(user_address: address): bool acquires AttendanceSystem {
+        is_user_registered_in(@wenidi_addr, user_address)
+    }
+
+    #[view]
+    public fun get_admin_address(): address acquires AttendanceSystem {
+        get_admin_address_in(@wenidi_addr)
+    }
+
+    #[view]
+    public fun get_course(course_id: u64): Course acquires CourseRegistry {
+        get_course_in(@wenidi_addr, course_id)
+    }
+
+    #[view]
+    public fun get_courses(): vector<Course> acquires CourseRegistry {
+        get_courses_in(@wenidi_addr)
+    }
+
+    #[view]
+    public fun get_teacher_courses(teacher: address): vector<Course> acquires CourseRegistry {
+        get_teacher_courses_in(@wenidi_addr, teacher)
+    }
+
+    #[view]
+    public fun get_student_courses(student: address): vector<Course> acquires CourseRegistry {
+        get_student_courses_in(@wenidi_addr, student)
+    }
+
+    #[view]
+    public fun get_course_students(course_id: u64): vector<address> acquires CourseRegistry {
+        get_course_students_in(@wenidi_addr, course_id)
+    }
+
+    #[view]
+    public fun get_course_sessions(course_id: u64): vector<Session> acquires CourseRegistry {
+        get_course_sessions_in(@wenidi_addr, course_id)
+    }
+
+    #[view]
+    public fun get_session(session_id: u64): Session acquires CourseRegistry {
+        get_session_in(@wenidi_addr, session_id)
+    }
+
+    #[view]
+    public fun get_session_attendance(session_id: u64): vector<SessionAttendanceRecord> acquires CourseRegistry {
+        get_session_attendance_in(@wenidi_addr, session_id)
+    }
+
+    #[view]
+    public fun get_student_session_attendance(
+        student: address,
+        course_id: u64
+    ): vector<SessionAttendanceRecord> acquires CourseRegistry {
+        get_student_session_attendance_in(@wenidi_addr, student, course_id)
+    }
+
+    #[view]
+    public fun get_check_in_validity(): u64 acquires CourseRegistry {
+        get_check_in_validity_in(@wenidi_addr)
+    }
+
+    #[view]
+    public fun is_self_check_in_allowed(): bool acquires SelfCheckInPolicy {
+        is_self_check_in_allowed_in(@wenidi_addr)
+    }
+
+    #[view]
+    public fun get_utc_offset(): UtcOffset acquires InstitutionClocks {
+        get_utc_offset_in(@wenidi_addr)
+    }
+
+    #[view]
+    public fun get_user_attendance_entry(
+        user_address: address,
+        date: String
+    ): AttendanceEntry acquires AttendanceSystem, AttendancePolicy {
+        get_user_attendance_entry_in(@wenidi_addr, user_address, date)
+    }
+
+    #[view]
+    public fun get_user_attendance_entries(
+        user_address: address,
+        start_date: String,
+        end_date: String
+    ): vector<AttendanceEntry> acquires AttendanceSystem, AttendancePolicy {
+        get_user_attendance_entries_in(@wenidi_addr, user_address, start_date, end_date)
+    }
+
+    #[view]
+    public fun get_daily_attendance_entries(
+        date: String
+    ): vector<AttendanceEntry> acquires AttendanceSystem, AttendancePolicy {
+        get_daily_attendance_entries_in(@wenidi_addr, date)
+    }
+
+    #[view]
+    public fun get_daily_attendance_entries_page(
+        date: String,
+        offset: u64,
+        limit: u64
+    ): vector<AttendanceEntry> acquires AttendanceSystem, AttendancePolicy {
+        get_daily_attendance_entries_page_in(@wenidi_addr, date, offset, limit)
+    }
+
+    #[view]
+    public fun get_session_attendance_entries(
+        session_id: u64
+    ): vector<SessionAttendanceEntry> acquires CourseRegistry, AttendancePolicy {
+        get_session_attendance_entries_in(@wenidi_addr, session_id)
+    }
+
+    #[view]
+    public fun get_student_session_attendance_entries(
+        student: address,
+        course_id: u64
+    ): vector<SessionAttendanceEntry> acquires CourseRegistry, AttendancePolicy {
+        get_student_session_attendance_entries_in(@wenidi_addr, student, course_id)
+    }
+
+    #[view]
+    public fun get_correction(correction_id: u64): Correction acquires CorrectionLog {
+        get_correction_in(@wenidi_addr, correction_id)
+    }
+
+    #[view]
+    public fun get_pending_corrections(): vector<Correction> acquires CorrectionLog {
+        get_pending_corrections_in(@wenidi_addr)
+    }
+
+    #[view]
+    public fun get_record_corrections(user_address: address, date: String): vector<Correction> acquires CorrectionLog {
+        get_record_corrections_in(@wenidi_addr, user_address, date)
+    }
+
+    #[view]
+    public fun get_leave_request(leave_id: u64): LeaveRequest acquires LeaveRegistry {
+        get_leave_request_in(@wenidi_addr, leave_id)
+    }
+
+    #[view]
+    public fun get_pending_leave_requests(): vector<LeaveRequest> acquires LeaveRegistry {
+        get_pending_leave_requests_in(@wenidi_addr)
+    }
+
+    #[view]
+    public fun get_user_leave_requests(user_address: address): vector<LeaveRequest> acquires LeaveRegistry {
+        get_user_leave_requests_in(@wenidi_addr, user_address)
+    }
+
+    #[view]
+    public fun is_user_active(user_address: address): bool acquires RoleRegistry {
+        is_user_active_in(@wenidi_addr, user_address)
+    }
+
+    #[view]
+    public fun get_deactivated_users(): vector<address> acquires RoleRegistry {
+        get_deactivated_users_in(@wenidi_addr)
+    }
+
+    #[view]
+    public fun get_pending_admin(): address acquires RoleRegistry {
+        get_pending_admin_in(@wenidi_addr)
+    }
+
+    #[view]
+    public fun get_attendance_windows(): vector<AttendanceWindow> acquires AttendancePolicy {
+        get_attendance_windows_in(@wenidi_addr)
+    }
+
+    // Unit tests for the role, status and abort rules; run with aptos move test.
+    #[test_only]
+    const TEST_DAY_START: u64 = 1792368000; // 2026-10-19T00:00:00Z
+
+    #[test_only]
+    fun set_time_for_test(days: u64, seconds: u64) {
+        timestamp::update_global_time_for_test_secs(TEST_DAY_START + days * SECONDS_PER_DAY + seconds);
+    }
+
+    // The admin at @wenidi_addr runs MA101, taught by teacher, with student
+    // enrolled. The clock reads 08:05 UTC on 2026-10-19.
+    #[test_only]
+    fun setup_for_test(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory {
+        timestamp::set_time_has_started_for_testing(aptos_framework);
+        set_time_for_test(0, 8 * 3600 + 300);
+        account::create_account_for_test(signer::address_of(admin));
+        initialize(admin);
+        register_user(teacher, string::utf8(b"Teacher"), USER_TYPE_TEACHER);
+        register_user(student, string::utf8(b"Student"), USER_TYPE_STUDENT);
+        create_course(admin, string::utf8(b"MA101"), string::utf8(b"Maths"), signer::address_of(teacher));
+        enroll_students(admin, 1, vector[signer::address_of(student)]);
+    }
+
+    #[test_only]
+    fun status_for_test(user_address: address, date: vector<u8>): u8 acquires AttendanceSystem, AttendancePolicy {
+        get_user_attendance_entry_in(@wenidi_addr, user_address, string::utf8(date)).status
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb, other = @0xd)]
+    #[expected_failure(abort_code = E_INVALID_USER_TYPE, location = Self)]
+    fun test_users_cannot_register_as_admin(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer,
+        other: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        register_user(other, string::utf8(b"Other"), USER_TYPE_ADMIN);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_ALREADY_REGISTERED, location = Self)]
+    fun test_users_register_once(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        register_user(student, string::utf8(b"Again"), USER_TYPE_STUDENT);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb, other = @0xd)]
+    #[expected_failure(abort_code = E_NOT_AUTHORIZED, location = Self)]
+    fun test_students_cannot_mark_others(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer,
+        other: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        register_user(other, string::utf8(b"Other"), USER_TYPE_STUDENT);
+        mark_attendance_with_status(student, @0xd, string::utf8(b"2026-10-19"), STATUS_ABSENT);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb, other = @0xd)]
+    #[expected_failure(abort_code = E_NOT_AUTHORIZED, location = Self)]
+    fun test_teachers_only_mark_their_students(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer,
+        other: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        register_user(other, string::utf8(b"Other"), USER_TYPE_STUDENT);
+        mark_attendance_with_status(teacher, @0xd, string::utf8(b"2026-10-19"), STATUS_PRESENT);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_ATTENDANCE_ALREADY_MARKED, location = Self)]
+    fun test_teachers_mark_their_students_once(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        mark_attendance_with_status(teacher, @0xb, string::utf8(b"2026-10-19"), STATUS_LATE);
+        assert!(status_for_test(@0xb, b"2026-10-19") == STATUS_LATE, 0);
+        mark_attendance_with_status(admin, @0xb, string::utf8(b"2026-10-19"), STATUS_PRESENT);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_INVALID_DATE, location = Self)]
+    fun test_dates_must_exist(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        mark_attendance_with_status(admin, @0xb, string::utf8(b"2026-02-30"), STATUS_PRESENT);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_SELF_CHECK_IN_DISABLED, location = Self)]
+    fun test_self_check_in_is_off_by_default(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        mark_attendance_with_status(student, @0xb, string::utf8(b"2026-10-19"), STATUS_ABSENT);
+        mark_attendance_with_status(student, @0xb, string::utf8(b"2026-10-20"), STATUS_PRESENT);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_INVALID_STATUS, location = Self)]
+    fun test_students_cannot_excuse_themselves(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_self_check_in(admin, true);
+        mark_attendance_with_status(student, @0xb, string::utf8(b"2026-10-19"), STATUS_EXCUSED);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    fun test_self_check_in_follows_the_daily_window(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory, InstitutionClocks {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_self_check_in(admin, true);
+        set_attendance_window(admin, DAILY_WINDOW_SLOT, 8 * 3600, 600, 12 * 3600);
+
+        mark_attendance_with_status(student, @0xb, string::utf8(b"2026-10-19"), STATUS_PRESENT);
+        assert!(status_for_test(@0xb, b"2026-10-19") == STATUS_PRESENT, 0);
+
+        set_time_for_test(1, 8 * 3600 + 660);
+        mark_attendance_with_status(student, @0xb, string::utf8(b"2026-10-20"), STATUS_PRESENT);
+        assert!(status_for_test(@0xb, b"2026-10-20") == STATUS_LATE, 1);
+
+        set_time_for_test(1, 11 * 3600);
+        mark_checkout(student, string::utf8(b"2026-10-20"));
+        assert!(status_for_test(@0xb, b"2026-10-20") == STATUS_HALF_DAY, 2);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    fun test_windows_wrap_at_midnight_utc(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_self_check_in(admin, true);
+        set_attendance_window(admin, DAILY_WINDOW_SLOT, 23 * 3600 + 1800, 600, 0);
+
+        set_time_for_test(0, 23 * 3600 + 1500);
+        mark_attendance_with_status(student, @0xb, string::utf8(b"2026-10-19"), STATUS_PRESENT);
+        assert!(status_for_test(@0xb, b"2026-10-19") == STATUS_PRESENT, 0);
+
+        set_time_for_test(2, 300);
+        mark_attendance_with_status(student, @0xb, string::utf8(b"2026-10-20"), STATUS_PRESENT);
+        assert!(status_for_test(@0xb, b"2026-10-20") == STATUS_LATE, 1);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_INVALID_WINDOW, location = Self)]
+    fun test_windows_start_within_the_day(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_attendance_window(admin, DAILY_WINDOW_SLOT, SECONDS_PER_DAY, 600, 0);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_NOT_AUTHORIZED, location = Self)]
+    fun test_only_admins_change_roles(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_user_type(teacher, @0xb, USER_TYPE_TEACHER);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_PROTECTED_ADMIN, location = Self)]
+    fun test_system_admin_keeps_their_role(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_user_type(admin, @0xc, USER_TYPE_ADMIN);
+        set_user_type(teacher, @wenidi_addr, USER_TYPE_STUDENT);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_USER_INACTIVE, location = Self)]
+    fun test_deactivated_users_cannot_mark(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        deactivate_user(admin, @0xb);
+        reactivate_user(admin, @0xb);
+        mark_attendance_with_status(student, @0xb, string::utf8(b"2026-10-19"), STATUS_ABSENT);
+
+        deactivate_user(admin, @0xb);
+        assert!(!is_user_active_in(@wenidi_addr, @0xb), 0);
+        mark_attendance_with_status(student, @0xb, string::utf8(b"2026-10-20"), STATUS_ABSENT);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_NOT_AUTHORIZED, location = Self)]
+    fun test_demoted_teachers_cannot_run_sessions(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_user_type(admin, @0xc, USER_TYPE_STUDENT);
+        create_session(teacher, 1, string::utf8(b"2026-10-19"), 1);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_NOT_AUTHORIZED, location = Self)]
+    fun test_demoted_teachers_cannot_mark(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_user_type(admin, @0xc, USER_TYPE_STUDENT);
+        mark_attendance_with_status(teacher, @0xb, string::utf8(b"2026-10-19"), STATUS_PRESENT);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_USER_INACTIVE, location = Self)]
+    fun test_deactivated_teachers_cannot_enroll(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        deactivate_user(admin, @0xc);
+        enroll_students(teacher, 1, vector[@0xb]);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    fun test_admin_transfer_takes_two_steps(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_user_type(admin, @0xc, USER_TYPE_ADMIN);
+        propose_admin_transfer(admin, @0xc);
+        assert!(get_pending_admin_in(@wenidi_addr) == @0xc, 0);
+        assert!(get_admin_address_in(@wenidi_addr) == @wenidi_addr, 1);
+
+        accept_admin_transfer(teacher);
+        assert!(get_admin_address_in(@wenidi_addr) == @0xc, 2);
+        assert!(get_pending_admin_in(@wenidi_addr) == @0x0, 3);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_INVALID_USER_TYPE, location = Self)]
+    fun test_admin_transfer_needs_an_admin(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        propose_admin_transfer(admin, @0xc);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_NOT_AUTHORIZED, location = Self)]
+    fun test_only_the_proposed_admin_accepts(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_user_type(admin, @0xc, USER_TYPE_ADMIN);
+        propose_admin_transfer(admin, @0xc);
+        accept_admin_transfer(student);
+    }
+
+    #[test_only]
+    fun institution_at_for_test(index: u64): address acquires AttendanceSystem, Institution, InstitutionDirectory {
+        vector::borrow(&get_institutions_page(index, 1), 0).address
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb, other = @0xd)]
+    fun test_institutions_page_in_creation_order(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer,
+        other: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, Institution, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        create_institution(other, string::utf8(b"North"));
+        create_institution(other, string::utf8(b"South"));
+
+        assert!(get_institution_count() == 3, 0);
+        assert!(vector::length(&get_institutions_page(0, 1000)) == 3, 1);
+        assert!(vector::length(&get_institutions_page(3, 10)) == 0, 2);
+        let page = get_institutions_page(1, 1);
+        assert!(vector::length(&page) == 1, 3);
+        let north = vector::borrow(&page, 0);
+        assert!(north.name == string::utf8(b"North") && north.admin == @0xd, 4);
+        assert!(vector::borrow(&get_institutions_page(2, 5), 0).name == string::utf8(b"South"), 5);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb, other = @0xd)]
+    #[expected_failure(abort_code = E_INSTITUTION_LIMIT, location = Self)]
+    fun test_creators_open_a_limited_number_of_institutions(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer,
+        other: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        let i = 0;
+        while (i <= MAX_INSTITUTIONS_PER_CREATOR) {
+            create_institution(other, string::utf8(b"Branch"));
+            i = i + 1;
+        };
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb, other = @0xd)]
+    #[expected_failure(abort_code = E_NOT_AUTHORIZED, location = Self)]
+    fun test_roles_stay_within_their_institution(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer,
+        other: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, Institution, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        create_institution(other, string::utf8(b"North"));
+        let north = institution_at_for_test(1);
+        register_user_in(student, north, string::utf8(b"Student"), USER_TYPE_STUDENT);
+
+        // The teacher teaches the student at @wenidi_addr but has no role at North.
+        mark_attendance_with_status_in(teacher, north, @0xb, string::utf8(b"2026-10-19"), STATUS_PRESENT);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb, other = @0xd)]
+    fun test_accounts_hold_a_role_per_institution(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer,
+        other: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, Institution, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        create_institution(other, string::utf8(b"North"));
+        let north = institution_at_for_test(1);
+        register_user_in(teacher, north, string::utf8(b"Teacher"), USER_TYPE_STUDENT);
+
+        let memberships = get_user_institutions(@0xc);
+        assert!(vector::length(&memberships) == 2, 0);
+        let home = vector::borrow(&memberships, 0);
+        assert!(home.institution == @wenidi_addr && home.user_type == USER_TYPE_TEACHER, 1);
+        let branch = vector::borrow(&memberships, 1);
+        assert!(branch.institution == north && branch.user_type == USER_TYPE_STUDENT, 2);
+
+        // Records are per institution too.
+        mark_attendance_with_status(teacher, @0xb, string::utf8(b"2026-10-19"), STATUS_PRESENT);
+        mark_attendance_with_status_in(other, north, @0xc, string::utf8(b"2026-10-19"), STATUS_ABSENT);
+        assert!(status_for_test(@0xb, b"2026-10-19") == STATUS_PRESENT, 3);
+        assert!(get_user_attendance_entry_in(north, @0xc, string::utf8(b"2026-10-19")).status == STATUS_ABSENT, 4);
+        assert!(!is_user_registered_in(north, @0xb), 5);
+    }
+
+    #[test_only]
+    fun request_leave_for_test(student: &signer, dates: vector<vector<u8>>) acquires AttendanceSystem, LeaveRegistry, RoleRegistry {
+        let dates = vector::map(dates, |date| string::utf8(date));
+        request_leave(student, dates, LEAVE_CATEGORY_MEDICAL, string::utf8(b"Flu"), vector::empty<u8>());
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    fun test_marks_replace_approved_leave(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        request_leave_for_test(student, vector[b"2026-10-20", b"2026-10-21"]);
+        approve_leave(teacher, 1);
+        assert!(get_leave_request(1).state == LEAVE_APPROVED, 0);
+        assert!(status_for_test(@0xb, b"2026-10-20") == STATUS_EXCUSED, 1);
+        assert!(status_for_test(@0xb, b"2026-10-21") == STATUS_EXCUSED, 2);
+
+        // The student came in on the 20th after all.
+        set_time_for_test(1, 8 * 3600);
+        mark_attendance_with_status(teacher, @0xb, string::utf8(b"2026-10-20"), STATUS_PRESENT);
+        assert!(status_for_test(@0xb, b"2026-10-20") == STATUS_PRESENT, 3);
+        assert!(get_daily_attendance_count(string::utf8(b"2026-10-20")) == 1, 4);
+        let record = *vector::borrow(&get_daily_attendance(string::utf8(b"2026-10-20")), 0);
+        assert!(record.marked_by == @0xc && record.is_present, 5);
+
+        mark_attendance_batch_with_status(admin, vector[@0xb], string::utf8(b"2026-10-21"), vector[STATUS_LATE]);
+        assert!(status_for_test(@0xb, b"2026-10-21") == STATUS_LATE, 6);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_ATTENDANCE_ALREADY_MARKED, location = Self)]
+    fun test_leave_excuses_absences_once(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        mark_attendance_with_status(teacher, @0xb, string::utf8(b"2026-10-19"), STATUS_ABSENT);
+        request_leave_for_test(student, vector[b"2026-10-19"]);
+        approve_leave(admin, 1);
+        assert!(status_for_test(@0xb, b"2026-10-19") == STATUS_EXCUSED, 0);
+
+        // Only the records approval wrote give way; this one was marked.
+        mark_attendance_with_status(teacher, @0xb, string::utf8(b"2026-10-19"), STATUS_PRESENT);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    fun test_leave_keeps_attended_days(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        mark_attendance_with_status(teacher, @0xb, string::utf8(b"2026-10-19"), STATUS_LATE);
+        request_leave_for_test(student, vector[b"2026-10-19"]);
+        approve_leave(admin, 1);
+        assert!(status_for_test(@0xb, b"2026-10-19") == STATUS_LATE, 0);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb, other = @0xd)]
+    #[expected_failure(abort_code = E_NOT_AUTHORIZED, location = Self)]
+    fun test_students_cannot_approve_leave(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer,
+        other: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        register_user(other, string::utf8(b"Other"), USER_TYPE_STUDENT);
+        request_leave_for_test(student, vector[b"2026-10-20"]);
+        approve_leave(other, 1);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_LEAVE_NOT_PENDING, location = Self)]
+    fun test_rejected_leave_is_final(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        request_leave_for_test(student, vector[b"2026-10-20"]);
+        reject_leave(teacher, 1);
+        assert!(get_leave_request(1).state == LEAVE_REJECTED, 0);
+        assert!(vector::is_empty(&get_pending_leave_requests()), 1);
+        approve_leave(admin, 1);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb, other = @0xd)]
+    #[expected_failure(abort_code = E_NOT_AUTHORIZED, location = Self)]
+    fun test_students_cancel_only_their_leave(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer,
+        other: &signer
+    ) acquires AttendanceSystem, CourseRegistry, LeaveRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        register_user(other, string::utf8(b"Other"), USER_TYPE_STUDENT);
+        request_leave_for_test(student, vector[b"2026-10-20"]);
+        request_leave_for_test(student, vector[b"2026-10-21"]);
+        cancel_leave(student, 2);
+        assert!(get_leave_request(2).state == LEAVE_CANCELLED, 0);
+        cancel_leave(other, 1);
+    }
+
+    // Takes @wenidi_addr back to a deployment from before statuses and leave.
+    #[test_only]
+    fun remove_policy_and_leave_for_test() acquires AttendancePolicy, LeaveRegistry {
+        let AttendancePolicy { windows, daily_statuses, session_statuses } = move_from<AttendancePolicy>(@wenidi_addr);
+        smart_table::destroy_empty(windows);
+        smart_table::destroy_empty(daily_statuses);
+        smart_table::destroy_empty(session_statuses);
+        let LeaveRegistry { next_leave_id: _, requests, pending: _, user_requests, excused } = move_from<LeaveRegistry>(@wenidi_addr);
+        smart_table::destroy_empty(requests);
+        smart_table::destroy_empty(user_requests);
+        smart_table::destroy_empty(excused);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    fun test_leave_upgrade_adds_the_attendance_policy(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, InstitutionDirectory {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        remove_policy_and_leave_for_test();
+
+        initialize_leave(admin);
+        request_leave_for_test(student, vector[b"2026-10-20"]);
+        approve_leave(admin, 1);
+        assert!(status_for_test(@0xb, b"2026-10-20") == STATUS_EXCUSED, 0);
+    }
+
+    #[test]
+    fun test_date_keys_follow_the_calendar() {
+        assert!(date_key(0) == string::utf8(b"1970-01-01"), 0);
+        assert!(date_key(11016) == string::utf8(b"2000-02-29"), 1);
+        assert!(date_key(TEST_DAY_START / SECONDS_PER_DAY) == string::utf8(b"2026-10-19"), 2);
+        assert!(date_key(TEST_DAY_START / SECONDS_PER_DAY + 74) == string::utf8(b"2027-01-01"), 3);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_INVALID_CHECKOUT, location = Self)]
+    fun test_checkout_is_for_today(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory, InstitutionClocks {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        mark_attendance_with_status(teacher, @0xb, string::utf8(b"2026-10-19"), STATUS_PRESENT);
+        set_time_for_test(1, 9 * 3600);
+        mark_checkout(student, string::utf8(b"2026-10-19"));
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_INVALID_CHECKOUT, location = Self)]
+    fun test_checkout_happens_once(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory, InstitutionClocks {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_attendance_window(admin, DAILY_WINDOW_SLOT, 8 * 3600, 600, 12 * 3600);
+        mark_attendance_with_status(teacher, @0xb, string::utf8(b"2026-10-19"), STATUS_PRESENT);
+        set_time_for_test(0, 15 * 3600);
+        mark_checkout(student, string::utf8(b"2026-10-19"));
+        assert!(get_user_attendance(@0xb, string::utf8(b"2026-10-19")).check_out_time == TEST_DAY_START + 15 * 3600, 0);
+
+        // A second checkout would move the time, and could turn the day into a half-day.
+        mark_checkout(student, string::utf8(b"2026-10-19"));
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_INVALID_CHECKOUT, location = Self)]
+    fun test_checkout_needs_an_attended_day(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory, InstitutionClocks {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        mark_attendance_with_status(teacher, @0xb, string::utf8(b"2026-10-19"), STATUS_ABSENT);
+        mark_checkout(student, string::utf8(b"2026-10-19"));
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    fun test_checkout_follows_the_utc_offset(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, AttendancePolicy, LeaveRegistry, RoleRegistry, SelfCheckInPolicy, InstitutionDirectory, InstitutionClocks {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_utc_offset(admin, 330, false);
+        let offset = get_utc_offset();
+        assert!(offset.minutes == 330 && !offset.west_of_utc, 0);
+
+        // 20:00 UTC on the 19th is 01:30 on the 20th at UTC+05:30.
+        set_time_for_test(0, 20 * 3600);
+        mark_attendance_with_status(teacher, @0xb, string::utf8(b"2026-10-20"), STATUS_LATE);
+        mark_checkout(student, string::utf8(b"2026-10-20"));
+        assert!(get_user_attendance(@0xb, string::utf8(b"2026-10-20")).check_out_time > 0, 1);
+    }
+
+    #[test(aptos_framework = @aptos_framework, admin = @wenidi_addr, teacher = @0xc, student = @0xb)]
+    #[expected_failure(abort_code = E_INVALID_UTC_OFFSET, location = Self)]
+    fun test_utc_offsets_stay_within_range(
+        aptos_framework: &signer,
+        admin: &signer,
+        teacher: &signer,
+        student: &signer
+    ) acquires AttendanceSystem, CourseRegistry, RoleRegistry, InstitutionDirectory, InstitutionClocks {
+        setup_for_test(aptos_framework, admin, teacher, student);
+        set_utc_offset(admin, 721, true);
+    }
+}
@@ -0,0 +1,228 @@
+import { promises as fs } from "fs";
+import { AccountAddress, TransactionPayloadEntryFunction } from "@aptos-labs/ts-sdk";
+
+// What the sponsor agrees to pay for: entry functions of one attendance_system
+// deployment on the sponsor's own chain, sent by registered, active members of
+// the institution they act in, within a gas ceiling and an expiration window,
+// up to a number of transactions per sender per day.
+// The *_in forms are the same functions for any institution. Registration is
+// not sponsored: fresh accounts cost nothing, so sponsoring it would let
+// anyone drain the fee payer.
+
+export const DEFAULT_FUNCTIONS = [
+  "mark_attendance",
+  "mark_attendance_with_status",
+  "check_in_with_code",
+  "mark_checkout",
+  "request_leave",
+  "cancel_leave",
+  "mark_attendance_with_status_in",
+  "check_in_with_code_in",
+  "mark_checkout_in",
+  "request_leave_in",
+  "cancel_leave_in",
+];
+
+export const DEFAULT_DAILY_QUOTA = 20;
+export const DEFAULT_MAX_GAS_AMOUNT = 20000;
+export const DEFAULT_MAX_GAS_UNIT_PRICE = 1000;
+// Wallets can take a while to sign, but a signed transaction must not stay
+// submittable (and billable) for long.
+export const DEFAULT_MAX_EXPIRATION_SECS = 600;
+
+
+export class SponsorRejection extends Error {
+  constructor(status, reason, message) {
+    super(message);
+    this.name = "SponsorRejection";
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+
+// Sponsored transactions per sender, keyed by UTC day. When filePath is set the
+// counts survive restarts.
+export class QuotaStore {
+  constructor(limit, filePath = null) {
+    this.limit = limit;
+    this.filePath = filePath;
+    this.counts = {};
+    this.loaded = null;
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.filePath
+        ? fs.readFile(this.filePath, "utf8")
+          .then((text) => {
+            this.counts = JSON.parse(text);
+          })
+          .catch((error) => {
+            if (error.code !== "ENOENT") throw error;
+          })
+        : Promise.resolve();
+    }
+    return this.loaded;
+  }
+
+  async save() {
+    if (this.filePath) {
+      await fs.writeFile(this.filePath, JSON.stringify(this.counts, null, 2));
+    }
+  }
+
+  day(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+  }
+
+  async usage(sender) {
+    await this.load();
+    const day = this.day();
+    const used = this.counts[day]?.[sender] || 0;
+    return { day, used, limit: this.limit, remaining: Math.max(this.limit - used, 0) };
+  }
+
+  // Counts a transaction against today's quota before it is submitted, so
+  // concurrent requests cannot overrun it; release() returns it on failure.
+  // Earlier days are dropped, so the file only ever holds today's counts.
+  async reserve(sender) {
+    const { day, used } = await this.usage(sender);
+    if (used >= this.limit) {
+      throw new SponsorRejection(429, "quota_exceeded", `Daily limit of ${this.limit} sponsored transactions reached`);
+    }
+    this.counts = { [day]: { ...this.counts[day], [sender]: used + 1 } };
+    await this.save();
+    return this.usage(sender);
+  }
+
+  async release(sender) {
+    const { day, used } = await this.usage(sender);
+    if (used === 0) return;
+    this.counts = { [day]: { ...this.counts[day], [sender]: used - 1 } };
+    await this.save();
+  }
+}
+
+
+export class SponsorPolicy {
+  constructor({
+    moduleAddress,
+    moduleName = "attendance_system",
+    chainId,
+    functions = DEFAULT_FUNCTIONS,
+    maxGasAmount = DEFAULT_MAX_GAS_AMOUNT,
+    maxGasUnitPrice = DEFAULT_MAX_GAS_UNIT_PRICE,
+    maxExpirationSecs = DEFAULT_MAX_EXPIRATION_SECS,
+  }) {
+    this.moduleAddress = AccountAddress.from(moduleAddress, { maxMissingChars: 63 });
+    this.moduleName = moduleName;
+    this.chainId = chainId;
+    this.functions = functions;
+    this.maxGasAmount = maxGasAmount;
+    this.maxGasUnitPrice = maxGasUnitPrice;
+    this.maxExpirationSecs = maxExpirationSecs;
+  }
+
+  describe() {
+    return {
+      moduleAddress: this.moduleAddress.toStringLong(),
+      moduleName: this.moduleName,
+      chainId: this.chainId,
+      functions: this.functions,
+      maxGasAmount: this.maxGasAmount,
+      maxGasUnitPrice: this.maxGasUnitPrice,
+      maxExpirationSecs: this.maxExpirationSecs,
+    };
+  }
+
+  // Throws SponsorRejection unless transaction is a fee payer transaction for
+  // this chain, expiring within maxExpirationSecs of now (in milliseconds),
+  // calling an allowed function. Returns the function name.
+  check(transaction, now = Date.now()) {
+    if (!transaction.feePayerAddress) {
+      throw new SponsorRejection(400, "not_fee_payer", "Build the transaction with withFeePayer: true");
+    }
+
+    const {
+      payload,
+      max_gas_amount: maxGasAmount,
+      gas_unit_price: gasUnitPrice,
+      expiration_timestamp_secs: expiresAt,
+      chain_id: chainId,
+    } = transaction.rawTransaction;
+    if (chainId.chainId !== this.chainId) {
+      throw new SponsorRejection(
+        400,
+        "wrong_chain",
+        `The transaction is for chain ${chainId.chainId}; this sponsor pays on chain ${this.chainId}`
+      );
+    }
+    if (expiresAt > BigInt(Math.floor(now / 1000) + this.maxExpirationSecs)) {
+      throw new SponsorRejection(
+        400,
+        "expiration_too_far",
+        `Sponsored transactions must expire within ${this.maxExpirationSecs} seconds`
+      );
+    }
+
+    if (!(payload instanceof TransactionPayloadEntryFunction)) {
+      throw new SponsorRejection(403, "function_not_allowed", "Only entry function calls are sponsored");
+    }
+
+    const { module_name: moduleId, function_name: functionName } = payload.entryFunction;
+    const name = functionName.identifier;
+    if (
+      !moduleId.address.equals(this.moduleAddress)
+      || moduleId.name.identifier !== this.moduleName
+      || !this.functions.includes(name)
+    ) {
+      throw new SponsorRejection(
+        403,
+        "function_not_allowed",
+        `${moduleId.address.toString()}::${moduleId.name.identifier}::${name} is not sponsored`
+      );
+    }
+
+    if (maxGasAmount > BigInt(this.maxGasAmount) || gasUnitPrice > BigInt(this.maxGasUnitPrice)) {
+      throw new SponsorRejection(
+        403,
+        "gas_too_high",
+        `Sponsored transactions are limited to ${this.maxGasAmount} gas units at ${this.maxGasUnitPrice} octas each`
+      );
+    }
+
+    return name;
+  }
+
+  // The institution a transaction acts in: the first argument of the *_in
+  // functions, the module's own for the rest.
+  institution(transaction) {
+    const { entryFunction } = transaction.rawTransaction.payload;
+    return entryFunction.function_name.identifier.endsWith("_in")
+      ? new AccountAddress(entryFunction.args[0].bcsToBytes())
+      : this.moduleAddress;
+  }
+
+  // Throws SponsorRejection unless the sender is registered and active in the
+  // transaction's institution. view(name, args) calls a view function of the
+  // module and resolves to its return values.
+  async checkMember(transaction, view) {
+    const institution = this.institution(transaction).toStringLong();
+    const sender = transaction.rawTransaction.sender.toStringLong();
+    let member;
+    try {
+      const [[registered], [active]] = await Promise.all([
+        view("is_user_registered_in", [institution, sender]),
+        view("is_user_active_in", [institution, sender]),
+      ]);
+      member = registered && active;
+    } catch (error) {
+      // The views abort when institution has no attendance system.
+      member = false;
+    }
+    if (!member) {
+      throw new SponsorRejection(403, "not_member", `${sender} is not an active member of institution ${institution}`);
+    }
+  }
+}
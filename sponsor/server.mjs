@@ -0,0 +1,233 @@
+import http from "http";
+import { promises as fs } from "fs";
+import {
+  Account,
+  AccountAddress,
+  AccountAuthenticator,
+  Aptos,
+  AptosConfig,
+  Deserializer,
+  Ed25519PrivateKey,
+  Hex,
+  Network,
+  PrivateKey,
+  PrivateKeyVariants,
+  SimpleTransaction,
+} from "@aptos-labs/ts-sdk";
+import {
+  SponsorPolicy,
+  SponsorRejection,
+  QuotaStore,
+  DEFAULT_FUNCTIONS,
+  DEFAULT_DAILY_QUOTA,
+  DEFAULT_MAX_GAS_AMOUNT,
+  DEFAULT_MAX_GAS_UNIT_PRICE,
+  DEFAULT_MAX_EXPIRATION_SECS,
+} from "./policy.mjs";
+
+// Fee payer service for sponsored attendance transactions. The browser builds a
+// fee payer transaction, the student signs it as sender and posts both here;
+// the sponsor account checks the policy, the sender's membership and the
+// quota, signs as fee payer and submits. See "Sponsored Transactions" in README.md for the settings.
+//
+//   GET  /policy                 allowed functions, gas limits and daily quota
+//   GET  /quota/:address         today's usage for a sender
+//   POST /sponsor                { transaction, senderAuthenticator } (BCS hex)
+
+const NETWORKS = {
+  local: Network.LOCAL,
+  devnet: Network.DEVNET,
+  testnet: Network.TESTNET,
+  mainnet: Network.MAINNET,
+  custom: Network.CUSTOM,
+};
+
+const LOCAL_FUNDING = 10 * 100000000;
+const MAX_BODY_BYTES = 64 * 1024;
+
+const env = process.env;
+
+const list = (value) => (value ? value.split(",").map((item) => item.trim()).filter(Boolean) : null);
+
+const readConfig = () => {
+  const network = env.SPONSOR_NETWORK || "local";
+  if (!NETWORKS[network]) {
+    throw new Error(`Unsupported network "${network}". Use one of: ${Object.keys(NETWORKS).join(", ")}`);
+  }
+  const moduleAddress = env.SPONSOR_MODULE_ADDRESS || env.REACT_APP_MODULE_ADDRESS;
+  if (!moduleAddress) {
+    throw new Error("Set SPONSOR_MODULE_ADDRESS to the address the attendance_system module is published at");
+  }
+
+  return {
+    network,
+    fullnodeUrl: env.SPONSOR_FULLNODE_URL || undefined,
+    faucetUrl: env.SPONSOR_FAUCET_URL || undefined,
+    port: Number(env.SPONSOR_PORT || 8787),
+    origin: env.SPONSOR_ALLOWED_ORIGIN || "*",
+    privateKey: env.SPONSOR_PRIVATE_KEY || "",
+    keyFile: env.SPONSOR_KEY_FILE || "",
+    quotaFile: env.SPONSOR_QUOTA_FILE || null,
+    dailyQuota: Number(env.SPONSOR_DAILY_QUOTA || DEFAULT_DAILY_QUOTA),
+    policy: {
+      moduleAddress,
+      moduleName: env.SPONSOR_MODULE_NAME || env.REACT_APP_MODULE_NAME || "attendance_system",
+      functions: list(env.SPONSOR_FUNCTIONS) || DEFAULT_FUNCTIONS,
+      maxGasAmount: Number(env.SPONSOR_MAX_GAS_AMOUNT || DEFAULT_MAX_GAS_AMOUNT),
+      maxGasUnitPrice: Number(env.SPONSOR_MAX_GAS_UNIT_PRICE || DEFAULT_MAX_GAS_UNIT_PRICE),
+      maxExpirationSecs: Number(env.SPONSOR_MAX_EXPIRATION_SECS || DEFAULT_MAX_EXPIRATION_SECS),
+    },
+  };
+};
+
+// The key file holds the hex private key, optionally with the ed25519-priv-
+// prefix the Aptos CLI writes. On the local network a fresh account funded
+// from the local faucet is used when no key is given.
+const loadSponsor = async (config, aptos) => {
+  const keyText = config.keyFile
+    ? (await fs.readFile(config.keyFile, "utf8")).trim()
+    : config.privateKey;
+
+  if (keyText) {
+    return Account.fromPrivateKey({
+      privateKey: new Ed25519PrivateKey(PrivateKey.formatPrivateKey(keyText, PrivateKeyVariants.Ed25519)),
+    });
+  }
+  if (config.network !== "local") {
+    throw new Error("Set SPONSOR_KEY_FILE or SPONSOR_PRIVATE_KEY to the sponsor account's private key");
+  }
+
+  const account = Account.generate();
+  await aptos.fundAccount({ accountAddress: account.accountAddress, amount: LOCAL_FUNDING });
+  return account;
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  let body = "";
+  request.on("data", (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      reject(new SponsorRejection(413, "too_large", "Request body is too large"));
+      request.destroy();
+    }
+  });
+  request.on("end", () => resolve(body));
+  request.on("error", reject);
+});
+
+const fromHex = (Type, hex) => Type.deserialize(new Deserializer(Hex.fromHexInput(hex).toUint8Array()));
+
+const parseSubmission = (body) => {
+  try {
+    const { transaction, senderAuthenticator } = JSON.parse(body);
+    return {
+      transaction: fromHex(SimpleTransaction, transaction),
+      senderAuthenticator: fromHex(AccountAuthenticator, senderAuthenticator),
+    };
+  } catch (error) {
+    throw new SponsorRejection(400, "bad_request", `Expected BCS hex transaction and senderAuthenticator: ${error.message}`);
+  }
+};
+
+
+const createHandler = ({ aptos, sponsor, policy, quotas, origin }) => {
+  const sponsorTransaction = async (body) => {
+    const { transaction, senderAuthenticator } = parseSubmission(body);
+    const name = policy.check(transaction);
+    await policy.checkMember(transaction, (view, args) => aptos.view({
+      payload: { function: `${policy.moduleAddress.toStringLong()}::${policy.moduleName}::${view}`, functionArguments: args },
+    }));
+    const sender = transaction.rawTransaction.sender.toStringLong();
+
+    await quotas.reserve(sender);
+    try {
+      const feePayerAuthenticator = aptos.transaction.signAsFeePayer({ signer: sponsor, transaction });
+      const pending = await aptos.transaction.submit.simple({
+        transaction,
+        senderAuthenticator,
+        feePayerAuthenticator,
+      });
+      console.log(`Sponsored ${name} for ${sender}: ${pending.hash}`);
+      return { hash: pending.hash, ...(await quotas.usage(sender)) };
+    } catch (error) {
+      await quotas.release(sender);
+      throw new SponsorRejection(502, "submit_failed", error.message);
+    }
+  };
+
+  const route = async (request) => {
+    const url = new URL(request.url, "http://localhost");
+    const quotaMatch = url.pathname.match(/^\/quota\/(0x[0-9a-fA-F]{1,64})$/);
+
+    if (request.method === "GET" && url.pathname === "/policy") {
+      return {
+        sponsor: sponsor.accountAddress.toStringLong(),
+        network: aptos.config.network,
+        dailyQuota: quotas.limit,
+        ...policy.describe(),
+      };
+    }
+    if (request.method === "GET" && quotaMatch) {
+      return quotas.usage(AccountAddress.from(quotaMatch[1], { maxMissingChars: 63 }).toStringLong());
+    }
+    if (request.method === "POST" && url.pathname === "/sponsor") {
+      return sponsorTransaction(await readBody(request));
+    }
+    throw new SponsorRejection(404, "not_found", `No route for ${request.method} ${url.pathname}`);
+  };
+
+  return async (request, response) => {
+    const headers = {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type",
+    };
+
+    if (request.method === "OPTIONS") {
+      response.writeHead(204, headers);
+      response.end();
+      return;
+    }
+
+    try {
+      const body = await route(request);
+      response.writeHead(200, headers);
+      response.end(JSON.stringify(body));
+    } catch (error) {
+      if (!(error instanceof SponsorRejection)) {
+        console.error("Sponsor error:", error);
+      }
+      const status = error.status || 500;
+      response.writeHead(status, headers);
+      response.end(JSON.stringify({ error: error.message, reason: error.reason || "internal" }));
+    }
+  };
+};
+
+
+const main = async () => {
+  const config = readConfig();
+  const aptos = new Aptos(new AptosConfig({
+    network: NETWORKS[config.network],
+    fullnode: config.fullnodeUrl,
+    faucet: config.faucetUrl,
+  }));
+  const sponsor = await loadSponsor(config, aptos);
+  // Local and devnet chain ids change on reset, so ask the fullnode.
+  const { chain_id: chainId } = await aptos.getLedgerInfo();
+  const policy = new SponsorPolicy({ ...config.policy, chainId });
+  const quotas = new QuotaStore(config.dailyQuota, config.quotaFile);
+
+  const server = http.createServer(createHandler({ aptos, sponsor, policy, quotas, origin: config.origin }));
+  server.listen(config.port, () => {
+    console.log(`Sponsoring ${policy.functions.join(", ")} on ${config.network} (chain ${chainId})`);
+    console.log(`Sponsor account ${sponsor.accountAddress.toStringLong()}, ${config.dailyQuota} transactions per sender per day`);
+    console.log(`Listening on http://localhost:${config.port}`);
+  });
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
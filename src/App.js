@@ -1,265 +1,269 @@
-import React, { useState, useEffect } from 'react';
-import './App.css';
-
-
-
-const safeJSONParse = (str, fallback = null) => {
-  try {
-    return JSON.parse(str);
-  } catch (error) {
-    console.error('JSON Parse Error:', error);
-    console.error('Raw data:', str);
-    return fallback;
-  }
-};
-
-
-const safeApiFetch = async (url, options = {}) => {
-  try {
-    console.log('Fetching:', url);
-    
-    const response = await fetch(url, {
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        ...options.headers
-      },
-      ...options
-    });
-    
-    const responseText = await response.text();
-    console.log('Raw response:', responseText);
-    
-    if (!response.ok) {
-      throw new Error('HTTP ${response.status}: ${responseText}');
-    }
-    
-    
-    if (responseText.trim() && !responseText.trim().startsWith('{') && !responseText.trim().startsWith('[')) {
-      console.warn('Response does not appear to be JSON:', responseText);
-      return { error: 'Invalid JSON response', data: responseText };
-    }
-    
-    const data = safeJSONParse(responseText, { error: 'Failed to parse JSON', raw: responseText });
-    return data;
-  } catch (error) {
-    console.error('API Fetch Error:', error);
-    return { error: error.message };
-  }
-};
-
-
-function App() {
-  const [walletConnected, setWalletConnected] = useState(false);
-  const [walletAddress, setWalletAddress] = useState('');
-  const [attendanceData, setAttendanceData] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-
-  
-  const connectWallet = async () => {
-    setLoading(true);
-    setError('');
-    
-    try {
-      
-      if (typeof window.ethereum !== 'undefined') {
-        
-        const accounts = await window.ethereum.request({ 
-          method: 'eth_requestAccounts' 
-        });
-        
-        if (accounts.length > 0) {
-          setWalletAddress(accounts[0]);
-          setWalletConnected(true);
-          console.log('Wallet connected:', accounts[0]);
-        }
-      } else if (typeof window.aptos !== 'undefined') {
-        
-        const walletResponse = await window.aptos.connect();
-        console.log('Aptos wallet response:', walletResponse);
-        
-        if (walletResponse && walletResponse.address) {
-          setWalletAddress(walletResponse.address);
-          setWalletConnected(true);
-        }
-      } else {
-        throw new Error('No wallet found. Please install MetaMask or an Aptos wallet.');
-      }
-    } catch (err) {
-      setError(err.message);
-      console.error('Wallet connection error:', err);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  
-  const markAttendance = async () => {
-    if (!walletConnected) {
-      setError('Please connect your wallet first');
-      return;
-    }
-
-    setLoading(true);
-    setError('');
-
-    try {
-      
-      const attendanceRecord = {
-        address: walletAddress,
-        timestamp: new Date().toISOString(),
-        status: 'present',
-        id: Date.now()
-      };
-
-      
-      setAttendanceData(prev => [...prev, attendanceRecord]);
-      
-      console.log('Attendance marked:', attendanceRecord);
-    } catch (err) {
-      setError(err.message);
-      console.error('Attendance marking error:', err);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  
-  const fetchAttendanceData = async () => {
-    setLoading(true);
-    setError('');
-
-    try {
-      
-      const data = await safeApiFetch('/api/attendance');
-      
-      if (data && !data.error) {
-        
-        const records = Array.isArray(data) ? data : (data.data ? data.data : []);
-        setAttendanceData(records);
-      } else {
-        console.warn('No attendance data or error in response:', data);
-      }
-    } catch (err) {
-      console.error('Fetch attendance error:', err);
-      
-    } finally {
-      setLoading(false);
-    }
-  };
-
- 
-  useEffect(() => {
-    
-    const checkWalletConnection = async () => {
-      try {
-        if (typeof window.ethereum !== 'undefined') {
-          const accounts = await window.ethereum.request({ 
-            method: 'eth_accounts' 
-          });
-          
-          if (accounts.length > 0) {
-            setWalletAddress(accounts[0]);
-            setWalletConnected(true);
-          }
-        }
-      } catch (err) {
-        console.error('Initial wallet check error:', err);
-      }
-    };
-
-    checkWalletConnection();
-  }, []);
-
-  return (
-    <div className="App">
-      <div className="container">
-        <header className="header">
-          <h1>🎓 Wenidi Attendance System</h1>
-          <p>Blockchain-based attendance management</p>
-        </header>
-
-        <div className="main-content">
-          {/* Wallet Connection Section */}
-          <div className="wallet-section">
-            <h2>Wallet Connection</h2>
-            {!walletConnected ? (
-              <button 
-                onClick={connectWallet} 
-                disabled={loading}
-                className="connect-button"
-              >
-                {loading ? 'Connecting...' : 'Connect Wallet'}
-              </button>
-            ) : (
-              <div className="wallet-info">
-                <p>✅ Wallet Connected</p>
-                <p className="wallet-address">
-                  Address: {walletAddress.slice(0, 6)}...{walletAddress.slice(-4)}
-                </p>
-                <button 
-                  onClick={() => {
-                    setWalletConnected(false);
-                    setWalletAddress('');
-                  }}
-                  className="disconnect-button"
-                >
-                  Disconnect
-                </button>
-              </div>
-            )}
-          </div>
-
-          {/* Attendance Section */}
-          <div className="attendance-section">
-            <h2>Mark Attendance</h2>
-            <button 
-              onClick={markAttendance}
-              disabled={loading || !walletConnected}
-              className="attendance-button"
-            >
-              {loading ? 'Marking...' : 'Mark Present'}
-            </button>
-            
-            <button 
-              onClick={fetchAttendanceData}
-              disabled={loading}
-              className="fetch-button"
-            >
-              {loading ? 'Loading...' : 'Refresh Data'}
-            </button>
-          </div>
-
-          {/* Error Display */}
-          {error && (
-            <div className="error-message">
-              <p>❌ {error}</p>
-              <button onClick={() => setError('')}>Clear Error</button>
-            </div>
-          )}
-
-          {/* Attendance Records */}
-          <div className="records-section">
-            <h2>Attendance Records</h2>
-            {attendanceData.length > 0 ? (
-              <div className="records-list">
-                {attendanceData.map((record, index) => (
-                  <div key={record.id || index} className="record-item">
-                    <p><strong>Address:</strong> {record.address?.slice(0, 6)}...{record.address?.slice(-4) || 'N/A'}</p>
-                    <p><strong>Time:</strong> {new Date(record.timestamp).toLocaleString()}</p>
-                    <p><strong>Status:</strong> {record.status || 'present'}</p>
-                  </div>
-                ))}
-              </div>
-            ) : (
-              <p>No attendance records found.</p>
-            )}
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-}
-
+import React, { useState } from 'react';
+import './App.css';
+import { useWalletContext } from './services/Context/WalletContext';
+import RegistrationForm from './components/RegistrationForm';
+import StudentDashboard from './components/StudentDashboard';
+import TeacherDashboard from './components/TeacherDashboard';
+import AdminDashboard from './components/AdminDashboard';
+import NetworkSwitcher from './components/NetworkSwitcher';
+import InstitutionPicker from './components/InstitutionPicker';
+import TransactionStatus from './components/TransactionStatus';
+import VirtualTable from './components/VirtualTable';
+import { shortenAddress } from './services/formatters';
+import { formatStatus } from './services/attendanceStatus';
+
+
+
+const safeJSONParse = (str, fallback = null) => {
+  try {
+    return JSON.parse(str);
+  } catch (error) {
+    console.error('JSON Parse Error:', error);
+    console.error('Raw data:', str);
+    return fallback;
+  }
+};
+
+
+const safeApiFetch = async (url, options = {}) => {
+  try {
+    console.log('Fetching:', url);
+    
+    const response = await fetch(url, {
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        ...options.headers
+      },
+      ...options
+    });
+    
+    const responseText = await response.text();
+    console.log('Raw response:', responseText);
+    
+    if (!response.ok) {
+      const body = safeJSONParse(responseText, null);
+      throw new Error(`HTTP ${response.status}: ${body?.error || responseText}`);
+    }
+    
+    
+    if (responseText.trim() && !responseText.trim().startsWith('{') && !responseText.trim().startsWith('[')) {
+      console.warn('Response does not appear to be JSON:', responseText);
+      return { error: 'Invalid JSON response', data: responseText };
+    }
+    
+    const data = safeJSONParse(responseText, { error: 'Failed to parse JSON', raw: responseText });
+    return data;
+  } catch (error) {
+    console.error('API Fetch Error:', error);
+    return { error: error.message };
+  }
+};
+
+// The gateway base URL (api/server.mjs); empty uses the development proxy.
+const API_URL = (process.env.REACT_APP_API_URL || '').replace(/\/+$/, '');
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+// Records as served by GET /api/attendance.
+const RECORD_COLUMNS = [
+  {
+    key: 'address',
+    label: 'Address',
+    render: (record) => shortenAddress(record.address),
+  },
+  {
+    key: 'checkIn',
+    label: 'Check-in',
+    render: (record) => formatTime(record.checkIn),
+    filterValue: (record) => formatTime(record.checkIn),
+  },
+  {
+    key: 'checkOut',
+    label: 'Check-out',
+    render: (record) => formatTime(record.checkOut),
+    filterValue: (record) => formatTime(record.checkOut),
+  },
+  {
+    key: 'status',
+    label: 'Status',
+    render: (record) => formatStatus(record.status),
+  },
+];
+
+const recordKey = (record) => `${record.address}-${record.date}`;
+
+
+function App() {
+  const {
+    connected,
+    account,
+    wallet,
+    wallets,
+    userType,
+    isRegistered,
+    isActive,
+    networkConfig,
+    loading: walletLoading,
+    error: walletError,
+    connect,
+    disconnect,
+    clearError,
+  } = useWalletContext();
+  const [attendanceData, setAttendanceData] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const walletAddress = account?.address?.toString() || '';
+
+  
+  const fetchAttendanceData = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      
+      const institution = networkConfig.institution ? `?institution=${networkConfig.institution}` : '';
+      const data = await safeApiFetch(`${API_URL}/api/attendance${institution}`);
+      
+      if (data && !data.error) {
+        
+        const records = Array.isArray(data) ? data : (data.data ? data.data : []);
+        setAttendanceData(records);
+      } else {
+        console.warn('No attendance data or error in response:', data);
+        setError(`Failed to load attendance from the API: ${data?.error || 'no response'}`);
+      }
+    } catch (err) {
+      console.error('Fetch attendance error:', err);
+      
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderDashboard = () => {
+    if (!connected) return null;
+    if (isRegistered === false) return <RegistrationForm />;
+    if (isActive === false) {
+      return (
+        <div className="dashboard-section">
+          <h2>Account Deactivated</h2>
+          <p>Your account has been deactivated, so you can no longer mark or review attendance. Ask an admin to reactivate it.</p>
+        </div>
+      );
+    }
+
+    switch (userType) {
+      case 'student':
+        return <StudentDashboard />;
+      case 'teacher':
+        return <TeacherDashboard />;
+      case 'admin':
+        return <AdminDashboard />;
+      default:
+        return <p>Loading your profile...</p>;
+    }
+  };
+
+  return (
+    <div className="App">
+      <div className="container">
+        <header className="header">
+          <h1>🎓 Wenidi Attendance System</h1>
+          <p>Blockchain-based attendance management</p>
+        </header>
+
+        <div className="main-content">
+          {/* Wallet Connection Section */}
+          <div className="wallet-section">
+            <h2>Wallet Connection</h2>
+            {!connected ? (
+              <div className="wallet-list">
+                {wallets && wallets.length > 0 ? (
+                  wallets.map((item) => (
+                    <button 
+                      key={item.name}
+                      onClick={() => connect(item.name)} 
+                      disabled={walletLoading}
+                      className="connect-button"
+                    >
+                      {walletLoading ? 'Connecting...' : `Connect ${item.name}`}
+                    </button>
+                  ))
+                ) : (
+                  <p>No Aptos wallet found. Please install Petra, Pontem or Martian.</p>
+                )}
+              </div>
+            ) : (
+              <div className="wallet-info">
+                <p>✅ {wallet?.name || 'Wallet'} Connected</p>
+                <p className="wallet-address">
+                  Address: {walletAddress.slice(0, 6)}...{walletAddress.slice(-4)}
+                </p>
+                {userType && <p>Role: {userType}</p>}
+                <button 
+                  onClick={disconnect}
+                  className="disconnect-button"
+                >
+                  Disconnect
+                </button>
+              </div>
+            )}
+          </div>
+
+          <TransactionStatus />
+
+          <NetworkSwitcher />
+
+          <InstitutionPicker />
+
+          <div key={`${networkConfig.network}-${networkConfig.moduleAddress}-${networkConfig.institution || ''}`}>
+            {renderDashboard()}
+          </div>
+
+          {/* Attendance API Section */}
+          <div className="attendance-section">
+            <h2>Attendance API</h2>
+            <button 
+              onClick={fetchAttendanceData}
+              disabled={loading}
+              className="fetch-button"
+            >
+              {loading ? 'Loading...' : 'Refresh Data'}
+            </button>
+          </div>
+
+          {/* Error Display */}
+          {(error || walletError) && (
+            <div className="error-message">
+              <p>❌ {error || walletError}</p>
+              <button 
+                onClick={() => {
+                  setError('');
+                  clearError();
+                }}
+              >
+                Clear Error
+              </button>
+            </div>
+          )}
+
+          {/* Attendance Records */}
+          <div className="records-section">
+            <h2>Attendance Records</h2>
+            <VirtualTable
+              rows={attendanceData}
+              columns={RECORD_COLUMNS}
+              rowKey={recordKey}
+              filterPlaceholder="Filter by address, time or status"
+              emptyMessage="No attendance records found."
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export default App;
\ No newline at end of file
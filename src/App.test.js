@@ -0,0 +1,88 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App';
+
+// App only picks what to show; the panels it picks are stubbed by name.
+let mockContext;
+jest.mock('./services/Context/WalletContext', () => ({
+  useWalletContext: () => mockContext,
+}));
+
+jest.mock('./components/RegistrationForm', () => () => <p>Registration form</p>);
+jest.mock('./components/StudentDashboard', () => () => <p>Student dashboard</p>);
+jest.mock('./components/TeacherDashboard', () => () => <p>Teacher dashboard</p>);
+jest.mock('./components/AdminDashboard', () => () => <p>Admin dashboard</p>);
+jest.mock('./components/NetworkSwitcher', () => () => null);
+jest.mock('./components/InstitutionPicker', () => () => null);
+jest.mock('./components/TransactionStatus', () => () => null);
+
+const signedIn = (overrides) => {
+  mockContext = {
+    connected: true,
+    account: { address: '0xb' },
+    wallet: { name: 'Petra' },
+    wallets: [],
+    userType: null,
+    isRegistered: true,
+    isActive: true,
+    networkConfig: { network: 'testnet', moduleAddress: '0xa' },
+    loading: false,
+    error: null,
+    connect: jest.fn(),
+    disconnect: jest.fn(),
+    clearError: jest.fn(),
+    ...overrides,
+  };
+};
+
+describe('App', () => {
+  let container;
+  let root;
+
+  const mount = (element) => root.render(element);
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+  });
+
+  it.each([
+    ['student', 'Student dashboard'],
+    ['teacher', 'Teacher dashboard'],
+    ['admin', 'Admin dashboard'],
+  ])('shows the %s dashboard', (userType, heading) => {
+    signedIn({ userType });
+    act(() => mount(<App />));
+
+    expect(container.textContent).toContain(heading);
+    expect(container.textContent).toContain(`Role: ${userType}`);
+  });
+
+  it('asks new accounts to register first', () => {
+    signedIn({ isRegistered: false });
+    act(() => mount(<App />));
+
+    expect(container.textContent).toContain('Registration form');
+    expect(container.textContent).not.toContain('dashboard');
+  });
+
+  it('shows no dashboard to deactivated accounts', () => {
+    signedIn({ userType: 'teacher', isActive: false });
+    act(() => mount(<App />));
+
+    expect(container.textContent).toContain('Account Deactivated');
+    expect(container.textContent).not.toContain('Teacher dashboard');
+  });
+
+  it('lists wallets to connect before anything else', () => {
+    signedIn({ connected: false, account: null, wallets: [{ name: 'Petra' }], userType: 'admin' });
+    act(() => mount(<App />));
+
+    expect(container.querySelector('.connect-button').textContent).toBe('Connect Petra');
+    expect(container.textContent).not.toContain('Admin dashboard');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { normalizeAddress } from "../services/addressUtils";
+import { createPrivateKeySigner } from "../services/signers";
+import { UsageError, loadKeyFileSigner, main, readConfig } from "../../cli/commands.mjs";
+
+// The CLI talks to the chain; the commands run against the in-memory contract
+// instead, with the key file's account as its admin.
+let mockService;
+jest.mock("../services/aptosService", () => {
+  const { default: MockAptosService } = jest.requireActual("../services/mockAptosService");
+  return {
+    createAptosService: (config) => {
+      mockService = mockService || new MockAptosService({ ...config, backend: "mock" });
+      return mockService;
+    },
+  };
+});
+
+const STUDENT = normalizeAddress("0xb");
+const DAY = "2026-10-19";
+const PRIVATE_KEY = `ed25519-priv-0x${"1".repeat(64)}`;
+const { error: consoleError, warn: consoleWarn } = console;
+
+let directory;
+let keyFile;
+let adminAddress;
+let stdout;
+let stderr;
+
+const run = async (...argv) => {
+  stdout = "";
+  stderr = "";
+  return main([...argv, "--module-address", adminAddress, "--key-file", keyFile, "--timezone", "UTC"]);
+};
+
+beforeAll(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), "wenidi-cli-"));
+  keyFile = path.join(directory, "key");
+  await fs.writeFile(keyFile, `${PRIVATE_KEY}\n`);
+  adminAddress = normalizeAddress(createPrivateKeySigner(PRIVATE_KEY).address);
+});
+
+afterAll(async () => {
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mockService = null;
+  jest.spyOn(process.stdout, "write").mockImplementation((text) => {
+    stdout += text;
+    return true;
+  });
+  jest.spyOn(process.stderr, "write").mockImplementation((text) => {
+    stderr += text;
+    return true;
+  });
+});
+
+afterEach(() => {
+  console.error = consoleError;
+  console.warn = consoleWarn;
+});
+
+describe("usage", () => {
+  it("prints help and exits 0", async () => {
+    expect(await run("--help")).toBe(0);
+    expect(stdout).toMatch(/^Usage: node cli\/wenidi\.mjs/);
+  });
+
+  it("exits 2 without a command or with an unknown one", async () => {
+    stdout = "";
+    expect(await main([])).toBe(2);
+    expect(stdout).toMatch(/^Usage:/);
+
+    expect(await run("grade")).toBe(2);
+    expect(stderr).toMatch(/^Unknown command "grade"/);
+  });
+
+  it("exits 2 for unknown options and bad arguments", async () => {
+    expect(await run("daily", "--colour")).toBe(2);
+    expect(stderr).toMatch(/--colour/);
+
+    expect(await run("mark", "not-an-address")).toBe(2);
+    expect(stderr).toBe('Invalid address "not-an-address"\n');
+
+    expect(await run("mark", STUDENT, DAY, "--status", "sick")).toBe(2);
+    expect(stderr).toMatch(/^Unknown status "sick"/);
+
+    expect(await run("admin", "promote")).toBe(2);
+  });
+
+  it("needs a key file to sign", async () => {
+    await expect(loadKeyFileSigner(undefined)).rejects.toBeInstanceOf(UsageError);
+  });
+});
+
+describe("readConfig", () => {
+  it("applies options over the environment and always uses the chain", () => {
+    const config = readConfig({ "module-address": "0xa", timezone: "Asia/Colombo", network: "testnet" });
+    expect(config).toMatchObject({
+      backend: "chain",
+      sponsorUrl: "",
+      network: "testnet",
+      timeZone: "Asia/Colombo",
+    });
+    expect(normalizeAddress(config.moduleAddress)).toBe(normalizeAddress("0xa"));
+  });
+});
+
+describe("commands", () => {
+  it("registers, marks and reports a day", async () => {
+    expect(await run("register", "Student", "--address", STUDENT)).toBe(0);
+    expect(stdout).toBe(`Registered ${STUDENT} as student\n`);
+    expect(stderr).toMatch(/Register: confirmed/);
+
+    expect(await run("mark", STUDENT, DAY, "--status", "late")).toBe(0);
+    expect(stdout).toBe(`Marked ${STUDENT} late on ${DAY}\n`);
+
+    expect(await run("daily", DAY, "--format", "csv")).toBe(0);
+    const [header, row] = stdout.trim().split("\r\n");
+    expect(header).toBe("date,address,status,check_in,check_out,marked_by");
+    expect(row).toMatch(new RegExp(`^${DAY},${STUDENT},late,`));
+    expect(row.endsWith(`,${adminAddress}`)).toBe(true);
+
+    expect(await run("show-user", STUDENT, "--date", DAY, "--format", "json")).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({
+      address: STUDENT,
+      name: "Student",
+      role: "student",
+      active: true,
+      date: DAY,
+      record: { status: "late" },
+    });
+  });
+
+  it("exits 1 when the contract rejects the transaction", async () => {
+    expect(await run("mark", STUDENT, DAY)).toBe(1);
+    expect(stderr).toMatch(/^Mark attendance failed: /);
+    expect(stdout).toBe("");
+  });
+
+  it("reports unregistered users without failing", async () => {
+    expect(await run("show-user", STUDENT)).toBe(0);
+    expect(stdout).toBe(`${STUDENT} is not registered\n`);
+  });
+});
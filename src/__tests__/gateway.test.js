@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+
+import MockAptosService from "../services/mockAptosService";
+import { normalizeAddress } from "../services/addressUtils";
+import { createGateway } from "../../api/gateway.mjs";
+
+const ADMIN = { address: "0xa" };
+const STUDENT = normalizeAddress("0xb");
+const DAY = "2026-10-19";
+
+// Calls the handler the way http.createServer would and reads back the reply.
+const request = async (handler, url, method = "GET") => {
+  const reply = {};
+  const response = {
+    writeHead: (status, headers) => Object.assign(reply, { status, headers }),
+    end: (body) => {
+      reply.body = body ? JSON.parse(body) : null;
+    },
+  };
+  await handler({ url, method }, response);
+  return reply;
+};
+
+let service;
+let gateway;
+const get = (url, method) => request(gateway.handler, url, method);
+
+beforeEach(async () => {
+  service = new MockAptosService({ moduleAddress: "0xa", backend: "mock", timeZone: "UTC" });
+  await service.registerUser({ address: STUDENT }, "Student", "student");
+  await service.markAttendance(ADMIN, STUDENT, DAY, "late");
+  gateway = createGateway({ service, cacheSeconds: 30, origin: "https://school.example" });
+});
+
+describe("gateway", () => {
+  it("reports what it serves", async () => {
+    const reply = await get("/api/health");
+
+    expect(reply.status).toBe(200);
+    expect(reply.headers).toMatchObject({
+      "Access-Control-Allow-Origin": "https://school.example",
+      "Cache-Control": "public, max-age=30",
+    });
+    expect(reply.body).toMatchObject({ moduleAddress: normalizeAddress("0xa"), timeZone: "UTC" });
+  });
+
+  it("lists a day's records", async () => {
+    const reply = await get(`/api/attendance?date=${DAY}`);
+
+    expect(reply.body).toMatchObject({ date: DAY, count: 1 });
+    expect(reply.body.data[0]).toMatchObject({ address: STUDENT, status: "late", markedBy: normalizeAddress("0xa") });
+  });
+
+  it("shows a user and their records in a range", async () => {
+    expect((await get(`/api/users/${STUDENT}/`)).body.data).toMatchObject({
+      address: STUDENT,
+      name: "Student",
+      role: "student",
+      active: true,
+    });
+
+    const reply = await get(`/api/users/${STUDENT}/attendance?from=2026-10-01&to=2026-10-31`);
+    expect(reply.body).toMatchObject({ from: "2026-10-01", to: "2026-10-31", count: 1 });
+  });
+
+  it("rejects bad input with a reason", async () => {
+    const cases = [
+      ["/api/users/nobody", 400, "invalid_address"],
+      [`/api/users/${normalizeAddress("0xd")}`, 404, "user_not_found"],
+      [`/api/users/${STUDENT}/attendance?from=${DAY}`, 400, "invalid_date"],
+      [`/api/users/${STUDENT}/attendance?from=2026-10-20&to=${DAY}`, 400, "invalid_range"],
+      ["/api/attendance?date=2026-02-30", 400, "invalid_date"],
+      ["/api/institutions?start=-1", 400, "invalid_page"],
+      ["/api/institutions?limit=0", 400, "invalid_page"],
+      [`/api/attendance?institution=${normalizeAddress("0xe")}`, 404, "institution_not_found"],
+      ["/api/grades", 404, "not_found"],
+    ];
+    for (const [url, status, reason] of cases) {
+      const reply = await get(url);
+      expect([url, reply.status, reply.body.reason]).toEqual([url, status, reason]);
+      expect(reply.headers["Cache-Control"]).toBe("no-store");
+    }
+  });
+
+  it("pages through institutions", async () => {
+    await service.createInstitution(ADMIN, "North");
+    await service.createInstitution(ADMIN, "South");
+
+    const first = await get("/api/institutions?limit=2");
+    expect(first.body).toMatchObject({ total: 3, start: 0, nextStart: 2, count: 2 });
+    expect(first.body.data[1]).toMatchObject({ name: "North", admin: normalizeAddress("0xa") });
+
+    const last = await get("/api/institutions?start=2&limit=2");
+    expect(last.body).toMatchObject({ total: 3, start: 2, nextStart: null, count: 1 });
+    expect(last.body.data[0].name).toBe("South");
+  });
+
+  it("is read-only but answers preflight requests", async () => {
+    expect((await get("/api/health", "POST")).body.reason).toBe("method_not_allowed");
+    expect(await get("/api/health", "OPTIONS")).toMatchObject({ status: 204, body: null });
+  });
+
+  it("answers repeated requests from the cache", async () => {
+    const getDailyAttendance = jest.spyOn(service, "getDailyAttendance");
+
+    await get(`/api/attendance?date=${DAY}`);
+    await get(`/api/attendance?date=${DAY}`);
+
+    expect(getDailyAttendance).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports fullnode failures as 502", async () => {
+    jest.spyOn(service, "getInstitutionsPage").mockResolvedValue({ success: false, error: "ABORTED" });
+
+    const reply = await get("/api/institutions");
+
+    expect(reply).toMatchObject({ status: 502, body: { reason: "upstream_failed" } });
+  });
+});
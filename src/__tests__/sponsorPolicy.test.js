@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import {
+  AccountAddress,
+  ChainId,
+  Deserializer,
+  EntryFunction,
+  MoveString,
+  RawTransaction,
+  SimpleTransaction,
+  TransactionPayloadEntryFunction,
+} from "@aptos-labs/ts-sdk";
+import { DEFAULT_FUNCTIONS, QuotaStore, SponsorPolicy } from "../../sponsor/policy.mjs";
+
+const MODULE = "0xa";
+const SENDER = AccountAddress.from("0xb", { maxMissingChars: 63 });
+const INSTITUTION = AccountAddress.from("0xc", { maxMissingChars: 63 });
+const CHAIN_ID = 4;
+const NOW = Date.parse("2026-10-19T08:05:00Z");
+
+// Built the way the browser builds it, then read back the way the server
+// parses a submission.
+const buildTransaction = ({
+  module = `${MODULE}::attendance_system`,
+  name = "mark_checkout_in",
+  args = [INSTITUTION, new MoveString("2026-10-19")],
+  maxGasAmount = 2000,
+  gasUnitPrice = 100,
+  feePayer = true,
+  expiresAt = NOW / 1000 + 20,
+  chainId = CHAIN_ID,
+} = {}) => {
+  const payload = new TransactionPayloadEntryFunction(EntryFunction.build(module, name, [], args));
+  const raw = new RawTransaction(SENDER, 0, payload, maxGasAmount, gasUnitPrice, expiresAt, new ChainId(chainId));
+  const transaction = new SimpleTransaction(raw, feePayer ? AccountAddress.ZERO : undefined);
+  return SimpleTransaction.deserialize(new Deserializer(transaction.bcsToBytes()));
+};
+
+const thrown = (check) => {
+  try {
+    check();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe("SponsorPolicy", () => {
+  const policy = new SponsorPolicy({ moduleAddress: MODULE, chainId: CHAIN_ID });
+
+  beforeEach(() => {
+    jest.spyOn(Date, "now").mockReturnValue(NOW);
+  });
+
+  it("does not sponsor registration by default", () => {
+    expect(DEFAULT_FUNCTIONS).not.toContain("register_user");
+    expect(DEFAULT_FUNCTIONS).not.toContain("register_user_in");
+    expect(DEFAULT_FUNCTIONS).toContain("check_in_with_code_in");
+  });
+
+  it("accepts allowed functions of the configured module", () => {
+    expect(policy.check(buildTransaction())).toBe("mark_checkout_in");
+  });
+
+  it("rejects functions outside the allow-list", () => {
+    expect(thrown(() => policy.check(buildTransaction({ name: "register_user_in" })))).toMatchObject({
+      status: 403,
+      reason: "function_not_allowed",
+    });
+    expect(thrown(() => policy.check(buildTransaction({ module: "0xd::attendance_system" })))).toMatchObject({
+      reason: "function_not_allowed",
+    });
+  });
+
+  it("rejects transactions without a fee payer or over the gas ceiling", () => {
+    expect(thrown(() => policy.check(buildTransaction({ feePayer: false })))).toMatchObject({
+      status: 400,
+      reason: "not_fee_payer",
+    });
+    expect(thrown(() => policy.check(buildTransaction({ maxGasAmount: 20001 })))).toMatchObject({
+      reason: "gas_too_high",
+    });
+    expect(thrown(() => policy.check(buildTransaction({ gasUnitPrice: 1001 })))).toMatchObject({
+      reason: "gas_too_high",
+    });
+  });
+
+  it("rejects other chains and transactions that expire too late", () => {
+    expect(thrown(() => policy.check(buildTransaction({ chainId: 2 })))).toMatchObject({
+      status: 400,
+      reason: "wrong_chain",
+    });
+    expect(policy.check(buildTransaction({ expiresAt: NOW / 1000 + 600 }))).toBe("mark_checkout_in");
+    expect(thrown(() => policy.check(buildTransaction({ expiresAt: NOW / 1000 + 601 })))).toMatchObject({
+      status: 400,
+      reason: "expiration_too_far",
+    });
+    expect(thrown(() => policy.check(buildTransaction({ expiresAt: 4102444800 })))).toMatchObject({
+      reason: "expiration_too_far",
+    });
+  });
+
+  it("reads the institution from the first argument of *_in functions", () => {
+    expect(policy.institution(buildTransaction()).equals(INSTITUTION)).toBe(true);
+    const legacy = buildTransaction({ name: "mark_checkout", args: [new MoveString("2026-10-19")] });
+    expect(policy.institution(legacy).equals(policy.moduleAddress)).toBe(true);
+  });
+
+  it("sponsors registered, active members only", async () => {
+    const transaction = buildTransaction();
+    const view = jest.fn(async (name) => [name === "is_user_registered_in"]);
+
+    await expect(policy.checkMember(transaction, view)).rejects.toMatchObject({ status: 403, reason: "not_member" });
+    expect(view).toHaveBeenCalledWith("is_user_active_in", [INSTITUTION.toStringLong(), SENDER.toStringLong()]);
+
+    await expect(policy.checkMember(transaction, async () => [true])).resolves.toBeUndefined();
+    await expect(policy.checkMember(transaction, async () => {
+      throw new Error("Move abort: E_NOT_INITIALIZED");
+    })).rejects.toMatchObject({ reason: "not_member" });
+  });
+});
+
+describe("QuotaStore", () => {
+  it("limits each sender per day and returns released transactions", async () => {
+    const quotas = new QuotaStore(2);
+
+    expect(await quotas.reserve("0xb")).toMatchObject({ used: 1, remaining: 1 });
+    expect(await quotas.reserve("0xb")).toMatchObject({ used: 2, remaining: 0 });
+    await expect(quotas.reserve("0xb")).rejects.toMatchObject({ status: 429, reason: "quota_exceeded" });
+    expect(await quotas.usage("0xe")).toMatchObject({ used: 0, remaining: 2 });
+
+    await quotas.release("0xb");
+    expect(await quotas.usage("0xb")).toMatchObject({ used: 1, remaining: 1 });
+  });
+
+  it("keeps counts in the quota file across restarts", async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "wenidi-quota-"));
+    const filePath = path.join(directory, "quota.json");
+    try {
+      await new QuotaStore(5, filePath).reserve("0xb");
+      expect(await new QuotaStore(5, filePath).usage("0xb")).toMatchObject({ used: 1, remaining: 4 });
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
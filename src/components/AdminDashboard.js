@@ -0,0 +1,41 @@
+import React from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import MarkAttendanceForm from './MarkAttendanceForm';
+import DailyAttendanceView from './DailyAttendanceView';
+import CoursesPanel from './CoursesPanel';
+import ReportsPanel from './ReportsPanel';
+import AnalyticsPanel from './AnalyticsPanel';
+import UserDirectory from './UserDirectory';
+import BulkRegistrationPanel from './BulkRegistrationPanel';
+import AttendanceWindowsPanel from './AttendanceWindowsPanel';
+import CorrectionsQueue from './CorrectionsQueue';
+import CorrectionForm from './CorrectionForm';
+import LeaveQueue from './LeaveQueue';
+import AdminTransferPanel from './AdminTransferPanel';
+
+const AdminDashboard = () => {
+  const { userInfo } = useWalletContext();
+
+  return (
+    <>
+      <div className="dashboard-section">
+        <h2>Admin Dashboard</h2>
+        <p>Signed in as {userInfo?.name}. Review attendance across all users.</p>
+      </div>
+      <DailyAttendanceView title="Attendance Overview" showSummary />
+      <CorrectionsQueue />
+      <LeaveQueue />
+      <CoursesPanel />
+      <AttendanceWindowsPanel />
+      <UserDirectory />
+      <AdminTransferPanel />
+      <BulkRegistrationPanel />
+      <ReportsPanel />
+      <AnalyticsPanel />
+      <MarkAttendanceForm />
+      <CorrectionForm />
+    </>
+  );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { normalizeAddress, isValidAddress } from '../services/addressUtils';
+import { shortenAddress } from '../services/formatters';
+import { useMutation, useAdminTransfer } from '../hooks/queries';
+
+// Two-step handover of the system admin. The current system admin proposes
+// another admin; that admin accepts from their own dashboard.
+const AdminTransferPanel = () => {
+  const { account, proposeAdminTransfer, acceptAdminTransfer, cancelAdminTransfer } = useWalletContext();
+  const { data: { systemAdmin, pendingAdmin } = {} } = useAdminTransfer();
+  const [newAdmin, setNewAdmin] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const accountAddress = account?.address ? normalizeAddress(account.address) : null;
+
+  const transfer = useMutation(async (action, successText) => {
+    setMessage(null);
+    const result = await action();
+    if (result.success) {
+      setMessage({ type: 'success', text: successText });
+      setNewAdmin('');
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Admin transfer failed' });
+    }
+  });
+
+  const handlePropose = (e) => {
+    e.preventDefault();
+    if (!isValidAddress(newAdmin)) {
+      setMessage({ type: 'error', text: 'Enter a valid account address' });
+      return;
+    }
+    transfer.mutate(() => proposeAdminTransfer(newAdmin.trim()), `Transfer proposed; ${shortenAddress(newAdmin.trim())} must accept it`);
+  };
+
+  const isSystemAdmin = accountAddress && accountAddress === systemAdmin;
+
+  return (
+    <div className="dashboard-section">
+      <h2>System Admin</h2>
+      <p>
+        Current system admin: <span className="roster-address">{shortenAddress(systemAdmin)}</span>
+        {isSystemAdmin && ' (you)'}
+      </p>
+      {pendingAdmin && (
+        <p>Transfer pending to <span className="roster-address">{shortenAddress(pendingAdmin)}</span>.</p>
+      )}
+
+      {isSystemAdmin && (
+        <form onSubmit={handlePropose} className="attendance-form">
+          <label>
+            New system admin
+            <input
+              type="text"
+              value={newAdmin}
+              onChange={(e) => setNewAdmin(e.target.value)}
+              placeholder="0x... (must already be an admin)"
+              required
+            />
+          </label>
+          <button type="submit" disabled={transfer.pending} className="fetch-button">Propose Transfer</button>
+          {pendingAdmin && (
+            <button
+              type="button"
+              onClick={() => transfer.mutate(cancelAdminTransfer, 'Admin transfer cancelled')}
+              disabled={transfer.pending}
+              className="disconnect-button"
+            >
+              Cancel Transfer
+            </button>
+          )}
+        </form>
+      )}
+
+      {pendingAdmin && pendingAdmin === accountAddress && (
+        <div className="dashboard-actions">
+          <button
+            onClick={() => transfer.mutate(acceptAdminTransfer, 'You are now the system admin')}
+            disabled={transfer.pending}
+            className="attendance-button"
+          >
+            Accept Transfer
+          </button>
+        </div>
+      )}
+
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AdminTransferPanel;
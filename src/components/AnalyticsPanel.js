@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { today, addDays } from '../services/dates';
+import AptosService from '../services/aptosService';
+import { createBrowserIndexer } from '../services/indexer';
+import AttendanceAnalytics, { isAtRisk } from '../services/analytics';
+import { USER_TYPES, DEFAULT_AT_RISK_THRESHOLD } from '../services/constants';
+import { shortenAddress, formatClock, formatDuration, formatPercent } from '../services/formatters';
+import { loadRoster } from './RosterView';
+import TrendChart from './TrendChart';
+
+const TERM_DAYS = 90;
+
+// Admins analyze every course plus all registered students; teachers analyze
+// their own courses plus their class roster.
+const loadClasses = async (indexer, userType, accountAddress) => {
+  const courses = userType === 'admin'
+    ? await AptosService.getCourses()
+    : await AptosService.getTeacherCourses(accountAddress);
+  const classes = await Promise.all((courses.data || []).map(async (course) => ({
+    id: `course-${course.id}`,
+    name: `${course.code} — ${course.name}`,
+    students: (await AptosService.getCourseStudents(course.id)).data || [],
+  })));
+
+  if (userType === 'admin') {
+    await indexer.sync().catch((err) => console.error('Indexer sync error:', err));
+    const users = await indexer.getUsers();
+    classes.push({
+      id: 'all',
+      name: 'All students',
+      students: users.filter((user) => user.userType === USER_TYPES.student).map((user) => user.address),
+    });
+  } else {
+    const roster = loadRoster(accountAddress);
+    if (roster.length > 0) {
+      classes.push({ id: 'roster', name: 'Class roster', students: roster.map((student) => student.address) });
+    }
+  }
+  return classes.filter((group) => group.students.length > 0);
+};
+
+const AnalyticsPanel = () => {
+  const { account, userType, networkConfig } = useWalletContext();
+  const currentDay = today(networkConfig.timeZone);
+  const indexer = useMemo(() => createBrowserIndexer(AptosService), []);
+  const [classes, setClasses] = useState([]);
+  const [classId, setClassId] = useState('');
+  const [startDate, setStartDate] = useState(addDays(currentDay, 1 - TERM_DAYS));
+  const [endDate, setEndDate] = useState(currentDay);
+  const [threshold, setThreshold] = useState(DEFAULT_AT_RISK_THRESHOLD);
+  const [analytics, setAnalytics] = useState(null);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const accountAddress = account?.address?.toString();
+
+  useEffect(() => {
+    if (!accountAddress) return;
+    loadClasses(indexer, userType, accountAddress)
+      .then(setClasses)
+      .catch((err) => {
+        console.error('Analytics classes error:', err);
+        setMessage({ type: 'error', text: 'Failed to load classes' });
+      });
+  }, [indexer, userType, accountAddress]);
+
+  const handleAnalyze = async () => {
+    setAnalyzing(true);
+    setMessage(null);
+
+    try {
+      const selected = classId ? classes.filter((group) => group.id === classId) : classes;
+      if (selected.length === 0) {
+        throw new Error('No classes with students to analyze');
+      }
+      const builder = new AttendanceAnalytics(AptosService, networkConfig.timeZone);
+      setAnalytics(await builder.termAnalytics(selected, startDate, endDate, threshold));
+    } catch (err) {
+      console.error('Analytics error:', err);
+      setMessage({ type: 'error', text: err.message || 'Failed to analyze attendance' });
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  const classNames = Object.fromEntries(classes.map((group) => [group.id, group.name]));
+  const atRisk = analytics ? analytics.students.filter((student) => isAtRisk(student, threshold)) : [];
+  const studentName = (student) => student.name || shortenAddress(student.address);
+
+  return (
+    <div className="dashboard-section">
+      <h2>Attendance Analytics</h2>
+      <div className="attendance-form">
+        <label>
+          Class
+          <select value={classId} onChange={(e) => setClassId(e.target.value)}>
+            <option value="">All classes</option>
+            {classes.map((group) => (
+              <option key={group.id} value={group.id}>{group.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          From
+          <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+        </label>
+        <label>
+          At-risk below (%)
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={threshold}
+            onChange={(e) => setThreshold(Number(e.target.value))}
+          />
+        </label>
+        <button onClick={handleAnalyze} disabled={analyzing} className="fetch-button">
+          {analyzing ? 'Analyzing...' : 'Analyze'}
+        </button>
+      </div>
+
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+
+      {analytics && (
+        <>
+          <p>
+            {analytics.overall.students} students and {analytics.overall.recorded} records, {analytics.startDate} to {analytics.endDate}.
+          </p>
+          <p>
+            Attendance {formatPercent(analytics.overall.rate)}, {analytics.overall.late} late.
+            Average check-in {formatClock(analytics.overall.averageCheckIn)};
+            average time on site {formatDuration(analytics.overall.averageTimeOnSite)}.
+          </p>
+
+          <h3>{analytics.bucket === 'week' ? 'Weekly' : 'Daily'} attendance by class</h3>
+          <TrendChart series={analytics.classes} threshold={threshold} />
+          <table className="roster-table">
+            <thead>
+              <tr>
+                <th>Class</th>
+                <th>Students</th>
+                <th>Rate</th>
+                <th>Late</th>
+                <th>Avg check-in</th>
+                <th>Avg time on site</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analytics.classes.map((group) => (
+                <tr key={group.id}>
+                  <td>{group.name}</td>
+                  <td>{group.students}</td>
+                  <td>{formatPercent(group.rate)}</td>
+                  <td>{group.late}</td>
+                  <td>{formatClock(group.averageCheckIn)}</td>
+                  <td>{formatDuration(group.averageTimeOnSite)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>Below {threshold}%</h3>
+          {atRisk.length === 0 ? (
+            <p>No students are below the threshold.</p>
+          ) : (
+            <table className="roster-table">
+              <thead>
+                <tr>
+                  <th>Student</th>
+                  <th>Rate</th>
+                  <th>Attended</th>
+                  <th>Absent</th>
+                  <th>Current absence streak</th>
+                </tr>
+              </thead>
+              <tbody>
+                {atRisk.map((student) => (
+                  <tr key={student.address} className="analytics-at-risk">
+                    <td>{studentName(student)}</td>
+                    <td>{formatPercent(student.rate)}</td>
+                    <td>{student.attended} of {student.recorded}</td>
+                    <td>{student.absent}</td>
+                    <td>{student.currentAbsenceStreak}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h3>Students</h3>
+          <table className="roster-table">
+            <thead>
+              <tr>
+                <th>Student</th>
+                <th>Classes</th>
+                <th>Rate</th>
+                <th>Late</th>
+                <th>Longest absence streak</th>
+                <th>Avg check-in</th>
+                <th>Avg time on site</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analytics.students.map((student) => (
+                <tr key={student.address} className={isAtRisk(student, threshold) ? 'analytics-at-risk' : ''}>
+                  <td>
+                    {studentName(student)}
+                    {student.name && <span className="roster-address"> {shortenAddress(student.address)}</span>}
+                  </td>
+                  <td>{student.classIds.map((id) => classNames[id]).join(', ')}</td>
+                  <td>
+                    <span className="rate-bar">
+                      <span style={{ width: `${student.rate || 0}%` }} />
+                    </span>
+                    {formatPercent(student.rate)}
+                  </td>
+                  <td>{student.late}</td>
+                  <td>{student.longestAbsenceStreak}</td>
+                  <td>{formatClock(student.averageCheckIn)}</td>
+                  <td>{formatDuration(student.averageTimeOnSite)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsPanel;
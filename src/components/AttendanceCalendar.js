@@ -0,0 +1,107 @@
+import React, { useState, useMemo } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { today } from '../services/dates';
+import { useUserAttendanceRange } from '../hooks/queries';
+import { formatTimestamp } from '../services/formatters';
+import { STATUS_OPTIONS, formatStatus } from '../services/attendanceStatus';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+const AttendanceCalendar = ({ userAddress }) => {
+  const { networkConfig } = useWalletContext();
+  const [month, setMonth] = useState(startOfMonth(new Date()));
+  const [selected, setSelected] = useState(null);
+
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const startKey = toDateKey(month);
+  const endKey = toDateKey(new Date(month.getFullYear(), month.getMonth(), daysInMonth));
+  const todayKey = today(networkConfig.timeZone);
+
+  const { data, error, fetching } = useUserAttendanceRange(userAddress, startKey, endKey);
+  const records = useMemo(
+    () => Object.fromEntries((data || []).map((record) => [record.date, record])),
+    [data]
+  );
+
+  const changeMonth = (offset) => {
+    setMonth(new Date(month.getFullYear(), month.getMonth() + offset, 1));
+    setSelected(null);
+  };
+
+  const days = Array.from({ length: daysInMonth }, (_, index) => {
+    const key = toDateKey(new Date(month.getFullYear(), month.getMonth(), index + 1));
+    const record = records[key];
+    let status = 'unmarked';
+    if (key > todayKey) status = 'future';
+    else if (record) status = record.status;
+    return { day: index + 1, key, record, status };
+  });
+
+  const count = (status) => days.filter((day) => day.status === status).length;
+  const selectedDay = days.find((day) => day.key === selected);
+
+  return (
+    <div className="dashboard-section">
+      <h2>Attendance History</h2>
+      <div className="calendar-header">
+        <button onClick={() => changeMonth(-1)} className="fetch-button">‹</button>
+        <strong>
+          {month.toLocaleString(undefined, { month: 'long', year: 'numeric' })}
+          {fetching && ' (loading...)'}
+        </strong>
+        <button onClick={() => changeMonth(1)} className="fetch-button">›</button>
+      </div>
+
+      <div className="calendar-grid">
+        {WEEKDAYS.map((weekday) => (
+          <div key={weekday} className="calendar-weekday">{weekday}</div>
+        ))}
+        {Array.from({ length: month.getDay() }, (_, index) => (
+          <div key={`blank-${index}`} />
+        ))}
+        {days.map((day) => (
+          <button
+            key={day.key}
+            className={`calendar-day calendar-${day.status}${day.key === selected ? ' calendar-selected' : ''}`}
+            onClick={() => setSelected(day.key)}
+            title={day.record
+              ? `In: ${formatTimestamp(day.record.checkInTime)}\nOut: ${formatTimestamp(day.record.checkOutTime)}`
+              : day.key}
+          >
+            {day.day}
+          </button>
+        ))}
+      </div>
+
+      <div className="calendar-legend">
+        {STATUS_OPTIONS.map((status) => (
+          <span key={status}><i className={`calendar-${status}`} /> {formatStatus(status)} ({count(status)})</span>
+        ))}
+        <span><i className="calendar-unmarked" /> unmarked ({count('unmarked')})</span>
+      </div>
+
+      {selectedDay && (
+        <div className="record-item">
+          <p><strong>Date:</strong> {selectedDay.key}</p>
+          <p><strong>Status:</strong> {formatStatus(selectedDay.status)}</p>
+          {selectedDay.record && (
+            <>
+              <p><strong>Check-in:</strong> {formatTimestamp(selectedDay.record.checkInTime)}</p>
+              <p><strong>Check-out:</strong> {formatTimestamp(selectedDay.record.checkOutTime)}</p>
+            </>
+          )}
+        </div>
+      )}
+
+      {error && <p className="form-error">Failed to load attendance history: {error}</p>}
+    </div>
+  );
+};
+
+export default AttendanceCalendar;
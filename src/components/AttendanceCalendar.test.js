@@ -0,0 +1,82 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import AptosService from '../services/aptosService';
+import queryCache from '../services/queryCache';
+import AttendanceCalendar from './AttendanceCalendar';
+
+jest.mock('../services/aptosService', () => {
+  const { default: MockAptosService } = jest.requireActual('../services/mockAptosService');
+  return {
+    __esModule: true,
+    default: new MockAptosService({ moduleAddress: '0xa', backend: 'mock', timeZone: 'UTC' }),
+  };
+});
+
+jest.mock('../services/Context/WalletContext', () => ({
+  useWalletContext: () => ({ networkConfig: { timeZone: 'UTC' } }),
+}));
+
+const STUDENT = '0xb';
+const pad = (value) => String(value).padStart(2, '0');
+const now = new Date();
+const monthKey = `${now.getFullYear()}-${pad(now.getMonth() + 1)}`;
+const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+const lastMonthKey = `${lastMonth.getFullYear()}-${pad(lastMonth.getMonth() + 1)}`;
+
+const settle = () => act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+
+describe('AttendanceCalendar', () => {
+  let container;
+  let root;
+
+  beforeAll(async () => {
+    await AptosService.registerUser({ address: STUDENT }, 'Student', 'student');
+    await AptosService.markAttendance({ address: '0xa' }, STUDENT, `${monthKey}-01`, 'late');
+    await AptosService.markAttendance({ address: '0xa' }, STUDENT, `${lastMonthKey}-02`, 'absent');
+  });
+
+  const mount = (element) => root.render(element);
+
+  const renderCalendar = async () => {
+    act(() => mount(<AttendanceCalendar userAddress={STUDENT} />));
+    await settle();
+  };
+
+  beforeEach(() => {
+    queryCache.reset();
+    container = document.createElement('div');
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+  });
+
+  const dayButton = (day) => [...container.querySelectorAll('.calendar-day')].find((button) => button.textContent === String(day));
+  const legend = () => container.querySelector('.calendar-legend').textContent;
+
+  it('colours the month by status and counts each one', async () => {
+    await renderCalendar();
+
+    expect(dayButton(1).className).toContain('calendar-late');
+    expect(legend()).toContain('late (1)');
+    expect(legend()).toContain('absent (0)');
+  });
+
+  it('shows the record of a selected day', async () => {
+    await renderCalendar();
+    act(() => dayButton(1).click());
+
+    expect(container.querySelector('.record-item').textContent).toContain(`Date: ${monthKey}-01`);
+    expect(container.querySelector('.record-item').textContent).toContain('Status: late');
+  });
+
+  it('loads the range for another month', async () => {
+    await renderCalendar();
+    act(() => container.querySelector('.calendar-header button').click());
+    await settle();
+
+    expect(dayButton(2).className).toContain('calendar-absent');
+    expect(legend()).toContain('absent (1)');
+  });
+});
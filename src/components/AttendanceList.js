@@ -0,0 +1,26 @@
+import React from 'react';
+import { shortenAddress, formatTimestamp } from '../services/formatters';
+import { formatStatus } from '../services/attendanceStatus';
+
+const AttendanceList = ({ records, emptyMessage = 'No attendance records found.' }) => {
+  if (!records || records.length === 0) {
+    return <p>{emptyMessage}</p>;
+  }
+
+  return (
+    <div className="records-list">
+      {records.map((record) => (
+        <div key={`${record.userAddress}-${record.date}`} className="record-item">
+          <p><strong>Address:</strong> {shortenAddress(record.userAddress)}</p>
+          <p><strong>Date:</strong> {record.date}</p>
+          <p><strong>Status:</strong> <span className={`status-badge status-${record.status}`}>{formatStatus(record.status)}</span></p>
+          <p><strong>Check-in:</strong> {formatTimestamp(record.checkInTime)}</p>
+          <p><strong>Check-out:</strong> {formatTimestamp(record.checkOutTime)}</p>
+          <p><strong>Marked by:</strong> {shortenAddress(record.markedBy)}</p>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AttendanceList;
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { DAILY_WINDOW_SLOT } from '../services/constants';
+import { localTimeToUtcSeconds, utcSecondsToLocalTime } from '../services/attendanceStatus';
+import { observesDaylightSaving, zoneOffset } from '../services/dates';
+import {
+  useMutation,
+  useAttendanceWindows,
+  useSelfCheckInAllowed,
+  useUtcOffset,
+} from '../hooks/queries';
+
+const slotLabel = (slot) => (slot === DAILY_WINDOW_SLOT ? 'Daily attendance' : `Session slot ${slot}`);
+
+const formatUtcOffset = (seconds) => {
+  const minutes = Math.abs(Math.round(seconds / 60));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `UTC${seconds < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+// Admin settings for the windows that classify self check-ins as late and early
+// daily checkouts as half-days. Times are entered in the institution's timezone
+// and stored on chain as UTC.
+const AttendanceWindowsPanel = () => {
+  const {
+    networkConfig, setAttendanceWindow, removeAttendanceWindow, setSelfCheckIn, setUtcOffset,
+  } = useWalletContext();
+  const save = useMutation(setAttendanceWindow);
+  const remove = useMutation(removeAttendanceWindow);
+  const toggleSelfCheckIn = useMutation(setSelfCheckIn);
+  const saveUtcOffset = useMutation(setUtcOffset);
+  const { timeZone } = networkConfig;
+  const toLocal = (seconds) => utcSecondsToLocalTime(seconds, timeZone);
+  const toUtc = (time) => localTimeToUtcSeconds(time, timeZone);
+  const { data: selfCheckIn } = useSelfCheckInAllowed();
+  const { data: chainOffset } = useUtcOffset();
+  const localOffset = zoneOffset(new Date(), timeZone);
+  const { data: windows = [], error } = useAttendanceWindows();
+  const [slot, setSlot] = useState(String(DAILY_WINDOW_SLOT));
+  const [startsAt, setStartsAt] = useState('08:00');
+  const [graceMinutes, setGraceMinutes] = useState('10');
+  const [halfDayBefore, setHalfDayBefore] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const editWindow = (slotWindow) => {
+    setSlot(String(slotWindow.slot));
+    setStartsAt(toLocal(slotWindow.startsAt));
+    setGraceMinutes(String(slotWindow.graceSeconds / 60));
+    setHalfDayBefore(slotWindow.halfDayBefore > 0 ? toLocal(slotWindow.halfDayBefore) : '');
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const result = await save.mutate(Number(slot), {
+      startsAt: toUtc(startsAt),
+      graceSeconds: Math.round(Number(graceMinutes) * 60),
+      halfDayBefore: halfDayBefore ? toUtc(halfDayBefore) : 0,
+    });
+    if (result.success) {
+      setMessage({ type: 'success', text: `Saved the window for ${slotLabel(Number(slot)).toLowerCase()}` });
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Failed to save attendance window' });
+    }
+  };
+
+  const handleSelfCheckIn = async (allowed) => {
+    setMessage(null);
+    const result = await toggleSelfCheckIn.mutate(allowed);
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to change self check-in' });
+    }
+  };
+
+  const handleUtcOffset = async () => {
+    setMessage(null);
+    const result = await saveUtcOffset.mutate(localOffset);
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to save the UTC offset' });
+    }
+  };
+
+  const handleRemove = async (windowSlot) => {
+    setMessage(null);
+    const result = await remove.mutate(windowSlot);
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to remove attendance window' });
+    }
+  };
+
+  return (
+    <div className="dashboard-section">
+      <h2>Attendance Windows</h2>
+      <p>
+        Self check-ins after the start time plus grace period are marked late. A daily checkout
+        before the half-day cutoff turns the day into a half-day. Times are in
+        {' '}{timeZone || 'this browser\'s timezone'}.
+      </p>
+      {observesDaylightSaving(timeZone) && (
+        <p>
+          This timezone changes its clocks during the year and the chain stores UTC, so save each
+          window again after the clocks change to keep the same local times.
+        </p>
+      )}
+
+      <label>
+        <input
+          type="checkbox"
+          checked={Boolean(selfCheckIn)}
+          onChange={(e) => handleSelfCheckIn(e.target.checked)}
+          disabled={toggleSelfCheckIn.pending || selfCheckIn === undefined}
+        />
+        {' '}Let students check themselves in for daily attendance without a session code
+      </label>
+
+      {chainOffset !== undefined && (
+        <p>
+          Students can only check out on the current day at {formatUtcOffset(chainOffset)}.
+          {chainOffset !== localOffset && (
+            <>
+              {' '}That is not {timeZone || 'this browser\'s timezone'} ({formatUtcOffset(localOffset)}) right now.
+              {' '}
+              <button onClick={handleUtcOffset} disabled={saveUtcOffset.pending} className="fetch-button">
+                {saveUtcOffset.pending ? 'Saving...' : `Use ${formatUtcOffset(localOffset)}`}
+              </button>
+            </>
+          )}
+        </p>
+      )}
+
+      {windows.length > 0 ? (
+        <table className="roster-table">
+          <thead>
+            <tr>
+              <th>Applies to</th>
+              <th>Starts</th>
+              <th>Grace</th>
+              <th>Half-day before</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {windows.map((slotWindow) => (
+              <tr key={slotWindow.slot}>
+                <td>{slotLabel(slotWindow.slot)}</td>
+                <td>{toLocal(slotWindow.startsAt)}</td>
+                <td>{slotWindow.graceSeconds / 60} min</td>
+                <td>{slotWindow.halfDayBefore > 0 ? toLocal(slotWindow.halfDayBefore) : '—'}</td>
+                <td>
+                  <button onClick={() => editWindow(slotWindow)} className="fetch-button">Edit</button>
+                  <button onClick={() => handleRemove(slotWindow.slot)} disabled={remove.pending} className="fetch-button">Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p>No windows are set, so every check-in counts as present.</p>
+      )}
+
+      <form onSubmit={handleSave} className="attendance-form">
+        <label>
+          Slot
+          <input
+            type="number"
+            min="0"
+            max="255"
+            value={slot}
+            onChange={(e) => setSlot(e.target.value)}
+            title="0 is daily attendance; 1 and up are course session slots"
+          />
+        </label>
+        <label>
+          Starts at
+          <input type="time" value={startsAt} onChange={(e) => setStartsAt(e.target.value)} required />
+        </label>
+        <label>
+          Grace (minutes)
+          <input type="number" min="0" value={graceMinutes} onChange={(e) => setGraceMinutes(e.target.value)} required />
+        </label>
+        {Number(slot) === DAILY_WINDOW_SLOT && (
+          <label>
+            Half-day before
+            <input type="time" value={halfDayBefore} onChange={(e) => setHalfDayBefore(e.target.value)} />
+          </label>
+        )}
+        <button type="submit" disabled={save.pending || slot === ''} className="attendance-button">
+          {save.pending ? 'Saving...' : 'Save Window'}
+        </button>
+      </form>
+
+      {error && <p className="form-error">{error}</p>}
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceWindowsPanel;
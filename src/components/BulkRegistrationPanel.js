@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import AptosService from '../services/aptosService';
+import { parseCsv } from '../services/csv';
+import { normalizeAddress, isValidAddress } from '../services/addressUtils';
+import { USER_TYPES } from '../services/constants';
+import { shortenAddress } from '../services/formatters';
+import { useMutation } from '../hooks/queries';
+
+const CHECK_CONCURRENCY = 10;
+
+const PREVIEW_LABELS = {
+  ready: 'Ready',
+  invalid: 'Invalid',
+  duplicate: 'Duplicate in file',
+  registered: 'Already registered',
+};
+
+const RESULT_LABELS = {
+  registered: 'Registered',
+  skipped: 'Skipped (already registered)',
+  failed: 'Failed',
+  unknown: 'No result',
+};
+
+// CSV columns: address, name, role (student/teacher/admin, default student).
+// A first line starting with "address" is treated as a header.
+const parseRoster = (text) => {
+  const lines = parseCsv(text);
+  if (lines.length > 0 && lines[0][0].trim().toLowerCase() === 'address') {
+    lines.shift();
+  }
+
+  const seen = new Set();
+  return lines.map(([address = '', name = '', role = ''], index) => {
+    const row = {
+      line: index + 1,
+      userAddress: address.trim(),
+      name: name.trim(),
+      userType: role.trim().toLowerCase() || 'student',
+      status: 'ready',
+      issue: '',
+    };
+
+    if (!isValidAddress(row.userAddress)) {
+      return { ...row, status: 'invalid', issue: 'invalid address' };
+    }
+    if (!row.name) {
+      return { ...row, status: 'invalid', issue: 'missing name' };
+    }
+    if (!USER_TYPES[row.userType]) {
+      return { ...row, status: 'invalid', issue: `unknown role "${row.userType}"` };
+    }
+
+    row.userAddress = normalizeAddress(row.userAddress);
+    if (seen.has(row.userAddress)) {
+      return { ...row, status: 'duplicate' };
+    }
+    seen.add(row.userAddress);
+    return row;
+  });
+};
+
+const BulkRegistrationPanel = () => {
+  const { bulkRegister } = useWalletContext();
+  const register = useMutation(bulkRegister);
+  const [csvText, setCsvText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [results, setResults] = useState({});
+  const [checking, setChecking] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const readFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then(setCsvText);
+  };
+
+  const preview = async () => {
+    setMessage(null);
+    setResults({});
+    setChecking(true);
+
+    const parsed = parseRoster(csvText);
+    const candidates = parsed.filter((row) => row.status === 'ready');
+    for (let i = 0; i < candidates.length; i += CHECK_CONCURRENCY) {
+      await Promise.all(candidates.slice(i, i + CHECK_CONCURRENCY).map(async (row) => {
+        const registered = await AptosService.isUserRegistered(row.userAddress);
+        if (!registered.success) {
+          row.status = 'invalid';
+          row.issue = registered.error || 'registration check failed';
+        } else if (registered.data) {
+          row.status = 'registered';
+        }
+      }));
+      setProgress(`Checked ${Math.min(i + CHECK_CONCURRENCY, candidates.length)} of ${candidates.length}`);
+    }
+
+    setRows(parsed);
+    setProgress('');
+    setChecking(false);
+  };
+
+  const readyRows = rows.filter((row) => row.status === 'ready');
+
+  const handleSubmit = async () => {
+    setMessage(null);
+    setResults({});
+
+    const entries = readyRows.map(({ userAddress, name, userType }) => ({ userAddress, name, userType }));
+    const result = await register.mutate(entries, ({ index, total, results: chunkResults }) => {
+      setProgress(`Submitted chunk ${index + 1} of ${total}`);
+      setResults((current) => ({
+        ...current,
+        ...Object.fromEntries(chunkResults.map((item) => [item.userAddress, item])),
+      }));
+    });
+    setProgress('');
+
+    if (!result.results) {
+      setMessage({ type: 'error', text: result.error || 'Failed to register users' });
+      return;
+    }
+
+    const registered = result.results.filter((item) => item.status === 'registered').length;
+    const failed = result.results.filter((item) => item.status === 'failed').length;
+    setMessage({
+      type: failed > 0 ? 'error' : 'success',
+      text: `Registered ${registered} of ${entries.length} users${failed > 0 ? `; ${failed} failed` : ''}`,
+    });
+  };
+
+  const describe = (row) => {
+    const result = results[row.userAddress];
+    if (row.status === 'ready' && result) {
+      return {
+        className: `roster-result-${result.status}`,
+        text: `${RESULT_LABELS[result.status]}${result.error ? `: ${result.error}` : ''}`,
+      };
+    }
+    return {
+      className: row.status === 'ready' ? '' : 'roster-result-skipped',
+      text: `${PREVIEW_LABELS[row.status]}${row.issue ? ` (${row.issue})` : ''}`,
+    };
+  };
+
+  return (
+    <div className="dashboard-section">
+      <h2>Bulk Registration</h2>
+      <p>Upload or paste a CSV roster with the columns address, name, role (student, teacher or admin).</p>
+      <textarea
+        className="roster-input"
+        rows={6}
+        value={csvText}
+        onChange={(e) => setCsvText(e.target.value)}
+        placeholder={'address,name,role\n0x1234...,Jane Doe,student\n0xabcd...,John Smith,teacher'}
+      />
+      <div className="attendance-form">
+        <input type="file" accept=".csv,text/csv" onChange={readFile} />
+        <button onClick={preview} disabled={checking || !csvText.trim()} className="fetch-button">
+          {checking ? 'Checking...' : 'Preview'}
+        </button>
+      </div>
+      {progress && <p>{progress}</p>}
+
+      {rows.length > 0 && (
+        <>
+          <table className="roster-table">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Name</th>
+                <th>Role</th>
+                <th>Address</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => {
+                const { className, text } = describe(row);
+                return (
+                  <tr key={row.line}>
+                    <td>{row.line}</td>
+                    <td>{row.name}</td>
+                    <td>{row.userType}</td>
+                    <td className="roster-address">{shortenAddress(row.userAddress)}</td>
+                    <td className={className}>{text}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div className="dashboard-actions">
+            <button
+              onClick={handleSubmit}
+              disabled={register.pending || checking || readyRows.length === 0}
+              className="attendance-button"
+            >
+              {register.pending ? 'Registering...' : `Register ${readyRows.length} Users`}
+            </button>
+          </div>
+        </>
+      )}
+
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BulkRegistrationPanel;
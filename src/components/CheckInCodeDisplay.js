@@ -0,0 +1,90 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { DEFAULT_CHECK_IN_CODE_SECONDS } from '../services/constants';
+
+// Shows a rotating check-in code for a session. Each code is signed by the
+// teacher's wallet, so the wallet prompts once per rotation.
+const CheckInCodeDisplay = ({ session, onRotate }) => {
+  const { issueCheckInCode } = useWalletContext();
+  const [lifetime, setLifetime] = useState(DEFAULT_CHECK_IN_CODE_SECONDS);
+  const [running, setRunning] = useState(false);
+  const [current, setCurrent] = useState(null);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  const [error, setError] = useState('');
+
+  const rotate = useCallback(async () => {
+    try {
+      setCurrent(await issueCheckInCode(session.id, lifetime));
+      if (onRotate) onRotate();
+    } catch (err) {
+      console.error('Check-in code error:', err);
+      setError(err.message || 'Failed to sign check-in code');
+      setRunning(false);
+      setCurrent(null);
+    }
+  }, [issueCheckInCode, session.id, lifetime, onRotate]);
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  useEffect(() => {
+    if (running && current && now >= current.expiresAt) {
+      setCurrent(null);
+      rotate();
+    }
+  }, [running, now, current, rotate]);
+
+  useEffect(() => {
+    setRunning(false);
+    setCurrent(null);
+  }, [session.id]);
+
+  const start = () => {
+    setError('');
+    setRunning(true);
+    rotate();
+  };
+
+  const stop = () => {
+    setRunning(false);
+    setCurrent(null);
+  };
+
+  return (
+    <div className="check-in-code">
+      <div className="attendance-form">
+        <label>
+          Code lifetime (seconds)
+          <input
+            type="number"
+            min="10"
+            value={lifetime}
+            onChange={(e) => setLifetime(Number(e.target.value))}
+            disabled={running}
+          />
+        </label>
+        {running ? (
+          <button onClick={stop} className="fetch-button">Stop Check-in</button>
+        ) : (
+          <button onClick={start} className="fetch-button">Start Check-in</button>
+        )}
+      </div>
+      {error && <p className="form-error">{error}</p>}
+
+      {running && !current && <p>Waiting for your wallet to sign the next code...</p>}
+      {current && (
+        <>
+          <QRCodeSVG value={current.code} size={220} marginSize={2} />
+          <p>Expires in {Math.max(current.expiresAt - now, 0)}s</p>
+          <textarea className="roster-input check-in-code-text" rows={3} value={current.code} readOnly />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CheckInCodeDisplay;
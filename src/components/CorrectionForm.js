@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { today } from '../services/dates';
+import AptosService from '../services/aptosService';
+import { formatStatus } from '../services/attendanceStatus';
+import { useMutation } from '../hooks/queries';
+import StatusSelect from './StatusSelect';
+import RecordHistory from './RecordHistory';
+
+// Loads a daily record with its correction history and requests a new status.
+// Admin corrections apply at once; teacher corrections wait for an admin.
+const CorrectionForm = ({ onCorrected }) => {
+  const { userType, networkConfig, getUserAttendance, requestCorrection } = useWalletContext();
+  const request = useMutation(requestCorrection);
+  const [userAddress, setUserAddress] = useState('');
+  const [date, setDate] = useState(today(networkConfig.timeZone));
+  const [record, setRecord] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [status, setStatus] = useState('present');
+  const [reason, setReason] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const loadRecord = async () => {
+    setMessage(null);
+    const [recordResult, historyResult] = await Promise.all([
+      getUserAttendance(userAddress.trim(), date),
+      AptosService.getRecordHistory(userAddress.trim(), date),
+    ]);
+
+    if (!recordResult.success) {
+      setRecord(null);
+      setHistory([]);
+      setMessage({ type: 'error', text: `No attendance record for this user on ${date}` });
+      return;
+    }
+    setRecord(recordResult.data);
+    setStatus(recordResult.data.status);
+    setHistory(historyResult.success ? historyResult.data : []);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const result = await request.mutate(userAddress.trim(), date, status, reason.trim());
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to request correction' });
+      return;
+    }
+
+    setMessage({
+      type: 'success',
+      text: result.state === 'pending'
+        ? 'Correction sent to an admin for approval'
+        : `Record corrected to ${formatStatus(status)}`,
+    });
+    setReason('');
+    await loadRecord();
+    if (onCorrected) onCorrected(date);
+  };
+
+  return (
+    <div className="dashboard-section">
+      <h2>Correct Attendance</h2>
+      <div className="attendance-form">
+        <label>
+          User Address
+          <input
+            type="text"
+            value={userAddress}
+            onChange={(e) => { setUserAddress(e.target.value); setRecord(null); }}
+            placeholder="0x..."
+          />
+        </label>
+        <label>
+          Date
+          <input type="date" value={date} onChange={(e) => { setDate(e.target.value); setRecord(null); }} />
+        </label>
+        <button onClick={loadRecord} disabled={!userAddress.trim()} className="fetch-button">Load Record</button>
+      </div>
+
+      {record && (
+        <>
+          <p>
+            <strong>Current status:</strong>{' '}
+            <span className={`status-badge status-${record.status}`}>{formatStatus(record.status)}</span>
+          </p>
+          <RecordHistory corrections={history} />
+
+          <form onSubmit={handleSubmit} className="attendance-form">
+            <label>
+              New status
+              <StatusSelect value={status} onChange={setStatus} />
+            </label>
+            <label>
+              Reason
+              <input
+                type="text"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g. marked absent by mistake"
+                required
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={request.pending || status === record.status || !reason.trim()}
+              className="attendance-button"
+            >
+              {userType === 'admin' ? 'Apply Correction' : 'Request Correction'}
+            </button>
+          </form>
+        </>
+      )}
+
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CorrectionForm;
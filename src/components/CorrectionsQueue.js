@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { shortenAddress, formatTimestamp } from '../services/formatters';
+import { formatStatus } from '../services/attendanceStatus';
+import { useMutation, usePendingCorrections } from '../hooks/queries';
+
+// Teacher corrections waiting for an admin, oldest first.
+const CorrectionsQueue = ({ onReviewed }) => {
+  const { approveCorrection, rejectCorrection } = useWalletContext();
+  const approve = useMutation(approveCorrection);
+  const reject = useMutation(rejectCorrection);
+  const { data: corrections = [], error, fetching, refetch } = usePendingCorrections();
+  const [message, setMessage] = useState(null);
+
+  const review = async (correction, approved) => {
+    setMessage(null);
+    const result = approved
+      ? await approve.mutate(correction.id)
+      : await reject.mutate(correction.id);
+
+    if (result.success) {
+      setMessage({
+        type: 'success',
+        text: `${approved ? 'Approved' : 'Rejected'} the correction for ${shortenAddress(correction.userAddress)} on ${correction.date}`,
+      });
+      if (approved && onReviewed) onReviewed(correction.date);
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Failed to review correction' });
+    }
+  };
+
+  return (
+    <div className="dashboard-section">
+      <h2>Pending Corrections ({corrections.length})</h2>
+      <div className="dashboard-actions">
+        <button onClick={() => refetch()} disabled={fetching} className="fetch-button">Refresh</button>
+      </div>
+
+      {corrections.length === 0 ? (
+        <p>No corrections are waiting for approval.</p>
+      ) : (
+        <table className="roster-table">
+          <thead>
+            <tr>
+              <th>Student</th>
+              <th>Date</th>
+              <th>Change</th>
+              <th>Reason</th>
+              <th>Requested</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {corrections.map((correction) => (
+              <tr key={correction.id}>
+                <td className="roster-address">{shortenAddress(correction.userAddress)}</td>
+                <td>{correction.date}</td>
+                <td>{formatStatus(correction.previousStatus)} → {formatStatus(correction.newStatus)}</td>
+                <td>{correction.reason}</td>
+                <td>
+                  {formatTimestamp(correction.requestedAt)}
+                  <span className="roster-address"> by {shortenAddress(correction.requestedBy)}</span>
+                </td>
+                <td>
+                  <button onClick={() => review(correction, true)} disabled={approve.pending} className="attendance-button">Approve</button>
+                  <button onClick={() => review(correction, false)} disabled={reject.pending} className="fetch-button">Reject</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {error && <p className="form-error">{error}</p>}
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CorrectionsQueue;
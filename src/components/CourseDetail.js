@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { today } from '../services/dates';
+import AptosService from '../services/aptosService';
+import { normalizeAddress, isValidAddress } from '../services/addressUtils';
+import { shortenAddress } from '../services/formatters';
+import { useMutation, useCourseStudents, useCourseSessions } from '../hooks/queries';
+import SessionAttendance from './SessionAttendance';
+
+const CourseDetail = ({ course }) => {
+  const { networkConfig, enrollStudents, unenrollStudent, createSession } = useWalletContext();
+  const enroll = useMutation(enrollStudents);
+  const unenroll = useMutation(unenrollStudent);
+  const openSession = useMutation(createSession);
+  const { data: enrolled, error: studentsError } = useCourseStudents(course.id);
+  const { data: courseSessions, error: sessionsError } = useCourseSessions(course.id);
+  const [names, setNames] = useState({});
+  const [selectedSession, setSelectedSession] = useState(null);
+  const [enrollText, setEnrollText] = useState('');
+  const [date, setDate] = useState(today(networkConfig.timeZone));
+  const [slot, setSlot] = useState(1);
+  const [message, setMessage] = useState(null);
+
+  const students = useMemo(() => enrolled || [], [enrolled]);
+  const sessions = useMemo(
+    () => [...(courseSessions || [])].sort((a, b) => b.date.localeCompare(a.date) || a.slot - b.slot),
+    [courseSessions]
+  );
+
+  useEffect(() => {
+    setSelectedSession(null);
+    setMessage(null);
+  }, [course.id]);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(students.map((address) => AptosService.getUserInfo(address))).then((infos) => {
+      if (cancelled) return;
+      setNames(Object.fromEntries(students.map((address, index) => [
+        address,
+        infos[index].success ? infos[index].data.name : '',
+      ])));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [students]);
+
+  const handleEnroll = async () => {
+    const addresses = enrollText.split(/[\s,]+/).filter(Boolean);
+    const invalid = addresses.find((address) => !isValidAddress(address));
+    if (invalid) {
+      setMessage({ type: 'error', text: `Invalid address: ${invalid}` });
+      return;
+    }
+
+    const result = await enroll.mutate(course.id, addresses.map(normalizeAddress));
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to enroll students' });
+      return;
+    }
+
+    setEnrollText('');
+    setMessage({ type: 'success', text: `Enrolled ${addresses.length} students` });
+  };
+
+  const handleUnenroll = async (address) => {
+    const result = await unenroll.mutate(course.id, address);
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to unenroll student' });
+    }
+  };
+
+  const handleCreateSession = async () => {
+    const result = await openSession.mutate(course.id, date, Number(slot));
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to create session' });
+      return;
+    }
+
+    setMessage({ type: 'success', text: `Created session for ${date}, slot ${slot}` });
+  };
+
+  return (
+    <div className="course-detail">
+      <h3>{course.code} — {course.name}</h3>
+
+      <h4>Enrolled Students ({students.length})</h4>
+      <table className="roster-table">
+        <tbody>
+          {students.map((address) => (
+            <tr key={address}>
+              <td>{names[address] || shortenAddress(address)}</td>
+              <td className="roster-address">{shortenAddress(address)}</td>
+              <td>
+                <button onClick={() => handleUnenroll(address)} disabled={unenroll.pending} className="fetch-button">
+                  Unenroll
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <textarea
+        className="roster-input"
+        rows={3}
+        value={enrollText}
+        onChange={(e) => setEnrollText(e.target.value)}
+        placeholder="Student addresses, one per line"
+      />
+      <div className="dashboard-actions">
+        <button onClick={handleEnroll} disabled={enroll.pending || !enrollText.trim()} className="fetch-button">
+          Enroll Students
+        </button>
+      </div>
+
+      <h4>Sessions</h4>
+      <div className="attendance-form">
+        <label>
+          Date
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+        </label>
+        <label>
+          Slot
+          <input type="number" min="1" max="255" value={slot} onChange={(e) => setSlot(e.target.value)} />
+        </label>
+        <button onClick={handleCreateSession} disabled={openSession.pending} className="fetch-button">
+          Create Session
+        </button>
+      </div>
+      <div className="session-list">
+        {sessions.map((session) => (
+          <button
+            key={session.id}
+            onClick={() => setSelectedSession(session)}
+            className={`session-chip${selectedSession?.id === session.id ? ' session-chip-selected' : ''}`}
+          >
+            {session.date} · slot {session.slot}
+          </button>
+        ))}
+        {sessions.length === 0 && <p>No sessions yet.</p>}
+      </div>
+
+      {(studentsError || sessionsError) && <p className="form-error">{studentsError || sessionsError}</p>}
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+
+      {selectedSession && (
+        <SessionAttendance session={selectedSession} students={students} names={names} />
+      )}
+    </div>
+  );
+};
+
+export default CourseDetail;
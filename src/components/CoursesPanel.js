@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { normalizeAddress, isValidAddress } from '../services/addressUtils';
+import { shortenAddress } from '../services/formatters';
+import { useMutation, useCourses, useCheckInValidity } from '../hooks/queries';
+import CourseDetail from './CourseDetail';
+
+// Teachers see and create their own courses; admins see every course and can
+// create one for any teacher.
+const CoursesPanel = () => {
+  const { account, userType, createCourse, setCheckInValidity } = useWalletContext();
+  const create = useMutation(createCourse);
+  const saveValidity = useMutation(setCheckInValidity);
+  const [selectedId, setSelectedId] = useState(null);
+  const [code, setCode] = useState('');
+  const [name, setName] = useState('');
+  const [teacher, setTeacher] = useState('');
+  const [validity, setValidity] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const isAdmin = userType === 'admin';
+  const accountAddress = account?.address?.toString();
+
+  const { data: courses = [], error } = useCourses(isAdmin ? null : accountAddress, { enabled: Boolean(accountAddress) });
+  const { data: savedValidity } = useCheckInValidity({ enabled: isAdmin });
+
+  useEffect(() => {
+    if (savedValidity !== undefined) setValidity(String(savedValidity));
+  }, [savedValidity]);
+
+  const handleValidity = async () => {
+    setMessage(null);
+    const result = await saveValidity.mutate(Number(validity));
+    setMessage(result.success
+      ? { type: 'success', text: `Check-in codes may now last up to ${validity} seconds` }
+      : { type: 'error', text: result.error || 'Failed to update check-in code lifetime' });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const teacherAddress = isAdmin ? teacher.trim() : accountAddress;
+    if (!isValidAddress(teacherAddress)) {
+      setMessage({ type: 'error', text: 'Enter a valid teacher address' });
+      return;
+    }
+
+    const result = await create.mutate(code.trim(), name.trim(), normalizeAddress(teacherAddress));
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to create course' });
+      return;
+    }
+
+    setCode('');
+    setName('');
+    setTeacher('');
+    setMessage({ type: 'success', text: `Created course ${code.trim()}` });
+    if (result.courseId) setSelectedId(String(result.courseId));
+  };
+
+  const selected = courses.find((course) => String(course.id) === selectedId);
+
+  return (
+    <div className="dashboard-section">
+      <h2>{isAdmin ? 'Courses' : 'My Courses'}</h2>
+
+      <table className="roster-table">
+        <thead>
+          <tr>
+            <th>Code</th>
+            <th>Name</th>
+            {isAdmin && <th>Teacher</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {courses.map((course) => (
+            <tr
+              key={course.id}
+              onClick={() => setSelectedId(String(course.id))}
+              className={String(course.id) === selectedId ? 'roster-selected' : ''}
+            >
+              <td>{course.code}</td>
+              <td>{course.name}</td>
+              {isAdmin && <td className="roster-address">{shortenAddress(course.teacher)}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {courses.length === 0 && <p>No courses yet.</p>}
+      {error && <p className="form-error">{error}</p>}
+
+      <form onSubmit={handleCreate} className="attendance-form">
+        <label>
+          Code
+          <input type="text" value={code} onChange={(e) => setCode(e.target.value)} placeholder="MATH101" required />
+        </label>
+        <label>
+          Name
+          <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Algebra I" required />
+        </label>
+        {isAdmin && (
+          <label>
+            Teacher
+            <input type="text" value={teacher} onChange={(e) => setTeacher(e.target.value)} placeholder="0x..." required />
+          </label>
+        )}
+        <button type="submit" disabled={create.pending} className="fetch-button">Create Course</button>
+      </form>
+
+      {isAdmin && (
+        <div className="attendance-form">
+          <label>
+            Longest check-in code lifetime (seconds)
+            <input type="number" min="10" value={validity} onChange={(e) => setValidity(e.target.value)} />
+          </label>
+          <button onClick={handleValidity} disabled={saveValidity.pending || !validity} className="fetch-button">Save</button>
+        </div>
+      )}
+
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+
+      {selected && <CourseDetail course={selected} />}
+    </div>
+  );
+};
+
+export default CoursesPanel;
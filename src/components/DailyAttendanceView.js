@@ -0,0 +1,128 @@
+import React, { useState, useMemo } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { today } from '../services/dates';
+import { shortenAddress, formatTimestamp } from '../services/formatters';
+import { useDailyAttendance } from '../hooks/queries';
+import VirtualTable from './VirtualTable';
+import StatusSelect from './StatusSelect';
+import { STATUS_OPTIONS, formatStatus } from '../services/attendanceStatus';
+
+const COLUMNS = [
+  {
+    key: 'userAddress',
+    label: 'Student',
+    render: (record) => <span title={record.userAddress}>{shortenAddress(record.userAddress)}</span>,
+  },
+  {
+    key: 'status',
+    label: 'Status',
+    render: (record) => (
+      <span className={`status-badge status-${record.status}`}>{formatStatus(record.status)}</span>
+    ),
+    filterValue: (record) => formatStatus(record.status),
+  },
+  {
+    key: 'checkInTime',
+    label: 'Check-in',
+    render: (record) => formatTimestamp(record.checkInTime),
+    sortValue: (record) => Number(record.checkInTime),
+    filterValue: (record) => formatTimestamp(record.checkInTime),
+  },
+  {
+    key: 'checkOutTime',
+    label: 'Check-out',
+    render: (record) => formatTimestamp(record.checkOutTime),
+    sortValue: (record) => Number(record.checkOutTime) || null,
+    filterValue: (record) => formatTimestamp(record.checkOutTime),
+  },
+  {
+    key: 'markedBy',
+    label: 'Marked by',
+    render: (record) => <span title={record.markedBy}>{shortenAddress(record.markedBy)}</span>,
+  },
+];
+
+const recordKey = (record) => `${record.userAddress}-${record.date}`;
+
+const DailyAttendanceView = ({ title = 'Daily Attendance', showSummary = false }) => {
+  const { networkConfig } = useWalletContext();
+  const [date, setDate] = useState(today(networkConfig.timeZone));
+  const [statusFilter, setStatusFilter] = useState('');
+  const [partial, setPartial] = useState({ date: null, records: [] });
+  const [progress, setProgress] = useState(null);
+
+  // Until the first load of a day finishes, its records appear page by page;
+  // a cached day is shown as it was while it refreshes.
+  const { data, error, fetching, refetch } = useDailyAttendance(date, {
+    onPage: ({ date: pageDate, records: page, loaded, total }) => {
+      setPartial((current) => ({
+        date: pageDate,
+        records: current.date === pageDate && loaded > page.length ? [...current.records, ...page] : page,
+      }));
+      setProgress({ date: pageDate, loaded, total });
+    },
+  });
+
+  const records = useMemo(
+    () => data || (partial.date === date ? partial.records : []),
+    [data, partial, date]
+  );
+  const showProgress = fetching && progress?.date === date && progress.loaded < progress.total;
+
+  const checkedOutCount = records.filter((record) => Number(record.checkOutTime) > 0).length;
+  const visibleRecords = useMemo(() => (statusFilter
+    ? records.filter((record) => record.status === statusFilter)
+    : records), [records, statusFilter]);
+
+  return (
+    <div className="dashboard-section">
+      <h2>{title}</h2>
+      <div className="attendance-form">
+        <label>
+          Date
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+        </label>
+        <label>
+          Status
+          <StatusSelect value={statusFilter} onChange={setStatusFilter} allLabel="All statuses" />
+        </label>
+        <button onClick={() => refetch()} disabled={fetching} className="fetch-button">
+          {fetching ? 'Loading...' : 'Refresh'}
+        </button>
+        {showProgress && <span>Loaded {progress.loaded} of {progress.total}</span>}
+      </div>
+
+      {showSummary && (
+        <div className="stats-grid">
+          <div className="stat-card">
+            <span className="stat-value">{records.length}</span>
+            <span className="stat-label">Marked</span>
+          </div>
+          {STATUS_OPTIONS.map((status) => (
+            <div key={status} className="stat-card">
+              <span className="stat-value">{records.filter((record) => record.status === status).length}</span>
+              <span className="stat-label">{formatStatus(status)}</span>
+            </div>
+          ))}
+          <div className="stat-card">
+            <span className="stat-value">{checkedOutCount}</span>
+            <span className="stat-label">Checked Out</span>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="form-error">Failed to load attendance: {error}</p>}
+      <VirtualTable
+        rows={visibleRecords}
+        columns={COLUMNS}
+        rowKey={recordKey}
+        filterPlaceholder="Filter by address, status or time"
+        emptyMessage={statusFilter
+          ? `No ${formatStatus(statusFilter)} records for ${date}.`
+          : `No attendance records for ${date}.`}
+      />
+    </div>
+  );
+};
+
+export default DailyAttendanceView;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { USER_TYPE_NAMES } from '../services/constants';
+import { shortenAddress } from '../services/formatters';
+import { useMutation } from '../hooks/queries';
+
+const InstitutionPicker = () => {
+  const {
+    connected,
+    isRegistered,
+    institution,
+    institutions,
+    memberships,
+    selectInstitution,
+    createInstitution,
+  } = useWalletContext();
+  const create = useMutation(createInstitution);
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const memberOf = new Set(memberships.map((membership) => membership.institution));
+  const others = institutions.filter((item) => !memberOf.has(item.address));
+  const current = institutions.find((item) => item.address === institution);
+  const link = `${window.location.origin}${window.location.pathname}?institution=${institution}`;
+
+  const handleSelect = (event) => {
+    const result = selectInstitution(event.target.value);
+    if (!result.success) setMessage({ type: 'error', text: result.error });
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    const result = await create.mutate(name.trim());
+    if (result.success) {
+      setName('');
+      setMessage({ type: 'success', text: `Created ${name.trim()}; you are its admin` });
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Failed to create institution' });
+    }
+  };
+
+  return (
+    <div className="dashboard-section">
+      <h2>Institution</h2>
+      <form className="attendance-form" onSubmit={(event) => event.preventDefault()}>
+        <label>
+          Institution
+          <select value={institution} onChange={handleSelect}>
+            {!current && !memberOf.has(institution) && (
+              <option value={institution}>{shortenAddress(institution)}</option>
+            )}
+            {memberships.length > 0 && (
+              <optgroup label="Your institutions">
+                {memberships.map((membership) => (
+                  <option key={membership.institution} value={membership.institution}>
+                    {membership.name || shortenAddress(membership.institution)} ({USER_TYPE_NAMES[membership.userType]})
+                  </option>
+                ))}
+              </optgroup>
+            )}
+            {others.length > 0 && (
+              <optgroup label="Other institutions">
+                {others.map((item) => (
+                  <option key={item.address} value={item.address}>
+                    {item.name || shortenAddress(item.address)}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        </label>
+      </form>
+      <p className="wallet-address">Link: {link}</p>
+      {connected && isRegistered === false && (
+        <p>You are not a member of this institution yet. Register below to join it.</p>
+      )}
+      {connected && (
+        <form onSubmit={handleCreate} className="attendance-form">
+          <label>
+            New institution
+            <input
+              type="text"
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              placeholder="School name"
+              required
+            />
+          </label>
+          <button type="submit" disabled={create.pending || !name.trim()} className="attendance-button">
+            Create Institution
+          </button>
+        </form>
+      )}
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default InstitutionPicker;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { normalizeAddress } from '../services/addressUtils';
+import { shortenAddress, formatTimestamp } from '../services/formatters';
+import { formatLeaveCategory, formatLeaveDates } from '../services/leaveRequests';
+import { useMutation, usePendingLeave, useTeacherStudents } from '../hooks/queries';
+
+// Pending leave for review. Admins see every request; teachers see requests
+// from students enrolled in their courses, which are the ones they may review.
+const LeaveQueue = ({ onReviewed }) => {
+  const { account, userType, approveLeave, rejectLeave } = useWalletContext();
+  const approve = useMutation(approveLeave);
+  const reject = useMutation(rejectLeave);
+  const [message, setMessage] = useState(null);
+
+  const isAdmin = userType === 'admin';
+  const pending = usePendingLeave();
+  const students = useTeacherStudents(account?.address?.toString(), { enabled: !isAdmin });
+  const error = pending.error || students.error;
+
+  const requests = isAdmin
+    ? pending.data || []
+    : (pending.data || []).filter((request) => (students.data || []).includes(normalizeAddress(request.userAddress)));
+
+  const review = async (request, approved) => {
+    setMessage(null);
+    const result = approved
+      ? await approve.mutate(request.id)
+      : await reject.mutate(request.id);
+
+    if (result.success) {
+      setMessage({
+        type: 'success',
+        text: `${approved ? 'Approved' : 'Rejected'} leave for ${shortenAddress(request.userAddress)} on ${formatLeaveDates(request.dates)}`,
+      });
+      if (approved && onReviewed) onReviewed(request.dates);
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Failed to review leave request' });
+    }
+  };
+
+  return (
+    <div className="dashboard-section">
+      <h2>Leave Requests ({requests.length})</h2>
+      <div className="dashboard-actions">
+        <button onClick={() => pending.refetch()} disabled={pending.fetching} className="fetch-button">Refresh</button>
+      </div>
+
+      {requests.length === 0 ? (
+        <p>No leave requests are waiting for review.</p>
+      ) : (
+        <table className="roster-table">
+          <thead>
+            <tr>
+              <th>Student</th>
+              <th>Dates</th>
+              <th>Reason</th>
+              <th>Document</th>
+              <th>Requested</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {requests.map((request) => (
+              <tr key={request.id}>
+                <td className="roster-address">{shortenAddress(request.userAddress)}</td>
+                <td>{formatLeaveDates(request.dates)}</td>
+                <td>{formatLeaveCategory(request.category)}: {request.reason}</td>
+                <td className="roster-address" title={request.documentHash || ''}>
+                  {request.documentHash ? shortenAddress(request.documentHash) : '—'}
+                </td>
+                <td>{formatTimestamp(request.requestedAt)}</td>
+                <td>
+                  <button onClick={() => review(request, true)} disabled={approve.pending} className="attendance-button">Approve</button>
+                  <button onClick={() => review(request, false)} disabled={reject.pending} className="fetch-button">Reject</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {error && <p className="form-error">{error}</p>}
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default LeaveQueue;
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { dayKey } from '../services/dates';
+import { formatTimestamp } from '../services/formatters';
+import { useMutation, useUserLeave } from '../hooks/queries';
+import {
+  LEAVE_CATEGORY_OPTIONS,
+  formatLeaveCategory,
+  formatLeaveDates,
+  leaveDates,
+  hashDocument,
+} from '../services/leaveRequests';
+
+// Students file leave ahead of time or explain a past absence. A supporting
+// document is hashed in the browser; only the hash is submitted.
+const LeaveRequestForm = () => {
+  const { account, networkConfig, requestLeave, cancelLeave } = useWalletContext();
+  const request = useMutation(requestLeave);
+  const cancel = useMutation(cancelLeave);
+  const today = dayKey(new Date(), networkConfig.timeZone);
+  const [startDate, setStartDate] = useState(today);
+  const [endDate, setEndDate] = useState(today);
+  const [category, setCategory] = useState(LEAVE_CATEGORY_OPTIONS[0]);
+  const [reason, setReason] = useState('');
+  const [documentHash, setDocumentHash] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const { data: filed = [] } = useUserLeave(account?.address?.toString());
+  const requests = [...filed].reverse();
+
+  const handleDocument = async (e) => {
+    const file = e.target.files[0];
+    setDocumentHash(file ? await hashDocument(file) : '');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    let dates;
+    try {
+      dates = leaveDates(startDate, endDate);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+      return;
+    }
+
+    const result = await request.mutate({ dates, category, reason: reason.trim(), documentHash });
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to request leave' });
+      return;
+    }
+
+    setMessage({ type: 'success', text: `Leave requested for ${formatLeaveDates(dates)}` });
+    setReason('');
+    setDocumentHash('');
+    e.target.reset();
+  };
+
+  const handleCancel = async (request) => {
+    setMessage(null);
+    const result = await cancel.mutate(request.id);
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to cancel leave request' });
+    }
+  };
+
+  return (
+    <div className="dashboard-section">
+      <h2>Leave Requests</h2>
+      <form onSubmit={handleSubmit} className="attendance-form">
+        <label>
+          From
+          <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} required />
+        </label>
+        <label>
+          To
+          <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} required />
+        </label>
+        <label>
+          Reason
+          <select value={category} onChange={(e) => setCategory(e.target.value)}>
+            {LEAVE_CATEGORY_OPTIONS.map((option) => (
+              <option key={option} value={option}>{formatLeaveCategory(option)}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Details
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="e.g. dentist appointment"
+            required
+          />
+        </label>
+        <label>
+          Document (optional)
+          <input type="file" onChange={handleDocument} />
+        </label>
+        <button type="submit" disabled={request.pending || !reason.trim()} className="attendance-button">
+          {request.pending ? 'Submitting...' : 'Request Leave'}
+        </button>
+      </form>
+      {documentHash && <p className="roster-address">Document hash: {documentHash}</p>}
+
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+
+      {requests.length > 0 && (
+        <table className="roster-table">
+          <thead>
+            <tr>
+              <th>Dates</th>
+              <th>Reason</th>
+              <th>Requested</th>
+              <th>State</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {requests.map((request) => (
+              <tr key={request.id}>
+                <td>{formatLeaveDates(request.dates)}</td>
+                <td>{formatLeaveCategory(request.category)}: {request.reason}</td>
+                <td>{formatTimestamp(request.requestedAt)}</td>
+                <td className={`leave-${request.state}`}>{request.state}</td>
+                <td>
+                  {request.state === 'pending' && (
+                    <button onClick={() => handleCancel(request)} disabled={cancel.pending} className="fetch-button">Cancel</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default LeaveRequestForm;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { today } from '../services/dates';
+import { useMutation } from '../hooks/queries';
+import StatusSelect from './StatusSelect';
+
+const MarkAttendanceForm = ({ onMarked }) => {
+  const { networkConfig, markAttendance } = useWalletContext();
+  const mark = useMutation(markAttendance);
+  const [userAddress, setUserAddress] = useState('');
+  const [date, setDate] = useState(today(networkConfig.timeZone));
+  const [status, setStatus] = useState('present');
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setMessage(null);
+
+    if (!userAddress.trim()) {
+      setMessage({ type: 'error', text: 'Please enter a user address' });
+      return;
+    }
+
+    const result = await mark.mutate(userAddress.trim(), date, status);
+    if (result.success) {
+      setMessage({ type: 'success', text: `Attendance marked for ${date}` });
+      setUserAddress('');
+      if (onMarked) onMarked(date);
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Failed to mark attendance' });
+    }
+  };
+
+  return (
+    <div className="dashboard-section">
+      <h2>Mark Attendance</h2>
+      <form onSubmit={handleSubmit} className="attendance-form">
+        <label>
+          User Address
+          <input
+            type="text"
+            value={userAddress}
+            onChange={(e) => setUserAddress(e.target.value)}
+            placeholder="0x..."
+          />
+        </label>
+        <label>
+          Date
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+        </label>
+        <label>
+          Status
+          <StatusSelect value={status} onChange={setStatus} />
+        </label>
+        <button type="submit" disabled={mark.pending} className="attendance-button">
+          {mark.pending ? 'Marking...' : 'Mark Attendance'}
+        </button>
+      </form>
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default MarkAttendanceForm;
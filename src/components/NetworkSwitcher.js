@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { NETWORKS } from '../services/networkConfig';
+
+const NetworkSwitcher = () => {
+  const { networkConfig, walletNetwork, switchNetwork, resetNetwork } = useWalletContext();
+  const [draft, setDraft] = useState(networkConfig);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setDraft(networkConfig);
+  }, [networkConfig]);
+
+  const updateDraft = (field) => (event) => {
+    setDraft({ ...draft, [field]: event.target.value.trim() });
+  };
+
+  const handleApply = (event) => {
+    event.preventDefault();
+    const result = switchNetwork(draft);
+    setMessage(result.success
+      ? { type: 'success', text: `Switched to ${draft.network}` }
+      : { type: 'error', text: result.error });
+  };
+
+  const handleReset = () => {
+    const result = resetNetwork();
+    setMessage(result.success
+      ? { type: 'success', text: 'Restored the build defaults' }
+      : { type: 'error', text: result.error });
+  };
+
+  const walletNetworkName = walletNetwork?.name?.toLowerCase();
+  const mismatch = walletNetworkName && walletNetworkName !== networkConfig.network;
+
+  return (
+    <div className="dashboard-section">
+      <h2>Network</h2>
+      <form onSubmit={handleApply} className="attendance-form">
+        <label>
+          Network
+          <select value={draft.network} onChange={updateDraft('network')}>
+            {Object.keys(NETWORKS).map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Fullnode URL
+          <input
+            type="text"
+            value={draft.fullnodeUrl}
+            onChange={updateDraft('fullnodeUrl')}
+            placeholder={draft.network === 'custom' ? 'https://...' : 'Network default'}
+          />
+        </label>
+        <label>
+          Module Address
+          <input type="text" value={draft.moduleAddress} onChange={updateDraft('moduleAddress')} />
+        </label>
+        <label>
+          Module Name
+          <input type="text" value={draft.moduleName} onChange={updateDraft('moduleName')} />
+        </label>
+        <label>
+          Timezone
+          <input
+            type="text"
+            value={draft.timeZone || ''}
+            onChange={updateDraft('timeZone')}
+            placeholder="Browser timezone"
+          />
+        </label>
+        <label>
+          Sponsor URL
+          <input
+            type="text"
+            value={draft.sponsorUrl || ''}
+            onChange={updateDraft('sponsorUrl')}
+            placeholder="Off (students pay gas)"
+          />
+        </label>
+        <button type="submit" className="attendance-button">Apply</button>
+        <button type="button" onClick={handleReset} className="fetch-button">Reset</button>
+      </form>
+      {mismatch && (
+        <p className="form-error">
+          Your wallet is on {walletNetwork.name}. Switch it to {networkConfig.network} before signing.
+        </p>
+      )}
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default NetworkSwitcher;
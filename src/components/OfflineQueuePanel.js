@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { formatTimestamp } from '../services/formatters';
+import { formatStatus } from '../services/attendanceStatus';
+
+const KIND_LABELS = {
+  check_in: 'Check-in',
+  checkout: 'Check-out',
+};
+
+// A check-in replayed after the grace period is recorded late even when it was
+// saved on time.
+const changedByLateSync = (intent) => (
+  intent.recordedStatus && intent.queuedStatus && intent.recordedStatus !== intent.queuedStatus
+);
+
+const STATE_LABELS = {
+  queued: 'Queued',
+  syncing: 'Syncing',
+  confirmed: 'Confirmed',
+  failed: 'Failed',
+};
+
+// Check-ins and checkouts saved while offline, with their replay state. Hidden
+// while online with nothing queued.
+const OfflineQueuePanel = () => {
+  const {
+    queuedIntents,
+    syncingQueue,
+    syncOfflineQueue,
+    discardQueuedIntent,
+    clearConfirmedIntents,
+  } = useWalletContext();
+  const [online, setOnline] = useState(navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  if (online && queuedIntents.length === 0) return null;
+
+  const waiting = queuedIntents.filter((intent) => intent.state === 'queued').length;
+  const confirmed = queuedIntents.filter((intent) => intent.state === 'confirmed').length;
+
+  return (
+    <div className="dashboard-section">
+      <h2>Offline Check-ins</h2>
+      {!online && (
+        <p className="form-error">
+          You are offline. Check-ins and check-outs are saved on this device and submitted when you reconnect.
+        </p>
+      )}
+
+      {queuedIntents.length > 0 && (
+        <table className="roster-table">
+          <thead>
+            <tr>
+              <th>Action</th>
+              <th>Day</th>
+              <th>Saved at</th>
+              <th>State</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {queuedIntents.map((intent) => (
+              <tr key={intent.id}>
+                <td>{KIND_LABELS[intent.kind]}</td>
+                <td>{intent.date}</td>
+                <td>{formatTimestamp(intent.queuedAt)}</td>
+                <td>
+                  <span className={`queue-${intent.state}`}>{STATE_LABELS[intent.state]}</span>
+                  {intent.resolution === 'already_marked' && <span className="roster-address"> already recorded</span>}
+                  {intent.error && <span className="roster-address"> {intent.error}</span>}
+                  {changedByLateSync(intent) && (
+                    <span className="form-error">
+                      {' '}Recorded as {formatStatus(intent.recordedStatus)} because it synced at
+                      {' '}{formatTimestamp(intent.recordedAt)}; it would have been
+                      {' '}{formatStatus(intent.queuedStatus)} when saved. Ask your teacher for a correction.
+                    </span>
+                  )}
+                </td>
+                <td>
+                  {(intent.state === 'queued' || intent.state === 'failed') && (
+                    <button onClick={() => discardQueuedIntent(intent.id)} className="disconnect-button">
+                      Discard
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="dashboard-actions">
+        <button
+          onClick={syncOfflineQueue}
+          disabled={!online || syncingQueue || waiting === 0}
+          className="attendance-button"
+        >
+          {syncingQueue ? 'Syncing...' : `Sync ${waiting} Now`}
+        </button>
+        <button onClick={clearConfirmedIntents} disabled={confirmed === 0} className="fetch-button">
+          Clear Confirmed
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OfflineQueuePanel;
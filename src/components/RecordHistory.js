@@ -0,0 +1,39 @@
+import React from 'react';
+import { shortenAddress, formatTimestamp } from '../services/formatters';
+import { formatStatus } from '../services/attendanceStatus';
+
+// Audit trail of one daily record, oldest correction first.
+const RecordHistory = ({ corrections }) => {
+  if (corrections.length === 0) {
+    return <p>This record has never been corrected.</p>;
+  }
+
+  return (
+    <table className="roster-table">
+      <thead>
+        <tr>
+          <th>Requested</th>
+          <th>By</th>
+          <th>Change</th>
+          <th>Reason</th>
+          <th>State</th>
+          <th>Reviewed by</th>
+        </tr>
+      </thead>
+      <tbody>
+        {corrections.map((correction) => (
+          <tr key={correction.id}>
+            <td>{formatTimestamp(correction.requestedAt)}</td>
+            <td className="roster-address">{shortenAddress(correction.requestedBy)}</td>
+            <td>{formatStatus(correction.previousStatus)} → {formatStatus(correction.newStatus)}</td>
+            <td>{correction.reason}</td>
+            <td className={`correction-${correction.state}`}>{correction.state}</td>
+            <td className="roster-address">{correction.reviewedBy ? shortenAddress(correction.reviewedBy) : '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default RecordHistory;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { useMutation } from '../hooks/queries';
+
+const RegistrationForm = () => {
+  const { registerUser } = useWalletContext();
+  const register = useMutation(registerUser);
+  const [name, setName] = useState('');
+  const [type, setType] = useState('student');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+
+    if (!name.trim()) {
+      setError('Please enter your name');
+      return;
+    }
+
+    const result = await register.mutate(name.trim(), type);
+    if (!result.success) {
+      setError(result.error || 'Registration failed');
+    }
+  };
+
+  return (
+    <div className="dashboard-section">
+      <h2>Register</h2>
+      <p>This wallet is not registered yet. Tell us who you are to get started.</p>
+      <form onSubmit={handleSubmit} className="attendance-form">
+        <label>
+          Name
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Your full name"
+          />
+        </label>
+        <label>
+          Role
+          <select value={type} onChange={(e) => setType(e.target.value)}>
+            <option value="student">Student</option>
+            <option value="teacher">Teacher</option>
+          </select>
+        </label>
+        <button type="submit" disabled={register.pending} className="attendance-button">
+          {register.pending ? 'Registering...' : 'Register'}
+        </button>
+      </form>
+      {error && <p className="form-error">{error}</p>}
+    </div>
+  );
+};
+
+export default RegistrationForm;
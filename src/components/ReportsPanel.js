@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { today } from '../services/dates';
+import AptosService from '../services/aptosService';
+import { createBrowserIndexer } from '../services/indexer';
+import ReportBuilder from '../services/reports';
+import { exportReport, REPORT_FORMATS } from '../services/reportExport';
+import { isValidAddress } from '../services/addressUtils';
+import { USER_TYPES } from '../services/constants';
+import { shortenAddress } from '../services/formatters';
+import { loadRoster } from './RosterView';
+
+const REPORT_TYPES = {
+  daily: 'Daily sheet',
+  student: 'Student summary',
+  register: 'Monthly class register',
+};
+
+const ReportsPanel = () => {
+  const { account, userType, networkConfig } = useWalletContext();
+  const currentDay = today(networkConfig.timeZone);
+  const indexer = useMemo(() => createBrowserIndexer(AptosService), []);
+  const [reportType, setReportType] = useState('daily');
+  const [format, setFormat] = useState('csv');
+  const [date, setDate] = useState(currentDay);
+  const [startDate, setStartDate] = useState(`${currentDay.slice(0, 8)}01`);
+  const [endDate, setEndDate] = useState(currentDay);
+  const [month, setMonth] = useState(currentDay.slice(0, 7));
+  const [student, setStudent] = useState('');
+  const [students, setStudents] = useState([]);
+  const [exporting, setExporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const accountAddress = account?.address?.toString();
+
+  useEffect(() => {
+    if (userType === 'teacher' && accountAddress) {
+      setStudents(loadRoster(accountAddress));
+      return;
+    }
+
+    indexer.sync()
+      .catch((err) => console.error('Indexer sync error:', err))
+      .then(() => indexer.getUsers())
+      .then((users) => setStudents(users.filter((user) => user.userType === USER_TYPES.student)));
+  }, [indexer, userType, accountAddress]);
+
+  const buildReport = () => {
+    const builder = new ReportBuilder(AptosService, indexer);
+    switch (reportType) {
+      case 'student':
+        if (!isValidAddress(student)) {
+          throw new Error('Choose a student or enter a valid address');
+        }
+        if (startDate > endDate) {
+          throw new Error('Start date must not be after end date');
+        }
+        return builder.studentReport(student, startDate, endDate);
+      case 'register':
+        if (students.length === 0) {
+          throw new Error('No students to include in the register');
+        }
+        return builder.monthlyRegister(
+          month,
+          students.map((item) => item.address),
+          userType === 'teacher' ? 'Class' : 'All students'
+        );
+      default:
+        return builder.dailyReport(date);
+    }
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    setMessage(null);
+
+    try {
+      const report = await buildReport();
+      await exportReport(report, format);
+      setMessage({ type: 'success', text: `Exported ${report.rows.length} rows as ${format.toUpperCase()}` });
+    } catch (err) {
+      console.error('Report export error:', err);
+      setMessage({ type: 'error', text: err.message || 'Failed to export report' });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="dashboard-section">
+      <h2>Reports</h2>
+      <div className="attendance-form">
+        <label>
+          Report
+          <select value={reportType} onChange={(e) => setReportType(e.target.value)}>
+            {Object.entries(REPORT_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {reportType === 'daily' && (
+          <label>
+            Date
+            <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+          </label>
+        )}
+
+        {reportType === 'student' && (
+          <>
+            <label>
+              Student
+              <input
+                type="text"
+                list="report-students"
+                value={student}
+                onChange={(e) => setStudent(e.target.value.trim())}
+                placeholder="0x..."
+              />
+              <datalist id="report-students">
+                {students.map((item) => (
+                  <option key={item.address} value={item.address}>
+                    {item.name || shortenAddress(item.address)}
+                  </option>
+                ))}
+              </datalist>
+            </label>
+            <label>
+              From
+              <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+            </label>
+            <label>
+              To
+              <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+            </label>
+          </>
+        )}
+
+        {reportType === 'register' && (
+          <label>
+            Month
+            <input type="month" value={month} onChange={(e) => setMonth(e.target.value)} />
+          </label>
+        )}
+
+        <label>
+          Format
+          <select value={format} onChange={(e) => setFormat(e.target.value)}>
+            {REPORT_FORMATS.map((value) => (
+              <option key={value} value={value}>{value.toUpperCase()}</option>
+            ))}
+          </select>
+        </label>
+        <button onClick={handleExport} disabled={exporting} className="fetch-button">
+          {exporting ? 'Exporting...' : 'Export'}
+        </button>
+      </div>
+
+      {reportType === 'register' && (
+        <p>
+          {students.length} {userType === 'teacher' ? 'students from your class roster' : 'registered students'}
+        </p>
+      )}
+
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ReportsPanel;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { today } from '../services/dates';
+import { normalizeAddress, isValidAddress } from '../services/addressUtils';
+import { shortenAddress } from '../services/formatters';
+import { useMutation } from '../hooks/queries';
+import StatusSelect from './StatusSelect';
+
+const RESULT_LABELS = {
+  marked: 'Marked',
+  skipped: 'Skipped',
+  unknown: 'No result',
+};
+
+const REASON_LABELS = {
+  already_marked: 'already marked',
+  user_not_found: 'not registered',
+  not_enrolled: 'not in your courses',
+};
+
+const rosterKey = (address) => `wenidi.roster.${address}`;
+
+export const loadRoster = (address) => JSON.parse(window.localStorage.getItem(rosterKey(address)) || '[]');
+
+const parseRoster = (text) => text
+  .split('\n')
+  .map((line) => line.trim())
+  .filter(Boolean)
+  .map((line) => {
+    const [address, ...name] = line.split(',');
+    return { address: address.trim(), name: name.join(',').trim() };
+  });
+
+const RosterView = ({ onMarked }) => {
+  const { account, networkConfig, markAttendanceBatch } = useWalletContext();
+  const submitBatch = useMutation(markAttendanceBatch);
+  const [students, setStudents] = useState([]);
+  const [statuses, setStatuses] = useState({});
+  const [results, setResults] = useState({});
+  const [rosterText, setRosterText] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [date, setDate] = useState(today(networkConfig.timeZone));
+  const [message, setMessage] = useState(null);
+
+  const teacherAddress = account?.address?.toString();
+
+  useEffect(() => {
+    if (!teacherAddress) return;
+    const saved = loadRoster(teacherAddress);
+    setStudents(saved);
+    setStatuses(Object.fromEntries(saved.map((student) => [student.address, 'present'])));
+    setEditing(saved.length === 0);
+  }, [teacherAddress]);
+
+  const saveRoster = () => {
+    const parsed = parseRoster(rosterText);
+    const invalid = parsed.filter((student) => !isValidAddress(student.address));
+    if (invalid.length > 0) {
+      setMessage({ type: 'error', text: `Invalid address: ${invalid[0].address}` });
+      return;
+    }
+
+    const unique = [...new Map(parsed.map((student) => [
+      normalizeAddress(student.address),
+      { ...student, address: normalizeAddress(student.address) },
+    ])).values()];
+
+    window.localStorage.setItem(rosterKey(teacherAddress), JSON.stringify(unique));
+    setStudents(unique);
+    setStatuses(Object.fromEntries(unique.map((student) => [student.address, 'present'])));
+    setResults({});
+    setEditing(false);
+    setMessage(null);
+  };
+
+  const startEditing = () => {
+    setRosterText(students.map((student) => [student.address, student.name].filter(Boolean).join(',')).join('\n'));
+    setEditing(true);
+  };
+
+  const setAll = (status) => {
+    setStatuses(Object.fromEntries(students.map((student) => [student.address, status])));
+  };
+
+  const handleSubmit = async () => {
+    setMessage(null);
+    setResults({});
+
+    const entries = students.map((student) => ({
+      userAddress: student.address,
+      status: statuses[student.address] || 'present',
+    }));
+
+    const result = await submitBatch.mutate(entries, date);
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to mark class attendance' });
+      return;
+    }
+
+    setResults(Object.fromEntries(result.results.map((item) => [item.userAddress, item])));
+    const marked = result.results.filter((item) => item.status === 'marked').length;
+    setMessage({
+      type: 'success',
+      text: `Marked ${marked} of ${entries.length} students for ${date}`,
+    });
+    if (onMarked) onMarked(date);
+  };
+
+  if (editing) {
+    return (
+      <div className="dashboard-section">
+        <h2>Class Roster</h2>
+        <p>One student per line: address, optionally followed by a comma and their name.</p>
+        <textarea
+          className="roster-input"
+          rows={8}
+          value={rosterText}
+          onChange={(e) => setRosterText(e.target.value)}
+          placeholder={'0x1234...,Jane Doe\n0xabcd...,John Smith'}
+        />
+        <div className="dashboard-actions">
+          <button onClick={saveRoster} className="attendance-button">Save Roster</button>
+          {students.length > 0 && (
+            <button onClick={() => setEditing(false)} className="fetch-button">Cancel</button>
+          )}
+        </div>
+        {message && <p className="form-error">{message.text}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-section">
+      <h2>Class Roster</h2>
+      <div className="attendance-form">
+        <label>
+          Date
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+        </label>
+        <button onClick={() => setAll('present')} className="fetch-button">All Present</button>
+        <button onClick={() => setAll('absent')} className="fetch-button">All Absent</button>
+        <button onClick={startEditing} className="fetch-button">Edit Roster</button>
+      </div>
+
+      <table className="roster-table">
+        <thead>
+          <tr>
+            <th>Student</th>
+            <th>Status</th>
+            <th>Result</th>
+          </tr>
+        </thead>
+        <tbody>
+          {students.map((student) => {
+            const result = results[student.address];
+            return (
+              <tr key={student.address}>
+                <td>
+                  {student.name || shortenAddress(student.address)}
+                  {student.name && <span className="roster-address"> {shortenAddress(student.address)}</span>}
+                </td>
+                <td>
+                  <StatusSelect
+                    value={statuses[student.address] || 'present'}
+                    onChange={(status) => setStatuses({ ...statuses, [student.address]: status })}
+                  />
+                </td>
+                <td className={result ? `roster-result-${result.status}` : ''}>
+                  {result
+                    ? `${RESULT_LABELS[result.status]}${result.reason ? ` (${REASON_LABELS[result.reason] || result.reason})` : ''}`
+                    : '—'}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="dashboard-actions">
+        <button
+          onClick={handleSubmit}
+          disabled={submitBatch.pending || students.length === 0}
+          className="attendance-button"
+        >
+          {submitBatch.pending ? 'Submitting...' : `Submit Attendance for ${students.length} Students`}
+        </button>
+      </div>
+
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RosterView;
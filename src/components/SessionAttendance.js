@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { normalizeAddress } from '../services/addressUtils';
+import { shortenAddress, formatTimestamp } from '../services/formatters';
+import { formatStatus } from '../services/attendanceStatus';
+import { useMutation, useSessionAttendance } from '../hooks/queries';
+import CheckInCodeDisplay from './CheckInCodeDisplay';
+import StatusSelect from './StatusSelect';
+
+const REASON_LABELS = {
+  already_marked: 'already marked',
+  not_enrolled: 'not enrolled',
+};
+
+const SessionAttendance = ({ session, students, names }) => {
+  const { markSessionAttendance } = useWalletContext();
+  const mark = useMutation(markSessionAttendance);
+  const { data: records = [], error, refetch } = useSessionAttendance(session.id);
+  const [statuses, setStatuses] = useState({});
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setMessage(null);
+    setStatuses(Object.fromEntries(students.map((address) => [address, 'present'])));
+  }, [students, session.id]);
+
+  const marked = new Map(records.map((record) => [normalizeAddress(record.userAddress), record]));
+  const unmarked = students.filter((address) => !marked.has(address));
+
+  const handleSubmit = async () => {
+    setMessage(null);
+
+    const entries = unmarked.map((address) => ({
+      userAddress: address,
+      status: statuses[address] || 'present',
+    }));
+    const result = await mark.mutate(session.id, entries);
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Failed to mark session attendance' });
+      return;
+    }
+
+    const skipped = result.results.filter((item) => item.status === 'skipped');
+    setMessage({
+      type: 'success',
+      text: `Marked ${entries.length - skipped.length} of ${entries.length} students`
+        + (skipped.length > 0
+          ? `; skipped ${skipped.map((item) => `${shortenAddress(item.userAddress)} (${REASON_LABELS[item.reason] || item.reason})`).join(', ')}`
+          : ''),
+    });
+  };
+
+  return (
+    <div className="session-attendance">
+      <h3>Session {session.date}, slot {session.slot}</h3>
+      <CheckInCodeDisplay session={session} onRotate={refetch} />
+      <table className="roster-table">
+        <thead>
+          <tr>
+            <th>Student</th>
+            <th>Status</th>
+            <th>Marked</th>
+          </tr>
+        </thead>
+        <tbody>
+          {students.map((address) => {
+            const record = marked.get(address);
+            return (
+              <tr key={address}>
+                <td>
+                  {names[address] || shortenAddress(address)}
+                  {names[address] && <span className="roster-address"> {shortenAddress(address)}</span>}
+                </td>
+                <td>
+                  {record ? (
+                    <span className={`status-badge status-${record.status}`}>{formatStatus(record.status)}</span>
+                  ) : (
+                    <StatusSelect
+                      value={statuses[address] || 'present'}
+                      onChange={(status) => setStatuses({ ...statuses, [address]: status })}
+                    />
+                  )}
+                </td>
+                <td>{record ? formatTimestamp(record.checkInTime) : '—'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="dashboard-actions">
+        <button
+          onClick={handleSubmit}
+          disabled={mark.pending || unmarked.length === 0}
+          className="attendance-button"
+        >
+          {mark.pending ? 'Submitting...' : `Mark ${unmarked.length} Students`}
+        </button>
+      </div>
+
+      {error && <p className="form-error">{error}</p>}
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SessionAttendance;
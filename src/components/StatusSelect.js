@@ -0,0 +1,22 @@
+import React from 'react';
+import { STATUS_OPTIONS } from '../services/attendanceStatus';
+
+const STATUS_LABELS = {
+  present: 'Present',
+  late: 'Late',
+  half_day: 'Half-day',
+  excused: 'Excused',
+  absent: 'Absent',
+};
+
+// Attendance status picker. allLabel adds an empty option, for filters.
+const StatusSelect = ({ value, onChange, options = STATUS_OPTIONS, allLabel, ...props }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} {...props}>
+    {allLabel && <option value="">{allLabel}</option>}
+    {options.map((status) => (
+      <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+    ))}
+  </select>
+);
+
+export default StatusSelect;
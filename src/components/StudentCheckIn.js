@@ -0,0 +1,101 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { useMutation } from '../hooks/queries';
+
+const SCAN_INTERVAL_MS = 500;
+
+// Session check-in with the code shown on the teacher's screen. Scanning uses
+// the browser's BarcodeDetector where available; pasting the code always works.
+const StudentCheckIn = () => {
+  const { checkInWithCode } = useWalletContext();
+  const checkIn = useMutation(checkInWithCode);
+  const [code, setCode] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [message, setMessage] = useState(null);
+  const videoRef = useRef(null);
+
+  const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  useEffect(() => {
+    if (!scanning) return undefined;
+
+    let stream = null;
+    let timer = null;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then((mediaStream) => {
+        stream = mediaStream;
+        videoRef.current.srcObject = mediaStream;
+        videoRef.current.play();
+        timer = setInterval(async () => {
+          const codes = await detector.detect(videoRef.current).catch(() => []);
+          if (codes.length > 0) {
+            setCode(codes[0].rawValue);
+            setScanning(false);
+          }
+        }, SCAN_INTERVAL_MS);
+      })
+      .catch((err) => {
+        console.error('Camera error:', err);
+        setMessage({ type: 'error', text: 'Camera unavailable; paste the code instead' });
+        setScanning(false);
+      });
+
+    return () => {
+      clearInterval(timer);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, [scanning]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const result = await checkIn.mutate(code.trim());
+    if (result.success) {
+      setCode('');
+      setMessage({ type: 'success', text: 'Checked in to the session' });
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Check-in failed' });
+    }
+  };
+
+  return (
+    <div className="dashboard-section">
+      <h2>Session Check-in</h2>
+      <p>Scan the QR code on your teacher's screen, or paste the code shown under it.</p>
+
+      {scanning && <video ref={videoRef} className="check-in-video" muted playsInline />}
+
+      <form onSubmit={handleSubmit} className="attendance-form">
+        <label>
+          Code
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="WENIDI1..."
+            required
+          />
+        </label>
+        {canScan && (
+          <button type="button" onClick={() => setScanning(!scanning)} className="fetch-button">
+            {scanning ? 'Stop Camera' : 'Scan QR'}
+          </button>
+        )}
+        <button type="submit" disabled={checkIn.pending || !code.trim()} className="attendance-button">
+          {checkIn.pending ? 'Checking in...' : 'Check In'}
+        </button>
+      </form>
+
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default StudentCheckIn;
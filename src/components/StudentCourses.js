@@ -0,0 +1,61 @@
+import React from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { countsAsPresent, formatStatus } from '../services/attendanceStatus';
+import { useCourseSessions, useStudentCourses, useStudentSessionAttendance } from '../hooks/queries';
+
+// One course's sessions with the student's record for each. Session check-ins
+// make both queries stale, so the table follows them.
+const StudentCourse = ({ course, accountAddress }) => {
+  const { data: sessions = [] } = useCourseSessions(course.id);
+  const { data: records = [] } = useStudentSessionAttendance(accountAddress, course.id);
+
+  const bySession = new Map(records.map((record) => [String(record.sessionId), record]));
+  const rows = sessions
+    .map((session) => ({ ...session, record: bySession.get(String(session.id)) }))
+    .sort((a, b) => b.date.localeCompare(a.date) || a.slot - b.slot);
+  const markedSessions = rows.filter((session) => session.record);
+  const attended = markedSessions.filter((session) => countsAsPresent(session.record.status)).length;
+  const late = markedSessions.filter((session) => session.record.status === 'late').length;
+
+  return (
+    <div className="course-detail">
+      <h3>{course.code} — {course.name}</h3>
+      <p>
+        Attended {attended} of {markedSessions.length} marked sessions
+        {late > 0 && ` (${late} late)`}.
+      </p>
+      <table className="roster-table">
+        <tbody>
+          {rows.map((session) => (
+            <tr key={session.id}>
+              <td>{session.date}</td>
+              <td>Slot {session.slot}</td>
+              <td>{formatStatus(session.record?.status)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// The signed-in student's courses with their attendance for each session.
+const StudentCourses = () => {
+  const { account } = useWalletContext();
+  const accountAddress = account?.address?.toString();
+  const { data: courses = [], error } = useStudentCourses(accountAddress);
+
+  return (
+    <div className="dashboard-section">
+      <h2>My Courses</h2>
+      {error && <p className="form-error">{error}</p>}
+      {courses.length === 0 && <p>You are not enrolled in any courses.</p>}
+
+      {courses.map((course) => (
+        <StudentCourse key={course.id} course={course} accountAddress={accountAddress} />
+      ))}
+    </div>
+  );
+};
+
+export default StudentCourses;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { dayKey } from '../services/dates';
+import { formatTimestamp } from '../services/formatters';
+import { formatStatus } from '../services/attendanceStatus';
+import AttendanceCalendar from './AttendanceCalendar';
+import StudentCourses from './StudentCourses';
+import StudentCheckIn from './StudentCheckIn';
+import LeaveRequestForm from './LeaveRequestForm';
+import OfflineQueuePanel from './OfflineQueuePanel';
+import {
+  useMutation,
+  useUserAttendance,
+  useSelfCheckInAllowed,
+  useSponsorQuota,
+} from '../hooks/queries';
+
+const StudentDashboard = () => {
+  const {
+    account,
+    userInfo,
+    networkConfig,
+    checkIn,
+    checkOut,
+    queuedIntents,
+  } = useWalletContext();
+  const arrive = useMutation(checkIn);
+  const leave = useMutation(checkOut);
+  const [message, setMessage] = useState(null);
+
+  // Writes and synced offline intents refresh these through the query cache.
+  const accountAddress = account?.address?.toString();
+  const today = dayKey(new Date(), networkConfig.timeZone);
+  const { data: todayRecord } = useUserAttendance(accountAddress, today);
+  const { data: selfCheckIn } = useSelfCheckInAllowed();
+  const { data: sponsorQuota } = useSponsorQuota(accountAddress, { enabled: Boolean(networkConfig.sponsorUrl) });
+
+  const pendingToday = (kind) => queuedIntents.some((intent) => (
+    intent.date === today && intent.kind === kind && (intent.state === 'queued' || intent.state === 'syncing')
+  ));
+
+  const handleCheckIn = async () => {
+    setMessage(null);
+    const result = await arrive.mutate(today);
+    if (result.queued) {
+      setMessage({ type: 'success', text: 'You are offline. Check-in saved and will be submitted when you reconnect' });
+    } else if (result.success) {
+      setMessage({ type: 'success', text: 'Checked in successfully' });
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Check-in failed' });
+    }
+  };
+
+  const handleCheckOut = async () => {
+    setMessage(null);
+    const result = await leave.mutate(today);
+    if (result.queued) {
+      setMessage({ type: 'success', text: 'You are offline. Check-out saved and will be submitted when you reconnect' });
+    } else if (result.success) {
+      setMessage({ type: 'success', text: 'Checked out successfully' });
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Check-out failed' });
+    }
+  };
+
+  const checkedIn = Boolean(todayRecord) || pendingToday('check_in');
+  const checkedOut = (checkedIn && Number(todayRecord?.checkOutTime) > 0) || pendingToday('checkout');
+
+  return (
+    <>
+      <div className="dashboard-section">
+        <h2>Welcome, {userInfo?.name}</h2>
+        <p>Today: {today}</p>
+        {sponsorQuota && (
+          <p>
+            Your institution pays the transaction fees: {sponsorQuota.remaining} of {sponsorQuota.limit} sponsored
+            transactions left today.
+          </p>
+        )}
+
+        {todayRecord ? (
+          <div className="record-item">
+            <p><strong>Status:</strong> {formatStatus(todayRecord.status)}</p>
+            <p><strong>Check-in:</strong> {formatTimestamp(todayRecord.checkInTime)}</p>
+            <p><strong>Check-out:</strong> {formatTimestamp(todayRecord.checkOutTime)}</p>
+          </div>
+        ) : (
+          <p>{pendingToday('check_in') ? 'Your check-in is waiting to be submitted.' : 'You have not checked in today.'}</p>
+        )}
+
+        {!checkedIn && selfCheckIn === false && (
+          <p>Your institution takes attendance with session codes. Check in with the code your teacher shows below.</p>
+        )}
+
+        <div className="dashboard-actions">
+          {selfCheckIn !== false && (
+            <button
+              onClick={handleCheckIn}
+              disabled={arrive.pending || checkedIn}
+              className="attendance-button"
+            >
+              {arrive.pending ? 'Submitting...' : 'Check In'}
+            </button>
+          )}
+          <button
+            onClick={handleCheckOut}
+            disabled={leave.pending || !checkedIn || checkedOut}
+            className="fetch-button"
+          >
+            {leave.pending ? 'Submitting...' : 'Check Out'}
+          </button>
+        </div>
+
+        {message && (
+          <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+            {message.text}
+          </p>
+        )}
+      </div>
+      <OfflineQueuePanel />
+      <AttendanceCalendar userAddress={accountAddress} />
+      <StudentCheckIn />
+      <StudentCourses />
+      <LeaveRequestForm />
+    </>
+  );
+};
+
+export default StudentDashboard;
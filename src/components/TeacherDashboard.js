@@ -0,0 +1,33 @@
+import React from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import MarkAttendanceForm from './MarkAttendanceForm';
+import RosterView from './RosterView';
+import DailyAttendanceView from './DailyAttendanceView';
+import CoursesPanel from './CoursesPanel';
+import ReportsPanel from './ReportsPanel';
+import AnalyticsPanel from './AnalyticsPanel';
+import CorrectionForm from './CorrectionForm';
+import LeaveQueue from './LeaveQueue';
+
+const TeacherDashboard = () => {
+  const { userInfo } = useWalletContext();
+
+  return (
+    <>
+      <div className="dashboard-section">
+        <h2>Teacher Dashboard</h2>
+        <p>Signed in as {userInfo?.name}. Mark attendance for your students below.</p>
+      </div>
+      <CoursesPanel />
+      <RosterView />
+      <MarkAttendanceForm />
+      <DailyAttendanceView title="Class Attendance" />
+      <LeaveQueue />
+      <CorrectionForm />
+      <ReportsPanel />
+      <AnalyticsPanel />
+    </>
+  );
+};
+
+export default TeacherDashboard;
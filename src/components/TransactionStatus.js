@@ -0,0 +1,37 @@
+import React from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { formatApt } from '../services/transactionErrors';
+
+const STATUS_LABELS = {
+  pending: 'Simulating and waiting for your signature...',
+  submitted: 'Submitted, waiting for confirmation...',
+  confirmed: 'Confirmed',
+  failed: 'Failed',
+};
+
+const TransactionStatus = () => {
+  const { transaction, clearTransaction } = useWalletContext();
+
+  if (!transaction) return null;
+
+  const { action, status, estimate, hash, error } = transaction;
+  const done = status === 'confirmed' || status === 'failed';
+
+  return (
+    <div className={`transaction-status transaction-${status}`}>
+      <p><strong>{action}:</strong> {STATUS_LABELS[status]}</p>
+      {estimate && (
+        <p>
+          Estimated fee: {formatApt(estimate.fee)} APT
+          {estimate.balance !== null && ` · Balance: ${formatApt(estimate.balance)} APT`}
+          {estimate.sponsored && ' · Paid by the sponsor'}
+        </p>
+      )}
+      {hash && <p className="wallet-address">Transaction: {hash}</p>}
+      {error && <p className="form-error">{error}</p>}
+      {done && <button onClick={clearTransaction}>Dismiss</button>}
+    </div>
+  );
+};
+
+export default TransactionStatus;
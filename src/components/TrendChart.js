@@ -0,0 +1,76 @@
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 36 };
+const COLORS = ['#667eea', '#e53e3e', '#38a169', '#d69e2e', '#805ad5', '#dd6b20', '#3182ce', '#d53f8c'];
+
+// Attendance rate over time, one line per series, with the at-risk threshold
+// as a dashed line. Periods without records leave a gap in the line.
+const TrendChart = ({ series, threshold }) => {
+  const periods = series[0]?.trend.map((point) => point.period) || [];
+  if (periods.length === 0) return null;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (index) => PADDING.left + (periods.length > 1 ? (index / (periods.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (rate) => PADDING.top + (1 - rate / 100) * plotHeight;
+
+  const segments = (trend) => trend.reduce((lines, point, index) => {
+    if (point.rate === null) {
+      if (lines[lines.length - 1].length > 0) lines.push([]);
+    } else {
+      lines[lines.length - 1].push([x(index), y(point.rate)]);
+    }
+    return lines;
+  }, [[]]).filter((line) => line.length > 0);
+
+  return (
+    <div className="trend-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Attendance rate over time">
+        {[0, 50, 100].map((rate) => (
+          <g key={rate}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(rate)} y2={y(rate)} className="trend-grid" />
+            <text x={PADDING.left - 6} y={y(rate) + 4} textAnchor="end">{rate}%</text>
+          </g>
+        ))}
+        <line
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={y(threshold)}
+          y2={y(threshold)}
+          className="trend-threshold"
+        />
+        {series.map((item, index) => segments(item.trend).map((points) => (
+          points.length === 1 ? (
+            <circle key={points[0][0]} cx={points[0][0]} cy={points[0][1]} r="3" fill={COLORS[index % COLORS.length]} />
+          ) : (
+            <polyline
+              key={points[0][0]}
+              points={points.map((point) => point.join(',')).join(' ')}
+              fill="none"
+              stroke={COLORS[index % COLORS.length]}
+              strokeWidth="2"
+            />
+          )
+        )))}
+        <text x={PADDING.left} y={HEIGHT - 6}>{periods[0]}</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end">{periods[periods.length - 1]}</text>
+      </svg>
+      <div className="trend-legend">
+        {series.map((item, index) => (
+          <span key={item.id}>
+            <span className="trend-swatch" style={{ background: COLORS[index % COLORS.length] }} />
+            {item.name}
+          </span>
+        ))}
+        <span>
+          <span className="trend-swatch trend-swatch-threshold" />
+          {threshold}% threshold
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default TrendChart;
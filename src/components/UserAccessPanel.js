@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { useWalletContext } from '../services/Context/WalletContext';
+import { USER_TYPE_NAMES } from '../services/constants';
+import { useMutation } from '../hooks/queries';
+
+// Role and activation controls for one user in the directory.
+const UserAccessPanel = ({ user, active, isSystemAdmin, onChanged }) => {
+  const { setUserRole, deactivateUser, reactivateUser } = useWalletContext();
+  const [role, setRole] = useState(USER_TYPE_NAMES[user.userType]);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setRole(USER_TYPE_NAMES[user.userType]);
+    setMessage(null);
+  }, [user.address, user.userType]);
+
+  const update = useMutation(async (action, successText) => {
+    setMessage(null);
+    const result = await action();
+    if (result.success) {
+      setMessage({ type: 'success', text: successText });
+      if (onChanged) onChanged();
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Failed to update user' });
+    }
+  });
+
+  if (isSystemAdmin) {
+    return <p>This is the system admin. Transfer the system to another admin before changing this account.</p>;
+  }
+
+  return (
+    <>
+      <div className="attendance-form dashboard-actions">
+        <label>
+          Role
+          <select value={role} onChange={(e) => setRole(e.target.value)}>
+            {Object.values(USER_TYPE_NAMES).map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={() => update.mutate(() => setUserRole(user.address, role), `${user.name} is now ${role === 'admin' ? 'an' : 'a'} ${role}`)}
+          disabled={update.pending || role === USER_TYPE_NAMES[user.userType]}
+          className="fetch-button"
+        >
+          Change Role
+        </button>
+        {active ? (
+          <button
+            onClick={() => update.mutate(() => deactivateUser(user.address), `${user.name} has been deactivated`)}
+            disabled={update.pending}
+            className="disconnect-button"
+          >
+            Deactivate
+          </button>
+        ) : (
+          <button
+            onClick={() => update.mutate(() => reactivateUser(user.address), `${user.name} has been reactivated`)}
+            disabled={update.pending}
+            className="attendance-button"
+          >
+            Reactivate
+          </button>
+        )}
+      </div>
+      {message && (
+        <p className={message.type === 'error' ? 'form-error' : 'success-message'}>
+          {message.text}
+        </p>
+      )}
+    </>
+  );
+};
+
+export default UserAccessPanel;
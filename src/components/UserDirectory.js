@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import AptosService from '../services/aptosService';
+import { createBrowserIndexer } from '../services/indexer';
+import { USER_TYPE_NAMES } from '../services/constants';
+import { normalizeAddress } from '../services/addressUtils';
+import AttendanceList from './AttendanceList';
+import UserAccessPanel from './UserAccessPanel';
+import { shortenAddress, formatTimestamp } from '../services/formatters';
+
+const UserDirectory = () => {
+  const indexer = useMemo(() => createBrowserIndexer(AptosService), []);
+  const [users, setUsers] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [deactivated, setDeactivated] = useState(new Set());
+  const [systemAdmin, setSystemAdmin] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [view, setView] = useState('user');
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState('');
+
+  // Registration events carry the role a user registered with; overlay the
+  // current role and activation state from the contract.
+  const loadFromStore = useCallback(async () => {
+    const indexed = await indexer.getUsers();
+    const [infos, inactive, admin] = await Promise.all([
+      Promise.all(indexed.map((user) => AptosService.getUserInfo(user.address))),
+      AptosService.getDeactivatedUsers(),
+      AptosService.getAdminAddress(),
+    ]);
+
+    setUsers(indexed.map((user, index) => (
+      infos[index].success ? { ...user, userType: Number(infos[index].data.userType) } : user
+    )));
+    setDeactivated(new Set(inactive.success ? inactive.data : []));
+    setSystemAdmin(admin.success ? normalizeAddress(admin.data) : null);
+  }, [indexer]);
+
+  const sync = useCallback(async () => {
+    setSyncing(true);
+    setError('');
+    try {
+      await indexer.sync();
+      await loadFromStore();
+    } catch (err) {
+      console.error('Indexer sync error:', err);
+      setError(err.message);
+    } finally {
+      setSyncing(false);
+    }
+  }, [indexer, loadFromStore]);
+
+  useEffect(() => {
+    loadFromStore().then(sync);
+  }, [loadFromStore, sync]);
+
+  useEffect(() => {
+    if (!selected) {
+      setRecords([]);
+      return;
+    }
+
+    const query = view === 'user'
+      ? indexer.getRecordsForUser(selected)
+      : indexer.getRecordsMarkedBy(selected);
+    query.then((result) => setRecords([...result].reverse()));
+  }, [indexer, selected, view, users]);
+
+  const selectedUser = users.find((user) => user.address === selected);
+
+  return (
+    <div className="dashboard-section">
+      <h2>Registered Users</h2>
+      <div className="attendance-form">
+        <button onClick={sync} disabled={syncing} className="fetch-button">
+          {syncing ? 'Syncing...' : 'Sync Events'}
+        </button>
+        <span>{users.length} users indexed</span>
+      </div>
+      {error && <p className="form-error">{error}</p>}
+
+      <table className="roster-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Role</th>
+            <th>Address</th>
+            <th>Registered</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map((user) => (
+            <tr
+              key={user.address}
+              onClick={() => setSelected(user.address)}
+              className={user.address === selected ? 'roster-selected' : ''}
+            >
+              <td>{user.name}</td>
+              <td>{USER_TYPE_NAMES[user.userType]}</td>
+              <td className="roster-address">{shortenAddress(user.address)}</td>
+              <td>{formatTimestamp(user.registrationTime)}</td>
+              <td>{deactivated.has(user.address) ? 'deactivated' : 'active'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selectedUser && (
+        <UserAccessPanel
+          user={selectedUser}
+          active={!deactivated.has(selectedUser.address)}
+          isSystemAdmin={selectedUser.address === systemAdmin}
+          onChanged={loadFromStore}
+        />
+      )}
+
+      {selected && (
+        <>
+          <div className="attendance-form dashboard-actions">
+            <label>
+              Show
+              <select value={view} onChange={(e) => setView(e.target.value)}>
+                <option value="user">Records for this user</option>
+                <option value="marker">Records marked by this user</option>
+              </select>
+            </label>
+          </div>
+          <AttendanceList records={records} emptyMessage="No indexed records." />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UserDirectory;
@@ -0,0 +1,117 @@
+import React, { useState, useMemo } from 'react';
+
+const ROW_HEIGHT = 40;
+const VISIBLE_ROWS = 12;
+const OVERSCAN = 6;
+
+const sortValue = (column, row) => (column.sortValue ? column.sortValue(row) : row[column.key]);
+
+const filterText = (column, row) => String(
+  (column.filterValue ? column.filterValue(row) : sortValue(column, row)) ?? ''
+).toLowerCase();
+
+// Empty values sort last in either direction.
+const compareValues = (a, b, direction) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === '') return 1;
+  if (b === null || b === undefined || b === '') return -1;
+  const order = typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b));
+  return order * direction;
+};
+
+// A table that only renders the rows scrolled into view, so a day with
+// thousands of records stays responsive. columns are
+// [{ key, label, render?, sortValue?, filterValue? }]: clicking a header sorts
+// by sortValue (again to reverse) and the filter box matches filterValue (or the
+// sort value) of any column.
+const VirtualTable = ({
+  rows,
+  columns,
+  rowKey,
+  emptyMessage = 'No records.',
+  filterPlaceholder = 'Filter',
+  rowHeight = ROW_HEIGHT,
+  visibleRows = VISIBLE_ROWS,
+}) => {
+  const [filter, setFilter] = useState('');
+  const [sort, setSort] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const visible = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    const filtered = needle
+      ? rows.filter((row) => columns.some((column) => filterText(column, row).includes(needle)))
+      : rows;
+    if (!sort) return filtered;
+
+    const column = columns.find((item) => item.key === sort.key);
+    return [...filtered].sort((a, b) => compareValues(sortValue(column, a), sortValue(column, b), sort.direction));
+  }, [rows, columns, filter, sort]);
+
+  const toggleSort = (key) => {
+    setSort((current) => (
+      current?.key === key ? { key, direction: -current.direction } : { key, direction: 1 }
+    ));
+  };
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN);
+  const end = Math.min(visible.length, start + visibleRows + OVERSCAN * 2);
+
+  return (
+    <div className="virtual-table">
+      <div className="virtual-table-toolbar">
+        <input
+          type="search"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder={filterPlaceholder}
+        />
+        <span>{visible.length === rows.length ? `${rows.length} rows` : `${visible.length} of ${rows.length} rows`}</span>
+      </div>
+
+      {visible.length === 0 ? (
+        <p>{rows.length === 0 ? emptyMessage : 'No rows match the filter.'}</p>
+      ) : (
+        <div
+          className="virtual-table-scroll"
+          style={{ maxHeight: (visibleRows + 1) * rowHeight }}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        >
+          <table className="roster-table">
+            <thead>
+              <tr>
+                {columns.map((column) => (
+                  <th key={column.key} onClick={() => toggleSort(column.key)} className="sortable">
+                    {column.label}
+                    {sort?.key === column.key && (sort.direction === 1 ? ' ▲' : ' ▼')}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {start > 0 && (
+                <tr style={{ height: start * rowHeight }}>
+                  <td colSpan={columns.length} />
+                </tr>
+              )}
+              {visible.slice(start, end).map((row) => (
+                <tr key={rowKey(row)} style={{ height: rowHeight }}>
+                  {columns.map((column) => (
+                    <td key={column.key}>{column.render ? column.render(row) : row[column.key]}</td>
+                  ))}
+                </tr>
+              ))}
+              {end < visible.length && (
+                <tr style={{ height: (visible.length - end) * rowHeight }}>
+                  <td colSpan={columns.length} />
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VirtualTable;
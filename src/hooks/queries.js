@@ -0,0 +1,299 @@
+import { useEffect, useCallback, useRef, useState, useSyncExternalStore } from 'react';
+import AptosService from '../services/aptosService';
+import queryCache, { hashKey } from '../services/queryCache';
+import { normalizeAddress } from '../services/addressUtils';
+
+// React hooks over AptosService reads, backed by the shared query cache. Each
+// hook returns { data, error, loading, fetching, refetch }: loading is true
+// until the first result arrives, fetching whenever a request is in flight
+// (including a background refresh of cached data). useMutation tracks the
+// pending state of a write.
+
+const addressKey = (address) => (address ? normalizeAddress(address) : null);
+
+// Invalid dates stay as given so the query reports the service's error.
+const dateKey = (date) => AptosService.dayKey(date) || date;
+
+export const queryKeys = {
+  isRegistered: (address) => ['isRegistered', addressKey(address)],
+  isActive: (address) => ['isActive', addressKey(address)],
+  userInfo: (address) => ['userInfo', addressKey(address)],
+  userAttendance: (address, date) => ['userAttendance', addressKey(address), dateKey(date)],
+  userAttendanceRange: (address, startDate, endDate) => (
+    ['userAttendanceRange', addressKey(address), dateKey(startDate), dateKey(endDate)]
+  ),
+  dailyAttendance: (date) => ['dailyAttendance', dateKey(date)],
+  institutions: () => ['institutions'],
+  selfCheckIn: () => ['selfCheckIn'],
+  utcOffset: () => ['utcOffset'],
+  userInstitutions: (address) => ['userInstitutions', addressKey(address)],
+  courses: () => ['courses', 'all'],
+  teacherCourses: (address) => ['courses', 'teacher', addressKey(address)],
+  studentCourses: (address) => ['courses', 'student', addressKey(address)],
+  teacherStudents: (address) => ['courses', 'teacherStudents', addressKey(address)],
+  courseStudents: (courseId) => ['courses', 'students', String(courseId)],
+  courseSessions: (courseId) => ['sessions', 'course', String(courseId)],
+  sessionAttendance: (sessionId) => ['sessions', 'attendance', String(sessionId)],
+  studentSessionAttendance: (address, courseId) => ['sessions', 'student', addressKey(address), String(courseId)],
+  checkInValidity: () => ['policy', 'checkInValidity'],
+  attendanceWindows: () => ['policy', 'windows'],
+  pendingCorrections: () => ['corrections', 'pending'],
+  pendingLeave: () => ['leave', 'pending'],
+  userLeave: (address) => ['leave', 'user', addressKey(address)],
+  adminTransfer: () => ['adminTransfer'],
+  sponsorQuota: (address) => ['sponsorQuota', addressKey(address)],
+};
+
+// Query prefixes made stale by a write to one student's record on date (any
+// day when no date is given), or to every record when no student is given.
+export const attendanceQueries = (address, date) => (address
+  ? [
+    date ? ['dailyAttendance', dateKey(date)] : ['dailyAttendance'],
+    ['userAttendance', addressKey(address)],
+    ['userAttendanceRange', addressKey(address)],
+  ]
+  : [['dailyAttendance'], ['userAttendance'], ['userAttendanceRange']]);
+
+// Prefixes made stale by a change to one account's registration or role, or
+// to every account's.
+export const accountQueries = (address) => (address
+  ? [
+    ['isRegistered', addressKey(address)],
+    ['isActive', addressKey(address)],
+    ['userInfo', addressKey(address)],
+    ['userInstitutions', addressKey(address)],
+  ]
+  : [['isRegistered'], ['isActive'], ['userInfo'], ['userInstitutions']]);
+
+export const invalidateQueries = (prefixes) => prefixes.forEach((prefix) => queryCache.invalidate(prefix));
+
+// The imperative form: resolves to an AptosService-style result, served from
+// and stored in the cache.
+export const fetchQuery = (key, fetcher, options) => queryCache.fetch(key, fetcher, options).then(
+  (data) => ({ success: true, data }),
+  (error) => ({ success: false, error: error.message })
+);
+
+
+export const useQuery = (key, fetcher, { enabled = true, staleTime } = {}) => {
+  // Callers build a new key array every render; keep the first one with the
+  // same hash so the subscription and fetch below only change with the key.
+  const hash = hashKey(key);
+  const keyRef = useRef({ hash, key });
+  if (keyRef.current.hash !== hash) keyRef.current = { hash, key };
+  const stableKey = keyRef.current.key;
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  const subscribe = useCallback((listener) => queryCache.subscribe(stableKey, listener), [stableKey]);
+  const getSnapshot = useCallback(() => queryCache.getState(stableKey), [stableKey]);
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  const refetch = useCallback(
+    (force = true) => queryCache.fetch(stableKey, () => fetcherRef.current(), { staleTime, force }).catch(() => {}),
+    [stableKey, staleTime]
+  );
+
+  useEffect(() => {
+    if (enabled) refetch(false);
+  }, [enabled, refetch]);
+
+  return {
+    data: enabled ? state.data : undefined,
+    error: enabled && state.error ? state.error.message : null,
+    loading: enabled && state.status !== 'success' && state.status !== 'error',
+    fetching: enabled && state.fetching,
+    refetch,
+  };
+};
+
+// Pending state for one write. mutate(...args) calls action (a WalletContext
+// write that resolves to an AptosService-style result) and pending is true
+// while any call is in flight, so a button waits on its own transactions
+// rather than on every write in the app.
+export const useMutation = (action) => {
+  const [inFlight, setInFlight] = useState(0);
+  const actionRef = useRef(action);
+  actionRef.current = action;
+
+  const mutate = useCallback(async (...args) => {
+    setInFlight((count) => count + 1);
+    try {
+      return await actionRef.current(...args);
+    } finally {
+      setInFlight((count) => count - 1);
+    }
+  }, []);
+
+  return { mutate, pending: inFlight > 0 };
+};
+
+
+export const useIsRegistered = (address) => useQuery(
+  queryKeys.isRegistered(address),
+  () => AptosService.isUserRegistered(address),
+  { enabled: Boolean(address) }
+);
+
+export const useIsUserActive = (address) => useQuery(
+  queryKeys.isActive(address),
+  () => AptosService.isUserActive(address),
+  { enabled: Boolean(address) }
+);
+
+export const useUserInfo = (address) => useQuery(
+  queryKeys.userInfo(address),
+  () => AptosService.getUserInfo(address),
+  { enabled: Boolean(address) }
+);
+
+export const useSelfCheckInAllowed = () => useQuery(
+  queryKeys.selfCheckIn(),
+  () => AptosService.isSelfCheckInAllowed()
+);
+
+export const useUtcOffset = () => useQuery(
+  queryKeys.utcOffset(),
+  () => AptosService.getUtcOffset()
+);
+
+export const useInstitutions = () => useQuery(
+  queryKeys.institutions(),
+  () => AptosService.getInstitutions()
+);
+
+export const useUserInstitutions = (address) => useQuery(
+  queryKeys.userInstitutions(address),
+  () => AptosService.getUserInstitutions(address),
+  { enabled: Boolean(address) }
+);
+
+// Every course, or only the ones teacherAddress teaches.
+export const useCourses = (teacherAddress, { enabled = true } = {}) => useQuery(
+  teacherAddress ? queryKeys.teacherCourses(teacherAddress) : queryKeys.courses(),
+  () => (teacherAddress ? AptosService.getTeacherCourses(teacherAddress) : AptosService.getCourses()),
+  { enabled }
+);
+
+export const useStudentCourses = (address) => useQuery(
+  queryKeys.studentCourses(address),
+  () => AptosService.getStudentCourses(address),
+  { enabled: Boolean(address) }
+);
+
+// The students enrolled in any course the teacher teaches, as normalized
+// addresses.
+export const useTeacherStudents = (address, { enabled = true } = {}) => useQuery(
+  queryKeys.teacherStudents(address),
+  async () => {
+    const courses = await AptosService.getTeacherCourses(address);
+    if (!courses.success) return courses;
+    const rosters = await Promise.all(courses.data.map((course) => AptosService.getCourseStudents(course.id)));
+    const failed = rosters.find((roster) => !roster.success);
+    return failed || { success: true, data: rosters.flatMap((roster) => roster.data.map(normalizeAddress)) };
+  },
+  { enabled: Boolean(address) && enabled }
+);
+
+export const useCourseStudents = (courseId) => useQuery(
+  queryKeys.courseStudents(courseId),
+  () => AptosService.getCourseStudents(courseId)
+);
+
+export const useCourseSessions = (courseId) => useQuery(
+  queryKeys.courseSessions(courseId),
+  () => AptosService.getCourseSessions(courseId)
+);
+
+export const useSessionAttendance = (sessionId) => useQuery(
+  queryKeys.sessionAttendance(sessionId),
+  () => AptosService.getSessionAttendance(sessionId)
+);
+
+export const useStudentSessionAttendance = (address, courseId) => useQuery(
+  queryKeys.studentSessionAttendance(address, courseId),
+  () => AptosService.getStudentSessionAttendance(address, courseId),
+  { enabled: Boolean(address) }
+);
+
+export const useCheckInValidity = ({ enabled = true } = {}) => useQuery(
+  queryKeys.checkInValidity(),
+  () => AptosService.getCheckInValidity(),
+  { enabled }
+);
+
+export const useAttendanceWindows = () => useQuery(
+  queryKeys.attendanceWindows(),
+  () => AptosService.getAttendanceWindows()
+);
+
+export const usePendingCorrections = () => useQuery(
+  queryKeys.pendingCorrections(),
+  () => AptosService.getPendingCorrections()
+);
+
+export const usePendingLeave = () => useQuery(
+  queryKeys.pendingLeave(),
+  () => AptosService.getPendingLeaveRequests()
+);
+
+export const useUserLeave = (address) => useQuery(
+  queryKeys.userLeave(address),
+  () => AptosService.getUserLeaveRequests(address),
+  { enabled: Boolean(address) }
+);
+
+// The system admin and the admin a transfer is waiting on, if any.
+export const useAdminTransfer = () => useQuery(
+  queryKeys.adminTransfer(),
+  async () => {
+    const [admin, pending] = await Promise.all([
+      AptosService.getAdminAddress(),
+      AptosService.getPendingAdmin(),
+    ]);
+    return {
+      success: true,
+      data: {
+        systemAdmin: admin.success ? normalizeAddress(admin.data) : null,
+        pendingAdmin: pending.success ? pending.data : null,
+      },
+    };
+  }
+);
+
+export const useSponsorQuota = (address, { enabled = true } = {}) => useQuery(
+  queryKeys.sponsorQuota(address),
+  () => AptosService.getSponsorQuota(address),
+  { enabled: Boolean(address) && enabled }
+);
+
+// A day without a record makes the view abort; that is data (null), not an error.
+const NO_RECORD = /Move abort|ABORTED|No attendance record/i;
+
+export const useUserAttendance = (address, date) => useQuery(
+  queryKeys.userAttendance(address, date),
+  async () => {
+    const result = await AptosService.getUserAttendance(address, date);
+    return result.success || !NO_RECORD.test(result.error || '') ? result : { success: true, data: null };
+  },
+  { enabled: Boolean(address && date) }
+);
+
+export const useUserAttendanceRange = (address, startDate, endDate) => useQuery(
+  queryKeys.userAttendanceRange(address, startDate, endDate),
+  () => AptosService.getUserAttendanceRange(address, startDate, endDate),
+  { enabled: Boolean(address && startDate && endDate) }
+);
+
+// onPage receives each page as it arrives, tagged with the date it belongs to,
+// for showing progress on big days.
+export const useDailyAttendance = (date, { onPage } = {}) => {
+  const onPageRef = useRef(onPage);
+  onPageRef.current = onPage;
+
+  return useQuery(
+    queryKeys.dailyAttendance(date),
+    () => AptosService.getDailyAttendance(date, { onPage: (page) => onPageRef.current?.({ ...page, date }) }),
+    { enabled: Boolean(date) }
+  );
+};
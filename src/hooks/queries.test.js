@@ -0,0 +1,83 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { useMutation } from './queries';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+describe('useMutation', () => {
+  let container;
+  let root;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    root = createRoot(container);
+  });
+
+  const mount = (element) => root.render(element);
+
+  afterEach(() => {
+    act(() => root.unmount());
+  });
+
+  const Probe = ({ action, into }) => {
+    Object.assign(into, useMutation(action));
+    return null;
+  };
+
+  const renderMutations = (...actions) => {
+    const rendered = actions.map(() => ({}));
+    const probes = actions.map((action, index) => <Probe key={index} action={action} into={rendered[index]} />);
+    act(() => mount(probes));
+    return rendered;
+  };
+
+  it('is pending until every call resolves and returns the action result', async () => {
+    const calls = [deferred(), deferred()];
+    const action = jest.fn((index) => calls[index].promise);
+    const [mutation] = renderMutations(action);
+    expect(mutation.pending).toBe(false);
+
+    let first;
+    let second;
+    act(() => {
+      first = mutation.mutate(0);
+      second = mutation.mutate(1);
+    });
+    expect(mutation.pending).toBe(true);
+
+    await act(async () => {
+      calls[0].resolve({ success: true });
+      await first;
+    });
+    expect(mutation.pending).toBe(true);
+
+    await act(async () => {
+      calls[1].resolve({ success: false, error: 'Rejected' });
+      await expect(second).resolves.toEqual({ success: false, error: 'Rejected' });
+    });
+    expect(mutation.pending).toBe(false);
+    expect(action).toHaveBeenCalledWith(0);
+  });
+
+  it('tracks each mutation separately', async () => {
+    const slow = deferred();
+    const [first, second] = renderMutations(() => slow.promise, async () => ({ success: true }));
+
+    act(() => {
+      first.mutate();
+    });
+    expect(first.pending).toBe(true);
+    expect(second.pending).toBe(false);
+
+    await act(async () => {
+      slow.resolve({ success: true });
+    });
+    expect(first.pending).toBe(false);
+  });
+});
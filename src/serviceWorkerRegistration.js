@@ -0,0 +1,12 @@
+// Registers public/service-worker.js in production builds. The development
+// server serves fresh bundles on every change, so caching them there would
+// only get in the way.
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) => console.error('Service worker registration failed:', error));
+  });
+};
@@ -1,231 +1,678 @@
-
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { 
-  WalletProvider as AptosWalletProvider,
-  useWallet 
-} from '@aptos-labs/wallet-adapter-react';
-import { PetraWallet } from '@aptos-labs/wallet-adapter-petra-plugin';
-import { PontemWallet } from '@aptos-labs/wallet-adapter-pontem-plugin';
-import { MartianWallet } from '@aptos-labs/wallet-adapter-martian-plugin';
-import AptosService from '../services/aptosService';
-
-const WalletContext = createContext();
-
-
-const wallets = [
-  new PetraWallet(),
-  new PontemWallet(),
-  new MartianWallet(),
-];
-
-
-export const WalletContextProvider = ({ children }) => {
-  const {
-    connect,
-    disconnect,
-    account,
-    connected,
-    wallet,
-    signAndSubmitTransaction,
-    signTransaction,
-    signMessage,
-  } = useWallet();
-
-  const [userType, setUserType] = useState(null);
-  const [userInfo, setUserInfo] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-
-  
-  useEffect(() => {
-    if (connected && account) {
-      loadUserInfo();
-    } else {
-      setUserInfo(null);
-      setUserType(null);
-    }
-  }, [connected, account]);
-
-  const loadUserInfo = async () => {
-    if (!account) return;
-    
-    setLoading(true);
-    try {
-      const result = await AptosService.getUserInfo(account.address);
-      if (result.success) {
-        setUserInfo(result.data);
-        
-        const typeMap = { 1: 'student', 2: 'teacher', 3: 'admin' };
-        setUserType(typeMap[result.data.userType]);
-      }
-    } catch (error) {
-      console.error('Error loading user info:', error);
-      setError('Failed to load user information');
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const connectWallet = async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      await connect();
-    } catch (error) {
-      console.error('Wallet connection error:', error);
-      setError('Failed to connect wallet');
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const disconnectWallet = async () => {
-    try {
-      await disconnect();
-      setUserInfo(null);
-      setUserType(null);
-      setError(null);
-    } catch (error) {
-      console.error('Wallet disconnect error:', error);
-    }
-  };
-
-  const registerUser = async (name, type) => {
-    if (!account) {
-      setError('Please connect your wallet first');
-      return { success: false };
-    }
-
-    setLoading(true);
-    try {
-      const result = await AptosService.registerUser(account, name, type);
-      if (result.success) {
-        setUserType(type);
-        await loadUserInfo();
-      }
-      return result;
-    } catch (error) {
-      console.error('Registration error:', error);
-      setError('Failed to register user');
-      return { success: false, error: error.message };
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const markAttendance = async (userAddress, date, isPresent) => {
-    if (!account) {
-      setError('Please connect your wallet first');
-      return { success: false };
-    }
-
-    setLoading(true);
-    try {
-      const result = await AptosService.markAttendance(account, userAddress, date, isPresent);
-      return result;
-    } catch (error) {
-      console.error('Mark attendance error:', error);
-      setError('Failed to mark attendance');
-      return { success: false, error: error.message };
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const markCheckout = async (date) => {
-    if (!account) {
-      setError('Please connect your wallet first');
-      return { success: false };
-    }
-
-    setLoading(true);
-    try {
-      const result = await AptosService.markCheckout(account, date);
-      return result;
-    } catch (error) {
-      console.error('Mark checkout error:', error);
-      setError('Failed to mark checkout');
-      return { success: false, error: error.message };
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const getUserAttendance = async (userAddress, date) => {
-    try {
-      const result = await AptosService.getUserAttendance(userAddress, date);
-      return result;
-    } catch (error) {
-      console.error('Get user attendance error:', error);
-      return { success: false, error: error.message };
-    }
-  };
-
-  const getDailyAttendance = async (date) => {
-    try {
-      const result = await AptosService.getDailyAttendance(date);
-      return result;
-    } catch (error) {
-      console.error('Get daily attendance error:', error);
-      return { success: false, error: error.message };
-    }
-  };
-
-  const clearError = () => setError(null);
-
-  const contextValue = {
-    
-    connected,
-    account,
-    wallet,
-    userType,
-    userInfo,
-    loading,
-    error,
-
-    
-    connect: connectWallet,
-    disconnect: disconnectWallet,
-    
-    
-    registerUser,
-    markAttendance,
-    markCheckout,
-    getUserAttendance,
-    getDailyAttendance,
-
-    
-    clearError,
-    signAndSubmitTransaction,
-    signTransaction,
-    signMessage,
-  };
-
-  return (
-    <WalletContext.Provider value={contextValue}>
-      {children}
-    </WalletContext.Provider>
-  );
-};
-
-
-export const useWalletContext = () => {
-  const context = useContext(WalletContext);
-  if (!context) {
-    throw new Error('useWalletContext must be used within a WalletContextProvider');
-  }
-  return context;
-};
-
-
-export const WalletProvider = ({ children }) => {
-  return (
-    <AptosWalletProvider wallets={wallets} autoConnect={true}>
-      <WalletContextProvider>
-        {children}
-      </WalletContextProvider>
-    </AptosWalletProvider>
-  );
-};
-
+
+import React, { createContext, useContext, useState, useEffect, useMemo, useRef } from 'react';
+import { 
+  AptosWalletAdapterProvider,
+  useWallet 
+} from '@aptos-labs/wallet-adapter-react';
+import AptosService from '../aptosService';
+import {
+  getEnvConfig,
+  saveNetworkConfig,
+  clearNetworkConfig,
+} from '../networkConfig';
+import { createWalletSigner } from '../signers';
+import { createCheckInCode } from '../checkInCodes';
+import { normalizeAddress } from '../addressUtils';
+import { USER_TYPE_NAMES } from '../constants';
+import { createOfflineQueue, isOffline, isConnectivityFailure } from '../offlineQueue';
+import queryCache from '../queryCache';
+import {
+  useIsRegistered,
+  useIsUserActive,
+  useUserInfo,
+  useInstitutions,
+  useUserInstitutions,
+  accountQueries,
+  attendanceQueries,
+  invalidateQueries,
+} from '../../hooks/queries';
+
+const WalletContext = createContext();
+
+// The module's own institution is saved as '' so the config keeps following
+// moduleAddress.
+const withInstitution = (config, address) => {
+  const normalized = normalizeAddress(address);
+  return {
+    ...config,
+    institution: normalized === normalizeAddress(config.moduleAddress) ? '' : normalized,
+  };
+};
+
+// The config the provider starts with. A link of the form ?institution=0x...
+// opens that institution, so it is read here, once.
+const initialNetworkConfig = () => {
+  const linked = new URLSearchParams(window.location.search).get('institution');
+  if (linked && /^0x[0-9a-fA-F]{1,64}$/.test(linked) && normalizeAddress(linked) !== AptosService.getInstitution()) {
+    const config = withInstitution(AptosService.getConfig(), linked);
+    AptosService.configure(config);
+    saveNetworkConfig(config);
+  }
+  return AptosService.getConfig();
+};
+
+
+export const WalletContextProvider = ({ children }) => {
+  const {
+    connect,
+    disconnect,
+    account,
+    connected,
+    wallet,
+    wallets,
+    network,
+    signAndSubmitTransaction,
+    signTransaction,
+    signMessage,
+  } = useWallet();
+
+  // True while the wallet connects; components track their writes with
+  // useMutation.
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [networkConfig, setNetworkConfig] = useState(initialNetworkConfig);
+  const [transaction, setTransaction] = useState(null);
+  const [queuedIntents, setQueuedIntents] = useState([]);
+  const [syncingQueue, setSyncingQueue] = useState(false);
+  const syncInFlight = useRef(false);
+
+  // One queue per network and contract, like the event indexer.
+  const offlineQueue = useMemo(() => createOfflineQueue(networkConfig), [networkConfig]);
+
+  // The connected account's registration, profile and status come from the
+  // query cache, so writes that invalidate them refresh the header and
+  // dashboards without another round of loading.
+  const accountAddress = connected && account ? account.address.toString() : null;
+  const registration = useIsRegistered(accountAddress);
+  const registeredAddress = registration.data ? accountAddress : null;
+  const profile = useUserInfo(registeredAddress);
+  const activity = useIsUserActive(registeredAddress);
+
+  const isRegistered = registration.data ?? null;
+  const userInfo = profile.data ?? null;
+  const userType = userInfo ? USER_TYPE_NAMES[userInfo.userType] : null;
+  const isActive = registeredAddress && !activity.loading ? (activity.error ? true : activity.data) : null;
+
+  // Every institution on the contract, and the ones the account belongs to
+  // with its role in each.
+  const institutionList = useInstitutions();
+  const membershipList = useUserInstitutions(accountAddress);
+  const institutions = institutionList.data ?? [];
+  const memberships = membershipList.data ?? [];
+  const institution = AptosService.getInstitution();
+
+  useEffect(() => {
+    if (registration.error) setError('Failed to check user registration');
+  }, [registration.error]);
+
+  useEffect(() => {
+    if (profile.error) setError('Failed to load user information');
+  }, [profile.error]);
+
+  const refreshUserInfo = () => invalidateQueries(accountQueries(accountAddress));
+
+  const getSigner = () => createWalletSigner(account, signAndSubmitTransaction, signMessage, signTransaction);
+
+  // Sponsored transactions use up the signer's daily quota, so a confirmed one
+  // makes the quota stale too.
+  const trackTransaction = (action) => ({
+    onStatus: (update) => {
+      setTransaction({ action, ...update });
+      if (update.status === 'confirmed') invalidateQueries([['sponsorQuota']]);
+    },
+  });
+
+  const connectWallet = async (walletName) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await connect(walletName);
+    } catch (error) {
+      console.error('Wallet connection error:', error);
+      setError('Failed to connect wallet');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const disconnectWallet = async () => {
+    try {
+      await disconnect();
+      setError(null);
+    } catch (error) {
+      console.error('Wallet disconnect error:', error);
+    }
+  };
+
+  const registerUser = async (name, type) => {
+    if (!account) {
+      setError('Please connect your wallet first');
+      return { success: false };
+    }
+
+    try {
+      const result = await AptosService.registerUser(getSigner(), name, type, trackTransaction('Register'));
+      if (result.success) invalidateQueries(accountQueries(account.address));
+      return result;
+    } catch (error) {
+      console.error('Registration error:', error);
+      setError('Failed to register user');
+      return { success: false, error: error.message };
+    }
+  };
+
+  const markAttendance = async (userAddress, date, status) => {
+    if (!account) {
+      setError('Please connect your wallet first');
+      return { success: false };
+    }
+
+    try {
+      const result = await AptosService.markAttendance(
+        getSigner(),
+        userAddress,
+        date,
+        status,
+        trackTransaction('Mark attendance')
+      );
+      if (result.success) invalidateQueries(attendanceQueries(userAddress, date));
+      return result;
+    } catch (error) {
+      console.error('Mark attendance error:', error);
+      setError('Failed to mark attendance');
+      return { success: false, error: error.message };
+    }
+  };
+
+  const markAttendanceBatch = async (entries, date) => {
+    if (!account) {
+      setError('Please connect your wallet first');
+      return { success: false };
+    }
+
+    try {
+      const result = await AptosService.markAttendanceBatch(
+        getSigner(),
+        entries,
+        date,
+        trackTransaction('Mark class attendance')
+      );
+      if (result.success) invalidateQueries(attendanceQueries());
+      return result;
+    } catch (error) {
+      console.error('Mark attendance batch error:', error);
+      setError('Failed to mark class attendance');
+      return { success: false, error: error.message };
+    }
+  };
+
+  const bulkRegister = async (entries, onChunk) => {
+    if (!account) {
+      setError('Please connect your wallet first');
+      return { success: false };
+    }
+
+    try {
+      const result = await AptosService.bulkRegister(getSigner(), entries, {
+        ...trackTransaction('Register users'),
+        onChunk,
+      });
+      if (result.success) invalidateQueries(accountQueries());
+      return result;
+    } catch (error) {
+      console.error('Bulk registration error:', error);
+      setError('Failed to register users');
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Shared wrapper for the transactions below. invalidates lists the query
+  // prefixes a successful transaction makes stale.
+  const submitWithWallet = async (action, submit, invalidates = []) => {
+    if (!account) {
+      setError('Please connect your wallet first');
+      return { success: false };
+    }
+
+    try {
+      const result = await submit(getSigner(), trackTransaction(action));
+      if (result.success) invalidateQueries(invalidates);
+      return result;
+    } catch (error) {
+      console.error(`${action} error:`, error);
+      setError(`Failed to ${action.toLowerCase()}`);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const createCourse = (code, name, teacherAddress) => submitWithWallet(
+    'Create course',
+    (signer, options) => AptosService.createCourse(signer, code, name, teacherAddress, options),
+    [['courses']]
+  );
+
+  const enrollStudents = (courseId, studentAddresses) => submitWithWallet(
+    'Enroll students',
+    (signer, options) => AptosService.enrollStudents(signer, courseId, studentAddresses, options),
+    [['courses']]
+  );
+
+  const unenrollStudent = (courseId, studentAddress) => submitWithWallet(
+    'Unenroll student',
+    (signer, options) => AptosService.unenrollStudent(signer, courseId, studentAddress, options),
+    [['courses']]
+  );
+
+  const createSession = (courseId, date, slot) => submitWithWallet(
+    'Create session',
+    (signer, options) => AptosService.createSession(signer, courseId, date, slot, options),
+    [['sessions']]
+  );
+
+  const markSessionAttendance = (sessionId, entries) => submitWithWallet(
+    'Mark session attendance',
+    (signer, options) => AptosService.markSessionAttendance(signer, sessionId, entries, options),
+    [...attendanceQueries(), ['sessions']]
+  );
+
+  const checkInWithCode = (code) => submitWithWallet(
+    'Check in',
+    (signer, options) => AptosService.checkInWithCode(signer, code, options),
+    [...attendanceQueries(account?.address), ['sessions']]
+  );
+
+  const setCheckInValidity = (seconds) => submitWithWallet(
+    'Set check-in code lifetime',
+    (signer, options) => AptosService.setCheckInValidity(signer, seconds, options),
+    [['policy']]
+  );
+
+  const setSelfCheckIn = (allowed) => submitWithWallet(
+    allowed ? 'Allow self check-in' : 'Require session codes',
+    (signer, options) => AptosService.setSelfCheckIn(signer, allowed, options),
+    [['selfCheckIn']]
+  );
+
+  const setUtcOffset = (offsetSeconds) => submitWithWallet(
+    'Set UTC offset',
+    (signer, options) => AptosService.setUtcOffset(signer, offsetSeconds, options),
+    [['utcOffset']]
+  );
+
+  const setAttendanceWindow = (slot, window) => submitWithWallet(
+    'Set attendance window',
+    (signer, options) => AptosService.setAttendanceWindow(signer, slot, window, options),
+    [['policy']]
+  );
+
+  const removeAttendanceWindow = (slot) => submitWithWallet(
+    'Remove attendance window',
+    (signer, options) => AptosService.removeAttendanceWindow(signer, slot, options),
+    [['policy']]
+  );
+
+  const requestCorrection = (userAddress, date, status, reason) => submitWithWallet(
+    'Request correction',
+    (signer, options) => AptosService.requestCorrection(signer, userAddress, date, status, reason, options),
+    [...attendanceQueries(userAddress, date), ['corrections']]
+  );
+
+  const approveCorrection = (correctionId) => submitWithWallet(
+    'Approve correction',
+    (signer, options) => AptosService.approveCorrection(signer, correctionId, options),
+    [...attendanceQueries(), ['corrections']]
+  );
+
+  const rejectCorrection = (correctionId) => submitWithWallet(
+    'Reject correction',
+    (signer, options) => AptosService.rejectCorrection(signer, correctionId, options),
+    [['corrections']]
+  );
+
+  const setUserRole = (userAddress, role) => submitWithWallet(
+    'Change role',
+    (signer, options) => AptosService.setUserType(signer, userAddress, role, options),
+    accountQueries(userAddress)
+  );
+
+  const deactivateUser = (userAddress) => submitWithWallet(
+    'Deactivate user',
+    (signer, options) => AptosService.deactivateUser(signer, userAddress, options),
+    accountQueries(userAddress)
+  );
+
+  const reactivateUser = (userAddress) => submitWithWallet(
+    'Reactivate user',
+    (signer, options) => AptosService.reactivateUser(signer, userAddress, options),
+    accountQueries(userAddress)
+  );
+
+  const proposeAdminTransfer = (newAdminAddress) => submitWithWallet(
+    'Propose admin transfer',
+    (signer, options) => AptosService.proposeAdminTransfer(signer, newAdminAddress, options),
+    [['adminTransfer']]
+  );
+
+  const acceptAdminTransfer = () => submitWithWallet(
+    'Accept admin transfer',
+    (signer, options) => AptosService.acceptAdminTransfer(signer, options),
+    [...accountQueries(), ['adminTransfer']]
+  );
+
+  const cancelAdminTransfer = () => submitWithWallet(
+    'Cancel admin transfer',
+    (signer, options) => AptosService.cancelAdminTransfer(signer, options),
+    [['adminTransfer']]
+  );
+
+  const requestLeave = (leave) => submitWithWallet(
+    'Request leave',
+    (signer, options) => AptosService.requestLeave(signer, leave, options),
+    [['leave']]
+  );
+
+  const approveLeave = (leaveId) => submitWithWallet(
+    'Approve leave',
+    (signer, options) => AptosService.approveLeave(signer, leaveId, options),
+    [...attendanceQueries(), ['leave']]
+  );
+
+  const rejectLeave = (leaveId) => submitWithWallet(
+    'Reject leave',
+    (signer, options) => AptosService.rejectLeave(signer, leaveId, options),
+    [['leave']]
+  );
+
+  const cancelLeave = (leaveId) => submitWithWallet(
+    'Cancel leave',
+    (signer, options) => AptosService.cancelLeave(signer, leaveId, options),
+    [['leave']]
+  );
+
+  // Asks the wallet to sign a fresh code; no transaction is submitted.
+  const issueCheckInCode = (sessionId, lifetimeSeconds) => createCheckInCode(
+    getSigner(),
+    sessionId,
+    lifetimeSeconds,
+    AptosService.checkInInstitution()
+  );
+
+  const markCheckout = async (date) => {
+    if (!account) {
+      setError('Please connect your wallet first');
+      return { success: false };
+    }
+
+    try {
+      const result = await AptosService.markCheckout(getSigner(), date, trackTransaction('Check out'));
+      if (result.success) invalidateQueries(attendanceQueries(account.address, date));
+      return result;
+    } catch (error) {
+      console.error('Mark checkout error:', error);
+      setError('Failed to mark checkout');
+      return { success: false, error: error.message };
+    }
+  };
+
+  const refreshQueue = async () => {
+    setQueuedIntents(account ? await offlineQueue.list(account.address) : []);
+  };
+
+  // Student check-in and checkout. Offline, or when the request cannot reach
+  // the network, the intent is queued instead and replayed by syncOfflineQueue.
+  const submitOrQueue = async (kind, date, submit) => {
+    if (!account) {
+      setError('Please connect your wallet first');
+      return { success: false };
+    }
+
+    if (!isOffline()) {
+      const result = await submit();
+      if (!isConnectivityFailure(result)) return result;
+    }
+
+    const intent = await offlineQueue.enqueue(account.address, kind, date);
+    await refreshQueue();
+    return { success: true, queued: true, intent };
+  };
+
+  const checkIn = (date) => submitOrQueue('check_in', date, () => markAttendance(account.address, date, 'present'));
+
+  const checkOut = (date) => submitOrQueue('checkout', date, () => markCheckout(date));
+
+  const syncOfflineQueue = async () => {
+    if (!account || syncInFlight.current || isOffline()) return [];
+
+    syncInFlight.current = true;
+    setSyncingQueue(true);
+    try {
+      const results = await offlineQueue.replay(AptosService, getSigner(), {
+        onChange: refreshQueue,
+        options: trackTransaction('Sync offline check-in'),
+      });
+      invalidateQueries(attendanceQueries(account.address));
+      return results;
+    } catch (error) {
+      console.error('Offline queue sync error:', error);
+      setError('Failed to sync offline check-ins');
+      return [];
+    } finally {
+      syncInFlight.current = false;
+      setSyncingQueue(false);
+      await refreshQueue();
+    }
+  };
+
+  // The online listener below outlives renders, so it calls the latest sync
+  // through a ref.
+  const syncRef = useRef(syncOfflineQueue);
+  syncRef.current = syncOfflineQueue;
+
+  const discardQueuedIntent = async (id) => {
+    await offlineQueue.remove(id);
+    await refreshQueue();
+  };
+
+  const clearConfirmedIntents = async () => {
+    await offlineQueue.clearConfirmed(account.address);
+    await refreshQueue();
+  };
+
+  // Replays as soon as the browser is back online, and after connecting when
+  // earlier intents are still waiting.
+  useEffect(() => {
+    if (!account) {
+      setQueuedIntents([]);
+      return undefined;
+    }
+
+    const sync = () => syncRef.current();
+    offlineQueue.list(account.address).then((intents) => {
+      setQueuedIntents(intents);
+      if (intents.some((intent) => intent.state === 'queued' || intent.state === 'syncing')) {
+        sync();
+      }
+    });
+
+    window.addEventListener('online', sync);
+    return () => window.removeEventListener('online', sync);
+  }, [account, offlineQueue]);
+
+  const getUserAttendance = async (userAddress, date) => {
+    try {
+      const result = await AptosService.getUserAttendance(userAddress, date);
+      return result;
+    } catch (error) {
+      console.error('Get user attendance error:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const getUserAttendanceRange = async (userAddress, startDate, endDate) => {
+    try {
+      const result = await AptosService.getUserAttendanceRange(userAddress, startDate, endDate);
+      return result;
+    } catch (error) {
+      console.error('Get user attendance range error:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const getDailyAttendance = async (date, options) => {
+    try {
+      const result = await AptosService.getDailyAttendance(date, options);
+      return result;
+    } catch (error) {
+      console.error('Get daily attendance error:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const switchNetwork = (config) => {
+    try {
+      AptosService.configure(config);
+      queryCache.reset();
+      saveNetworkConfig(config);
+      setNetworkConfig(AptosService.getConfig());
+      setError(null);
+      return { success: true };
+    } catch (error) {
+      console.error('Network switch error:', error);
+      setError(error.message);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const resetNetwork = () => {
+    clearNetworkConfig();
+    return switchNetwork(getEnvConfig());
+  };
+
+  const selectInstitution = (address) => switchNetwork(withInstitution(networkConfig, address));
+
+  // Opens a new institution with the connected account as its admin, then
+  // switches to it.
+  const createInstitution = async (name) => {
+    const result = await submitWithWallet(
+      'Create institution',
+      (signer, options) => AptosService.createInstitution(signer, name, options),
+      [['institutions'], ['userInstitutions']]
+    );
+    if (result.success && result.institution) selectInstitution(result.institution);
+    return result;
+  };
+
+  const clearError = () => setError(null);
+
+  const clearTransaction = () => setTransaction(null);
+
+  const contextValue = {
+    
+    connected,
+    account,
+    wallet,
+    wallets,
+    userType,
+    userInfo,
+    isRegistered,
+    isActive,
+    loading,
+    error,
+    networkConfig,
+    institution,
+    institutions,
+    memberships,
+    walletNetwork: network,
+    transaction,
+    queuedIntents,
+    syncingQueue,
+
+    
+    connect: connectWallet,
+    disconnect: disconnectWallet,
+    switchNetwork,
+    resetNetwork,
+    selectInstitution,
+    createInstitution,
+    
+    
+    registerUser,
+    markAttendance,
+    markAttendanceBatch,
+    bulkRegister,
+    markCheckout,
+    checkIn,
+    checkOut,
+    syncOfflineQueue,
+    discardQueuedIntent,
+    clearConfirmedIntents,
+    createCourse,
+    enrollStudents,
+    unenrollStudent,
+    createSession,
+    markSessionAttendance,
+    checkInWithCode,
+    setCheckInValidity,
+    setSelfCheckIn,
+    setUtcOffset,
+    setAttendanceWindow,
+    removeAttendanceWindow,
+    requestCorrection,
+    approveCorrection,
+    rejectCorrection,
+    requestLeave,
+    approveLeave,
+    rejectLeave,
+    cancelLeave,
+    setUserRole,
+    deactivateUser,
+    reactivateUser,
+    proposeAdminTransfer,
+    acceptAdminTransfer,
+    cancelAdminTransfer,
+    issueCheckInCode,
+    getUserAttendance,
+    getUserAttendanceRange,
+    getDailyAttendance,
+    refreshUserInfo,
+
+    
+    clearError,
+    clearTransaction,
+    getSigner,
+    signAndSubmitTransaction,
+    signTransaction,
+    signMessage,
+  };
+
+  return (
+    <WalletContext.Provider value={contextValue}>
+      {children}
+    </WalletContext.Provider>
+  );
+};
+
+
+export const useWalletContext = () => {
+  const context = useContext(WalletContext);
+  if (!context) {
+    throw new Error('useWalletContext must be used within a WalletContextProvider');
+  }
+  return context;
+};
+
+
+export const WalletProvider = ({ children }) => {
+  return (
+    <AptosWalletAdapterProvider
+      autoConnect={true}
+      onError={(error) => console.error('Wallet adapter error:', error)}
+    >
+      <WalletContextProvider>
+        {children}
+      </WalletContextProvider>
+    </AptosWalletAdapterProvider>
+  );
+};
+
 export default WalletProvider;
\ No newline at end of file
@@ -0,0 +1,163 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import queryCache from '../queryCache';
+import AptosService from '../aptosService';
+import { normalizeAddress } from '../addressUtils';
+import { useAttendanceWindows, useCourses } from '../../hooks/queries';
+import { WalletContextProvider, useWalletContext } from './WalletContext';
+
+// The provider runs against the in-memory contract, with the wallet adapter
+// replaced by whatever account the test connects.
+let mockWallet;
+jest.mock('@aptos-labs/wallet-adapter-react', () => ({
+  useWallet: () => mockWallet,
+  AptosWalletAdapterProvider: ({ children }) => children,
+}));
+
+jest.mock('../aptosService', () => {
+  const { default: MockAptosService } = jest.requireActual('../mockAptosService');
+  return {
+    __esModule: true,
+    default: new MockAptosService({ moduleAddress: '0xa', backend: 'mock', timeZone: 'UTC' }),
+  };
+});
+
+const connectAs = (address) => {
+  mockWallet = {
+    account: address ? { address } : null,
+    connected: Boolean(address),
+    connect: jest.fn(),
+    disconnect: jest.fn(),
+    signAndSubmitTransaction: jest.fn(),
+  };
+};
+
+// Lets the queries the provider starts settle.
+const settle = () => act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+
+describe('WalletContextProvider', () => {
+  let container;
+  let root;
+  let context;
+
+  const Probe = () => {
+    context = useWalletContext();
+    return null;
+  };
+
+  const mount = (element) => root.render(element);
+
+  const renderProvider = async () => {
+    act(() => mount(<WalletContextProvider><Probe /></WalletContextProvider>));
+    await settle();
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    queryCache.reset();
+    container = document.createElement('div');
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+  });
+
+  it('loads the connected account and refreshes it after registering', async () => {
+    connectAs('0xb');
+    await renderProvider();
+    expect(context.isRegistered).toBe(false);
+    expect(context.userType).toBeNull();
+
+    let result;
+    await act(async () => {
+      result = await context.registerUser('Student', 'student');
+    });
+    await settle();
+
+    expect(result.success).toBe(true);
+    expect(context.transaction).toMatchObject({ action: 'Register', status: 'confirmed' });
+    expect(context.isRegistered).toBe(true);
+    expect(context.userType).toBe('student');
+    expect(context.isActive).toBe(true);
+  });
+
+  it('reads the system admin from the contract', async () => {
+    connectAs('0xa');
+    await renderProvider();
+
+    expect(context.userInfo).toMatchObject({ address: normalizeAddress('0xa'), name: 'System Admin' });
+    expect(context.userType).toBe('admin');
+  });
+
+  it('asks for a wallet before writing', async () => {
+    connectAs(null);
+    await renderProvider();
+
+    let result;
+    await act(async () => {
+      result = await context.markAttendance('0xb', '2026-10-19', 'present');
+    });
+
+    expect(result).toEqual({ success: false });
+    expect(context.error).toBe('Please connect your wallet first');
+    expect(context.isRegistered).toBeNull();
+  });
+
+  it('opens the institution a link names', async () => {
+    const { institution } = await AptosService.createInstitution({ address: '0xd' }, 'North');
+    const initial = AptosService.getConfig();
+    window.history.pushState({}, '', `/?institution=${institution}`);
+    connectAs('0xd');
+
+    try {
+      await renderProvider();
+
+      expect(context.institution).toBe(institution);
+      expect(context.userType).toBe('admin');
+    } finally {
+      window.history.pushState({}, '', '/');
+      window.localStorage.clear();
+      AptosService.configure(initial);
+    }
+  });
+
+  it('refreshes the queries a write makes stale', async () => {
+    let courses;
+    let windows;
+    const Lists = () => {
+      courses = useCourses(null).data;
+      windows = useAttendanceWindows().data;
+      return null;
+    };
+    await AptosService.registerUser({ address: '0xe' }, 'Teacher', 'teacher');
+    connectAs('0xa');
+    act(() => mount(<WalletContextProvider><Probe /><Lists /></WalletContextProvider>));
+    await settle();
+    expect(courses).toEqual([]);
+    expect(windows).toEqual([]);
+
+    await act(async () => {
+      await context.createCourse('MATH101', 'Algebra I', '0xe');
+      await context.setAttendanceWindow(0, { startsAt: 8 * 3600, graceSeconds: 600, halfDayBefore: 0 });
+    });
+    await settle();
+
+    expect(courses).toMatchObject([{ code: 'MATH101', teacher: normalizeAddress('0xe') }]);
+    expect(windows).toMatchObject([{ slot: 0, startsAt: 8 * 3600 }]);
+  });
+
+  it('reports a rejected transaction without setting a global error', async () => {
+    connectAs('0xc');
+    await renderProvider();
+
+    let result;
+    await act(async () => {
+      result = await context.markAttendance('0xb', '2026-10-19', 'present');
+    });
+
+    expect(result.abortName).toBe('E_NOT_AUTHORIZED');
+    expect(context.transaction).toMatchObject({ action: 'Mark attendance', status: 'failed' });
+    expect(context.error).toBeNull();
+  });
+});
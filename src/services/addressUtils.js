@@ -0,0 +1,6 @@
+export const normalizeAddress = (address) => {
+  const hex = address.toString().trim().toLowerCase().replace(/^0x/, "");
+  return `0x${hex.padStart(64, "0")}`;
+};
+
+export const isValidAddress = (address) => /^0x[0-9a-fA-F]{1,64}$/.test((address || "").trim());
@@ -0,0 +1,158 @@
+import { normalizeAddress } from "./addressUtils";
+import { countsAsPresent } from "./attendanceStatus";
+import { addDays, secondOfDay, startOfWeek } from "./dates";
+
+// Term analytics over daily attendance records. Rates use the same rule as the
+// reports: attended (present, late or half-day) out of all recorded days, so
+// excused days count against the rate and unmarked days do not count at all.
+
+const byDate = (a, b) => a.date.localeCompare(b.date);
+
+const average = (values) => (
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+const percent = (part, total) => (total > 0 ? (part / total) * 100 : null);
+
+// Runs of consecutive absent records. Excused days neither extend nor break a
+// run; current is the run still open at the last record.
+export const absenceStreaks = (records) => {
+  let longest = 0;
+  let current = 0;
+  [...records].sort(byDate).forEach((record) => {
+    if (record.status === "absent") {
+      current += 1;
+      longest = Math.max(longest, current);
+    } else if (record.status !== "excused") {
+      current = 0;
+    }
+  });
+  return { longest, current };
+};
+
+// Check-in times only come from self check-ins, since a teacher's mark records
+// when the teacher submitted it. Time on site needs a checkout.
+export const summarizeRecords = (records, timeZone) => {
+  const attended = records.filter((record) => countsAsPresent(record.status));
+  const checkIns = attended
+    .filter((record) => Number(record.checkInTime) > 0 && normalizeAddress(record.markedBy) === normalizeAddress(record.userAddress))
+    .map((record) => secondOfDay(record.checkInTime, timeZone));
+  const visits = records
+    .filter((record) => Number(record.checkInTime) > 0 && Number(record.checkOutTime) > Number(record.checkInTime))
+    .map((record) => Number(record.checkOutTime) - Number(record.checkInTime));
+  const streaks = absenceStreaks(records);
+
+  return {
+    recorded: records.length,
+    attended: attended.length,
+    late: records.filter((record) => record.status === "late").length,
+    absent: records.filter((record) => record.status === "absent").length,
+    excused: records.filter((record) => record.status === "excused").length,
+    rate: percent(attended.length, records.length),
+    longestAbsenceStreak: streaks.longest,
+    currentAbsenceStreak: streaks.current,
+    averageCheckIn: average(checkIns),
+    averageTimeOnSite: average(visits),
+  };
+};
+
+// Attendance rate per day, or per week starting on Monday, from startDate to
+// endDate. Periods without records have a null rate.
+export const trendLine = (records, startDate, endDate, bucket = "day") => {
+  const periodOf = bucket === "week" ? startOfWeek : (date) => date;
+  const points = new Map();
+  for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+    const period = periodOf(day);
+    if (!points.has(period)) points.set(period, { period, recorded: 0, attended: 0 });
+  }
+
+  records.forEach((record) => {
+    const point = points.get(periodOf(record.date));
+    if (!point) return;
+    point.recorded += 1;
+    if (countsAsPresent(record.status)) point.attended += 1;
+  });
+
+  return [...points.values()].map((point) => ({ ...point, rate: percent(point.attended, point.recorded) }));
+};
+
+export const isAtRisk = (summary, threshold) => summary.rate !== null && summary.rate < threshold;
+
+const unwrap = (result) => {
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data;
+};
+
+// Loads each student's records for a term once and summarizes them per student
+// and per class. classes: [{ id, name, students: [address] }]. Names are
+// resolved with get_user_info and cached per instance, as in ReportBuilder.
+class AttendanceAnalytics {
+  constructor(service, timeZone = "") {
+    this.service = service;
+    this.timeZone = timeZone;
+    this.names = new Map();
+  }
+
+  
+  resolveName(address) {
+    const key = normalizeAddress(address);
+    if (!this.names.has(key)) {
+      this.names.set(key, this.service.getUserInfo(address).then((result) => (result.success ? result.data.name : "")));
+    }
+    return this.names.get(key);
+  }
+
+  async termAnalytics(classes, startDate, endDate, threshold) {
+    if (startDate > endDate) {
+      throw new Error("Start date must not be after end date");
+    }
+
+    const addresses = [...new Set(classes.flatMap((group) => group.students.map(normalizeAddress)))];
+    const records = new Map(await Promise.all(addresses.map(async (address) => [
+      address,
+      unwrap(await this.service.getUserAttendanceRange(address, startDate, endDate)),
+    ])));
+    const bucket = addDays(startDate, 31) <= endDate ? "week" : "day";
+
+    const students = await Promise.all(addresses.map(async (address) => {
+      const summary = summarizeRecords(records.get(address), this.timeZone);
+      return {
+        address,
+        name: await this.resolveName(address),
+        classIds: classes
+          .filter((group) => group.students.some((student) => normalizeAddress(student) === address))
+          .map((group) => group.id),
+        ...summary,
+        atRisk: isAtRisk(summary, threshold),
+      };
+    }));
+    students.sort((a, b) => (a.rate ?? 101) - (b.rate ?? 101) || a.name.localeCompare(b.name));
+
+    const allRecords = [...records.values()].flat();
+    const classSummaries = classes.map((group) => {
+      const classRecords = group.students.flatMap((student) => records.get(normalizeAddress(student)) || []);
+      return {
+        id: group.id,
+        name: group.name,
+        students: group.students.length,
+        ...summarizeRecords(classRecords, this.timeZone),
+        trend: trendLine(classRecords, startDate, endDate, bucket),
+      };
+    });
+
+    return {
+      startDate,
+      endDate,
+      bucket,
+      threshold,
+      overall: { students: addresses.length, ...summarizeRecords(allRecords, this.timeZone) },
+      classes: classSummaries,
+      students,
+      atRisk: students.filter((student) => student.atRisk),
+    };
+  }
+}
+
+export default AttendanceAnalytics;
@@ -0,0 +1,141 @@
+import { normalizeAddress } from "./addressUtils";
+import AttendanceAnalytics, { absenceStreaks, isAtRisk, summarizeRecords, trendLine } from "./analytics";
+
+const STUDENT = "0xb";
+const TEACHER = "0xc";
+const at = (date, time) => Date.parse(`${date}T${time}:00Z`) / 1000;
+
+const record = (date, status, { self = false, checkIn = "08:00", checkOut = null, user = STUDENT } = {}) => ({
+  userAddress: user,
+  date,
+  status,
+  markedBy: self ? user : TEACHER,
+  checkInTime: String(at(date, checkIn)),
+  checkOutTime: checkOut ? String(at(date, checkOut)) : "0",
+});
+
+describe("absenceStreaks", () => {
+  it("counts consecutive absences, skipping excused days", () => {
+    const records = [
+      record("2026-10-05", "absent"),
+      record("2026-10-06", "excused"),
+      record("2026-10-07", "absent"),
+      record("2026-10-08", "present"),
+      record("2026-10-12", "absent"),
+    ];
+    expect(absenceStreaks(records)).toEqual({ longest: 2, current: 1 });
+  });
+
+  it("sorts records by date first", () => {
+    const records = [record("2026-10-07", "absent"), record("2026-10-05", "present"), record("2026-10-06", "absent")];
+    expect(absenceStreaks(records)).toEqual({ longest: 2, current: 2 });
+  });
+});
+
+describe("summarizeRecords", () => {
+  it("counts late and half-day as attended and excused against the rate", () => {
+    const summary = summarizeRecords([
+      record("2026-10-05", "present"),
+      record("2026-10-06", "late"),
+      record("2026-10-07", "half_day"),
+      record("2026-10-08", "excused"),
+    ]);
+    expect(summary).toMatchObject({ recorded: 4, attended: 3, late: 1, excused: 1, absent: 0, rate: 75 });
+  });
+
+  it("averages self check-in times in the timezone and time on site", () => {
+    const summary = summarizeRecords([
+      record("2026-10-05", "present", { self: true, checkIn: "02:30", checkOut: "08:30" }),
+      record("2026-10-06", "late", { self: true, checkIn: "03:30" }),
+      record("2026-10-07", "present", { checkIn: "09:00", checkOut: "10:00" }),
+    ], "Asia/Colombo");
+
+    expect(summary.averageCheckIn).toBe(8.5 * 3600);
+    expect(summary.averageTimeOnSite).toBe((6 * 3600 + 3600) / 2);
+  });
+
+  it("has no rate or averages without records", () => {
+    expect(summarizeRecords([])).toMatchObject({ rate: null, averageCheckIn: null, averageTimeOnSite: null });
+  });
+});
+
+describe("trendLine", () => {
+  const records = [
+    record("2026-10-19", "present"),
+    record("2026-10-20", "absent"),
+    record("2026-10-27", "late"),
+  ];
+
+  it("has a point per day, with null for days without records", () => {
+    const points = trendLine(records, "2026-10-19", "2026-10-21");
+    expect(points.map((point) => [point.period, point.rate])).toEqual([
+      ["2026-10-19", 100],
+      ["2026-10-20", 0],
+      ["2026-10-21", null],
+    ]);
+  });
+
+  it("groups by weeks starting on Monday", () => {
+    const points = trendLine(records, "2026-10-21", "2026-10-28", "week");
+    expect(points.map((point) => [point.period, point.recorded, point.rate])).toEqual([
+      ["2026-10-19", 2, 50],
+      ["2026-10-26", 1, 100],
+    ]);
+  });
+});
+
+it("flags students below the threshold only when they have records", () => {
+  expect(isAtRisk({ rate: 74.9 }, 75)).toBe(true);
+  expect(isAtRisk({ rate: 75 }, 75)).toBe(false);
+  expect(isAtRisk({ rate: null }, 75)).toBe(false);
+});
+
+describe("AttendanceAnalytics", () => {
+  const students = {
+    [normalizeAddress("0xb")]: {
+      name: "Bo",
+      records: [record("2026-10-19", "present"), record("2026-10-20", "absent")],
+    },
+    [normalizeAddress("0xd")]: {
+      name: "Dee",
+      records: [record("2026-10-19", "present", { user: "0xd" }), record("2026-10-20", "present", { user: "0xd" })],
+    },
+  };
+  const student = (address) => students[normalizeAddress(address)];
+  let service;
+
+  beforeEach(() => {
+    service = {
+      getUserAttendanceRange: jest.fn(async (address) => ({ success: true, data: student(address).records })),
+      getUserInfo: jest.fn(async (address) => ({ success: true, data: { name: student(address).name } })),
+    };
+  });
+
+  it("summarizes a term per student and per class, lowest rate first", async () => {
+    const analytics = new AttendanceAnalytics(service);
+    const result = await analytics.termAnalytics(
+      [
+        { id: 1, name: "Maths", students: ["0xb", "0xd"] },
+        { id: 2, name: "Art", students: ["0xd"] },
+      ],
+      "2026-10-19",
+      "2026-10-20",
+      75
+    );
+
+    expect(result.bucket).toBe("day");
+    expect(result.students.map((entry) => [entry.name, entry.rate, entry.classIds])).toEqual([
+      ["Bo", 50, [1]],
+      ["Dee", 100, [1, 2]],
+    ]);
+    expect(result.atRisk.map((entry) => entry.name)).toEqual(["Bo"]);
+    expect(result.classes.map((group) => [group.name, group.rate])).toEqual([["Maths", 75], ["Art", 100]]);
+    expect(result.overall).toMatchObject({ students: 2, recorded: 4, attended: 3 });
+    expect(service.getUserAttendanceRange).toHaveBeenCalledTimes(2);
+  });
+
+  it("rejects a range that ends before it starts", async () => {
+    await expect(new AttendanceAnalytics(service).termAnalytics([], "2026-10-20", "2026-10-19", 75))
+      .rejects.toThrow("Start date must not be after end date");
+  });
+});
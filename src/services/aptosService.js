@@ -1,284 +1,1438 @@
-
-import { Aptos, AptosConfig, Network } from "@aptos-labs/ts-sdk";
-
-
-const aptosConfig = new AptosConfig({ 
-  network: Network.TESTNET 
-});
-const aptos = new Aptos(aptosConfig);
-
-
-const MODULE_ADDRESS = "0x845fb204faa0c5c6134194e9307989763adbcdb26c8b877354deb363f08485db"; 
-const MODULE_NAME = "attendance_system";
-
-class AptosService {
-  constructor() {
-    this.aptos = aptos;
-    this.moduleAddress = MODULE_ADDRESS;
-  }
-
-  
-  async initializeSystem(account) {
-    try {
-      const transaction = await this.aptos.transaction.build.simple({
-        sender: account.address,
-        data: {
-          function: `${this.moduleAddress}::${MODULE_NAME}::initialize`,
-          functionArguments: [],
-        },
-      });
-
-      const committedTxn = await this.aptos.signAndSubmitTransaction({
-        signer: account,
-        transaction,
-      });
-
-      const executedTransaction = await this.aptos.waitForTransaction({
-        transactionHash: committedTxn.hash,
-      });
-
-      return {
-        success: true,
-        hash: executedTransaction.hash,
-      };
-    } catch (error) {
-      console.error("Error initializing system:", error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  
-  async registerUser(account, name, userType) {
-    try {
-      
-      const userTypeMap = {
-        'student': 1,
-        'teacher': 2,
-        'admin': 3
-      };
-
-      const transaction = await this.aptos.transaction.build.simple({
-        sender: account.address,
-        data: {
-          function: `${this.moduleAddress}::${MODULE_NAME}::register_user`,
-          functionArguments: [name, userTypeMap[userType]],
-        },
-      });
-
-      const committedTxn = await this.aptos.signAndSubmitTransaction({
-        signer: account,
-        transaction,
-      });
-
-      const executedTransaction = await this.aptos.waitForTransaction({
-        transactionHash: committedTxn.hash,
-      });
-
-      return {
-        success: true,
-        hash: executedTransaction.hash,
-      };
-    } catch (error) {
-      console.error("Error registering user:", error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  
-  async markAttendance(account, userAddress, date, isPresent) {
-    try {
-      const transaction = await this.aptos.transaction.build.simple({
-        sender: account.address,
-        data: {
-          function: `${this.moduleAddress}::${MODULE_NAME}::mark_attendance`,
-          functionArguments: [userAddress, date, isPresent],
-        },
-      });
-
-      const committedTxn = await this.aptos.signAndSubmitTransaction({
-        signer: account,
-        transaction,
-      });
-
-      const executedTransaction = await this.aptos.waitForTransaction({
-        transactionHash: committedTxn.hash,
-      });
-
-      return {
-        success: true,
-        hash: executedTransaction.hash,
-      };
-    } catch (error) {
-      console.error("Error marking attendance:", error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  
-  async markCheckout(account, date) {
-    try {
-      const transaction = await this.aptos.transaction.build.simple({
-        sender: account.address,
-        data: {
-          function: `${this.moduleAddress}::${MODULE_NAME}::mark_checkout`,
-          functionArguments: [date],
-        },
-      });
-
-      const committedTxn = await this.aptos.signAndSubmitTransaction({
-        signer: account,
-        transaction,
-      });
-
-      const executedTransaction = await this.aptos.waitForTransaction({
-        transactionHash: committedTxn.hash,
-      });
-
-      return {
-        success: true,
-        hash: executedTransaction.hash,
-      };
-    } catch (error) {
-      console.error("Error marking checkout:", error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  
-  async getUserInfo(userAddress) {
-    try {
-      const userInfo = await this.aptos.view({
-        payload: {
-          function: `${this.moduleAddress}::${MODULE_NAME}::get_user_info`,
-          functionArguments: [userAddress],
-        },
-      });
-
-      return {
-        success: true,
-        data: {
-          address: userInfo[0].address,
-          name: userInfo[0].name,
-          userType: userInfo[0].user_type,
-          registrationTime: userInfo[0].registration_time,
-        },
-      };
-    } catch (error) {
-      console.error("Error getting user info:", error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  
-  async getUserAttendance(userAddress, date) {
-    try {
-      const attendance = await this.aptos.view({
-        payload: {
-          function: `${this.moduleAddress}::${MODULE_NAME}::get_user_attendance`,
-          functionArguments: [userAddress, date],
-        },
-      });
-
-      return {
-        success: true,
-        data: {
-          userAddress: attendance[0].user_address,
-          date: attendance[0].date,
-          checkInTime: attendance[0].check_in_time,
-          checkOutTime: attendance[0].check_out_time,
-          isPresent: attendance[0].is_present,
-          markedBy: attendance[0].marked_by,
-        },
-      };
-    } catch (error) {
-      console.error("Error getting user attendance:", error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  
-  async getDailyAttendance(date) {
-    try {
-      const attendance = await this.aptos.view({
-        payload: {
-          function: `${this.moduleAddress}::${MODULE_NAME}::get_daily_attendance`,
-          functionArguments: [date],
-        },
-      });
-
-      return {
-        success: true,
-        data: attendance[0].map(record => ({
-          userAddress: record.user_address,
-          date: record.date,
-          checkInTime: record.check_in_time,
-          checkOutTime: record.check_out_time,
-          isPresent: record.is_present,
-          markedBy: record.marked_by,
-        })),
-      };
-    } catch (error) {
-      console.error("Error getting daily attendance:", error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  
-  async isUserRegistered(userAddress) {
-    try {
-      const isRegistered = await this.aptos.view({
-        payload: {
-          function: `${this.moduleAddress}::${MODULE_NAME}::is_user_registered`,
-          functionArguments: [userAddress],
-        },
-      });
-
-      return {
-        success: true,
-        data: isRegistered[0],
-      };
-    } catch (error) {
-      console.error("Error checking user registration:", error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  
-  async getAdminAddress() {
-    try {
-      const adminAddress = await this.aptos.view({
-        payload: {
-          function: `${this.moduleAddress}::${MODULE_NAME}::get_admin_address`,
-          functionArguments: [],
-        },
-      });
-
-      return {
-        success: true,
-        data: adminAddress[0],
-      };
-    } catch (error) {
-      console.error("Error getting admin address:", error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  
-  async getAccountBalance(address) {
-    try {
-      const balance = await this.aptos.getAccountAPTAmount({
-        accountAddress: address,
-      });
-
-      return {
-        success: true,
-        data: balance,
-      };
-    } catch (error) {
-      console.error("Error getting account balance:", error);
-      return { success: false, error: error.message };
-    }
-  }
-}
-
-export default new AptosService();
\ No newline at end of file
+import { getAptosFullNode, Hex } from "@aptos-labs/ts-sdk";
+import {
+  loadNetworkConfig,
+  validateNetworkConfig,
+  createAptosClient,
+} from "./networkConfig";
+import {
+  USER_TYPES,
+  ATTENDANCE_STATUSES,
+  CORRECTION_STATES,
+  LEAVE_STATES,
+  LEAVE_CATEGORIES,
+  LEAVE_CATEGORY_NAMES,
+  SKIP_REASONS,
+  EVENT_STREAMS,
+  REGISTRATION_CHUNK_SIZE,
+  DAILY_PAGE_SIZE,
+  INSTITUTION_PAGE_SIZE,
+} from "./constants";
+import { normalizeAddress } from "./addressUtils";
+import {
+  InsufficientBalanceError,
+  AttendanceError,
+  abortError,
+  decodeTransactionError,
+  toFailureResult,
+} from "./transactionErrors";
+import { submitInChunks } from "./batching";
+import { parseCheckInCode, verifyCheckInCode } from "./checkInCodes";
+import { statusName, mapAttendanceWindow } from "./attendanceStatus";
+import { toDayKey } from "./dates";
+import MockAptosService from "./mockAptosService";
+import SponsorClient from "./sponsor";
+
+const mapAttendanceRecord = (record) => ({
+  userAddress: record.user_address,
+  date: record.date,
+  checkInTime: record.check_in_time,
+  checkOutTime: record.check_out_time,
+  isPresent: record.is_present,
+  markedBy: record.marked_by,
+});
+
+// Entries from the *_entries views pair a record with its status code.
+const mapAttendanceEntry = (entry) => ({
+  ...mapAttendanceRecord(entry.record),
+  status: statusName(entry.status),
+});
+
+const mapCourse = (course) => ({
+  id: course.id,
+  code: course.code,
+  name: course.name,
+  teacher: course.teacher,
+  createdAt: course.created_at,
+});
+
+const mapSession = (session) => ({
+  id: session.id,
+  courseId: session.course_id,
+  date: session.date,
+  slot: Number(session.slot),
+  createdBy: session.created_by,
+  createdAt: session.created_at,
+});
+
+const mapSessionRecord = (record) => ({
+  sessionId: record.session_id,
+  userAddress: record.user_address,
+  checkInTime: record.check_in_time,
+  isPresent: record.is_present,
+  markedBy: record.marked_by,
+});
+
+const mapSessionEntry = (entry) => ({
+  ...mapSessionRecord(entry.record),
+  status: statusName(entry.status),
+});
+
+const mapCorrection = (correction) => ({
+  id: correction.id,
+  userAddress: correction.user_address,
+  date: correction.date,
+  previousStatus: statusName(correction.previous_status),
+  newStatus: statusName(correction.new_status),
+  reason: correction.reason,
+  requestedBy: correction.requested_by,
+  requestedAt: correction.requested_at,
+  state: CORRECTION_STATES[Number(correction.state)],
+  reviewedBy: Number(correction.reviewed_at) > 0 ? correction.reviewed_by : null,
+  reviewedAt: correction.reviewed_at,
+});
+
+const mapLeaveRequest = (request) => ({
+  id: request.id,
+  userAddress: request.user_address,
+  dates: request.dates,
+  category: LEAVE_CATEGORY_NAMES[Number(request.category)],
+  reason: request.reason,
+  documentHash: request.document_hash && request.document_hash !== "0x" ? request.document_hash : null,
+  requestedAt: request.requested_at,
+  state: LEAVE_STATES[Number(request.state)],
+  reviewedBy: Number(request.reviewed_at) > 0 ? request.reviewed_by : null,
+  reviewedAt: request.reviewed_at,
+});
+
+const mapInstitution = (institution) => ({
+  address: normalizeAddress(institution.address),
+  name: institution.name,
+  admin: normalizeAddress(institution.admin),
+  createdAt: institution.created_at,
+});
+
+const mapMembership = (membership) => ({
+  institution: normalizeAddress(membership.institution),
+  name: membership.name,
+  userType: Number(membership.user_type),
+});
+
+const mapEvent = (stream, event) => {
+  const base = {
+    sequenceNumber: event.sequence_number,
+    version: event.version,
+    userAddress: event.data.user_address,
+    timestamp: event.data.timestamp,
+  };
+
+  if (stream === EVENT_STREAMS.registrations) {
+    return { ...base, name: event.data.name, userType: Number(event.data.user_type) };
+  }
+
+  return {
+    ...base,
+    date: event.data.date,
+    checkInTime: event.data.check_in_time,
+    isPresent: event.data.is_present,
+    markedBy: event.data.marked_by,
+  };
+};
+
+// Maps each address touched by a batch transaction to { status, reason }.
+// statuses names the event that means the entry was applied, e.g.
+// { AttendanceMarkedEvent: "marked" }; skip events carry a SKIP_REASONS code.
+const collectOutcomes = (events, moduleName, statuses) => {
+  const outcomes = new Map();
+  events.forEach((event) => {
+    const name = event.type.split("::").pop();
+    if (!event.type.endsWith(`::${moduleName}::${name}`) || !event.data.user_address) return;
+
+    const address = normalizeAddress(event.data.user_address);
+    if (statuses[name]) {
+      outcomes.set(address, { status: statuses[name], reason: null });
+    } else if (name.endsWith("SkippedEvent")) {
+      outcomes.set(address, { status: "skipped", reason: SKIP_REASONS[event.data.reason] });
+    }
+  });
+  return outcomes;
+};
+
+const findEvent = (events, moduleName, name) => events.find((event) => event.type.endsWith(`::${moduleName}::${name}`));
+
+class AptosService {
+  constructor(config = loadNetworkConfig()) {
+    this.configure(config);
+  }
+
+  
+  configure(config) {
+    validateNetworkConfig(config);
+    this.config = { ...config };
+    this.aptos = createAptosClient(config);
+    this.moduleAddress = config.moduleAddress;
+    this.moduleName = config.moduleName;
+    this.institution = normalizeAddress(config.institution || config.moduleAddress);
+    this.sponsor = config.sponsorUrl ? new SponsorClient(config.sponsorUrl) : null;
+  }
+
+  getConfig() {
+    return { ...this.config };
+  }
+
+  // The institution every call acts on: config.institution, or the one the
+  // module's own initialize created at the module address.
+  getInstitution() {
+    return this.institution;
+  }
+
+  // A service for another institution that shares this one's client and
+  // sponsor, for servers that answer for several institutions at once.
+  withInstitution(address) {
+    const scoped = Object.create(this);
+    scoped.institution = normalizeAddress(address);
+    return scoped;
+  }
+
+  // Check-in codes name their institution unless it is the module's own,
+  // whose codes keep the original message (see check_in_message).
+  checkInInstitution() {
+    return this.institution === normalizeAddress(this.moduleAddress) ? null : this.institution;
+  }
+
+  functionId(name) {
+    return `${this.moduleAddress}::${this.moduleName}::${name}`;
+  }
+
+  // The canonical YYYY-MM-DD for date in the configured timezone, or null
+  // when it is not a real calendar day.
+  dayKey(date) {
+    return toDayKey(date, this.config.timeZone);
+  }
+
+  
+  // Whether data goes through the sponsor service: one is configured, the
+  // signer can sign without submitting and the sponsor's policy covers it.
+  // When the policy cannot be fetched the signer pays, so a sponsor outage
+  // does not stop writes the user can afford.
+  async isSponsored(signer, data) {
+    if (!this.sponsor || !signer.signTransaction) return false;
+    try {
+      return await this.sponsor.covers(data.function);
+    } catch (error) {
+      console.error("Sponsor policy unavailable, paying from the sender:", error);
+      return false;
+    }
+  }
+
+  // A sponsored estimate simulates the fee payer transaction (the unset fee
+  // payer skips the gas balance check) and reports no balance.
+  async estimateTransaction(signer, data, { sponsored = false } = {}) {
+    const transaction = await this.aptos.transaction.build.simple({
+      sender: signer.address,
+      data,
+      withFeePayer: sponsored,
+    });
+
+    const [simulation] = await this.aptos.transaction.simulate.simple({
+      signerPublicKey: signer.publicKey,
+      transaction,
+      options: {
+        estimateGasUnitPrice: true,
+        estimateMaxGasAmount: true,
+      },
+    });
+
+    if (!simulation.success) {
+      throw new Error(simulation.vm_status);
+    }
+
+    if (sponsored) {
+      return {
+        gasUsed: Number(simulation.gas_used),
+        gasUnitPrice: Number(simulation.gas_unit_price),
+        fee: Number(simulation.gas_used) * Number(simulation.gas_unit_price),
+        balance: null,
+        sponsored,
+      };
+    }
+
+    const balance = await this.getAccountBalance(signer.address);
+
+    return {
+      gasUsed: Number(simulation.gas_used),
+      gasUnitPrice: Number(simulation.gas_unit_price),
+      fee: Number(simulation.gas_used) * Number(simulation.gas_unit_price),
+      balance: balance.success ? Number(balance.data) : null,
+    };
+  }
+
+  // The signer signs a fee payer transaction as sender; the sponsor service
+  // signs as fee payer, within its gas ceiling, and submits it.
+  async submitSponsored(signer, data) {
+    const policy = await this.sponsor.getPolicy();
+    const transaction = await this.aptos.transaction.build.simple({
+      sender: signer.address,
+      data,
+      withFeePayer: true,
+      options: { maxGasAmount: policy.maxGasAmount },
+    });
+
+    const senderAuthenticator = await signer.signTransaction(this.aptos, transaction);
+    return this.sponsor.submit(transaction, senderAuthenticator);
+  }
+
+  
+  // Simulates, checks the fee against the balance (unless the sponsor pays),
+  // then signs, submits and waits.
+  // onStatus receives { status: pending | submitted | confirmed | failed, ... }.
+  async submitTransaction(signer, data, { onStatus = () => {}, ...context } = {}) {
+    const errorContext = {
+      ...context,
+      // Errors are worded by the single-institution name, e.g. mark_checkout
+      // for mark_checkout_in.
+      function: data.function.split("::").pop().replace(/_in$/, ""),
+      moduleName: this.moduleName,
+    };
+    let estimate = null;
+    let hash = null;
+
+    try {
+      onStatus({ status: "pending" });
+
+      const sponsored = await this.isSponsored(signer, data);
+      estimate = await this.estimateTransaction(signer, data, { sponsored });
+      if (estimate.balance !== null && estimate.fee > estimate.balance) {
+        throw new InsufficientBalanceError(estimate.fee, estimate.balance);
+      }
+      onStatus({ status: "pending", estimate });
+
+      const committedTxn = sponsored
+        ? await this.submitSponsored(signer, data)
+        : await signer.signAndSubmitTransaction(this.aptos, data);
+      hash = committedTxn.hash;
+      onStatus({ status: "submitted", hash, estimate });
+
+      const executedTransaction = await this.aptos.waitForTransaction({
+        transactionHash: hash,
+      });
+
+      const result = {
+        success: true,
+        hash: executedTransaction.hash,
+        gasUsed: Number(executedTransaction.gas_used),
+        events: executedTransaction.events || [],
+        estimate,
+      };
+      onStatus({ status: "confirmed", ...result });
+      return result;
+    } catch (error) {
+      console.error(`Error submitting ${errorContext.function}:`, error);
+      const decoded = decodeTransactionError(error, errorContext);
+      onStatus({ status: "failed", hash, estimate, error: decoded.message });
+      return { ...toFailureResult(decoded), hash };
+    }
+  }
+
+  
+  async initializeSystem(signer, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("initialize"),
+      functionArguments: [],
+    }, options);
+  }
+
+  
+  async registerUser(signer, name, userType, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("register_user_in"),
+      functionArguments: [this.institution, name, USER_TYPES[userType]],
+    }, options);
+  }
+
+  
+  // Admin only. entries: [{ userAddress, name, userType }] where userType is
+  // "student", "teacher" or "admin". Already registered addresses are skipped.
+  async adminRegisterUsers(signer, entries, options = {}) {
+    const result = await this.submitTransaction(signer, {
+      function: this.functionId("admin_register_users_in"),
+      functionArguments: [
+        this.institution,
+        entries.map((entry) => entry.userAddress),
+        entries.map((entry) => entry.name),
+        entries.map((entry) => USER_TYPES[entry.userType]),
+      ],
+    }, options);
+
+    if (!result.success) return result;
+
+    const outcomes = collectOutcomes(result.events, this.moduleName, { UserRegistrationEvent: "registered" });
+
+    return {
+      ...result,
+      results: entries.map((entry) => ({
+        ...entry,
+        userAddress: normalizeAddress(entry.userAddress),
+        ...(outcomes.get(normalizeAddress(entry.userAddress)) || { status: "unknown", reason: null }),
+      })),
+    };
+  }
+
+  // Splits a roster into admin_register_users transactions of chunkSize users.
+  // onChunk({ index, total, success, results }) fires after each transaction.
+  async bulkRegister(signer, entries, { chunkSize = REGISTRATION_CHUNK_SIZE, onChunk, ...options } = {}) {
+    return submitInChunks(
+      entries,
+      chunkSize,
+      (chunk) => this.adminRegisterUsers(signer, chunk, options),
+      onChunk
+    );
+  }
+
+  
+  // status is a name from ATTENDANCE_STATUSES. When users mark themselves the
+  // contract only accepts present or absent, and classifies present as late
+  // after the daily window's grace period.
+  async markAttendance(signer, userAddress, date, status, options = {}) {
+    const day = this.dayKey(date);
+    if (!day) return toFailureResult(abortError("E_INVALID_DATE", { date }));
+
+    return this.submitTransaction(signer, {
+      function: this.functionId("mark_attendance_with_status_in"),
+      functionArguments: [this.institution, userAddress, day, ATTENDANCE_STATUSES[status]],
+    }, { ...options, date: day });
+  }
+
+  
+  // entries: [{ userAddress, status }]. Students who are already marked or not
+  // registered are skipped on chain; results reports the outcome for each entry.
+  async markAttendanceBatch(signer, entries, date, options = {}) {
+    const day = this.dayKey(date);
+    if (!day) return toFailureResult(abortError("E_INVALID_DATE", { date }));
+
+    const result = await this.submitTransaction(signer, {
+      function: this.functionId("mark_attendance_batch_with_status_in"),
+      functionArguments: [
+        this.institution,
+        entries.map((entry) => entry.userAddress),
+        day,
+        entries.map((entry) => ATTENDANCE_STATUSES[entry.status]),
+      ],
+    }, { ...options, date: day });
+
+    if (!result.success) return result;
+
+    const outcomes = collectOutcomes(result.events, this.moduleName, { AttendanceMarkedEvent: "marked" });
+
+    return {
+      ...result,
+      results: entries.map((entry) => ({
+        userAddress: normalizeAddress(entry.userAddress),
+        attendanceStatus: entry.status,
+        ...(outcomes.get(normalizeAddress(entry.userAddress)) || { status: "unknown", reason: null }),
+      })),
+    };
+  }
+
+  
+  // For deployments initialized before courses were added to the contract.
+  async initializeCourses(signer, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("initialize_courses"),
+      functionArguments: [],
+    }, options);
+  }
+
+  async createCourse(signer, code, name, teacherAddress, options = {}) {
+    const result = await this.submitTransaction(signer, {
+      function: this.functionId("create_course_in"),
+      functionArguments: [this.institution, code, name, teacherAddress],
+    }, options);
+
+    if (!result.success) return result;
+    const event = findEvent(result.events, this.moduleName, "CourseCreatedEvent");
+    return { ...result, courseId: event ? event.data.course_id : null };
+  }
+
+  async enrollStudents(signer, courseId, studentAddresses, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("enroll_students_in"),
+      functionArguments: [this.institution, courseId, studentAddresses],
+    }, options);
+  }
+
+  async unenrollStudent(signer, courseId, studentAddress, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("unenroll_student_in"),
+      functionArguments: [this.institution, courseId, studentAddress],
+    }, options);
+  }
+
+  async createSession(signer, courseId, date, slot, options = {}) {
+    const day = this.dayKey(date);
+    if (!day) return toFailureResult(abortError("E_INVALID_DATE", { date }));
+
+    const result = await this.submitTransaction(signer, {
+      function: this.functionId("create_session_in"),
+      functionArguments: [this.institution, courseId, day, slot],
+    }, { ...options, date: day });
+
+    if (!result.success) return result;
+    const event = findEvent(result.events, this.moduleName, "SessionCreatedEvent");
+    return { ...result, sessionId: event ? event.data.session_id : null };
+  }
+
+  // entries: [{ userAddress, status }]. Students who are not enrolled in the
+  // session's course or already marked are skipped; results reports each entry.
+  async markSessionAttendance(signer, sessionId, entries, options = {}) {
+    const result = await this.submitTransaction(signer, {
+      function: this.functionId("mark_session_attendance_with_status_in"),
+      functionArguments: [
+        this.institution,
+        sessionId,
+        entries.map((entry) => entry.userAddress),
+        entries.map((entry) => ATTENDANCE_STATUSES[entry.status]),
+      ],
+    }, options);
+
+    if (!result.success) return result;
+
+    const outcomes = collectOutcomes(result.events, this.moduleName, { SessionAttendanceMarkedEvent: "marked" });
+    return {
+      ...result,
+      results: entries.map((entry) => ({
+        userAddress: normalizeAddress(entry.userAddress),
+        attendanceStatus: entry.status,
+        ...(outcomes.get(normalizeAddress(entry.userAddress)) || { status: "unknown", reason: null }),
+      })),
+    };
+  }
+
+  
+  // Student self check-in with a teacher's code (see checkInCodes.js). Expiry and
+  // signature are checked here first so a stale or mistyped code costs no gas;
+  // the contract repeats both checks and also ties the key to the teacher.
+  async checkInWithCode(signer, code, options = {}) {
+    let parsed;
+    try {
+      parsed = parseCheckInCode(code);
+    } catch (error) {
+      return toFailureResult(new AttendanceError(error.message));
+    }
+
+    const check = verifyCheckInCode(parsed, { institution: this.checkInInstitution() });
+    if (!check.valid) {
+      return toFailureResult(abortError(check.reason === "expired" ? "E_CHECK_IN_CODE_EXPIRED" : "E_INVALID_CHECK_IN_CODE"));
+    }
+
+    const result = await this.submitTransaction(signer, {
+      function: this.functionId("check_in_with_code_in"),
+      functionArguments: [
+        this.institution,
+        parsed.sessionId,
+        parsed.expiresAt,
+        parsed.nonce,
+        Hex.fromHexInput(parsed.publicKey).toUint8Array(),
+        Hex.fromHexInput(parsed.signature).toUint8Array(),
+      ],
+    }, options);
+    return { ...result, sessionId: parsed.sessionId };
+  }
+
+  async setCheckInValidity(signer, seconds, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("set_check_in_validity_in"),
+      functionArguments: [this.institution, seconds],
+    }, options);
+  }
+
+  // For deployments initialized before self check-in needed an admin's consent.
+  async initializeSelfCheckIn(signer, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("initialize_self_check_in"),
+      functionArguments: [],
+    }, options);
+  }
+
+  // Whether students may check themselves in for daily attendance without a
+  // session code (admins only).
+  async setSelfCheckIn(signer, allowed, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("set_self_check_in_in"),
+      functionArguments: [this.institution, allowed],
+    }, options);
+  }
+
+  // For deployments initialized before institutions had a UTC offset.
+  async initializeClocks(signer, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("initialize_clocks"),
+      functionArguments: [],
+    }, options);
+  }
+
+  // offsetSeconds is how far the institution is ahead of UTC, as zoneOffset
+  // returns it; the contract keeps whole minutes and the side of UTC. It
+  // decides which day checkouts must be for (admins only).
+  async setUtcOffset(signer, offsetSeconds, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("set_utc_offset_in"),
+      functionArguments: [this.institution, Math.round(Math.abs(offsetSeconds) / 60), offsetSeconds < 0],
+    }, options);
+  }
+
+  
+  async markCheckout(signer, date, options = {}) {
+    const day = this.dayKey(date);
+    if (!day) return toFailureResult(abortError("E_INVALID_DATE", { date }));
+
+    return this.submitTransaction(signer, {
+      function: this.functionId("mark_checkout_in"),
+      functionArguments: [this.institution, day],
+    }, { ...options, date: day });
+  }
+
+  
+  // For deployments initialized before attendance statuses were added.
+  async initializeAttendancePolicy(signer, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("initialize_attendance_policy"),
+      functionArguments: [],
+    }, options);
+  }
+
+  // window: { startsAt, graceSeconds, halfDayBefore } in seconds after midnight
+  // UTC. Slot DAILY_WINDOW_SLOT is the window for daily attendance.
+  async setAttendanceWindow(signer, slot, window, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("set_attendance_window_in"),
+      functionArguments: [this.institution, slot, window.startsAt, window.graceSeconds, window.halfDayBefore],
+    }, options);
+  }
+
+  async removeAttendanceWindow(signer, slot, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("remove_attendance_window_in"),
+      functionArguments: [this.institution, slot],
+    }, options);
+  }
+
+  
+  // For deployments initialized before corrections were added.
+  async initializeCorrections(signer, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("initialize_corrections"),
+      functionArguments: [],
+    }, options);
+  }
+
+  // Requests a new status for an existing daily record. Admin corrections apply
+  // immediately; a teacher's correction waits for an admin. The result carries
+  // correctionId and state ("approved" or "pending").
+  async requestCorrection(signer, userAddress, date, status, reason, options = {}) {
+    const day = this.dayKey(date);
+    if (!day) return toFailureResult(abortError("E_INVALID_DATE", { date }));
+
+    const result = await this.submitTransaction(signer, {
+      function: this.functionId("request_correction_in"),
+      functionArguments: [this.institution, userAddress, day, ATTENDANCE_STATUSES[status], reason],
+    }, { ...options, date: day });
+
+    if (!result.success) return result;
+    const events = result.events.filter((event) => event.type.endsWith(`::${this.moduleName}::AttendanceCorrectionEvent`));
+    const last = events[events.length - 1];
+    return {
+      ...result,
+      correctionId: last ? last.data.correction_id : null,
+      state: last ? CORRECTION_STATES[Number(last.data.state)] : null,
+    };
+  }
+
+  async approveCorrection(signer, correctionId, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("approve_correction_in"),
+      functionArguments: [this.institution, correctionId],
+    }, options);
+  }
+
+  async rejectCorrection(signer, correctionId, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("reject_correction_in"),
+      functionArguments: [this.institution, correctionId],
+    }, options);
+  }
+
+  
+  // For deployments initialized before leave requests were added.
+  async initializeLeave(signer, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("initialize_leave"),
+      functionArguments: [],
+    }, options);
+  }
+
+  // leave: { dates, category, reason, documentHash }. documentHash is the
+  // 0x-prefixed SHA-256 of a supporting document, or empty. The result carries
+  // the new leaveId.
+  async requestLeave(signer, leave, options = {}) {
+    const dates = leave.dates.map((date) => this.dayKey(date));
+    const invalid = leave.dates.find((date, index) => !dates[index]);
+    if (invalid !== undefined) return toFailureResult(abortError("E_INVALID_DATE", { date: invalid }));
+
+    const result = await this.submitTransaction(signer, {
+      function: this.functionId("request_leave_in"),
+      functionArguments: [
+        this.institution,
+        dates,
+        LEAVE_CATEGORIES[leave.category],
+        leave.reason,
+        leave.documentHash ? Hex.fromHexInput(leave.documentHash).toUint8Array() : new Uint8Array(0),
+      ],
+    }, options);
+
+    if (!result.success) return result;
+    const event = result.events.find((item) => item.type.endsWith(`::${this.moduleName}::LeaveRequestEvent`));
+    return { ...result, leaveId: event ? event.data.leave_id : null };
+  }
+
+  // Approval records each date without attendance as excused and turns
+  // absences into excused; dates the student attended are left alone.
+  async approveLeave(signer, leaveId, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("approve_leave_in"),
+      functionArguments: [this.institution, leaveId],
+    }, options);
+  }
+
+  async rejectLeave(signer, leaveId, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("reject_leave_in"),
+      functionArguments: [this.institution, leaveId],
+    }, options);
+  }
+
+  async cancelLeave(signer, leaveId, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("cancel_leave_in"),
+      functionArguments: [this.institution, leaveId],
+    }, options);
+  }
+
+  
+  // For deployments initialized before role management was added.
+  async initializeRoles(signer, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("initialize_roles"),
+      functionArguments: [],
+    }, options);
+  }
+
+  // userType: "student", "teacher" or "admin". Any admin may promote or demote
+  // anyone but the system admin.
+  async setUserType(signer, userAddress, userType, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("set_user_type_in"),
+      functionArguments: [this.institution, userAddress, USER_TYPES[userType]],
+    }, options);
+  }
+
+  async deactivateUser(signer, userAddress, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("deactivate_user_in"),
+      functionArguments: [this.institution, userAddress],
+    }, options);
+  }
+
+  async reactivateUser(signer, userAddress, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("reactivate_user_in"),
+      functionArguments: [this.institution, userAddress],
+    }, options);
+  }
+
+  // Two-step handover of the system admin: the current system admin proposes
+  // another admin, who then accepts with acceptAdminTransfer.
+  async proposeAdminTransfer(signer, newAdminAddress, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("propose_admin_transfer_in"),
+      functionArguments: [this.institution, newAdminAddress],
+    }, options);
+  }
+
+  async acceptAdminTransfer(signer, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("accept_admin_transfer_in"),
+      functionArguments: [this.institution],
+    }, options);
+  }
+
+  async cancelAdminTransfer(signer, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("cancel_admin_transfer_in"),
+      functionArguments: [this.institution],
+    }, options);
+  }
+
+  
+  // For deployments initialized before institutions were added. name is the
+  // display name of the institution at the module address.
+  async initializeDirectory(signer, name, options = {}) {
+    return this.submitTransaction(signer, {
+      function: this.functionId("initialize_directory"),
+      functionArguments: [name],
+    }, options);
+  }
+
+  // Opens a new institution with the signer as its system admin. The result
+  // carries the new institution's address.
+  async createInstitution(signer, name, options = {}) {
+    const result = await this.submitTransaction(signer, {
+      function: this.functionId("create_institution"),
+      functionArguments: [name],
+    }, options);
+
+    if (!result.success) return result;
+    const event = findEvent(result.events, this.moduleName, "InstitutionCreatedEvent");
+    return { ...result, institution: event ? normalizeAddress(event.data.institution) : null };
+  }
+
+  async viewInstitutionCount() {
+    const [count] = await this.aptos.view({
+      payload: {
+        function: this.functionId("get_institution_count"),
+        functionArguments: [],
+      },
+    });
+    return Number(count);
+  }
+
+  async viewInstitutionsPage(start, limit) {
+    const [institutions] = await this.aptos.view({
+      payload: {
+        function: this.functionId("get_institutions_page"),
+        functionArguments: [start, limit],
+      },
+    });
+    return institutions.map(mapInstitution);
+  }
+
+  // Every institution, oldest first, read a page at a time like
+  // getDailyAttendance.
+  async getInstitutions({ pageSize = INSTITUTION_PAGE_SIZE } = {}) {
+    try {
+      const total = await this.viewInstitutionCount();
+      const institutions = [];
+      while (institutions.length < total) {
+        const page = await this.viewInstitutionsPage(institutions.length, pageSize);
+        if (page.length === 0) break;
+        institutions.push(...page);
+      }
+
+      return {
+        success: true,
+        data: institutions,
+      };
+    } catch (error) {
+      console.error("Error getting institutions:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getInstitutionCount() {
+    try {
+      return { success: true, data: await this.viewInstitutionCount() };
+    } catch (error) {
+      console.error("Error getting institution count:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Up to limit institutions from the start-th, oldest first. nextStart is null
+  // after the last page.
+  async getInstitutionsPage(start = 0, limit = INSTITUTION_PAGE_SIZE) {
+    try {
+      const institutions = await this.viewInstitutionsPage(start, limit);
+      return {
+        success: true,
+        data: {
+          institutions,
+          start,
+          nextStart: institutions.length < Math.min(limit, INSTITUTION_PAGE_SIZE) ? null : start + institutions.length,
+        },
+      };
+    } catch (error) {
+      console.error("Error getting institutions page:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getInstitutionInfo(address = this.institution) {
+    try {
+      const [institution] = await this.aptos.view({
+        payload: {
+          function: this.functionId("get_institution"),
+          functionArguments: [address],
+        },
+      });
+
+      return {
+        success: true,
+        data: mapInstitution(institution),
+      };
+    } catch (error) {
+      console.error("Error getting institution:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The institutions userAddress is registered in, with their role in each.
+  async getUserInstitutions(userAddress) {
+    try {
+      const [memberships] = await this.aptos.view({
+        payload: {
+          function: this.functionId("get_user_institutions"),
+          functionArguments: [userAddress],
+        },
+      });
+
+      return {
+        success: true,
+        data: memberships.map(mapMembership),
+      };
+    } catch (error) {
+      console.error("Error getting user institutions:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async getUserInfo(userAddress) {
+    try {
+      const userInfo = await this.aptos.view({
+        payload: {
+          function: this.functionId("get_user_info_in"),
+          functionArguments: [this.institution, userAddress],
+        },
+      });
+
+      return {
+        success: true,
+        data: {
+          address: userInfo[0].address,
+          name: userInfo[0].name,
+          userType: userInfo[0].user_type,
+          registrationTime: userInfo[0].registration_time,
+        },
+      };
+    } catch (error) {
+      console.error("Error getting user info:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async getUserAttendance(userAddress, date) {
+    try {
+      const day = this.dayKey(date);
+      if (!day) throw abortError("E_INVALID_DATE", { date });
+
+      const attendance = await this.aptos.view({
+        payload: {
+          function: this.functionId("get_user_attendance_entry_in"),
+          functionArguments: [this.institution, userAddress, day],
+        },
+      });
+
+      return {
+        success: true,
+        data: mapAttendanceEntry(attendance[0]),
+      };
+    } catch (error) {
+      console.error("Error getting user attendance:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async getUserAttendanceRange(userAddress, startDate, endDate) {
+    try {
+      const [start, end] = [startDate, endDate].map((date) => {
+        const day = this.dayKey(date);
+        if (!day) throw abortError("E_INVALID_DATE", { date });
+        return day;
+      });
+
+      const attendance = await this.aptos.view({
+        payload: {
+          function: this.functionId("get_user_attendance_entries_in"),
+          functionArguments: [this.institution, userAddress, start, end],
+        },
+      });
+
+      return {
+        success: true,
+        data: attendance[0]
+          .map(mapAttendanceEntry)
+          .sort((a, b) => a.date.localeCompare(b.date)),
+      };
+    } catch (error) {
+      console.error("Error getting user attendance range:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async viewDailyCount(day) {
+    const count = await this.aptos.view({
+      payload: {
+        function: this.functionId("get_daily_attendance_count_in"),
+        functionArguments: [this.institution, day],
+      },
+    });
+    return Number(count[0]);
+  }
+
+  async viewDailyPage(day, offset, limit) {
+    const attendance = await this.aptos.view({
+      payload: {
+        function: this.functionId("get_daily_attendance_entries_page_in"),
+        functionArguments: [this.institution, day, offset, limit],
+      },
+    });
+    return attendance[0].map(mapAttendanceEntry);
+  }
+
+  // Every record for a date, read pageSize at a time so a busy day stays within
+  // view gas and response limits. onPage({ records, loaded, total }) fires after
+  // each page with that page's records.
+  async getDailyAttendance(date, { pageSize = DAILY_PAGE_SIZE, onPage = () => {} } = {}) {
+    try {
+      const day = this.dayKey(date);
+      if (!day) throw abortError("E_INVALID_DATE", { date });
+
+      const total = await this.viewDailyCount(day);
+      const records = [];
+      while (records.length < total) {
+        const page = await this.viewDailyPage(day, records.length, pageSize);
+        if (page.length === 0) break;
+        records.push(...page);
+        onPage({ records: page, loaded: records.length, total });
+      }
+
+      return {
+        success: true,
+        data: records,
+      };
+    } catch (error) {
+      console.error("Error getting daily attendance:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getDailyAttendanceCount(date) {
+    try {
+      const day = this.dayKey(date);
+      if (!day) throw abortError("E_INVALID_DATE", { date });
+
+      return {
+        success: true,
+        data: await this.viewDailyCount(day),
+      };
+    } catch (error) {
+      console.error("Error getting daily attendance count:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // One page of a date's records in the order they were marked. nextOffset is
+  // null after the last page.
+  async getDailyAttendancePage(date, offset = 0, limit = DAILY_PAGE_SIZE) {
+    try {
+      const day = this.dayKey(date);
+      if (!day) throw abortError("E_INVALID_DATE", { date });
+
+      const records = await this.viewDailyPage(day, offset, limit);
+      return {
+        success: true,
+        data: {
+          records,
+          offset,
+          nextOffset: records.length < Math.min(limit, DAILY_PAGE_SIZE) ? null : offset + records.length,
+        },
+      };
+    } catch (error) {
+      console.error("Error getting daily attendance page:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async isUserRegistered(userAddress) {
+    try {
+      const isRegistered = await this.aptos.view({
+        payload: {
+          function: this.functionId("is_user_registered_in"),
+          functionArguments: [this.institution, userAddress],
+        },
+      });
+
+      return {
+        success: true,
+        data: isRegistered[0],
+      };
+    } catch (error) {
+      console.error("Error checking user registration:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async getAdminAddress() {
+    try {
+      const adminAddress = await this.aptos.view({
+        payload: {
+          function: this.functionId("get_admin_address_in"),
+          functionArguments: [this.institution],
+        },
+      });
+
+      return {
+        success: true,
+        data: adminAddress[0],
+      };
+    } catch (error) {
+      console.error("Error getting admin address:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async isUserActive(userAddress) {
+    try {
+      const [active] = await this.viewFunction("is_user_active", [userAddress]);
+
+      return {
+        success: true,
+        data: active,
+      };
+    } catch (error) {
+      console.error("Error checking user status:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getDeactivatedUsers() {
+    try {
+      const [users] = await this.viewFunction("get_deactivated_users", []);
+
+      return {
+        success: true,
+        data: users.map(normalizeAddress),
+      };
+    } catch (error) {
+      console.error("Error getting deactivated users:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The admin a system admin transfer is waiting on, or null.
+  async getPendingAdmin() {
+    try {
+      const [pendingAdmin] = await this.viewFunction("get_pending_admin", []);
+      const address = normalizeAddress(pendingAdmin);
+
+      return {
+        success: true,
+        data: /^0x0+$/.test(address) ? null : address,
+      };
+    } catch (error) {
+      console.error("Error getting pending admin:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async viewFunction(name, functionArguments) {
+    return this.aptos.view({
+      payload: {
+        function: this.functionId(`${name}_in`),
+        functionArguments: [this.institution, ...functionArguments],
+      },
+    });
+  }
+
+  async getCheckInValidity() {
+    try {
+      const [seconds] = await this.viewFunction("get_check_in_validity", []);
+
+      return {
+        success: true,
+        data: Number(seconds),
+      };
+    } catch (error) {
+      console.error("Error getting check-in validity:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getUtcOffset() {
+    try {
+      const [offset] = await this.viewFunction("get_utc_offset", []);
+
+      return {
+        success: true,
+        data: (offset.west_of_utc ? -60 : 60) * Number(offset.minutes),
+      };
+    } catch (error) {
+      console.error("Error getting UTC offset:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async isSelfCheckInAllowed() {
+    try {
+      const [allowed] = await this.viewFunction("is_self_check_in_allowed", []);
+
+      return {
+        success: true,
+        data: Boolean(allowed),
+      };
+    } catch (error) {
+      console.error("Error getting self check-in setting:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getPendingCorrections() {
+    try {
+      const [corrections] = await this.viewFunction("get_pending_corrections", []);
+
+      return {
+        success: true,
+        data: corrections.map(mapCorrection),
+      };
+    } catch (error) {
+      console.error("Error getting pending corrections:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getPendingLeaveRequests() {
+    try {
+      const [requests] = await this.viewFunction("get_pending_leave_requests", []);
+
+      return {
+        success: true,
+        data: requests.map(mapLeaveRequest),
+      };
+    } catch (error) {
+      console.error("Error getting pending leave requests:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getUserLeaveRequests(userAddress) {
+    try {
+      const [requests] = await this.viewFunction("get_user_leave_requests", [userAddress]);
+
+      return {
+        success: true,
+        data: requests.map(mapLeaveRequest),
+      };
+    } catch (error) {
+      console.error("Error getting leave requests:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The audit trail of one daily record: every correction requested for it,
+  // oldest first, including rejected ones.
+  async getRecordHistory(userAddress, date) {
+    try {
+      const day = this.dayKey(date);
+      if (!day) throw abortError("E_INVALID_DATE", { date });
+
+      const [corrections] = await this.viewFunction("get_record_corrections", [userAddress, day]);
+
+      return {
+        success: true,
+        data: corrections.map(mapCorrection),
+      };
+    } catch (error) {
+      console.error("Error getting record history:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getAttendanceWindows() {
+    try {
+      const [windows] = await this.viewFunction("get_attendance_windows", []);
+
+      return {
+        success: true,
+        data: windows.map(mapAttendanceWindow).sort((a, b) => a.slot - b.slot),
+      };
+    } catch (error) {
+      console.error("Error getting attendance windows:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getCourses() {
+    try {
+      const [courses] = await this.viewFunction("get_courses", []);
+
+      return {
+        success: true,
+        data: courses.map(mapCourse).sort((a, b) => Number(a.id) - Number(b.id)),
+      };
+    } catch (error) {
+      console.error("Error getting courses:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getTeacherCourses(teacherAddress) {
+    try {
+      const [courses] = await this.viewFunction("get_teacher_courses", [teacherAddress]);
+
+      return {
+        success: true,
+        data: courses.map(mapCourse).sort((a, b) => Number(a.id) - Number(b.id)),
+      };
+    } catch (error) {
+      console.error("Error getting teacher courses:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getStudentCourses(studentAddress) {
+    try {
+      const [courses] = await this.viewFunction("get_student_courses", [studentAddress]);
+
+      return {
+        success: true,
+        data: courses.map(mapCourse),
+      };
+    } catch (error) {
+      console.error("Error getting student courses:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getCourseStudents(courseId) {
+    try {
+      const [students] = await this.viewFunction("get_course_students", [courseId]);
+
+      return {
+        success: true,
+        data: students.map(normalizeAddress),
+      };
+    } catch (error) {
+      console.error("Error getting course students:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getCourseSessions(courseId) {
+    try {
+      const [sessions] = await this.viewFunction("get_course_sessions", [courseId]);
+
+      return {
+        success: true,
+        data: sessions.map(mapSession),
+      };
+    } catch (error) {
+      console.error("Error getting course sessions:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getSessionAttendance(sessionId) {
+    try {
+      const [records] = await this.viewFunction("get_session_attendance_entries", [sessionId]);
+
+      return {
+        success: true,
+        data: records.map(mapSessionEntry),
+      };
+    } catch (error) {
+      console.error("Error getting session attendance:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getStudentSessionAttendance(studentAddress, courseId) {
+    try {
+      const [records] = await this.viewFunction("get_student_session_attendance_entries", [studentAddress, courseId]);
+
+      return {
+        success: true,
+        data: records.map(mapSessionEntry),
+      };
+    } catch (error) {
+      console.error("Error getting student session attendance:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  // One page of an AttendanceSystem event stream (see EVENT_STREAMS), oldest first.
+  async getEvents(stream, start = 0, limit = 100) {
+    try {
+      const { data } = await getAptosFullNode({
+        aptosConfig: this.aptos.config,
+        originMethod: "getEvents",
+        path: `accounts/${this.institution}/events/${this.moduleAddress}::${this.moduleName}::AttendanceSystem/${stream}`,
+        params: { start, limit },
+      });
+
+      return {
+        success: true,
+        data: data.map((event) => mapEvent(stream, event)),
+      };
+    } catch (error) {
+      console.error("Error getting events:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async getAccountBalance(address) {
+    try {
+      const balance = await this.aptos.getAccountAPTAmount({
+        accountAddress: address,
+      });
+
+      return {
+        success: true,
+        data: balance,
+      };
+    } catch (error) {
+      console.error("Error getting account balance:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Today's sponsored transactions for address: { day, used, limit, remaining }.
+  async getSponsorQuota(address) {
+    if (!this.sponsor) {
+      return { success: false, error: "No sponsor service is configured" };
+    }
+
+    try {
+      return {
+        success: true,
+        data: await this.sponsor.getQuota(address),
+      };
+    } catch (error) {
+      console.error("Error getting sponsor quota:", error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export const createAptosService = (config = loadNetworkConfig()) => (
+  config.backend === "mock" ? new MockAptosService(config) : new AptosService(config)
+);
+
+export { AptosService };
+export default createAptosService();
\ No newline at end of file
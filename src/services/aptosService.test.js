@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+
+import { AptosService } from "./aptosService";
+import MockAptosService from "./mockAptosService";
+import { getEnvConfig } from "./networkConfig";
+import { normalizeAddress } from "./addressUtils";
+import { DAILY_PAGE_SIZE } from "./constants";
+
+const DAY = "2026-10-19";
+const ADMIN = { address: "0xa" };
+
+const entry = (index) => ({
+  record: {
+    user_address: normalizeAddress(`0x${(index + 1).toString(16)}`),
+    date: DAY,
+    check_in_time: String(1792397100 + index),
+    check_out_time: "0",
+    is_present: true,
+    marked_by: normalizeAddress("0xa"),
+  },
+  status: 1,
+});
+
+// A service whose fullnode serves count records for DAY from the paged views.
+const chainWith = (count) => {
+  const service = new AptosService({ ...getEnvConfig(), moduleAddress: "0xa", timeZone: "UTC" });
+  const entries = Array.from({ length: count }, (_, index) => entry(index));
+  service.aptos = {
+    view: jest.fn(async ({ payload }) => {
+      const [, , offset, limit] = payload.functionArguments;
+      if (payload.function.endsWith("::get_daily_attendance_count_in")) return [String(entries.length)];
+      if (payload.function.endsWith("::get_daily_attendance_entries_page_in")) {
+        return [entries.slice(offset, offset + Math.min(limit, DAILY_PAGE_SIZE))];
+      }
+      throw new Error(`Unexpected view ${payload.function}`);
+    }),
+  };
+  return service;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+describe("daily attendance pages", () => {
+  it("reads a day a page at a time and reports progress", async () => {
+    const service = chainWith(450);
+    const onPage = jest.fn();
+
+    const result = await service.getDailyAttendance(DAY, { onPage });
+
+    expect(result.data).toHaveLength(450);
+    expect(result.data[449]).toMatchObject({ userAddress: normalizeAddress("0x1c2"), status: "present" });
+    expect(onPage.mock.calls.map(([page]) => [page.records.length, page.loaded, page.total]))
+      .toEqual([[200, 200, 450], [200, 400, 450], [50, 450, 450]]);
+    expect(service.aptos.view).toHaveBeenCalledTimes(4);
+  });
+
+  it("gives the next offset until the last page", async () => {
+    const service = chainWith(250);
+
+    expect((await service.getDailyAttendanceCount(DAY)).data).toBe(250);
+    expect((await service.getDailyAttendancePage(DAY, 0, 200)).data).toMatchObject({ offset: 0, nextOffset: 200 });
+    const last = await service.getDailyAttendancePage(DAY, 200, 200);
+    expect(last.data).toMatchObject({ offset: 200, nextOffset: null });
+    expect(last.data.records).toHaveLength(50);
+  });
+
+  it("rejects invalid dates before reading", async () => {
+    const service = chainWith(1);
+
+    expect((await service.getDailyAttendancePage("2026-02-30")).success).toBe(false);
+    expect(service.aptos.view).not.toHaveBeenCalled();
+  });
+
+  it("pages the in-memory contract the same way", async () => {
+    const service = new MockAptosService({ moduleAddress: "0xa", backend: "mock", timeZone: "UTC" });
+    const students = ["0xb", "0xc", "0xd"].map((address) => ({ address }));
+    for (const student of students) {
+      await service.registerUser(student, "Student", "student");
+      await service.markAttendance(ADMIN, student.address, DAY, "present");
+    }
+    const onPage = jest.fn();
+
+    expect((await service.getDailyAttendance(DAY, { pageSize: 2, onPage })).data).toHaveLength(3);
+    expect(onPage.mock.calls.map(([page]) => page.loaded)).toEqual([2, 3]);
+    expect((await service.getDailyAttendancePage(DAY, 0, 2)).data.nextOffset).toBe(2);
+    expect((await service.getDailyAttendancePage(DAY, 2, 2)).data).toMatchObject({ nextOffset: null });
+  });
+});
+
+describe("class attendance", () => {
+  it("marks a class in one transaction and reads each student's outcome from its events", async () => {
+    const service = chainWith(0);
+    const event = (name, data) => ({ type: `0xa::attendance_system::${name}`, data });
+    service.submitTransaction = jest.fn().mockResolvedValue({
+      success: true,
+      hash: "0x1",
+      events: [
+        event("AttendanceMarkedEvent", { user_address: "0xb" }),
+        event("AttendanceSkippedEvent", { user_address: "0xc", reason: 1 }),
+        event("AttendanceSkippedEvent", { user_address: "0xd", reason: 4 }),
+        { type: "0x1::coin::WithdrawEvent", data: { user_address: "0xe" } },
+      ],
+    });
+    const entries = [
+      { userAddress: "0xb", status: "late" },
+      { userAddress: "0xc", status: "present" },
+      { userAddress: "0xd", status: "absent" },
+      { userAddress: "0xe", status: "present" },
+    ];
+
+    const result = await service.markAttendanceBatch(ADMIN, entries, "19/10/2026");
+
+    const [, payload, context] = service.submitTransaction.mock.calls[0];
+    expect(payload.function).toMatch(/::mark_attendance_batch_with_status_in$/);
+    expect(payload.functionArguments.slice(1)).toEqual([["0xb", "0xc", "0xd", "0xe"], DAY, [2, 1, 3, 1]]);
+    expect(context.date).toBe(DAY);
+    expect(result.results.map(({ status, reason }) => [status, reason])).toEqual([
+      ["marked", null],
+      ["skipped", "already_marked"],
+      ["skipped", "not_enrolled"],
+      ["unknown", null],
+    ]);
+  });
+});
+
+describe("attendance history", () => {
+  it("reads a range in one view and returns it by date", async () => {
+    const service = chainWith(0);
+    const later = { ...entry(0), record: { ...entry(0).record, date: "2026-10-21" }, status: 3 };
+    service.aptos.view = jest.fn().mockResolvedValue([[later, entry(0)]]);
+
+    const result = await service.getUserAttendanceRange("0x1", "2026-10-01", "31/10/2026");
+
+    expect(service.aptos.view.mock.calls[0][0].payload).toMatchObject({
+      function: expect.stringMatching(/::get_user_attendance_entries_in$/),
+      functionArguments: [normalizeAddress("0xa"), "0x1", "2026-10-01", "2026-10-31"],
+    });
+    expect(result.data.map(({ date, status }) => [date, status])).toEqual([[DAY, "present"], ["2026-10-21", "absent"]]);
+    expect((await service.getUserAttendanceRange("0x1", "2026-10-01", "2026-13-01")).success).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+import { ATTENDANCE_STATUS_NAMES } from "./constants";
+import { dayKey, secondOfDay, zoneOffset } from "./dates";
+
+// Status names in display order, for selects and filters.
+export const STATUS_OPTIONS = ["present", "late", "half_day", "excused", "absent"];
+
+const SECONDS_PER_DAY = 86400;
+
+// Late and half-day still count as attending; absent and excused do not.
+export const countsAsPresent = (status) => (
+  status === "present" || status === "late" || status === "half_day"
+);
+
+export const statusName = (code) => ATTENDANCE_STATUS_NAMES[Number(code)];
+
+export const formatStatus = (status, fallback = "not marked") => (
+  status ? status.replace("_", "-") : fallback
+);
+
+// Window times are seconds after midnight UTC, as stored by the contract.
+export const mapAttendanceWindow = (window) => ({
+  slot: Number(window.slot),
+  startsAt: Number(window.starts_at),
+  graceSeconds: Number(window.grace_secs),
+  halfDayBefore: Number(window.half_day_before),
+});
+
+// Times up to this long before a window's start count as before it rather
+// than late on the day before.
+const EARLY_ARRIVAL_SECONDS = 43200;
+
+// Seconds from the window's start to the time of day of timestamp, counted
+// forward across midnight UTC as the contract does, so a school day that spans
+// it (08:00 at UTC+10 starts at 22:00 UTC) compares correctly.
+const secondsSinceStart = (window, timestamp) => (
+  ((Number(timestamp) % SECONDS_PER_DAY) + SECONDS_PER_DAY - window.startsAt) % SECONDS_PER_DAY
+);
+
+const beforeStart = (elapsed) => elapsed >= SECONDS_PER_DAY - EARLY_ARRIVAL_SECONDS;
+
+export const classifyArrival = (window, checkInTime) => {
+  if (!window) return "present";
+  const elapsed = secondsSinceStart(window, checkInTime);
+  return !beforeStart(elapsed) && elapsed > window.graceSeconds ? "late" : "present";
+};
+
+export const isHalfDayCheckout = (window, checkOutTime) => {
+  if (!window || window.halfDayBefore <= 0) return false;
+  const elapsed = secondsSinceStart(window, checkOutTime);
+  return beforeStart(elapsed) || elapsed < secondsSinceStart(window, window.halfDayBefore);
+};
+
+// Converts between "HH:MM" in timeZone (the browser's when empty) and seconds
+// after midnight UTC, using the offset in effect on date. The contract stores
+// UTC, so in a timezone with daylight saving a saved window reads an hour off
+// after the clocks change until it is saved again.
+const wrapDay = (seconds) => ((seconds % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+
+export const localTimeToUtcSeconds = (time, timeZone, date = new Date()) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const [year, month, day] = dayKey(date, timeZone).split("-").map(Number);
+  const wall = Date.UTC(year, month - 1, day) / 1000 + hours * 3600 + minutes * 60;
+  // Take the offset at the wall time itself, which differs from date's on the
+  // day the clocks change.
+  const guess = wall - zoneOffset(date, timeZone);
+  return wrapDay(wall - zoneOffset(new Date(guess * 1000), timeZone));
+};
+
+export const utcSecondsToLocalTime = (seconds, timeZone, date = new Date()) => {
+  const midnight = Math.floor(date.getTime() / 1000 / SECONDS_PER_DAY) * SECONDS_PER_DAY;
+  const local = secondOfDay(midnight + Number(seconds), timeZone);
+  const hours = String(Math.floor(local / 3600)).padStart(2, "0");
+  const minutes = String(Math.floor((local % 3600) / 60)).padStart(2, "0");
+  return `${hours}:${minutes}`;
+};
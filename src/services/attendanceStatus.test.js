@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  classifyArrival,
+  countsAsPresent,
+  formatStatus,
+  isHalfDayCheckout,
+  mapAttendanceWindow,
+  statusName,
+} from "./attendanceStatus";
+
+const at = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return Date.UTC(2026, 9, 19, hours, minutes) / 1000;
+};
+
+describe("statuses", () => {
+  it("counts late and half-day as attending", () => {
+    expect(["present", "late", "half_day", "excused", "absent"].map(countsAsPresent))
+      .toEqual([true, true, true, false, false]);
+  });
+
+  it("names the contract's codes", () => {
+    expect([1, 2, 3, 4, 5].map(statusName)).toEqual(["present", "late", "absent", "excused", "half_day"]);
+    expect(formatStatus("half_day")).toBe("half-day");
+    expect(formatStatus(undefined)).toBe("not marked");
+  });
+
+  it("reads windows from the contract's field names", () => {
+    expect(mapAttendanceWindow({ slot: "0", starts_at: "28800", grace_secs: "600", half_day_before: "43200" }))
+      .toEqual({ slot: 0, startsAt: 28800, graceSeconds: 600, halfDayBefore: 43200 });
+  });
+});
+
+describe("windows", () => {
+  const window = { slot: 0, startsAt: 8 * 3600, graceSeconds: 600, halfDayBefore: 12 * 3600 };
+
+  it("marks arrivals after the grace period late", () => {
+    expect(classifyArrival(window, at("07:30"))).toBe("present");
+    expect(classifyArrival(window, at("08:10"))).toBe("present");
+    expect(classifyArrival(window, at("08:11"))).toBe("late");
+    expect(classifyArrival(window, at("19:59"))).toBe("late");
+    expect(classifyArrival(null, at("19:59"))).toBe("present");
+  });
+
+  it("counts arrivals in the 12 hours before the start as on time", () => {
+    expect(classifyArrival(window, at("20:00"))).toBe("present");
+    expect(classifyArrival(window, at("00:00"))).toBe("present");
+  });
+
+  it("turns checkouts before the cutoff into half-days", () => {
+    expect(isHalfDayCheckout(window, at("11:59"))).toBe(true);
+    expect(isHalfDayCheckout(window, at("07:00"))).toBe(true);
+    expect(isHalfDayCheckout(window, at("12:00"))).toBe(false);
+    expect(isHalfDayCheckout({ ...window, halfDayBefore: 0 }, at("09:00"))).toBe(false);
+    expect(isHalfDayCheckout(null, at("09:00"))).toBe(false);
+  });
+
+  it("measures windows that cross midnight UTC from their start", () => {
+    const evening = { slot: 0, startsAt: 22 * 3600, graceSeconds: 900, halfDayBefore: 3 * 3600 };
+
+    expect(classifyArrival(evening, at("22:15"))).toBe("present");
+    expect(classifyArrival(evening, at("00:30"))).toBe("late");
+    expect(isHalfDayCheckout(evening, at("02:59"))).toBe(true);
+    expect(isHalfDayCheckout(evening, at("03:00"))).toBe(false);
+  });
+});
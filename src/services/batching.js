@@ -0,0 +1,31 @@
+// Submits entries in chunks, one transaction per chunk, and collects a result
+// per entry. submitChunk(chunk) must resolve to { success, hash, results, error }.
+// A failed chunk marks its entries "failed" and the remaining chunks still run.
+export const submitInChunks = async (entries, chunkSize, submitChunk, onChunk = () => {}) => {
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += chunkSize) {
+    chunks.push(entries.slice(i, i + chunkSize));
+  }
+
+  const results = [];
+  for (const [index, chunk] of chunks.entries()) {
+    const result = await submitChunk(chunk);
+    const chunkResults = result.success
+      ? result.results.map((item) => ({ ...item, hash: result.hash }))
+      : chunk.map((entry) => ({
+        ...entry,
+        status: "failed",
+        reason: null,
+        error: result.error,
+        hash: result.hash || null,
+      }));
+
+    results.push(...chunkResults);
+    onChunk({ index, total: chunks.length, success: result.success, results: chunkResults });
+  }
+
+  return {
+    success: results.every((item) => item.status !== "failed"),
+    results,
+  };
+};
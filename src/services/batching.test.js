@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+
+import MockAptosService from "./mockAptosService";
+import { normalizeAddress } from "./addressUtils";
+import { submitInChunks } from "./batching";
+
+const roster = (count) => Array.from({ length: count }, (_, index) => ({
+  userAddress: `0x${(index + 16).toString(16)}`,
+  name: `Student ${index + 1}`,
+  userType: "student",
+}));
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+describe("submitInChunks", () => {
+  it("submits one transaction per chunk and keeps going after a failed one", async () => {
+    const submitChunk = jest.fn(async (chunk) => (chunk[0].name === "Student 3"
+      ? { success: false, error: "Out of gas", hash: "0x2" }
+      : { success: true, hash: `0x${chunk.length}`, results: chunk.map((entry) => ({ ...entry, status: "registered" })) }));
+    const onChunk = jest.fn();
+
+    const result = await submitInChunks(roster(5), 2, submitChunk, onChunk);
+
+    expect(submitChunk).toHaveBeenCalledTimes(3);
+    expect(result.success).toBe(false);
+    expect(result.results.map(({ status, hash }) => [status, hash])).toEqual([
+      ["registered", "0x2"], ["registered", "0x2"], ["failed", "0x2"], ["failed", "0x2"], ["registered", "0x1"],
+    ]);
+    expect(result.results[2].error).toBe("Out of gas");
+    expect(onChunk.mock.calls.map(([chunk]) => [chunk.index, chunk.total, chunk.success])).toEqual([
+      [0, 3, true], [1, 3, false], [2, 3, true],
+    ]);
+  });
+});
+
+describe("bulk registration", () => {
+  const setup = async () => {
+    const service = new MockAptosService({ moduleAddress: "0xa", backend: "mock", timeZone: "UTC" });
+    await service.registerUser({ address: "0x11" }, "Already here", "student");
+    return service;
+  };
+
+  it("registers a roster in chunks and skips accounts that already exist", async () => {
+    const service = await setup();
+
+    const result = await service.bulkRegister({ address: "0xa" }, roster(3), { chunkSize: 2 });
+
+    expect(result.success).toBe(true);
+    expect(result.results.map((item) => item.status)).toEqual(["registered", "skipped", "registered"]);
+    expect(result.results[1].reason).toBe("already_registered");
+    expect((await service.getUserInfo(normalizeAddress("0x12"))).data.name).toBe("Student 3");
+  });
+
+  it("is for admins only and rejects a chunk with an unknown role", async () => {
+    const service = await setup();
+
+    expect((await service.bulkRegister({ address: "0x11" }, roster(1))).results[0])
+      .toMatchObject({ status: "failed", error: expect.stringMatching(/authorized/i) });
+
+    const entries = [...roster(1), { userAddress: "0x20", name: "Ghost", userType: "principal" }];
+    const result = await service.bulkRegister({ address: "0xa" }, entries);
+    expect(result.results.map((item) => item.status)).toEqual(["failed", "failed"]);
+    expect((await service.isUserRegistered(normalizeAddress("0x10"))).data).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+import { Ed25519PublicKey, Ed25519Signature } from "@aptos-labs/ts-sdk";
+import { toFullMessage } from "./signers";
+import { normalizeAddress } from "./addressUtils";
+
+// A check-in code is the course teacher's wallet signature over the session id
+// and an expiry, packed into one string for a QR code or manual entry:
+//   WENIDI1.<session id>.<expires at>.<nonce>.<signature hex>.<public key hex>
+// The contract rebuilds the signed message in check_in_message, so the text
+// below must stay byte-for-byte identical to it. Codes for an institution other
+// than the module's own also sign its address (see
+// AptosService.checkInInstitution); the code itself does not carry it.
+
+const CODE_PREFIX = "WENIDI1";
+
+const stripHex = (value) => value.replace(/^0x/, "");
+
+const randomNonce = () => Array.from(
+  crypto.getRandomValues(new Uint8Array(8)),
+  (byte) => byte.toString(16).padStart(2, "0")
+).join("");
+
+export const checkInMessage = (sessionId, expiresAt, institution = null) => (
+  `wenidi check-in\nsession: ${sessionId}\nexpires: ${expiresAt}`
+  + (institution ? `\ninstitution: ${normalizeAddress(institution)}` : "")
+);
+
+export const createCheckInCode = async (signer, sessionId, lifetimeSeconds, institution = null) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + Number(lifetimeSeconds);
+  const nonce = randomNonce();
+  const { signature, publicKey } = await signer.signMessage({
+    message: checkInMessage(sessionId, expiresAt, institution),
+    nonce,
+  });
+
+  return {
+    code: [CODE_PREFIX, sessionId, expiresAt, nonce, stripHex(signature), stripHex(publicKey)].join("."),
+    sessionId: String(sessionId),
+    expiresAt,
+  };
+};
+
+export const parseCheckInCode = (code) => {
+  const parts = String(code).trim().split(".");
+  if (parts.length !== 6 || parts[0] !== CODE_PREFIX) {
+    throw new Error("This is not a check-in code");
+  }
+
+  const [, sessionId, expiresAt, nonce, signature, publicKey] = parts;
+  if (!/^\d+$/.test(sessionId) || !/^\d+$/.test(expiresAt) || !/^[0-9a-f]+$/i.test(`${signature}${publicKey}`)) {
+    throw new Error("This check-in code is malformed");
+  }
+
+  return {
+    sessionId,
+    expiresAt: Number(expiresAt),
+    nonce,
+    signature: `0x${signature}`,
+    publicKey: `0x${publicKey}`,
+  };
+};
+
+// Checks expiry and the signature, made for institution when one is given.
+// When teacherAddress is given, also checks that the key is the one the
+// teacher's account was created with; the contract compares against the
+// current authentication key instead.
+export const verifyCheckInCode = (parsed, { teacherAddress, institution = null, now = Math.floor(Date.now() / 1000) } = {}) => {
+  if (now > parsed.expiresAt) {
+    return { valid: false, reason: "expired" };
+  }
+
+  try {
+    const publicKey = new Ed25519PublicKey(parsed.publicKey);
+    const fullMessage = toFullMessage({
+      message: checkInMessage(parsed.sessionId, parsed.expiresAt, institution),
+      nonce: parsed.nonce,
+    });
+    const verified = publicKey.verifySignature({
+      message: new TextEncoder().encode(fullMessage),
+      signature: new Ed25519Signature(parsed.signature),
+    });
+    if (!verified) {
+      return { valid: false, reason: "signature" };
+    }
+
+    if (teacherAddress && normalizeAddress(publicKey.authKey().derivedAddress().toString()) !== normalizeAddress(teacherAddress)) {
+      return { valid: false, reason: "signer" };
+    }
+  } catch (error) {
+    return { valid: false, reason: "signature" };
+  }
+
+  return { valid: true, reason: null };
+};
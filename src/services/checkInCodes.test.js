@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+
+import MockAptosService from "./mockAptosService";
+import { normalizeAddress } from "./addressUtils";
+import { createPrivateKeySigner } from "./signers";
+import { checkInMessage, createCheckInCode, parseCheckInCode, verifyCheckInCode } from "./checkInCodes";
+
+const TEACHER = createPrivateKeySigner(`ed25519-priv-0x${"2".repeat(64)}`);
+const OTHER_TEACHER = createPrivateKeySigner(`ed25519-priv-0x${"3".repeat(64)}`);
+const STUDENT = { address: "0xb" };
+const INSTITUTION = normalizeAddress("0xe");
+const NOW = Date.parse("2026-10-19T08:05:00Z");
+
+// Swaps one hex digit so the part no longer matches what was signed.
+const tamper = (hex) => `${hex.slice(0, -1)}${hex.endsWith("0") ? "1" : "0"}`;
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(Date, "now").mockReturnValue(NOW);
+});
+
+describe("check-in codes", () => {
+  it("signs the session and expiry and reads them back", async () => {
+    const { code, sessionId, expiresAt } = await createCheckInCode(TEACHER, 7, 60);
+    const parsed = parseCheckInCode(code);
+
+    expect({ sessionId, expiresAt }).toEqual({ sessionId: "7", expiresAt: NOW / 1000 + 60 });
+    expect(parsed).toMatchObject({ sessionId: "7", expiresAt: NOW / 1000 + 60 });
+    expect(verifyCheckInCode(parsed, { teacherAddress: TEACHER.address })).toEqual({ valid: true, reason: null });
+  });
+
+  it("expires after its lifetime", async () => {
+    const parsed = parseCheckInCode((await createCheckInCode(TEACHER, 7, 60)).code);
+
+    expect(verifyCheckInCode(parsed, { now: NOW / 1000 + 60 }).valid).toBe(true);
+    expect(verifyCheckInCode(parsed, { now: NOW / 1000 + 61 })).toEqual({ valid: false, reason: "expired" });
+  });
+
+  it("rejects a changed session, expiry or signature", async () => {
+    const parsed = parseCheckInCode((await createCheckInCode(TEACHER, 7, 60)).code);
+
+    expect(verifyCheckInCode({ ...parsed, sessionId: "8" }).reason).toBe("signature");
+    expect(verifyCheckInCode({ ...parsed, expiresAt: parsed.expiresAt + 3600 }).reason).toBe("signature");
+    expect(verifyCheckInCode({ ...parsed, signature: tamper(parsed.signature) }).reason).toBe("signature");
+  });
+
+  it("rejects codes signed by another key than the teacher's", async () => {
+    const parsed = parseCheckInCode((await createCheckInCode(OTHER_TEACHER, 7, 60)).code);
+
+    expect(verifyCheckInCode(parsed).valid).toBe(true);
+    expect(verifyCheckInCode(parsed, { teacherAddress: TEACHER.address }).reason).toBe("signer");
+  });
+
+  it("binds codes to the institution they were made for", async () => {
+    const parsed = parseCheckInCode((await createCheckInCode(TEACHER, 7, 60, INSTITUTION)).code);
+
+    expect(checkInMessage(7, 1, INSTITUTION)).toBe(`wenidi check-in\nsession: 7\nexpires: 1\ninstitution: ${INSTITUTION}`);
+    expect(verifyCheckInCode(parsed, { institution: INSTITUTION }).valid).toBe(true);
+    expect(verifyCheckInCode(parsed).reason).toBe("signature");
+  });
+
+  it("refuses text that is not a code", () => {
+    expect(() => parseCheckInCode("hello")).toThrow("This is not a check-in code");
+    expect(() => parseCheckInCode("WENIDI1.x.1.aa.bb.cc")).toThrow("This check-in code is malformed");
+  });
+});
+
+describe("checking in with a code", () => {
+  const setup = async () => {
+    const service = new MockAptosService({ moduleAddress: "0xa", backend: "mock", timeZone: "UTC" });
+    await service.registerUser(STUDENT, "Student", "student");
+    await service.registerUser(TEACHER, "Teacher", "teacher");
+    const { courseId } = await service.createCourse({ address: "0xa" }, "MA101", "Maths", TEACHER.address);
+    await service.enrollStudents({ address: "0xa" }, courseId, [STUDENT.address]);
+    const { sessionId } = await service.createSession(TEACHER, courseId, "2026-10-19", 1);
+    return { service, sessionId };
+  };
+
+  it("rejects expired codes and codes that outlive the allowed lifetime", async () => {
+    const { service, sessionId } = await setup();
+    const { code } = await createCheckInCode(TEACHER, sessionId, 60);
+
+    Date.now.mockReturnValue(NOW + 61 * 1000);
+    expect((await service.checkInWithCode(STUDENT, code)).abortName).toBe("E_CHECK_IN_CODE_EXPIRED");
+
+    Date.now.mockReturnValue(NOW);
+    const { code: longCode } = await createCheckInCode(TEACHER, sessionId, 24 * 3600);
+    expect((await service.checkInWithCode(STUDENT, longCode)).abortName).toBe("E_INVALID_CHECK_IN_CODE");
+  });
+
+  it("rejects codes signed by someone other than the course teacher", async () => {
+    const { service, sessionId } = await setup();
+    const { code } = await createCheckInCode(OTHER_TEACHER, sessionId, 60);
+
+    expect((await service.checkInWithCode(STUDENT, code)).abortName).toBe("E_INVALID_CHECK_IN_CODE");
+  });
+});
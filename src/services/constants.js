@@ -0,0 +1,133 @@
+export const USER_TYPES = {
+  student: 1,
+  teacher: 2,
+  admin: 3,
+};
+
+export const USER_TYPE_NAMES = {
+  1: "student",
+  2: "teacher",
+  3: "admin",
+};
+
+// EventHandle fields on AttendanceSystem
+export const EVENT_STREAMS = {
+  registrations: "user_registration_events",
+  attendance: "attendance_marked_events",
+};
+
+// Abort codes raised by the attendance_system module
+export const ERROR_CODES = {
+  E_NOT_AUTHORIZED: 1,
+  E_USER_NOT_FOUND: 2,
+  E_ALREADY_REGISTERED: 3,
+  E_INVALID_USER_TYPE: 4,
+  E_ATTENDANCE_ALREADY_MARKED: 5,
+  E_BATCH_LENGTH_MISMATCH: 6,
+  E_COURSE_NOT_FOUND: 7,
+  E_SESSION_NOT_FOUND: 8,
+  E_SESSION_EXISTS: 9,
+  E_NOT_ENROLLED: 10,
+  E_CHECK_IN_CODE_EXPIRED: 11,
+  E_INVALID_CHECK_IN_CODE: 12,
+  E_INVALID_STATUS: 13,
+  E_INVALID_WINDOW: 14,
+  E_CORRECTION_NOT_FOUND: 15,
+  E_CORRECTION_NOT_PENDING: 16,
+  E_INVALID_LEAVE: 17,
+  E_LEAVE_NOT_FOUND: 18,
+  E_LEAVE_NOT_PENDING: 19,
+  E_PROTECTED_ADMIN: 20,
+  E_USER_INACTIVE: 21,
+  E_USER_ACTIVE: 22,
+  E_NO_ADMIN_TRANSFER: 23,
+  E_INVALID_DATE: 24,
+  E_INSTITUTION_NOT_FOUND: 25,
+  E_SELF_CHECK_IN_DISABLED: 26,
+  E_INSTITUTION_LIMIT: 27,
+  E_INVALID_CHECKOUT: 28,
+  E_INVALID_UTC_OFFSET: 29,
+};
+
+// Attendance status codes stored by the contract
+export const ATTENDANCE_STATUSES = {
+  present: 1,
+  late: 2,
+  absent: 3,
+  excused: 4,
+  half_day: 5,
+};
+
+export const ATTENDANCE_STATUS_NAMES = {
+  1: "present",
+  2: "late",
+  3: "absent",
+  4: "excused",
+  5: "half_day",
+};
+
+// Attendance window slot used for daily attendance; session slots start at 1
+export const DAILY_WINDOW_SLOT = 0;
+
+// Correction states stored by the contract
+export const CORRECTION_STATES = {
+  1: "pending",
+  2: "approved",
+  3: "rejected",
+};
+
+// Leave request states and reason categories stored by the contract
+export const LEAVE_STATES = {
+  1: "pending",
+  2: "approved",
+  3: "rejected",
+  4: "cancelled",
+};
+
+export const LEAVE_CATEGORIES = {
+  medical: 1,
+  family: 2,
+  personal: 3,
+  school_activity: 4,
+  other: 5,
+};
+
+export const LEAVE_CATEGORY_NAMES = {
+  1: "medical",
+  2: "family",
+  3: "personal",
+  4: "school_activity",
+  5: "other",
+};
+
+// Most dates one leave request may cover
+export const MAX_LEAVE_DATES = 31;
+
+// Records per get_daily_attendance_entries_page call; the contract caps pages
+// at this size
+export const DAILY_PAGE_SIZE = 200;
+
+// Institutions per get_institutions_page call, also capped by the contract
+export const INSTITUTION_PAGE_SIZE = 100;
+
+// Most institutions one account may create
+export const MAX_INSTITUTIONS_PER_CREATOR = 5;
+
+// Attendance percentage below which analytics lists a student as at risk, such
+// as the minimum for exam eligibility
+export const DEFAULT_AT_RISK_THRESHOLD = 75;
+
+// Lifetime of a teacher's check-in code before the dashboard rotates it
+export const DEFAULT_CHECK_IN_CODE_SECONDS = 60;
+
+// Reasons carried by AttendanceSkippedEvent and RegistrationSkippedEvent when a
+// batch entry is not applied
+export const SKIP_REASONS = {
+  1: "already_marked",
+  2: "user_not_found",
+  3: "already_registered",
+  4: "not_enrolled",
+};
+
+// Users per admin_register_users transaction when bulk registering
+export const REGISTRATION_CHUNK_SIZE = 50;
@@ -0,0 +1,24 @@
+/**
+ * @jest-environment node
+ */
+
+import { formatCsv, parseCsv } from "./csv";
+
+describe("parseCsv", () => {
+  it("reads quoted fields, escaped quotes and either line ending", () => {
+    expect(parseCsv('address,name\r\n0xb,"Perera, Nimal"\n0xc,"Said ""Sam"""\n')).toEqual([
+      ["address", "name"],
+      ["0xb", "Perera, Nimal"],
+      ["0xc", 'Said "Sam"'],
+    ]);
+  });
+
+  it("keeps line breaks inside quotes and drops blank lines", () => {
+    expect(parseCsv('0xb,"Two\nlines"\n\n , \n0xc,Last')).toEqual([["0xb", "Two\nlines"], ["0xc", "Last"]]);
+  });
+
+  it("reads back what formatCsv writes", () => {
+    const lines = [["0xb", "Perera, Nimal", 'He said "hi"'], ["0xc", "", "student"]];
+    expect(parseCsv(formatCsv(lines))).toEqual(lines);
+  });
+});
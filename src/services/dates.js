@@ -0,0 +1,119 @@
+// Attendance is keyed by day as "YYYY-MM-DD" in the institution's timezone.
+// Everything that builds a date for the contract goes through toDayKey, so a
+// check-in at 02:00 in UTC+5:30 lands on that morning rather than on the
+// previous day in UTC. An empty timezone means the browser's own.
+
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const FORMAT_OPTIONS = {
+  day: { year: "numeric", month: "2-digit", day: "2-digit" },
+  time: { hour: "2-digit", minute: "2-digit", second: "2-digit", hourCycle: "h23" },
+};
+
+const formatters = new Map();
+
+const formatParts = (kind, date, timeZone) => {
+  const key = `${kind}:${timeZone || ""}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat("en-CA", { ...FORMAT_OPTIONS[kind], timeZone: timeZone || undefined }));
+  }
+  return Object.fromEntries(formatters.get(key).formatToParts(date).map((part) => [part.type, part.value]));
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return true;
+  try {
+    formatParts("day", new Date(), timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const buildKey = (year, month, day) => {
+  if (year < 1 || month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) {
+    return null;
+  }
+  return `${String(year).padStart(4, "0")}-${pad(month)}-${pad(day)}`;
+};
+
+// The calendar day of an instant in timeZone.
+export const dayKey = (date, timeZone) => {
+  const parts = formatParts("day", date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Seconds after midnight in timeZone for a contract timestamp in seconds.
+export const secondOfDay = (seconds, timeZone) => {
+  const parts = formatParts("time", new Date(Number(seconds) * 1000), timeZone);
+  return Number(parts.hour) * 3600 + Number(parts.minute) * 60 + Number(parts.second);
+};
+
+export const today = (timeZone) => dayKey(new Date(), timeZone);
+
+// How far timeZone is ahead of UTC at an instant, in seconds (19800 for
+// Asia/Colombo). It changes with daylight saving, so pass the instant that
+// matters rather than caching one offset.
+export const zoneOffset = (date, timeZone) => {
+  const seconds = Math.floor(date.getTime() / 1000);
+  const [year, month, day] = dayKey(date, timeZone).split("-").map(Number);
+  return Date.UTC(year, month - 1, day) / 1000 + secondOfDay(seconds, timeZone) - seconds;
+};
+
+// Whether timeZone's offset changes during the year of date.
+export const observesDaylightSaving = (timeZone, date = new Date()) => {
+  const year = date.getUTCFullYear();
+  return zoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone) !== zoneOffset(new Date(Date.UTC(year, 6, 1)), timeZone);
+};
+
+// Returns the canonical day key for value, or null when it is not a real date.
+// Accepts Date objects and millisecond timestamps, YYYY-MM-DD with "-", "/" or
+// "." separators, day-first DD/MM/YYYY or DD.MM.YYYY, and ISO date-times,
+// which are converted into timeZone.
+export const toDayKey = (value, timeZone) => {
+  if (value instanceof Date || typeof value === "number") {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : dayKey(date, timeZone);
+  }
+  if (typeof value !== "string") return null;
+
+  const text = value.trim();
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (match) {
+    return buildKey(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  match = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+  if (match) {
+    return buildKey(Number(match[3]), Number(match[2]), Number(match[1]));
+  }
+
+  match = text.match(/^(\d{4})-(\d{2})-(\d{2})T\d{2}:\d{2}/);
+  if (match && buildKey(Number(match[1]), Number(match[2]), Number(match[3]))) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : dayKey(date, timeZone);
+  }
+
+  return null;
+};
+
+export const isDayKey = (value) => typeof value === "string" && toDayKey(value) === value;
+
+const keyToUtc = (key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Adds days to a day key; the result is again a day key.
+export const addDays = (key, days) => {
+  const date = keyToUtc(key);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// The Monday on or before a day key.
+export const startOfWeek = (key) => addDays(key, -((keyToUtc(key).getUTCDay() + 6) % 7));
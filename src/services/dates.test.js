@@ -0,0 +1,94 @@
+import { addDays, isDayKey, observesDaylightSaving, secondOfDay, startOfWeek, toDayKey, zoneOffset } from "./dates";
+import { localTimeToUtcSeconds, utcSecondsToLocalTime } from "./attendanceStatus";
+
+describe("toDayKey", () => {
+  it("accepts the supported spellings of a day", () => {
+    expect(toDayKey("2026-10-19")).toBe("2026-10-19");
+    expect(toDayKey("2026/10/9")).toBe("2026-10-09");
+    expect(toDayKey("2026.10.19")).toBe("2026-10-19");
+    expect(toDayKey("19/10/2026")).toBe("2026-10-19");
+    expect(toDayKey(" 19.10.2026 ")).toBe("2026-10-19");
+  });
+
+  it("rejects days that are not on the calendar", () => {
+    expect(toDayKey("2026-02-29")).toBeNull();
+    expect(toDayKey("2026-13-01")).toBeNull();
+    expect(toDayKey("31/04/2026")).toBeNull();
+    expect(toDayKey("10/19")).toBeNull();
+    expect(toDayKey("")).toBeNull();
+    expect(toDayKey(null)).toBeNull();
+    expect(toDayKey("2028-02-29")).toBe("2028-02-29");
+  });
+
+  it("puts instants on the day they fall on in the timezone", () => {
+    const instant = Date.UTC(2026, 9, 18, 20, 30);
+    expect(toDayKey(instant, "UTC")).toBe("2026-10-18");
+    expect(toDayKey(instant, "Asia/Colombo")).toBe("2026-10-19");
+    expect(toDayKey(new Date(instant), "America/New_York")).toBe("2026-10-18");
+    expect(toDayKey("2026-10-18T20:30:00Z", "Asia/Colombo")).toBe("2026-10-19");
+    expect(toDayKey(new Date("invalid"))).toBeNull();
+  });
+
+  it("recognizes only canonical keys as day keys", () => {
+    expect(isDayKey("2026-10-19")).toBe(true);
+    expect(isDayKey("2026/10/19")).toBe(false);
+    expect(isDayKey(20261019)).toBe(false);
+  });
+});
+
+describe("day arithmetic", () => {
+  it("adds days across months and years", () => {
+    expect(addDays("2026-12-31", 1)).toBe("2027-01-01");
+    expect(addDays("2028-03-01", -1)).toBe("2028-02-29");
+  });
+
+  it("finds the Monday of a week", () => {
+    expect(startOfWeek("2026-10-19")).toBe("2026-10-19");
+    expect(startOfWeek("2026-10-25")).toBe("2026-10-19");
+  });
+});
+
+describe("timezone offsets", () => {
+  it("follows daylight saving", () => {
+    expect(zoneOffset(new Date(Date.UTC(2026, 0, 15)), "Asia/Colombo")).toBe(19800);
+    expect(zoneOffset(new Date(Date.UTC(2026, 0, 15)), "Europe/London")).toBe(0);
+    expect(zoneOffset(new Date(Date.UTC(2026, 6, 15)), "Europe/London")).toBe(3600);
+    expect(zoneOffset(new Date(Date.UTC(2026, 6, 15)), "America/New_York")).toBe(-14400);
+    expect(observesDaylightSaving("Europe/London")).toBe(true);
+    expect(observesDaylightSaving("Asia/Colombo")).toBe(false);
+  });
+
+  it("reads seconds after midnight in the timezone", () => {
+    const seconds = Date.UTC(2026, 9, 19, 2, 30) / 1000;
+    expect(secondOfDay(seconds, "UTC")).toBe(9000);
+    expect(secondOfDay(seconds, "Asia/Colombo")).toBe(28800);
+  });
+});
+
+describe("window time conversion", () => {
+  const winter = new Date(Date.UTC(2026, 0, 15, 12));
+  const summer = new Date(Date.UTC(2026, 6, 15, 12));
+
+  it("converts with the configured timezone rather than the browser's", () => {
+    expect(localTimeToUtcSeconds("08:00", "Asia/Colombo", winter)).toBe(9000);
+    expect(utcSecondsToLocalTime(9000, "Asia/Colombo", winter)).toBe("08:00");
+  });
+
+  it("wraps school days that start before midnight UTC", () => {
+    expect(localTimeToUtcSeconds("08:00", "Australia/Brisbane", winter)).toBe(79200);
+    expect(utcSecondsToLocalTime(79200, "Australia/Brisbane", winter)).toBe("08:00");
+  });
+
+  it("uses the offset in effect on the date", () => {
+    expect(localTimeToUtcSeconds("08:00", "Europe/London", winter)).toBe(28800);
+    expect(localTimeToUtcSeconds("08:00", "Europe/London", summer)).toBe(25200);
+    expect(utcSecondsToLocalTime(25200, "Europe/London", summer)).toBe("08:00");
+    expect(utcSecondsToLocalTime(25200, "Europe/London", winter)).toBe("07:00");
+  });
+
+  it("uses the offset after the change on the day the clocks go forward", () => {
+    const changeDay = new Date(Date.UTC(2026, 2, 29, 0, 30));
+    expect(localTimeToUtcSeconds("08:00", "Europe/London", changeDay)).toBe(25200);
+    expect(localTimeToUtcSeconds("00:30", "Europe/London", changeDay)).toBe(1800);
+  });
+});
@@ -0,0 +1,27 @@
+export const shortenAddress = (address) => {
+  if (!address) return "N/A";
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+};
+
+export const formatTimestamp = (seconds, fallback = "—") => {
+  const value = Number(seconds);
+  if (!value) return fallback;
+  return new Date(value * 1000).toLocaleString();
+};
+
+// Seconds after midnight as "HH:MM".
+export const formatClock = (seconds, fallback = "—") => {
+  if (seconds === null || seconds === undefined) return fallback;
+  const minutes = Math.round(Number(seconds) / 60);
+  return `${String(Math.floor(minutes / 60) % 24).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+};
+
+export const formatDuration = (seconds, fallback = "—") => {
+  if (seconds === null || seconds === undefined) return fallback;
+  const minutes = Math.round(Number(seconds) / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+export const formatPercent = (value, fallback = "n/a") => (
+  value === null || value === undefined ? fallback : `${Math.round(value)}%`
+);
@@ -0,0 +1,96 @@
+import { EVENT_STREAMS } from "../constants";
+import { normalizeAddress } from "../addressUtils";
+
+const PAGE_SIZE = 100;
+
+// Mirrors the AttendanceSystem event streams into a store and answers the
+// queries the contract has no view for (every registered user, records by marker).
+// Checkout times are not part of AttendanceMarkedEvent, so indexed records never
+// carry them; use the views for those.
+class EventIndexer {
+  constructor(service, store) {
+    this.service = service;
+    this.store = store;
+    this.syncing = null;
+  }
+
+  
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.syncAll().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async syncAll() {
+    const counts = {};
+    for (const stream of Object.values(EVENT_STREAMS)) {
+      counts[stream] = await this.syncStream(stream);
+    }
+    return counts;
+  }
+
+  async syncStream(stream) {
+    let cursor = await this.store.getCursor(stream);
+    let added = 0;
+
+    for (;;) {
+      const page = await this.service.getEvents(stream, cursor, PAGE_SIZE);
+      if (!page.success) {
+        throw new Error(page.error);
+      }
+      if (page.data.length === 0) break;
+
+      cursor = Number(page.data[page.data.length - 1].sequenceNumber) + 1;
+      await this.store.putEvents(stream, page.data, cursor);
+      added += page.data.length;
+
+      if (page.data.length < PAGE_SIZE) break;
+    }
+
+    return added;
+  }
+
+  
+  async getUsers() {
+    const events = await this.store.getEvents(EVENT_STREAMS.registrations);
+    return events.map((event) => ({
+      address: normalizeAddress(event.userAddress),
+      name: event.name,
+      userType: event.userType,
+      registrationTime: event.timestamp,
+    }));
+  }
+
+  async getAttendanceRecords() {
+    const events = await this.store.getEvents(EVENT_STREAMS.attendance);
+    return events.map((event) => ({
+      userAddress: normalizeAddress(event.userAddress),
+      date: event.date,
+      checkInTime: event.checkInTime,
+      isPresent: event.isPresent,
+      markedBy: normalizeAddress(event.markedBy),
+      version: event.version,
+    }));
+  }
+
+  async getRecordsMarkedBy(address) {
+    const marker = normalizeAddress(address);
+    const records = await this.getAttendanceRecords();
+    return records.filter((record) => record.markedBy === marker);
+  }
+
+  async getRecordsForUser(address) {
+    const user = normalizeAddress(address);
+    const records = await this.getAttendanceRecords();
+    return records.filter((record) => record.userAddress === user);
+  }
+
+  async reset() {
+    await this.store.clear();
+  }
+}
+
+export default EventIndexer;
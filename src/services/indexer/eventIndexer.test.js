@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import MockAptosService from "../mockAptosService";
+import { normalizeAddress } from "../addressUtils";
+import { EVENT_STREAMS } from "../constants";
+import EventIndexer from "./eventIndexer";
+import MemoryStore from "./memoryStore";
+import JsonFileStore from "./jsonFileStore";
+
+const ADMIN = { address: "0xa" };
+const STUDENT = normalizeAddress("0xb");
+const TEACHER = normalizeAddress("0xc");
+
+const setup = async () => {
+  const service = new MockAptosService({ moduleAddress: "0xa", backend: "mock", timeZone: "UTC" });
+  await service.registerUser({ address: STUDENT }, "Student", "student");
+  await service.registerUser({ address: TEACHER }, "Teacher", "teacher");
+  await service.markAttendance(ADMIN, STUDENT, "2026-10-19", "present");
+  return service;
+};
+
+describe("event indexer", () => {
+  it("lists users and records the views do not", async () => {
+    const indexer = new EventIndexer(await setup(), new MemoryStore());
+
+    expect(await indexer.sync()).toEqual({ [EVENT_STREAMS.registrations]: 2, [EVENT_STREAMS.attendance]: 1 });
+    expect((await indexer.getUsers()).map((user) => [user.address, user.name]))
+      .toEqual([[STUDENT, "Student"], [TEACHER, "Teacher"]]);
+    expect(await indexer.getRecordsMarkedBy("0xa")).toMatchObject([{ userAddress: STUDENT, date: "2026-10-19" }]);
+    expect(await indexer.getRecordsForUser(TEACHER)).toEqual([]);
+  });
+
+  it("only fetches events after its cursor", async () => {
+    const service = await setup();
+    const indexer = new EventIndexer(service, new MemoryStore());
+    await indexer.sync();
+
+    await service.markAttendance(ADMIN, TEACHER, "2026-10-19", "late");
+    const getEvents = jest.spyOn(service, "getEvents");
+
+    expect(await indexer.sync()).toEqual({ [EVENT_STREAMS.registrations]: 0, [EVENT_STREAMS.attendance]: 1 });
+    expect(getEvents).toHaveBeenCalledWith(EVENT_STREAMS.attendance, 1, 100);
+    expect(await indexer.getAttendanceRecords()).toHaveLength(2);
+  });
+
+  it("pages through long streams and shares one sync between callers", async () => {
+    const events = Array.from({ length: 250 }, (_, index) => ({ sequenceNumber: String(index), userAddress: "0xb" }));
+    const service = {
+      getEvents: jest.fn(async (stream, start, limit) => ({
+        success: true,
+        data: stream === EVENT_STREAMS.attendance ? events.slice(start, start + limit) : [],
+      })),
+    };
+    const indexer = new EventIndexer(service, new MemoryStore());
+
+    const [first, second] = await Promise.all([indexer.sync(), indexer.sync()]);
+
+    expect(first).toBe(second);
+    expect(first[EVENT_STREAMS.attendance]).toBe(250);
+    expect(service.getEvents.mock.calls.filter(([stream]) => stream === EVENT_STREAMS.attendance).map(([, start]) => start))
+      .toEqual([0, 100, 200]);
+  });
+
+  it("stops on a failed page without moving its cursor", async () => {
+    const store = new MemoryStore();
+    const indexer = new EventIndexer({ getEvents: async () => ({ success: false, error: "429" }) }, store);
+
+    await expect(indexer.sync()).rejects.toThrow("429");
+    expect(await store.getCursor(EVENT_STREAMS.registrations)).toBe(0);
+  });
+
+  it("keeps what it indexed in a JSON file between runs", async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "wenidi-indexer-"));
+    const file = path.join(directory, "events.json");
+    try {
+      await new EventIndexer(await setup(), new JsonFileStore(file)).sync();
+
+      const reopened = new EventIndexer({ getEvents: async () => ({ success: true, data: [] }) }, new JsonFileStore(file));
+      expect(await reopened.getUsers()).toHaveLength(2);
+
+      await reopened.reset();
+      expect(JSON.parse(await fs.readFile(file, "utf8"))).toEqual({ cursors: {}, events: {} });
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
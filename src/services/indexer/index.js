@@ -0,0 +1,15 @@
+import EventIndexer from "./eventIndexer";
+import MemoryStore from "./memoryStore";
+import IndexedDbStore from "./indexedDbStore";
+
+
+export const createBrowserIndexer = (service) => {
+  const { network, moduleAddress, institution, backend } = service.getConfig();
+  const scope = institution ? `${moduleAddress}-${institution}` : moduleAddress;
+  const store = backend !== "mock" && typeof window !== "undefined" && window.indexedDB
+    ? new IndexedDbStore(`wenidi-indexer-${network}-${scope}`)
+    : new MemoryStore();
+  return new EventIndexer(service, store);
+};
+
+export { EventIndexer, MemoryStore, IndexedDbStore };
@@ -0,0 +1,71 @@
+const EVENTS = "events";
+const CURSORS = "cursors";
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Browser store: one database per network and contract so switching networks
+// never mixes event streams.
+class IndexedDbStore {
+  constructor(name) {
+    this.name = name;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      const request = window.indexedDB.open(this.name, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const events = db.createObjectStore(EVENTS, { keyPath: ["stream", "sequenceNumber"] });
+        events.createIndex("stream", "stream");
+        db.createObjectStore(CURSORS, { keyPath: "stream" });
+      };
+      this.db = promisify(request);
+    }
+    return this.db;
+  }
+
+  async getCursor(stream) {
+    const db = await this.open();
+    const entry = await promisify(db.transaction(CURSORS).objectStore(CURSORS).get(stream));
+    return entry ? entry.cursor : 0;
+  }
+
+  async putEvents(stream, events, cursor) {
+    const db = await this.open();
+    const transaction = db.transaction([EVENTS, CURSORS], "readwrite");
+
+    events.forEach((event) => {
+      transaction.objectStore(EVENTS).put({ ...event, stream, sequenceNumber: Number(event.sequenceNumber) });
+    });
+    transaction.objectStore(CURSORS).put({ stream, cursor });
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getEvents(stream) {
+    const db = await this.open();
+    const index = db.transaction(EVENTS).objectStore(EVENTS).index("stream");
+    const events = await promisify(index.getAll(stream));
+    return events.sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+  }
+
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction([EVENTS, CURSORS], "readwrite");
+    transaction.objectStore(EVENTS).clear();
+    transaction.objectStore(CURSORS).clear();
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+export default IndexedDbStore;
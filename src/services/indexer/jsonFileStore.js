@@ -0,0 +1,53 @@
+import { promises as fs } from "fs";
+import MemoryStore from "./memoryStore";
+
+// Node-only store that persists the indexed events to a JSON file after each page.
+class JsonFileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.loaded = null;
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.filePath, "utf8")
+        .then((text) => {
+          const snapshot = JSON.parse(text);
+          this.cursors = snapshot.cursors || {};
+          this.events = snapshot.events || {};
+        })
+        .catch((error) => {
+          if (error.code !== "ENOENT") throw error;
+        });
+    }
+    return this.loaded;
+  }
+
+  async save() {
+    await fs.writeFile(this.filePath, JSON.stringify(this.snapshot(), null, 2));
+  }
+
+  async getCursor(stream) {
+    await this.load();
+    return super.getCursor(stream);
+  }
+
+  async putEvents(stream, events, cursor) {
+    await this.load();
+    await super.putEvents(stream, events, cursor);
+    await this.save();
+  }
+
+  async getEvents(stream) {
+    await this.load();
+    return super.getEvents(stream);
+  }
+
+  async clear() {
+    await super.clear();
+    await this.save();
+  }
+}
+
+export default JsonFileStore;
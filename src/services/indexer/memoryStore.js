@@ -0,0 +1,31 @@
+// Keeps indexed events in memory. Also the base for stores that persist a snapshot.
+class MemoryStore {
+  constructor(snapshot = {}) {
+    this.cursors = { ...(snapshot.cursors || {}) };
+    this.events = { ...(snapshot.events || {}) };
+  }
+
+  async getCursor(stream) {
+    return this.cursors[stream] || 0;
+  }
+
+  async putEvents(stream, events, cursor) {
+    this.events[stream] = [...(this.events[stream] || []), ...events];
+    this.cursors[stream] = cursor;
+  }
+
+  async getEvents(stream) {
+    return [...(this.events[stream] || [])];
+  }
+
+  async clear() {
+    this.cursors = {};
+    this.events = {};
+  }
+
+  snapshot() {
+    return { cursors: this.cursors, events: this.events };
+  }
+}
+
+export default MemoryStore;
@@ -0,0 +1,37 @@
+import { LEAVE_CATEGORY_NAMES, MAX_LEAVE_DATES } from "./constants";
+import { toDayKey, addDays } from "./dates";
+
+// Reason categories in display order, for selects.
+export const LEAVE_CATEGORY_OPTIONS = Object.values(LEAVE_CATEGORY_NAMES);
+
+export const formatLeaveCategory = (category) => category.replace("_", " ");
+
+// Every date from start to end inclusive, as YYYY-MM-DD. Throws when the
+// range is reversed or longer than one request may cover.
+export const leaveDates = (startDate, endDate) => {
+  const start = toDayKey(startDate);
+  const end = toDayKey(endDate || startDate);
+  if (!start || !end || end < start) {
+    throw new Error("The leave must end on or after its first day");
+  }
+
+  const dates = [];
+  for (let day = start; day <= end && dates.length <= MAX_LEAVE_DATES; day = addDays(day, 1)) {
+    dates.push(day);
+  }
+  if (dates.length > MAX_LEAVE_DATES) {
+    throw new Error(`A leave request can cover at most ${MAX_LEAVE_DATES} days`);
+  }
+  return dates;
+};
+
+// SHA-256 of a supporting document, as 0x-prefixed hex. Only the hash goes on
+// chain; the document itself stays with the student and the school.
+export const hashDocument = async (file) => {
+  const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+  return `0x${Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("")}`;
+};
+
+export const formatLeaveDates = (dates) => (
+  dates.length === 1 ? dates[0] : `${dates[0]} to ${dates[dates.length - 1]} (${dates.length} days)`
+);
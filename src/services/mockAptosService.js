@@ -0,0 +1,1603 @@
+import {
+  USER_TYPES,
+  ATTENDANCE_STATUSES,
+  ERROR_CODES,
+  SKIP_REASONS,
+  EVENT_STREAMS,
+  REGISTRATION_CHUNK_SIZE,
+  DAILY_WINDOW_SLOT,
+  LEAVE_CATEGORIES,
+  MAX_LEAVE_DATES,
+  DAILY_PAGE_SIZE,
+  INSTITUTION_PAGE_SIZE,
+  MAX_INSTITUTIONS_PER_CREATOR,
+} from "./constants";
+import { normalizeAddress } from "./addressUtils";
+import {
+  InsufficientBalanceError,
+  AttendanceError,
+  decodeTransactionError,
+  abortError,
+  toFailureResult,
+} from "./transactionErrors";
+import { submitInChunks } from "./batching";
+import { parseCheckInCode, verifyCheckInCode } from "./checkInCodes";
+import { countsAsPresent, classifyArrival, isHalfDayCheckout } from "./attendanceStatus";
+import { toDayKey } from "./dates";
+
+// In-memory stand-in for AptosService that applies the attendance_system
+// module's rules locally. Signers are only used for their address.
+
+const DEFAULT_BALANCE = 10 * 100000000;
+const MOCK_GAS_USED = 500;
+const MOCK_GAS_UNIT_PRICE = 100;
+const DEFAULT_CHECK_IN_VALIDITY_SECS = 600;
+const SECONDS_PER_DAY = 86400;
+const MAX_MINUTES_WEST_OF_UTC = 720;
+const MAX_MINUTES_EAST_OF_UTC = 840;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+
+class MockAptosService {
+  constructor(config = {}, options = {}) {
+    this.systems = new Map();
+    this.institutionsCreated = new Map();
+    this.balances = new Map();
+    this.transactionCount = 0;
+    this.configure(config);
+
+    const admin = options.admin || config.mockAdmin || config.moduleAddress;
+    if (admin && options.initialize !== false) {
+      this.systems.set(this.moduleAddress, this.createSystem(normalizeAddress(admin)));
+    }
+  }
+
+  
+  configure(config) {
+    this.config = { ...config };
+    this.moduleAddress = normalizeAddress(config.moduleAddress || "0x1");
+    this.moduleName = config.moduleName || "attendance_system";
+    this.institution = normalizeAddress(config.institution || this.moduleAddress);
+  }
+
+  getConfig() {
+    return { ...this.config };
+  }
+
+  functionId(name) {
+    return `${this.moduleAddress}::${this.moduleName}::${name}`;
+  }
+
+  getInstitution() {
+    return this.institution;
+  }
+
+  checkInInstitution() {
+    return this.institution === this.moduleAddress ? null : this.institution;
+  }
+
+  dayKey(date) {
+    return toDayKey(date, this.config.timeZone);
+  }
+
+  abort(name) {
+    const error = new Error(
+      `Move abort in ${this.moduleAddress}::${this.moduleName}: ${name}(0x${ERROR_CODES[name].toString(16)})`
+    );
+    error.abortCode = ERROR_CODES[name];
+    throw error;
+  }
+
+  // Events are emitted inside apply(), before nextHash() assigns the transaction.
+  pendingVersion() {
+    return String(this.transactionCount + 1);
+  }
+
+  nextHash() {
+    this.transactionCount += 1;
+    return `0x${this.transactionCount.toString(16).padStart(64, "0")}`;
+  }
+
+  
+  // Mirrors AptosService.submitTransaction: charges a fixed fee, reports the same
+  // statuses and decodes aborts thrown by apply().
+  async runTransaction(signer, name, { onStatus = () => {}, ...context }, apply) {
+    const errorContext = { ...context, function: name, moduleName: this.moduleName };
+    const estimate = {
+      gasUsed: MOCK_GAS_USED,
+      gasUnitPrice: MOCK_GAS_UNIT_PRICE,
+      fee: MOCK_GAS_USED * MOCK_GAS_UNIT_PRICE,
+      balance: null,
+    };
+    let hash = null;
+
+    try {
+      onStatus({ status: "pending" });
+
+      const balance = await this.getAccountBalance(signer.address);
+      estimate.balance = balance.data;
+      if (estimate.fee > estimate.balance) {
+        throw new InsufficientBalanceError(estimate.fee, estimate.balance);
+      }
+      onStatus({ status: "pending", estimate });
+
+      const output = apply() || {};
+      hash = this.nextHash();
+      onStatus({ status: "submitted", hash, estimate });
+
+      this.setAccountBalance(signer.address, estimate.balance - estimate.fee);
+      const result = { success: true, hash, gasUsed: estimate.gasUsed, estimate, ...output };
+      onStatus({ status: "confirmed", ...result });
+      return result;
+    } catch (error) {
+      console.error(`Error submitting ${name}:`, error);
+      const decoded = decodeTransactionError(error, errorContext);
+      onStatus({ status: "failed", hash, estimate, error: decoded.message });
+      return { ...toFailureResult(decoded), hash };
+    }
+  }
+
+  createSystem(adminAddress, name = "Wenidi") {
+    const system = {
+      name,
+      admin: adminAddress,
+      createdBy: adminAddress,
+      createdAt: String(nowSeconds()),
+      users: new Map(),
+      attendanceRecords: new Map(),
+      dailyAttendance: new Map(),
+      userRegistrationEvents: [],
+      attendanceMarkedEvents: [],
+      courses: this.createCourseRegistry(),
+      // Statuses live on the mock records; the policy only holds the windows.
+      windows: new Map(),
+      corrections: { nextCorrectionId: 1, corrections: new Map(), pending: [] },
+      // excused maps student -> date -> leave id for records approval wrote.
+      leave: { nextLeaveId: 1, requests: new Map(), pending: [], excused: new Map() },
+      deactivated: new Map(),
+      pendingAdmin: null,
+      // Like the contract, daily self check-in is off until an admin allows it.
+      selfCheckIn: false,
+      // Seconds ahead of UTC; decides which day checkouts are for.
+      utcOffset: 0,
+    };
+
+    system.users.set(adminAddress, {
+      address: adminAddress,
+      name: "System Admin",
+      userType: USER_TYPES.admin,
+      registrationTime: String(nowSeconds()),
+    });
+    system.dailyAttendance.set(adminAddress, new Map());
+
+    return system;
+  }
+
+  createCourseRegistry() {
+    return {
+      nextCourseId: 1,
+      nextSessionId: 1,
+      courses: new Map(),
+      enrollments: new Map(),
+      studentCourses: new Map(),
+      sessions: new Map(),
+      courseSessions: new Map(),
+      sessionAttendance: new Map(),
+      checkInValiditySecs: DEFAULT_CHECK_IN_VALIDITY_SECS,
+    };
+  }
+
+  getSystem() {
+    const system = this.systems.get(this.institution);
+    if (!system) {
+      this.abort("E_INSTITUTION_NOT_FOUND");
+    }
+    return system;
+  }
+
+  hasRole(system, address, userType) {
+    const user = system.users.get(address);
+    return Boolean(user) && user.userType === userType;
+  }
+
+  requireActive(address) {
+    if (this.getSystem().deactivated.has(address)) {
+      this.abort("E_USER_INACTIVE");
+    }
+  }
+
+  teachesStudent(system, teacherAddress, studentAddress) {
+    if (!this.hasRole(system, teacherAddress, USER_TYPES.teacher)) return false;
+    const courseIds = system.courses.studentCourses.get(studentAddress) || [];
+    return courseIds.some((id) => system.courses.courses.get(id).teacher === teacherAddress);
+  }
+
+  requireStatuses(statuses) {
+    if (statuses.some((status) => !ATTENDANCE_STATUSES[status])) {
+      this.abort("E_INVALID_STATUS");
+    }
+  }
+
+  getManagedCourse(system, actorAddress, courseId) {
+    const course = system.courses.courses.get(String(courseId));
+    if (!course) {
+      this.abort("E_COURSE_NOT_FOUND");
+    }
+    const teaches = course.teacher === actorAddress && this.hasRole(system, actorAddress, USER_TYPES.teacher);
+    if (!teaches && !this.hasRole(system, actorAddress, USER_TYPES.admin)) {
+      this.abort("E_NOT_AUTHORIZED");
+    }
+    return course;
+  }
+
+  
+  async initializeSystem(signer, options = {}) {
+    return this.runTransaction(signer, "initialize", options, () => {
+      const adminAddress = normalizeAddress(signer.address);
+      if (this.systems.has(adminAddress)) {
+        throw new Error(`AttendanceSystem already exists at ${adminAddress}`);
+      }
+
+      this.systems.set(adminAddress, this.createSystem(adminAddress));
+    });
+  }
+
+  
+  async registerUser(signer, name, userType, options = {}) {
+    return this.runTransaction(signer, "register_user", options, () => {
+      const userAddress = normalizeAddress(signer.address);
+      const typeCode = USER_TYPES[userType];
+      const system = this.getSystem();
+
+      if (typeCode !== USER_TYPES.student && typeCode !== USER_TYPES.teacher) {
+        this.abort("E_INVALID_USER_TYPE");
+      }
+      if (system.users.has(userAddress)) {
+        this.abort("E_ALREADY_REGISTERED");
+      }
+
+      this.addUser(system, userAddress, name, typeCode);
+    });
+  }
+
+  
+  async adminRegisterUsers(signer, entries, options = {}) {
+    return this.runTransaction(signer, "admin_register_users", options, () => {
+      const adminAddress = normalizeAddress(signer.address);
+      const system = this.getSystem();
+      this.requireActive(adminAddress);
+
+      if (!this.hasRole(system, adminAddress, USER_TYPES.admin)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      // The contract aborts the whole transaction, so validate before applying.
+      if (entries.some((entry) => !USER_TYPES[entry.userType])) {
+        this.abort("E_INVALID_USER_TYPE");
+      }
+
+      const results = entries.map((entry) => {
+        const userAddress = normalizeAddress(entry.userAddress);
+        if (system.users.has(userAddress)) {
+          return { ...entry, userAddress, status: "skipped", reason: SKIP_REASONS[3] };
+        }
+
+        this.addUser(system, userAddress, entry.name, USER_TYPES[entry.userType]);
+        return { ...entry, userAddress, status: "registered", reason: null };
+      });
+
+      return { results };
+    });
+  }
+
+  async bulkRegister(signer, entries, { chunkSize = REGISTRATION_CHUNK_SIZE, onChunk, ...options } = {}) {
+    return submitInChunks(
+      entries,
+      chunkSize,
+      (chunk) => this.adminRegisterUsers(signer, chunk, options),
+      onChunk
+    );
+  }
+
+  addUser(system, userAddress, name, typeCode) {
+    const timestamp = String(nowSeconds());
+    system.users.set(userAddress, {
+      address: userAddress,
+      name,
+      userType: typeCode,
+      registrationTime: timestamp,
+    });
+    system.dailyAttendance.set(userAddress, new Map());
+
+    system.userRegistrationEvents.push({
+      sequenceNumber: String(system.userRegistrationEvents.length),
+      version: this.pendingVersion(),
+      userAddress,
+      name,
+      userType: typeCode,
+      timestamp,
+    });
+  }
+
+  
+  async markAttendance(signer, userAddress, date, status, options = {}) {
+    const day = this.dayKey(date);
+    if (!day) return toFailureResult(abortError("E_INVALID_DATE", { date }));
+
+    return this.runTransaction(signer, "mark_attendance_with_status", { ...options, date: day }, () => {
+      const markerAddress = normalizeAddress(signer.address);
+      const targetAddress = normalizeAddress(userAddress);
+      const system = this.getSystem();
+      this.requireActive(markerAddress);
+
+      if (
+        markerAddress !== targetAddress &&
+        !this.hasRole(system, markerAddress, USER_TYPES.admin) &&
+        !this.teachesStudent(system, markerAddress, targetAddress)
+      ) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      this.requireStatuses([status]);
+      const selfMarked = markerAddress === targetAddress;
+      if (selfMarked && status !== "present" && status !== "absent") {
+        this.abort("E_INVALID_STATUS");
+      }
+      if (selfMarked && status === "present" && !system.selfCheckIn) {
+        this.abort("E_SELF_CHECK_IN_DISABLED");
+      }
+      if (!system.users.has(targetAddress)) {
+        this.abort("E_USER_NOT_FOUND");
+      }
+
+      if (!this.clearForMarking(system, targetAddress, day)) {
+        this.abort("E_ATTENDANCE_ALREADY_MARKED");
+      }
+
+      const recorded = selfMarked && status === "present"
+        ? classifyArrival(system.windows.get(DAILY_WINDOW_SLOT), nowSeconds())
+        : status;
+      this.recordAttendance(system, markerAddress, targetAddress, day, recorded);
+    });
+  }
+
+  
+  async markAttendanceBatch(signer, entries, date, options = {}) {
+    const day = this.dayKey(date);
+    if (!day) return toFailureResult(abortError("E_INVALID_DATE", { date }));
+
+    return this.runTransaction(signer, "mark_attendance_batch_with_status", { ...options, date: day }, () => {
+      const markerAddress = normalizeAddress(signer.address);
+      const system = this.getSystem();
+      this.requireActive(markerAddress);
+      const markerIsAdmin = this.hasRole(system, markerAddress, USER_TYPES.admin);
+
+      if (!markerIsAdmin && !this.hasRole(system, markerAddress, USER_TYPES.teacher)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      this.requireStatuses(entries.map((entry) => entry.status));
+
+      const results = entries.map(({ userAddress, status: attendanceStatus }) => {
+        const targetAddress = normalizeAddress(userAddress);
+
+        if (!system.users.has(targetAddress)) {
+          return { userAddress: targetAddress, attendanceStatus, status: "skipped", reason: SKIP_REASONS[2] };
+        }
+        if (!markerIsAdmin && !this.teachesStudent(system, markerAddress, targetAddress)) {
+          return { userAddress: targetAddress, attendanceStatus, status: "skipped", reason: SKIP_REASONS[4] };
+        }
+        if (!this.clearForMarking(system, targetAddress, day)) {
+          return { userAddress: targetAddress, attendanceStatus, status: "skipped", reason: SKIP_REASONS[1] };
+        }
+
+        this.recordAttendance(system, markerAddress, targetAddress, day, attendanceStatus);
+        return { userAddress: targetAddress, attendanceStatus, status: "marked", reason: null };
+      });
+
+      return { results };
+    });
+  }
+
+  // Like the contract, a mark replaces the excused record approved leave wrote
+  // but no other record.
+  clearForMarking(system, targetAddress, date) {
+    const userAttendance = system.dailyAttendance.get(targetAddress);
+    if (!userAttendance.has(date)) return true;
+
+    const excused = system.leave.excused.get(targetAddress);
+    if (userAttendance.get(date).status !== "excused" || !excused || !excused.has(date)) return false;
+
+    excused.delete(date);
+    userAttendance.delete(date);
+    const dailyRecords = system.attendanceRecords.get(date);
+    dailyRecords.splice(dailyRecords.findIndex((item) => item.userAddress === targetAddress), 1);
+    return true;
+  }
+
+  recordAttendance(system, markerAddress, targetAddress, date, status) {
+    const userAttendance = system.dailyAttendance.get(targetAddress);
+    const currentTime = String(nowSeconds());
+    const isPresent = countsAsPresent(status);
+    const record = {
+      userAddress: targetAddress,
+      date,
+      checkInTime: currentTime,
+      checkOutTime: "0",
+      isPresent,
+      markedBy: markerAddress,
+      status,
+    };
+
+    userAttendance.set(date, record);
+    if (!system.attendanceRecords.has(date)) {
+      system.attendanceRecords.set(date, []);
+    }
+    system.attendanceRecords.get(date).push({ ...record });
+
+    system.attendanceMarkedEvents.push({
+      sequenceNumber: String(system.attendanceMarkedEvents.length),
+      version: this.pendingVersion(),
+      userAddress: targetAddress,
+      date,
+      checkInTime: currentTime,
+      isPresent,
+      markedBy: markerAddress,
+      timestamp: currentTime,
+    });
+  }
+
+  
+  async initializeCourses(signer, options = {}) {
+    return this.runTransaction(signer, "initialize_courses", options, () => {
+      throw new Error(`CourseRegistry already exists at ${this.moduleAddress}`);
+    });
+  }
+
+  async createCourse(signer, code, name, teacherAddress, options = {}) {
+    return this.runTransaction(signer, "create_course", options, () => {
+      const creatorAddress = normalizeAddress(signer.address);
+      const teacher = normalizeAddress(teacherAddress);
+      const system = this.getSystem();
+      this.requireActive(creatorAddress);
+      const registry = system.courses;
+
+      if (!this.hasRole(system, creatorAddress, USER_TYPES.admin) && creatorAddress !== teacher) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      if (!this.hasRole(system, teacher, USER_TYPES.teacher)) {
+        this.abort("E_INVALID_USER_TYPE");
+      }
+
+      const courseId = String(registry.nextCourseId);
+      registry.nextCourseId += 1;
+      registry.courses.set(courseId, {
+        id: courseId,
+        code,
+        name,
+        teacher,
+        createdAt: String(nowSeconds()),
+      });
+      registry.enrollments.set(courseId, []);
+      registry.courseSessions.set(courseId, []);
+
+      return { courseId };
+    });
+  }
+
+  async enrollStudents(signer, courseId, studentAddresses, options = {}) {
+    return this.runTransaction(signer, "enroll_students", options, () => {
+      const system = this.getSystem();
+      this.requireActive(normalizeAddress(signer.address));
+      const registry = system.courses;
+      const course = this.getManagedCourse(system, normalizeAddress(signer.address), courseId);
+      const students = studentAddresses.map(normalizeAddress);
+
+      // The contract aborts the whole transaction, so validate before applying.
+      students.forEach((student) => {
+        if (!system.users.has(student)) {
+          this.abort("E_USER_NOT_FOUND");
+        }
+        if (!this.hasRole(system, student, USER_TYPES.student)) {
+          this.abort("E_INVALID_USER_TYPE");
+        }
+      });
+
+      const enrolled = registry.enrollments.get(course.id);
+      students.forEach((student) => {
+        if (enrolled.includes(student)) return;
+        enrolled.push(student);
+        registry.studentCourses.set(student, [...(registry.studentCourses.get(student) || []), course.id]);
+      });
+    });
+  }
+
+  async unenrollStudent(signer, courseId, studentAddress, options = {}) {
+    return this.runTransaction(signer, "unenroll_student", options, () => {
+      const system = this.getSystem();
+      this.requireActive(normalizeAddress(signer.address));
+      const registry = system.courses;
+      const course = this.getManagedCourse(system, normalizeAddress(signer.address), courseId);
+      const student = normalizeAddress(studentAddress);
+
+      const enrolled = registry.enrollments.get(course.id);
+      if (!enrolled.includes(student)) return;
+
+      registry.enrollments.set(course.id, enrolled.filter((address) => address !== student));
+      registry.studentCourses.set(student, registry.studentCourses.get(student).filter((id) => id !== course.id));
+    });
+  }
+
+  async createSession(signer, courseId, date, slot, options = {}) {
+    const day = this.dayKey(date);
+    if (!day) return toFailureResult(abortError("E_INVALID_DATE", { date }));
+
+    return this.runTransaction(signer, "create_session", { ...options, date: day }, () => {
+      const actorAddress = normalizeAddress(signer.address);
+      const system = this.getSystem();
+      this.requireActive(actorAddress);
+      const registry = system.courses;
+      const course = this.getManagedCourse(system, actorAddress, courseId);
+
+      const duplicate = registry.courseSessions.get(course.id)
+        .map((id) => registry.sessions.get(id))
+        .some((session) => session.date === day && session.slot === Number(slot));
+      if (duplicate) {
+        this.abort("E_SESSION_EXISTS");
+      }
+
+      const sessionId = String(registry.nextSessionId);
+      registry.nextSessionId += 1;
+      registry.sessions.set(sessionId, {
+        id: sessionId,
+        courseId: course.id,
+        date: day,
+        slot: Number(slot),
+        createdBy: actorAddress,
+        createdAt: String(nowSeconds()),
+      });
+      registry.courseSessions.get(course.id).push(sessionId);
+      registry.sessionAttendance.set(sessionId, []);
+
+      return { sessionId };
+    });
+  }
+
+  async markSessionAttendance(signer, sessionId, entries, options = {}) {
+    return this.runTransaction(signer, "mark_session_attendance_with_status", options, () => {
+      const markerAddress = normalizeAddress(signer.address);
+      const system = this.getSystem();
+      this.requireActive(markerAddress);
+      const registry = system.courses;
+      const session = registry.sessions.get(String(sessionId));
+
+      if (!session) {
+        this.abort("E_SESSION_NOT_FOUND");
+      }
+      this.getManagedCourse(system, markerAddress, session.courseId);
+      this.requireStatuses(entries.map((entry) => entry.status));
+
+      const enrolled = registry.enrollments.get(session.courseId);
+      const records = registry.sessionAttendance.get(session.id);
+
+      const results = entries.map(({ userAddress, status: attendanceStatus }) => {
+        const targetAddress = normalizeAddress(userAddress);
+
+        if (!enrolled.includes(targetAddress)) {
+          return { userAddress: targetAddress, attendanceStatus, status: "skipped", reason: SKIP_REASONS[4] };
+        }
+        if (records.some((record) => record.userAddress === targetAddress)) {
+          return { userAddress: targetAddress, attendanceStatus, status: "skipped", reason: SKIP_REASONS[1] };
+        }
+
+        records.push({
+          sessionId: session.id,
+          userAddress: targetAddress,
+          checkInTime: String(nowSeconds()),
+          isPresent: countsAsPresent(attendanceStatus),
+          markedBy: markerAddress,
+          status: attendanceStatus,
+        });
+        return { userAddress: targetAddress, attendanceStatus, status: "marked", reason: null };
+      });
+
+      return { results };
+    });
+  }
+
+  
+  async checkInWithCode(signer, code, options = {}) {
+    let parsed;
+    try {
+      parsed = parseCheckInCode(code);
+    } catch (error) {
+      return toFailureResult(new AttendanceError(error.message));
+    }
+
+    const result = await this.runTransaction(signer, "check_in_with_code", options, () => {
+      const studentAddress = normalizeAddress(signer.address);
+      const system = this.getSystem();
+      this.requireActive(studentAddress);
+      const registry = system.courses;
+      const session = registry.sessions.get(parsed.sessionId);
+      if (!session) {
+        this.abort("E_SESSION_NOT_FOUND");
+      }
+
+      const course = registry.courses.get(session.courseId);
+      const teacherIsStaff = this.hasRole(system, course.teacher, USER_TYPES.teacher)
+        || this.hasRole(system, course.teacher, USER_TYPES.admin);
+      if (system.deactivated.has(course.teacher) || !teacherIsStaff) {
+        this.abort("E_INVALID_CHECK_IN_CODE");
+      }
+
+      const now = nowSeconds();
+      const check = verifyCheckInCode(parsed, {
+        teacherAddress: course.teacher,
+        institution: this.checkInInstitution(),
+        now,
+      });
+      if (check.reason === "expired") {
+        this.abort("E_CHECK_IN_CODE_EXPIRED");
+      }
+      if (!check.valid || parsed.expiresAt > now + registry.checkInValiditySecs) {
+        this.abort("E_INVALID_CHECK_IN_CODE");
+      }
+
+      if (!registry.enrollments.get(session.courseId).includes(studentAddress)) {
+        this.abort("E_NOT_ENROLLED");
+      }
+      const records = registry.sessionAttendance.get(session.id);
+      if (records.some((record) => record.userAddress === studentAddress)) {
+        this.abort("E_ATTENDANCE_ALREADY_MARKED");
+      }
+
+      records.push({
+        sessionId: session.id,
+        userAddress: studentAddress,
+        checkInTime: String(now),
+        isPresent: true,
+        markedBy: course.teacher,
+        status: classifyArrival(system.windows.get(session.slot), now),
+      });
+    });
+    return { ...result, sessionId: parsed.sessionId };
+  }
+
+  async setCheckInValidity(signer, seconds, options = {}) {
+    return this.runTransaction(signer, "set_check_in_validity", options, () => {
+      const system = this.getSystem();
+      this.requireActive(normalizeAddress(signer.address));
+      if (!this.hasRole(system, normalizeAddress(signer.address), USER_TYPES.admin)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      system.courses.checkInValiditySecs = Number(seconds);
+    });
+  }
+
+  async initializeSelfCheckIn(signer, options = {}) {
+    return this.runTransaction(signer, "initialize_self_check_in", options, () => {
+      throw new Error(`SelfCheckInPolicy already exists at ${this.moduleAddress}`);
+    });
+  }
+
+  async setSelfCheckIn(signer, allowed, options = {}) {
+    return this.runTransaction(signer, "set_self_check_in", options, () => {
+      const system = this.getSystem();
+      this.requireActive(normalizeAddress(signer.address));
+      if (!this.hasRole(system, normalizeAddress(signer.address), USER_TYPES.admin)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      system.selfCheckIn = Boolean(allowed);
+    });
+  }
+
+  async initializeClocks(signer, options = {}) {
+    return this.runTransaction(signer, "initialize_clocks", options, () => {
+      throw new Error(`InstitutionClocks already exists at ${this.moduleAddress}`);
+    });
+  }
+
+  async setUtcOffset(signer, offsetSeconds, options = {}) {
+    return this.runTransaction(signer, "set_utc_offset", options, () => {
+      const system = this.getSystem();
+      this.requireActive(normalizeAddress(signer.address));
+      if (!this.hasRole(system, normalizeAddress(signer.address), USER_TYPES.admin)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      const minutes = Math.round(offsetSeconds / 60);
+      if (minutes < -MAX_MINUTES_WEST_OF_UTC || minutes > MAX_MINUTES_EAST_OF_UTC) {
+        this.abort("E_INVALID_UTC_OFFSET");
+      }
+      system.utcOffset = minutes * 60;
+    });
+  }
+
+  
+  async markCheckout(signer, date, options = {}) {
+    const day = this.dayKey(date);
+    if (!day) return toFailureResult(abortError("E_INVALID_DATE", { date }));
+
+    return this.runTransaction(signer, "mark_checkout", { ...options, date: day }, () => {
+      const userAddress = normalizeAddress(signer.address);
+      const system = this.getSystem();
+      this.requireActive(userAddress);
+      if (day !== toDayKey(Date.now() + system.utcOffset * 1000, "UTC")) {
+        this.abort("E_INVALID_CHECKOUT");
+      }
+
+      const userAttendance = system.dailyAttendance.get(userAddress);
+      if (!userAttendance || !userAttendance.has(day)) {
+        this.abort("E_USER_NOT_FOUND");
+      }
+
+      const currentTime = String(nowSeconds());
+      const record = userAttendance.get(day);
+      if ((record.status !== "present" && record.status !== "late") || Number(record.checkOutTime) > 0) {
+        this.abort("E_INVALID_CHECKOUT");
+      }
+      const halfDay = isHalfDayCheckout(system.windows.get(DAILY_WINDOW_SLOT), currentTime);
+      record.checkOutTime = currentTime;
+      if (halfDay) record.status = "half_day";
+
+      const dailyRecord = system.attendanceRecords
+        .get(day)
+        .find((item) => item.userAddress === userAddress);
+      if (dailyRecord) {
+        dailyRecord.checkOutTime = currentTime;
+        dailyRecord.status = record.status;
+      }
+    });
+  }
+
+  
+  async initializeAttendancePolicy(signer, options = {}) {
+    return this.runTransaction(signer, "initialize_attendance_policy", options, () => {
+      throw new Error(`AttendancePolicy already exists at ${this.moduleAddress}`);
+    });
+  }
+
+  async setAttendanceWindow(signer, slot, window, options = {}) {
+    return this.runTransaction(signer, "set_attendance_window", options, () => {
+      const system = this.getSystem();
+      this.requireActive(normalizeAddress(signer.address));
+      if (!this.hasRole(system, normalizeAddress(signer.address), USER_TYPES.admin)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      if (window.startsAt >= SECONDS_PER_DAY || window.halfDayBefore >= SECONDS_PER_DAY) {
+        this.abort("E_INVALID_WINDOW");
+      }
+
+      system.windows.set(Number(slot), {
+        slot: Number(slot),
+        startsAt: Number(window.startsAt),
+        graceSeconds: Number(window.graceSeconds),
+        halfDayBefore: Number(window.halfDayBefore),
+      });
+    });
+  }
+
+  async removeAttendanceWindow(signer, slot, options = {}) {
+    return this.runTransaction(signer, "remove_attendance_window", options, () => {
+      const system = this.getSystem();
+      this.requireActive(normalizeAddress(signer.address));
+      if (!this.hasRole(system, normalizeAddress(signer.address), USER_TYPES.admin)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      system.windows.delete(Number(slot));
+    });
+  }
+
+  
+  async initializeCorrections(signer, options = {}) {
+    return this.runTransaction(signer, "initialize_corrections", options, () => {
+      throw new Error(`CorrectionLog already exists at ${this.moduleAddress}`);
+    });
+  }
+
+  async requestCorrection(signer, userAddress, date, status, reason, options = {}) {
+    const day = this.dayKey(date);
+    if (!day) return toFailureResult(abortError("E_INVALID_DATE", { date }));
+
+    return this.runTransaction(signer, "request_correction", { ...options, date: day }, () => {
+      const editorAddress = normalizeAddress(signer.address);
+      const targetAddress = normalizeAddress(userAddress);
+      const system = this.getSystem();
+      this.requireActive(editorAddress);
+      const editorIsAdmin = this.hasRole(system, editorAddress, USER_TYPES.admin);
+
+      if (!editorIsAdmin && !this.teachesStudent(system, editorAddress, targetAddress)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      this.requireStatuses([status]);
+      const userAttendance = system.dailyAttendance.get(targetAddress);
+      if (!userAttendance || !userAttendance.has(day)) {
+        this.abort("E_USER_NOT_FOUND");
+      }
+
+      const log = system.corrections;
+      const correction = {
+        id: String(log.nextCorrectionId),
+        userAddress: targetAddress,
+        date: day,
+        previousStatus: userAttendance.get(day).status,
+        newStatus: status,
+        reason,
+        requestedBy: editorAddress,
+        requestedAt: String(nowSeconds()),
+        state: "pending",
+        reviewedBy: null,
+        reviewedAt: "0",
+      };
+      log.nextCorrectionId += 1;
+      log.corrections.set(correction.id, correction);
+
+      if (editorIsAdmin) {
+        this.applyCorrection(system, correction, editorAddress);
+      } else {
+        log.pending.push(correction.id);
+      }
+      return { correctionId: correction.id, state: correction.state };
+    });
+  }
+
+  async approveCorrection(signer, correctionId, options = {}) {
+    return this.runTransaction(signer, "approve_correction", options, () => {
+      const adminAddress = normalizeAddress(signer.address);
+      const system = this.getSystem();
+      this.requireActive(adminAddress);
+      if (!this.hasRole(system, adminAddress, USER_TYPES.admin)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+
+      this.applyCorrection(system, this.takePending(system, correctionId), adminAddress);
+    });
+  }
+
+  async rejectCorrection(signer, correctionId, options = {}) {
+    return this.runTransaction(signer, "reject_correction", options, () => {
+      const adminAddress = normalizeAddress(signer.address);
+      const system = this.getSystem();
+      this.requireActive(adminAddress);
+      if (!this.hasRole(system, adminAddress, USER_TYPES.admin)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+
+      const correction = this.takePending(system, correctionId);
+      correction.state = "rejected";
+      correction.reviewedBy = adminAddress;
+      correction.reviewedAt = String(nowSeconds());
+    });
+  }
+
+  takePending(system, correctionId) {
+    const log = system.corrections;
+    const correction = log.corrections.get(String(correctionId));
+    if (!correction) {
+      this.abort("E_CORRECTION_NOT_FOUND");
+    }
+    if (!log.pending.includes(correction.id)) {
+      this.abort("E_CORRECTION_NOT_PENDING");
+    }
+    log.pending = log.pending.filter((id) => id !== correction.id);
+    return correction;
+  }
+
+  applyCorrection(system, correction, reviewerAddress) {
+    const record = system.dailyAttendance.get(correction.userAddress).get(correction.date);
+    const dailyRecord = system.attendanceRecords
+      .get(correction.date)
+      .find((item) => item.userAddress === correction.userAddress);
+
+    correction.previousStatus = record.status;
+    [record, dailyRecord].forEach((item) => {
+      item.status = correction.newStatus;
+      item.isPresent = countsAsPresent(correction.newStatus);
+    });
+
+    correction.state = "approved";
+    correction.reviewedBy = reviewerAddress;
+    correction.reviewedAt = String(nowSeconds());
+  }
+
+  
+  async initializeLeave(signer, options = {}) {
+    return this.runTransaction(signer, "initialize_leave", options, () => {
+      throw new Error(`LeaveRegistry already exists at ${this.moduleAddress}`);
+    });
+  }
+
+  async requestLeave(signer, leave, options = {}) {
+    const dates = leave.dates.map((date) => this.dayKey(date));
+    const invalid = leave.dates.find((date, index) => !dates[index]);
+    if (invalid !== undefined) return toFailureResult(abortError("E_INVALID_DATE", { date: invalid }));
+
+    return this.runTransaction(signer, "request_leave", options, () => {
+      const studentAddress = normalizeAddress(signer.address);
+      const system = this.getSystem();
+      this.requireActive(studentAddress);
+
+      if (!system.users.has(studentAddress)) {
+        this.abort("E_USER_NOT_FOUND");
+      }
+      if (!this.hasRole(system, studentAddress, USER_TYPES.student)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      if (
+        dates.length === 0 ||
+        dates.length > MAX_LEAVE_DATES ||
+        !LEAVE_CATEGORIES[leave.category] ||
+        (leave.documentHash && !/^0x[0-9a-f]{64}$/i.test(leave.documentHash))
+      ) {
+        this.abort("E_INVALID_LEAVE");
+      }
+
+      const registry = system.leave;
+      const request = {
+        id: String(registry.nextLeaveId),
+        userAddress: studentAddress,
+        dates,
+        category: leave.category,
+        reason: leave.reason,
+        documentHash: leave.documentHash || null,
+        requestedAt: String(nowSeconds()),
+        state: "pending",
+        reviewedBy: null,
+        reviewedAt: "0",
+      };
+      registry.nextLeaveId += 1;
+      registry.requests.set(request.id, request);
+      registry.pending.push(request.id);
+      return { leaveId: request.id };
+    });
+  }
+
+  async approveLeave(signer, leaveId, options = {}) {
+    return this.runTransaction(signer, "approve_leave", options, () => {
+      const reviewerAddress = normalizeAddress(signer.address);
+      const system = this.getSystem();
+      this.requireActive(reviewerAddress);
+      const request = this.takePendingLeave(system, leaveId, reviewerAddress);
+      const userAttendance = system.dailyAttendance.get(request.userAddress);
+
+      request.dates.forEach((date) => {
+        if (!userAttendance.has(date)) {
+          this.recordAttendance(system, reviewerAddress, request.userAddress, date, "excused");
+          if (!system.leave.excused.has(request.userAddress)) {
+            system.leave.excused.set(request.userAddress, new Map());
+          }
+          system.leave.excused.get(request.userAddress).set(date, request.id);
+        } else if (userAttendance.get(date).status === "absent") {
+          const dailyRecord = system.attendanceRecords
+            .get(date)
+            .find((item) => item.userAddress === request.userAddress);
+          [userAttendance.get(date), dailyRecord].forEach((item) => {
+            item.status = "excused";
+          });
+        }
+      });
+      this.finishLeave(request, "approved", reviewerAddress);
+    });
+  }
+
+  async rejectLeave(signer, leaveId, options = {}) {
+    return this.runTransaction(signer, "reject_leave", options, () => {
+      const reviewerAddress = normalizeAddress(signer.address);
+      const system = this.getSystem();
+      this.requireActive(reviewerAddress);
+      this.finishLeave(this.takePendingLeave(system, leaveId, reviewerAddress), "rejected", reviewerAddress);
+    });
+  }
+
+  async cancelLeave(signer, leaveId, options = {}) {
+    return this.runTransaction(signer, "cancel_leave", options, () => {
+      const studentAddress = normalizeAddress(signer.address);
+      this.requireActive(studentAddress);
+      const registry = this.getSystem().leave;
+      const request = registry.requests.get(String(leaveId));
+      if (!request) {
+        this.abort("E_LEAVE_NOT_FOUND");
+      }
+      if (request.userAddress !== studentAddress) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      if (!registry.pending.includes(request.id)) {
+        this.abort("E_LEAVE_NOT_PENDING");
+      }
+
+      registry.pending = registry.pending.filter((id) => id !== request.id);
+      this.finishLeave(request, "cancelled", studentAddress);
+    });
+  }
+
+  takePendingLeave(system, leaveId, reviewerAddress) {
+    const registry = system.leave;
+    const request = registry.requests.get(String(leaveId));
+    if (!request) {
+      this.abort("E_LEAVE_NOT_FOUND");
+    }
+    if (
+      !this.hasRole(system, reviewerAddress, USER_TYPES.admin) &&
+      !this.teachesStudent(system, reviewerAddress, request.userAddress)
+    ) {
+      this.abort("E_NOT_AUTHORIZED");
+    }
+    if (!registry.pending.includes(request.id)) {
+      this.abort("E_LEAVE_NOT_PENDING");
+    }
+
+    registry.pending = registry.pending.filter((id) => id !== request.id);
+    return request;
+  }
+
+  finishLeave(request, state, actorAddress) {
+    request.state = state;
+    request.reviewedBy = actorAddress;
+    request.reviewedAt = String(nowSeconds());
+  }
+
+  
+  async initializeRoles(signer, options = {}) {
+    return this.runTransaction(signer, "initialize_roles", options, () => {
+      throw new Error(`RoleRegistry already exists at ${this.moduleAddress}`);
+    });
+  }
+
+  async setUserType(signer, userAddress, userType, options = {}) {
+    return this.runTransaction(signer, "set_user_type", options, () => {
+      const adminAddress = normalizeAddress(signer.address);
+      const targetAddress = normalizeAddress(userAddress);
+      this.requireActive(adminAddress);
+      const system = this.getSystem();
+
+      if (!this.hasRole(system, adminAddress, USER_TYPES.admin)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      if (!USER_TYPES[userType]) {
+        this.abort("E_INVALID_USER_TYPE");
+      }
+      if (!system.users.has(targetAddress)) {
+        this.abort("E_USER_NOT_FOUND");
+      }
+      if (targetAddress === system.admin) {
+        this.abort("E_PROTECTED_ADMIN");
+      }
+
+      system.users.get(targetAddress).userType = USER_TYPES[userType];
+    });
+  }
+
+  async deactivateUser(signer, userAddress, options = {}) {
+    return this.runTransaction(signer, "deactivate_user", options, () => {
+      const adminAddress = normalizeAddress(signer.address);
+      const targetAddress = normalizeAddress(userAddress);
+      this.requireActive(adminAddress);
+      const system = this.getSystem();
+
+      if (!this.hasRole(system, adminAddress, USER_TYPES.admin)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      if (!system.users.has(targetAddress)) {
+        this.abort("E_USER_NOT_FOUND");
+      }
+      if (targetAddress === system.admin) {
+        this.abort("E_PROTECTED_ADMIN");
+      }
+      if (system.deactivated.has(targetAddress)) {
+        this.abort("E_USER_INACTIVE");
+      }
+
+      system.deactivated.set(targetAddress, String(nowSeconds()));
+      if (system.pendingAdmin === targetAddress) {
+        system.pendingAdmin = null;
+      }
+    });
+  }
+
+  async reactivateUser(signer, userAddress, options = {}) {
+    return this.runTransaction(signer, "reactivate_user", options, () => {
+      const adminAddress = normalizeAddress(signer.address);
+      const targetAddress = normalizeAddress(userAddress);
+      this.requireActive(adminAddress);
+      const system = this.getSystem();
+
+      if (!this.hasRole(system, adminAddress, USER_TYPES.admin)) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      if (!system.deactivated.has(targetAddress)) {
+        this.abort("E_USER_ACTIVE");
+      }
+
+      system.deactivated.delete(targetAddress);
+    });
+  }
+
+  async proposeAdminTransfer(signer, newAdminAddress, options = {}) {
+    return this.runTransaction(signer, "propose_admin_transfer", options, () => {
+      const adminAddress = normalizeAddress(signer.address);
+      const newAdmin = normalizeAddress(newAdminAddress);
+      const system = this.getSystem();
+
+      if (adminAddress !== system.admin) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      if (newAdmin === adminAddress || !this.hasRole(system, newAdmin, USER_TYPES.admin)) {
+        this.abort("E_INVALID_USER_TYPE");
+      }
+      this.requireActive(newAdmin);
+
+      system.pendingAdmin = newAdmin;
+    });
+  }
+
+  async acceptAdminTransfer(signer, options = {}) {
+    return this.runTransaction(signer, "accept_admin_transfer", options, () => {
+      const newAdmin = normalizeAddress(signer.address);
+      this.requireActive(newAdmin);
+      const system = this.getSystem();
+
+      if (!system.pendingAdmin) {
+        this.abort("E_NO_ADMIN_TRANSFER");
+      }
+      if (system.pendingAdmin !== newAdmin) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      if (!this.hasRole(system, newAdmin, USER_TYPES.admin)) {
+        this.abort("E_INVALID_USER_TYPE");
+      }
+
+      system.pendingAdmin = null;
+      system.admin = newAdmin;
+    });
+  }
+
+  async cancelAdminTransfer(signer, options = {}) {
+    return this.runTransaction(signer, "cancel_admin_transfer", options, () => {
+      const system = this.getSystem();
+      if (normalizeAddress(signer.address) !== system.admin) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      if (!system.pendingAdmin) {
+        this.abort("E_NO_ADMIN_TRANSFER");
+      }
+
+      system.pendingAdmin = null;
+    });
+  }
+
+  
+  // The mock keeps no separate directory: every system is an institution.
+  async initializeDirectory(signer, name, options = {}) {
+    return this.runTransaction(signer, "initialize_directory", options, () => {
+      const system = this.systems.get(this.moduleAddress);
+      if (!system || normalizeAddress(signer.address) !== this.moduleAddress) {
+        this.abort("E_NOT_AUTHORIZED");
+      }
+      system.name = name;
+    });
+  }
+
+  async createInstitution(signer, name, options = {}) {
+    let institution = null;
+    const result = await this.runTransaction(signer, "create_institution", options, () => {
+      const creator = normalizeAddress(signer.address);
+      const created = this.institutionsCreated.get(creator) || 0;
+      if (created >= MAX_INSTITUTIONS_PER_CREATOR) throw abortError("E_INSTITUTION_LIMIT");
+
+      institution = `0xf${String(this.systems.size).padStart(63, "0")}`;
+      this.systems.set(institution, this.createSystem(creator, name));
+      this.institutionsCreated.set(creator, created + 1);
+    });
+    return result.success ? { ...result, institution } : result;
+  }
+
+  institutionInfo(address, system) {
+    return { address, name: system.name, admin: system.admin, createdAt: system.createdAt };
+  }
+
+  institutionList() {
+    return [...this.systems.entries()].map(([address, system]) => this.institutionInfo(address, system));
+  }
+
+  async getInstitutions() {
+    return { success: true, data: this.institutionList() };
+  }
+
+  async getInstitutionCount() {
+    return { success: true, data: this.systems.size };
+  }
+
+  async getInstitutionsPage(start = 0, limit = INSTITUTION_PAGE_SIZE) {
+    const size = Math.min(limit, INSTITUTION_PAGE_SIZE);
+    const institutions = this.institutionList().slice(start, start + size);
+    return {
+      success: true,
+      data: { institutions, start, nextStart: institutions.length < size ? null : start + institutions.length },
+    };
+  }
+
+  async getInstitutionInfo(address = this.institution) {
+    const institution = normalizeAddress(address);
+    const system = this.systems.get(institution);
+    if (!system) {
+      return toFailureResult(abortError("E_INSTITUTION_NOT_FOUND"));
+    }
+    return { success: true, data: this.institutionInfo(institution, system) };
+  }
+
+  async getUserInstitutions(userAddress) {
+    const target = normalizeAddress(userAddress);
+    return {
+      success: true,
+      data: [...this.systems.entries()]
+        .filter(([, system]) => system.users.has(target))
+        .map(([institution, system]) => ({
+          institution,
+          name: system.name,
+          userType: system.users.get(target).userType,
+        })),
+    };
+  }
+
+  
+  async getUserInfo(userAddress) {
+    try {
+      const system = this.getSystem();
+      const user = system.users.get(normalizeAddress(userAddress));
+      if (!user) {
+        this.abort("E_USER_NOT_FOUND");
+      }
+
+      return { success: true, data: { ...user } };
+    } catch (error) {
+      console.error("Error getting user info:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async getUserAttendance(userAddress, date) {
+    try {
+      const day = this.dayKey(date);
+      if (!day) throw abortError("E_INVALID_DATE", { date });
+
+      const system = this.getSystem();
+      const userAttendance = system.dailyAttendance.get(normalizeAddress(userAddress));
+      if (!userAttendance || !userAttendance.has(day)) {
+        throw new Error(`No attendance record for ${userAddress} on ${day}`);
+      }
+
+      return { success: true, data: { ...userAttendance.get(day) } };
+    } catch (error) {
+      console.error("Error getting user attendance:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async getUserAttendanceRange(userAddress, startDate, endDate) {
+    try {
+      const [start, end] = [startDate, endDate].map((date) => {
+        const day = this.dayKey(date);
+        if (!day) throw abortError("E_INVALID_DATE", { date });
+        return day;
+      });
+
+      const system = this.getSystem();
+      const userAttendance = system.dailyAttendance.get(normalizeAddress(userAddress)) || new Map();
+
+      return {
+        success: true,
+        data: [...userAttendance.values()]
+          .filter((record) => record.date >= start && record.date <= end)
+          .map((record) => ({ ...record }))
+          .sort((a, b) => a.date.localeCompare(b.date)),
+      };
+    } catch (error) {
+      console.error("Error getting user attendance range:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  // Pages like AptosService so onPage callers see the same progress.
+  async getDailyAttendance(date, { pageSize = DAILY_PAGE_SIZE, onPage = () => {} } = {}) {
+    try {
+      const day = this.dayKey(date);
+      if (!day) throw abortError("E_INVALID_DATE", { date });
+
+      const system = this.getSystem();
+      const records = (system.attendanceRecords.get(day) || []).map((record) => ({ ...record }));
+      const size = Math.min(pageSize, DAILY_PAGE_SIZE);
+      for (let offset = 0; offset < records.length; offset += size) {
+        const page = records.slice(offset, offset + size);
+        onPage({ records: page, loaded: offset + page.length, total: records.length });
+      }
+
+      return {
+        success: true,
+        data: records,
+      };
+    } catch (error) {
+      console.error("Error getting daily attendance:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getDailyAttendanceCount(date) {
+    try {
+      const day = this.dayKey(date);
+      if (!day) throw abortError("E_INVALID_DATE", { date });
+
+      const system = this.getSystem();
+      return { success: true, data: (system.attendanceRecords.get(day) || []).length };
+    } catch (error) {
+      console.error("Error getting daily attendance count:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getDailyAttendancePage(date, offset = 0, limit = DAILY_PAGE_SIZE) {
+    try {
+      const day = this.dayKey(date);
+      if (!day) throw abortError("E_INVALID_DATE", { date });
+
+      const system = this.getSystem();
+      const size = Math.min(limit, DAILY_PAGE_SIZE);
+      const records = (system.attendanceRecords.get(day) || [])
+        .slice(offset, offset + size)
+        .map((record) => ({ ...record }));
+
+      return {
+        success: true,
+        data: {
+          records,
+          offset,
+          nextOffset: records.length < size ? null : offset + records.length,
+        },
+      };
+    } catch (error) {
+      console.error("Error getting daily attendance page:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async isUserRegistered(userAddress) {
+    try {
+      const system = this.getSystem();
+      return { success: true, data: system.users.has(normalizeAddress(userAddress)) };
+    } catch (error) {
+      console.error("Error checking user registration:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async getAdminAddress() {
+    try {
+      return { success: true, data: this.getSystem().admin };
+    } catch (error) {
+      console.error("Error getting admin address:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async isUserActive(userAddress) {
+    try {
+      return { success: true, data: !this.getSystem().deactivated.has(normalizeAddress(userAddress)) };
+    } catch (error) {
+      console.error("Error checking user status:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getDeactivatedUsers() {
+    try {
+      return { success: true, data: [...this.getSystem().deactivated.keys()] };
+    } catch (error) {
+      console.error("Error getting deactivated users:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getPendingAdmin() {
+    try {
+      return { success: true, data: this.getSystem().pendingAdmin };
+    } catch (error) {
+      console.error("Error getting pending admin:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async getPendingCorrections() {
+    try {
+      const log = this.getSystem().corrections;
+      return { success: true, data: log.pending.map((id) => ({ ...log.corrections.get(id) })) };
+    } catch (error) {
+      console.error("Error getting pending corrections:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getPendingLeaveRequests() {
+    try {
+      const registry = this.getSystem().leave;
+      return { success: true, data: registry.pending.map((id) => this.copyLeaveRequest(registry.requests.get(id))) };
+    } catch (error) {
+      console.error("Error getting pending leave requests:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getUserLeaveRequests(userAddress) {
+    try {
+      const target = normalizeAddress(userAddress);
+      return {
+        success: true,
+        data: [...this.getSystem().leave.requests.values()]
+          .filter((request) => request.userAddress === target)
+          .map((request) => this.copyLeaveRequest(request)),
+      };
+    } catch (error) {
+      console.error("Error getting leave requests:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  copyLeaveRequest(request) {
+    return { ...request, dates: [...request.dates] };
+  }
+
+  async getRecordHistory(userAddress, date) {
+    try {
+      const day = this.dayKey(date);
+      if (!day) throw abortError("E_INVALID_DATE", { date });
+
+      const target = normalizeAddress(userAddress);
+      return {
+        success: true,
+        data: [...this.getSystem().corrections.corrections.values()]
+          .filter((correction) => correction.userAddress === target && correction.date === day)
+          .map((correction) => ({ ...correction })),
+      };
+    } catch (error) {
+      console.error("Error getting record history:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async getAttendanceWindows() {
+    try {
+      return {
+        success: true,
+        data: [...this.getSystem().windows.values()]
+          .map((window) => ({ ...window }))
+          .sort((a, b) => a.slot - b.slot),
+      };
+    } catch (error) {
+      console.error("Error getting attendance windows:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  // Runs a read against the course registry with the same result shape as the
+  // AptosService views.
+  readCourses(label, read) {
+    try {
+      return { success: true, data: read(this.getSystem().courses) };
+    } catch (error) {
+      console.error(`Error getting ${label}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  requireCourse(registry, courseId) {
+    const course = registry.courses.get(String(courseId));
+    if (!course) {
+      this.abort("E_COURSE_NOT_FOUND");
+    }
+    return course;
+  }
+
+  async getCheckInValidity() {
+    return this.readCourses("check-in validity", (registry) => registry.checkInValiditySecs);
+  }
+
+  async getUtcOffset() {
+    try {
+      return { success: true, data: this.getSystem().utcOffset };
+    } catch (error) {
+      console.error("Error getting UTC offset:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async isSelfCheckInAllowed() {
+    try {
+      return { success: true, data: this.getSystem().selfCheckIn };
+    } catch (error) {
+      console.error("Error getting self check-in setting:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getCourses() {
+    return this.readCourses("courses", (registry) => [...registry.courses.values()].map((course) => ({ ...course })));
+  }
+
+  async getTeacherCourses(teacherAddress) {
+    const teacher = normalizeAddress(teacherAddress);
+    return this.readCourses("teacher courses", (registry) => [...registry.courses.values()]
+      .filter((course) => course.teacher === teacher)
+      .map((course) => ({ ...course })));
+  }
+
+  async getStudentCourses(studentAddress) {
+    return this.readCourses("student courses", (registry) => (registry.studentCourses.get(normalizeAddress(studentAddress)) || [])
+      .map((id) => ({ ...registry.courses.get(id) })));
+  }
+
+  async getCourseStudents(courseId) {
+    return this.readCourses("course students", (registry) => [...registry.enrollments.get(this.requireCourse(registry, courseId).id)]);
+  }
+
+  async getCourseSessions(courseId) {
+    return this.readCourses("course sessions", (registry) => registry.courseSessions.get(this.requireCourse(registry, courseId).id)
+      .map((id) => ({ ...registry.sessions.get(id) })));
+  }
+
+  async getSessionAttendance(sessionId) {
+    return this.readCourses("session attendance", (registry) => {
+      if (!registry.sessions.has(String(sessionId))) {
+        this.abort("E_SESSION_NOT_FOUND");
+      }
+      return registry.sessionAttendance.get(String(sessionId)).map((record) => ({ ...record }));
+    });
+  }
+
+  async getStudentSessionAttendance(studentAddress, courseId) {
+    const student = normalizeAddress(studentAddress);
+    return this.readCourses("student session attendance", (registry) => registry.courseSessions
+      .get(this.requireCourse(registry, courseId).id)
+      .flatMap((id) => registry.sessionAttendance.get(id))
+      .filter((record) => record.userAddress === student)
+      .map((record) => ({ ...record })));
+  }
+
+  
+  async getEvents(stream, start = 0, limit = 100) {
+    try {
+      const system = this.getSystem();
+      const events = stream === EVENT_STREAMS.registrations
+        ? system.userRegistrationEvents
+        : system.attendanceMarkedEvents;
+
+      return {
+        success: true,
+        data: events.slice(start, start + limit).map((event) => ({ ...event })),
+      };
+    } catch (error) {
+      console.error("Error getting events:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  
+  async getAccountBalance(address) {
+    const balance = this.balances.get(normalizeAddress(address));
+    return { success: true, data: balance === undefined ? DEFAULT_BALANCE : balance };
+  }
+
+  setAccountBalance(address, amount) {
+    this.balances.set(normalizeAddress(address), amount);
+  }
+
+  // The mock has no sponsor service; every fee is charged to the signer.
+  async getSponsorQuota() {
+    return { success: false, error: "No sponsor service is configured" };
+  }
+}
+
+export default MockAptosService;
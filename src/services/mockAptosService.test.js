@@ -0,0 +1,461 @@
+/**
+ * @jest-environment node
+ */
+
+import MockAptosService from "./mockAptosService";
+import { normalizeAddress } from "./addressUtils";
+import { createPrivateKeySigner } from "./signers";
+import { createCheckInCode } from "./checkInCodes";
+import { MAX_INSTITUTIONS_PER_CREATOR, USER_TYPES } from "./constants";
+
+const ADMIN = { address: "0xa" };
+const STUDENT = { address: "0xb" };
+const OTHER_STUDENT = { address: "0xc" };
+const DEPUTY = { address: "0xd" };
+// Teachers sign check-in codes, so theirs is a real key.
+const TEACHER = createPrivateKeySigner(`ed25519-priv-0x${"2".repeat(64)}`);
+const DAY = "2026-10-19";
+const at = (time, day = DAY) => Date.parse(`${day}T${time}:00Z`);
+
+const setup = async () => {
+  const service = new MockAptosService({ moduleAddress: "0xa", backend: "mock", timeZone: "UTC" });
+  await service.registerUser(STUDENT, "Student", "student");
+  await service.registerUser(OTHER_STUDENT, "Other", "student");
+  await service.registerUser(TEACHER, "Teacher", "teacher");
+  const { courseId } = await service.createCourse(ADMIN, "MA101", "Maths", TEACHER.address);
+  await service.enrollStudents(ADMIN, courseId, [STUDENT.address]);
+  return { service, courseId };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(Date, "now").mockReturnValue(at("08:05"));
+});
+
+describe("roles", () => {
+  it("lets students and teachers register themselves, once", async () => {
+    const { service } = await setup();
+
+    expect((await service.registerUser(DEPUTY, "Deputy", "admin")).abortName).toBe("E_INVALID_USER_TYPE");
+    expect((await service.registerUser(STUDENT, "Again", "student")).abortName).toBe("E_ALREADY_REGISTERED");
+  });
+
+  it("lets admins and the student's teachers mark attendance", async () => {
+    const { service } = await setup();
+
+    expect((await service.markAttendance(STUDENT, OTHER_STUDENT.address, DAY, "absent")).abortName)
+      .toBe("E_NOT_AUTHORIZED");
+    expect((await service.markAttendance(TEACHER, OTHER_STUDENT.address, DAY, "present")).abortName)
+      .toBe("E_NOT_AUTHORIZED");
+    expect((await service.markAttendance(TEACHER, STUDENT.address, DAY, "late")).success).toBe(true);
+    expect((await service.markAttendance(ADMIN, OTHER_STUDENT.address, DAY, "excused")).success).toBe(true);
+    expect((await service.markAttendance(ADMIN, STUDENT.address, DAY, "present")).abortName)
+      .toBe("E_ATTENDANCE_ALREADY_MARKED");
+    expect((await service.markAttendance(ADMIN, STUDENT.address, "2026-02-30", "present")).abortName)
+      .toBe("E_INVALID_DATE");
+  });
+
+  it("keeps role changes to admins and away from the system admin", async () => {
+    const { service } = await setup();
+
+    expect((await service.setUserType(TEACHER, STUDENT.address, "teacher")).abortName).toBe("E_NOT_AUTHORIZED");
+    expect((await service.setUserType(ADMIN, ADMIN.address, "student")).abortName).toBe("E_PROTECTED_ADMIN");
+    expect((await service.deactivateUser(ADMIN, ADMIN.address)).abortName).toBe("E_PROTECTED_ADMIN");
+    expect((await service.setUserType(ADMIN, DEPUTY.address, "admin")).abortName).toBe("E_USER_NOT_FOUND");
+  });
+
+  it("blocks deactivated accounts until they are reactivated", async () => {
+    const { service } = await setup();
+    await service.setSelfCheckIn(ADMIN, true);
+    await service.deactivateUser(ADMIN, STUDENT.address);
+
+    expect((await service.markAttendance(STUDENT, STUDENT.address, DAY, "present")).abortName).toBe("E_USER_INACTIVE");
+    expect((await service.deactivateUser(ADMIN, STUDENT.address)).abortName).toBe("E_USER_INACTIVE");
+    expect((await service.getDeactivatedUsers()).data).toHaveLength(1);
+
+    await service.reactivateUser(ADMIN, STUDENT.address);
+    expect((await service.markAttendance(STUDENT, STUDENT.address, DAY, "present")).success).toBe(true);
+    expect((await service.reactivateUser(ADMIN, STUDENT.address)).abortName).toBe("E_USER_ACTIVE");
+  });
+
+  it("transfers the system admin in two steps to another admin", async () => {
+    const { service } = await setup();
+    await service.registerUser(DEPUTY, "Deputy", "teacher");
+
+    expect((await service.proposeAdminTransfer(ADMIN, DEPUTY.address)).abortName).toBe("E_INVALID_USER_TYPE");
+    await service.setUserType(ADMIN, DEPUTY.address, "admin");
+    expect((await service.proposeAdminTransfer(DEPUTY, ADMIN.address)).abortName).toBe("E_NOT_AUTHORIZED");
+    expect((await service.proposeAdminTransfer(ADMIN, DEPUTY.address)).success).toBe(true);
+    expect((await service.acceptAdminTransfer(STUDENT)).abortName).toBe("E_NOT_AUTHORIZED");
+
+    expect((await service.acceptAdminTransfer(DEPUTY)).success).toBe(true);
+    expect((await service.getAdminAddress()).data).toBe(normalizeAddress(DEPUTY.address));
+    expect((await service.cancelAdminTransfer(DEPUTY)).abortName).toBe("E_NO_ADMIN_TRANSFER");
+  });
+});
+
+describe("class attendance", () => {
+  it("marks the students it can and says why it skipped the rest", async () => {
+    const { service } = await setup();
+    await service.markAttendance(ADMIN, STUDENT.address, DAY, "present");
+
+    const result = await service.markAttendanceBatch(TEACHER, [
+      { userAddress: STUDENT.address, status: "late" },
+      { userAddress: OTHER_STUDENT.address, status: "present" },
+      { userAddress: DEPUTY.address, status: "absent" },
+    ], DAY);
+
+    expect(result.results.map(({ status, reason }) => [status, reason])).toEqual([
+      ["skipped", "already_marked"],
+      ["skipped", "not_enrolled"],
+      ["skipped", "user_not_found"],
+    ]);
+
+    await service.markAttendanceBatch(ADMIN, [{ userAddress: OTHER_STUDENT.address, status: "absent" }], DAY);
+    expect((await service.getDailyAttendance(DAY)).data.map((record) => record.status)).toEqual(["present", "absent"]);
+  });
+
+  it("rejects the whole batch for students or unknown statuses", async () => {
+    const { service } = await setup();
+    const entries = [{ userAddress: STUDENT.address, status: "present" }];
+
+    expect((await service.markAttendanceBatch(STUDENT, entries, DAY)).abortName).toBe("E_NOT_AUTHORIZED");
+    expect((await service.markAttendanceBatch(ADMIN, [...entries, { userAddress: OTHER_STUDENT.address, status: "sick" }], DAY))
+      .abortName).toBe("E_INVALID_STATUS");
+    expect((await service.getDailyAttendance(DAY)).data).toEqual([]);
+  });
+});
+
+describe("leave", () => {
+  const requestLeave = (service, dates) => service.requestLeave(STUDENT, { dates, category: "medical", reason: "Flu" });
+
+  it("excuses approved days, which a later mark replaces", async () => {
+    const { service } = await setup();
+    await service.markAttendance(TEACHER, STUDENT.address, DAY, "absent");
+    const { leaveId } = await requestLeave(service, [DAY, "2026-10-20"]);
+
+    expect((await service.approveLeave(OTHER_STUDENT, leaveId)).abortName).toBe("E_NOT_AUTHORIZED");
+    expect((await service.approveLeave(TEACHER, leaveId)).success).toBe(true);
+    expect((await service.getUserAttendance(STUDENT.address, DAY)).data.status).toBe("excused");
+    expect((await service.getUserAttendance(STUDENT.address, "2026-10-20")).data.status).toBe("excused");
+
+    expect((await service.markAttendance(TEACHER, STUDENT.address, "2026-10-20", "present")).success).toBe(true);
+    expect((await service.getDailyAttendance("2026-10-20")).data).toEqual([
+      expect.objectContaining({ status: "present", markedBy: normalizeAddress(TEACHER.address) }),
+    ]);
+    expect((await service.markAttendance(TEACHER, STUDENT.address, DAY, "present")).abortName)
+      .toBe("E_ATTENDANCE_ALREADY_MARKED");
+  });
+
+  it("closes requests once rejected or cancelled", async () => {
+    const { service } = await setup();
+    const { leaveId: rejected } = await requestLeave(service, ["2026-10-20"]);
+    const { leaveId: cancelled } = await requestLeave(service, ["2026-10-21"]);
+
+    expect((await service.rejectLeave(TEACHER, rejected)).success).toBe(true);
+    expect((await service.approveLeave(ADMIN, rejected)).abortName).toBe("E_LEAVE_NOT_PENDING");
+    expect((await service.cancelLeave(OTHER_STUDENT, cancelled)).abortName).toBe("E_NOT_AUTHORIZED");
+    expect((await service.cancelLeave(STUDENT, cancelled)).success).toBe(true);
+
+    expect((await service.getPendingLeaveRequests()).data).toEqual([]);
+    expect((await service.getUserLeaveRequests(STUDENT.address)).data.map(({ state }) => state))
+      .toEqual(["rejected", "cancelled"]);
+    expect((await service.getUserAttendance(STUDENT.address, "2026-10-20")).success).toBe(false);
+  });
+});
+
+describe("institutions", () => {
+  it("pages the directory oldest first", async () => {
+    const { service } = await setup();
+    await service.createInstitution(DEPUTY, "North");
+    await service.createInstitution(DEPUTY, "South");
+
+    expect((await service.getInstitutionCount()).data).toBe(3);
+    const { data: page } = await service.getInstitutionsPage(1, 1);
+    expect(page.institutions).toEqual([expect.objectContaining({ name: "North", admin: normalizeAddress(DEPUTY.address) })]);
+    expect(page.nextStart).toBe(2);
+    expect((await service.getInstitutionsPage(2, 5)).data.nextStart).toBeNull();
+    expect((await service.getInstitutions()).data.map(({ name }) => name)).toEqual(["Wenidi", "North", "South"]);
+  });
+
+  it("limits how many institutions one account creates", async () => {
+    const { service } = await setup();
+    for (let i = 0; i < MAX_INSTITUTIONS_PER_CREATOR; i += 1) {
+      expect((await service.createInstitution(DEPUTY, `Branch ${i}`)).success).toBe(true);
+    }
+
+    expect((await service.createInstitution(DEPUTY, "One more")).abortName).toBe("E_INSTITUTION_LIMIT");
+    expect((await service.createInstitution(STUDENT, "Elsewhere")).success).toBe(true);
+  });
+});
+
+describe("teachers who lose their role", () => {
+  const issueCode = async (service, courseId) => {
+    const { sessionId } = await service.createSession(TEACHER, courseId, DAY, 0);
+    return createCheckInCode(TEACHER, sessionId, 300, service.checkInInstitution());
+  };
+
+  it("accepts a teacher's code from an enrolled student once", async () => {
+    const { service, courseId } = await setup();
+    const { code } = await issueCode(service, courseId);
+
+    expect((await service.checkInWithCode(OTHER_STUDENT, code)).abortName).toBe("E_NOT_ENROLLED");
+    expect((await service.checkInWithCode(STUDENT, code)).success).toBe(true);
+    expect((await service.checkInWithCode(STUDENT, code)).abortName).toBe("E_ATTENDANCE_ALREADY_MARKED");
+  });
+
+  it("rejects codes and course changes after a teacher is demoted", async () => {
+    const { service, courseId } = await setup();
+    const { code } = await issueCode(service, courseId);
+    await service.setUserType(ADMIN, TEACHER.address, "student");
+
+    expect((await service.checkInWithCode(STUDENT, code)).abortName).toBe("E_INVALID_CHECK_IN_CODE");
+    expect((await service.createSession(TEACHER, courseId, "2026-10-20", 0)).abortName).toBe("E_NOT_AUTHORIZED");
+    expect((await service.markAttendance(TEACHER, STUDENT.address, DAY, "present")).abortName).toBe("E_NOT_AUTHORIZED");
+  });
+
+  it("rejects codes from a deactivated teacher", async () => {
+    const { service, courseId } = await setup();
+    const { code } = await issueCode(service, courseId);
+    await service.deactivateUser(ADMIN, TEACHER.address);
+
+    expect((await service.checkInWithCode(STUDENT, code)).abortName).toBe("E_INVALID_CHECK_IN_CODE");
+    expect((await service.enrollStudents(TEACHER, courseId, [OTHER_STUDENT.address])).abortName)
+      .toBe("E_USER_INACTIVE");
+  });
+});
+
+describe("self check-in", () => {
+  const window = { startsAt: 8 * 3600, graceSeconds: 600, halfDayBefore: 12 * 3600 };
+
+  const statusOn = async (service, day = DAY) => (await service.getUserAttendance(STUDENT.address, day)).data.status;
+
+  it("is off until an admin allows it, and only marks present or absent", async () => {
+    const { service } = await setup();
+
+    expect((await service.markAttendance(STUDENT, STUDENT.address, DAY, "present")).abortName)
+      .toBe("E_SELF_CHECK_IN_DISABLED");
+    expect((await service.setSelfCheckIn(TEACHER, true)).abortName).toBe("E_NOT_AUTHORIZED");
+    expect((await service.markAttendance(STUDENT, STUDENT.address, DAY, "excused")).abortName).toBe("E_INVALID_STATUS");
+    expect((await service.markAttendance(STUDENT, STUDENT.address, DAY, "absent")).success).toBe(true);
+
+    await service.setSelfCheckIn(ADMIN, true);
+    expect((await service.markAttendance(STUDENT, STUDENT.address, "2026-10-20", "present")).success).toBe(true);
+  });
+
+  it("records late arrivals after the grace period and half days for early checkouts", async () => {
+    const { service } = await setup();
+    await service.setSelfCheckIn(ADMIN, true);
+    await service.setAttendanceWindow(ADMIN, 0, window);
+
+    await service.markAttendance(STUDENT, STUDENT.address, DAY, "present");
+    expect(await statusOn(service)).toBe("present");
+
+    Date.now.mockReturnValue(at("08:11", "2026-10-20"));
+    await service.markAttendance(STUDENT, STUDENT.address, "2026-10-20", "present");
+    expect(await statusOn(service, "2026-10-20")).toBe("late");
+
+    Date.now.mockReturnValue(at("11:00", "2026-10-20"));
+    await service.markCheckout(STUDENT, "2026-10-20");
+    expect(await statusOn(service, "2026-10-20")).toBe("half_day");
+  });
+
+  it("measures windows that cross midnight UTC from their start", async () => {
+    const { service } = await setup();
+    await service.setSelfCheckIn(ADMIN, true);
+    await service.setAttendanceWindow(ADMIN, 0, { startsAt: 23 * 3600 + 30 * 60, graceSeconds: 600, halfDayBefore: 0 });
+
+    Date.now.mockReturnValue(at("23:25"));
+    await service.markAttendance(STUDENT, STUDENT.address, DAY, "present");
+    expect(await statusOn(service)).toBe("present");
+
+    Date.now.mockReturnValue(at("00:05", "2026-10-21"));
+    await service.markAttendance(STUDENT, STUDENT.address, "2026-10-20", "present");
+    expect(await statusOn(service, "2026-10-20")).toBe("late");
+  });
+
+  it("rejects window times outside the day", async () => {
+    const { service } = await setup();
+
+    expect((await service.setAttendanceWindow(ADMIN, 0, { ...window, startsAt: 24 * 3600 })).abortName)
+      .toBe("E_INVALID_WINDOW");
+    expect((await service.setAttendanceWindow(TEACHER, 0, window)).abortName).toBe("E_NOT_AUTHORIZED");
+  });
+});
+
+describe("checkout", () => {
+  const checkedIn = async () => {
+    const { service } = await setup();
+    await service.setSelfCheckIn(ADMIN, true);
+    await service.markAttendance(STUDENT, STUDENT.address, DAY, "present");
+    return service;
+  };
+
+  it("happens once, on the day itself", async () => {
+    const service = await checkedIn();
+
+    Date.now.mockReturnValue(at("08:00", "2026-10-20"));
+    expect((await service.markCheckout(STUDENT, DAY)).abortName).toBe("E_INVALID_CHECKOUT");
+
+    Date.now.mockReturnValue(at("16:00"));
+    expect((await service.markCheckout(STUDENT, DAY)).success).toBe(true);
+    expect((await service.markCheckout(STUDENT, DAY)).abortName).toBe("E_INVALID_CHECKOUT");
+  });
+
+  it("needs a day marked present or late", async () => {
+    const { service } = await setup();
+    await service.markAttendance(STUDENT, STUDENT.address, DAY, "absent");
+
+    expect((await service.markCheckout(STUDENT, DAY)).abortName).toBe("E_INVALID_CHECKOUT");
+    expect((await service.getUserAttendance(STUDENT.address, DAY)).data).toMatchObject({ status: "absent", checkOutTime: "0" });
+  });
+
+  it("follows the institution's UTC offset", async () => {
+    const service = await checkedIn();
+    expect((await service.setUtcOffset(TEACHER, 19800)).abortName).toBe("E_NOT_AUTHORIZED");
+    expect((await service.setUtcOffset(ADMIN, 15 * 3600)).abortName).toBe("E_INVALID_UTC_OFFSET");
+
+    await service.setUtcOffset(ADMIN, -5 * 3600);
+    expect((await service.getUtcOffset()).data).toBe(-5 * 3600);
+
+    Date.now.mockReturnValue(at("02:00", "2026-10-20"));
+    expect((await service.markCheckout(STUDENT, DAY)).success).toBe(true);
+  });
+});
+
+describe("courses", () => {
+  it("are created by admins or by the teacher who will run them", async () => {
+    const { service } = await setup();
+
+    expect((await service.createCourse(STUDENT, "PH101", "Physics", TEACHER.address)).abortName).toBe("E_NOT_AUTHORIZED");
+    expect((await service.createCourse(ADMIN, "PH101", "Physics", STUDENT.address)).abortName).toBe("E_INVALID_USER_TYPE");
+    const { courseId } = await service.createCourse(TEACHER, "PH101", "Physics", TEACHER.address);
+
+    expect((await service.getTeacherCourses(TEACHER.address)).data.map((course) => course.code)).toEqual(["MA101", "PH101"]);
+    expect((await service.getCourseStudents(courseId)).data).toEqual([]);
+  });
+
+  it("enroll only registered students, all or none", async () => {
+    const { service, courseId } = await setup();
+
+    expect((await service.enrollStudents(TEACHER, courseId, [OTHER_STUDENT.address, DEPUTY.address])).abortName)
+      .toBe("E_USER_NOT_FOUND");
+    expect((await service.enrollStudents(TEACHER, courseId, [OTHER_STUDENT.address, TEACHER.address])).abortName)
+      .toBe("E_INVALID_USER_TYPE");
+    expect((await service.getCourseStudents(courseId)).data).toEqual([normalizeAddress(STUDENT.address)]);
+
+    await service.enrollStudents(TEACHER, courseId, [STUDENT.address, OTHER_STUDENT.address]);
+    expect((await service.getCourseStudents(courseId)).data).toHaveLength(2);
+
+    await service.unenrollStudent(TEACHER, courseId, STUDENT.address);
+    expect((await service.getStudentCourses(STUDENT.address)).data).toEqual([]);
+    expect((await service.unenrollStudent(OTHER_STUDENT, courseId, OTHER_STUDENT.address)).abortName)
+      .toBe("E_NOT_AUTHORIZED");
+  });
+
+  it("hold one session per day and slot", async () => {
+    const { service, courseId } = await setup();
+
+    const { sessionId } = await service.createSession(TEACHER, courseId, DAY, 1);
+    expect((await service.createSession(ADMIN, courseId, "19/10/2026", 1)).abortName).toBe("E_SESSION_EXISTS");
+    expect((await service.createSession(TEACHER, courseId, DAY, 2)).success).toBe(true);
+    expect((await service.createSession(STUDENT, courseId, DAY, 3)).abortName).toBe("E_NOT_AUTHORIZED");
+    expect((await service.createSession(TEACHER, "99", DAY, 1)).abortName).toBe("E_COURSE_NOT_FOUND");
+
+    expect((await service.getCourseSessions(courseId)).data.map((session) => [session.id, session.slot]))
+      .toEqual([[sessionId, 1], [String(Number(sessionId) + 1), 2]]);
+  });
+
+  it("mark session attendance for enrolled students once each", async () => {
+    const { service, courseId } = await setup();
+    const { sessionId } = await service.createSession(TEACHER, courseId, DAY, 1);
+    const entries = [
+      { userAddress: STUDENT.address, status: "late" },
+      { userAddress: OTHER_STUDENT.address, status: "present" },
+    ];
+
+    const first = await service.markSessionAttendance(TEACHER, sessionId, entries);
+    const again = await service.markSessionAttendance(TEACHER, sessionId, entries.slice(0, 1));
+
+    expect(first.results.map(({ status, reason }) => [status, reason])).toEqual([["marked", null], ["skipped", "not_enrolled"]]);
+    expect(again.results[0]).toMatchObject({ status: "skipped", reason: "already_marked" });
+    expect((await service.getStudentSessionAttendance(STUDENT.address, courseId)).data)
+      .toMatchObject([{ sessionId, status: "late", isPresent: true }]);
+    expect((await service.markSessionAttendance(TEACHER, "99", entries)).abortName).toBe("E_SESSION_NOT_FOUND");
+  });
+});
+
+describe("corrections", () => {
+  const marked = async () => {
+    const { service } = await setup();
+    await service.markAttendance(TEACHER, STUDENT.address, DAY, "absent");
+    return service;
+  };
+
+  it("queue a teacher's change until an admin approves it", async () => {
+    const service = await marked();
+
+    const { correctionId, state } = await service.requestCorrection(TEACHER, STUDENT.address, DAY, "present", "Was on a field trip");
+    expect(state).toBe("pending");
+    expect((await service.getUserAttendance(STUDENT.address, DAY)).data.status).toBe("absent");
+    expect((await service.getPendingCorrections()).data).toMatchObject([{ id: correctionId, previousStatus: "absent" }]);
+
+    expect((await service.approveCorrection(TEACHER, correctionId)).abortName).toBe("E_NOT_AUTHORIZED");
+    await service.approveCorrection(ADMIN, correctionId);
+    expect((await service.getUserAttendance(STUDENT.address, DAY)).data).toMatchObject({ status: "present", isPresent: true });
+    expect((await service.getPendingCorrections()).data).toEqual([]);
+    expect((await service.approveCorrection(ADMIN, correctionId)).abortName).toBe("E_CORRECTION_NOT_PENDING");
+  });
+
+  it("apply an admin's change at once and keep every change in the record's history", async () => {
+    const service = await marked();
+    const { correctionId } = await service.requestCorrection(TEACHER, STUDENT.address, DAY, "late", "Bus delay");
+    await service.rejectCorrection(ADMIN, correctionId);
+
+    expect((await service.requestCorrection(ADMIN, STUDENT.address, DAY, "excused", "Medical note")).state).toBe("approved");
+    expect((await service.getUserAttendance(STUDENT.address, DAY)).data.status).toBe("excused");
+    expect((await service.getRecordHistory(STUDENT.address, DAY)).data.map((item) => [item.newStatus, item.state]))
+      .toEqual([["late", "rejected"], ["excused", "approved"]]);
+    expect((await service.rejectCorrection(ADMIN, "99")).abortName).toBe("E_CORRECTION_NOT_FOUND");
+  });
+
+  it("only touch marked days of students the editor may correct", async () => {
+    const service = await marked();
+
+    expect((await service.requestCorrection(TEACHER, OTHER_STUDENT.address, DAY, "present", "")).abortName)
+      .toBe("E_NOT_AUTHORIZED");
+    expect((await service.requestCorrection(TEACHER, STUDENT.address, "2026-10-18", "present", "")).abortName)
+      .toBe("E_USER_NOT_FOUND");
+    expect((await service.requestCorrection(TEACHER, STUDENT.address, DAY, "asleep", "")).success).toBe(false);
+  });
+});
+
+describe("role changes", () => {
+  it("give promoted admins the admin's powers and take them back on demotion", async () => {
+    const { service } = await setup();
+    await service.registerUser(DEPUTY, "Deputy", "teacher");
+
+    expect((await service.markAttendance(DEPUTY, OTHER_STUDENT.address, DAY, "present")).abortName).toBe("E_NOT_AUTHORIZED");
+    await service.setUserType(ADMIN, DEPUTY.address, "admin");
+    expect((await service.getUserInfo(DEPUTY.address)).data.userType).toBe(USER_TYPES.admin);
+    expect((await service.markAttendance(DEPUTY, OTHER_STUDENT.address, DAY, "present")).success).toBe(true);
+    expect((await service.setUserType(DEPUTY, STUDENT.address, "teacher")).success).toBe(true);
+
+    await service.setUserType(ADMIN, DEPUTY.address, "student");
+    expect((await service.markAttendance(DEPUTY, STUDENT.address, DAY, "present")).abortName).toBe("E_NOT_AUTHORIZED");
+    expect((await service.setUserType(ADMIN, DEPUTY.address, "principal")).abortName).toBe("E_INVALID_USER_TYPE");
+  });
+
+  it("list deactivated accounts until they return", async () => {
+    const { service, courseId } = await setup();
+    await service.deactivateUser(ADMIN, STUDENT.address);
+    await service.deactivateUser(ADMIN, TEACHER.address);
+
+    expect((await service.getDeactivatedUsers()).data.map(normalizeAddress).sort())
+      .toEqual([STUDENT.address, TEACHER.address].map(normalizeAddress).sort());
+    expect((await service.createSession(TEACHER, courseId, DAY, 1)).abortName).toBe("E_USER_INACTIVE");
+
+    await service.reactivateUser(ADMIN, TEACHER.address);
+    expect((await service.getDeactivatedUsers()).data.map(normalizeAddress)).toEqual([normalizeAddress(STUDENT.address)]);
+  });
+});
@@ -0,0 +1,96 @@
+import { Aptos, AptosConfig, Network } from "@aptos-labs/ts-sdk";
+import { isValidTimeZone } from "./dates";
+
+
+export const NETWORKS = {
+  local: Network.LOCAL,
+  devnet: Network.DEVNET,
+  testnet: Network.TESTNET,
+  mainnet: Network.MAINNET,
+  custom: Network.CUSTOM,
+};
+
+export const DEFAULT_MODULE_ADDRESS = "0x845fb204faa0c5c6134194e9307989763adbcdb26c8b877354deb363f08485db";
+export const DEFAULT_MODULE_NAME = "attendance_system";
+
+const STORAGE_KEY = "wenidi.networkConfig";
+
+const env = (typeof process !== "undefined" && process.env) || {};
+
+
+export const getEnvConfig = () => ({
+  network: env.REACT_APP_NETWORK || "testnet",
+  fullnodeUrl: env.REACT_APP_FULLNODE_URL || "",
+  moduleAddress: env.REACT_APP_MODULE_ADDRESS || DEFAULT_MODULE_ADDRESS,
+  moduleName: env.REACT_APP_MODULE_NAME || DEFAULT_MODULE_NAME,
+  backend: env.REACT_APP_BACKEND || "chain",
+  mockAdmin: env.REACT_APP_MOCK_ADMIN || "",
+  timeZone: env.REACT_APP_TIMEZONE || "",
+  sponsorUrl: env.REACT_APP_SPONSOR_URL || "",
+  institution: env.REACT_APP_INSTITUTION || "",
+});
+
+
+export const validateNetworkConfig = (config) => {
+  if (!NETWORKS[config.network]) {
+    throw new Error(`Unsupported network "${config.network}". Use one of: ${Object.keys(NETWORKS).join(", ")}`);
+  }
+  if (config.network === "custom" && !config.fullnodeUrl) {
+    throw new Error("A fullnode URL is required for a custom network");
+  }
+  if (!/^0x[0-9a-fA-F]{1,64}$/.test(config.moduleAddress || "")) {
+    throw new Error(`Invalid module address "${config.moduleAddress}"`);
+  }
+  if (config.backend && !["chain", "mock"].includes(config.backend)) {
+    throw new Error(`Unsupported backend "${config.backend}". Use chain or mock`);
+  }
+  if (config.institution && !/^0x[0-9a-fA-F]{1,64}$/.test(config.institution)) {
+    throw new Error(`Invalid institution address "${config.institution}"`);
+  }
+  if (!config.moduleName) {
+    throw new Error("A module name is required");
+  }
+  if (!isValidTimeZone(config.timeZone)) {
+    throw new Error(`Unknown timezone "${config.timeZone}". Use an IANA name such as Asia/Colombo`);
+  }
+  if (config.sponsorUrl && !/^https?:\/\/\S+$/.test(config.sponsorUrl)) {
+    throw new Error(`Invalid sponsor URL "${config.sponsorUrl}"`);
+  }
+  return config;
+};
+
+
+export const loadNetworkConfig = () => {
+  const config = getEnvConfig();
+
+  if (typeof window === "undefined" || !window.localStorage) {
+    return config;
+  }
+
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return saved ? validateNetworkConfig({ ...config, ...saved }) : config;
+  } catch (error) {
+    console.warn("Ignoring saved network config:", error.message);
+    return config;
+  }
+};
+
+export const saveNetworkConfig = (config) => {
+  if (typeof window === "undefined" || !window.localStorage) return;
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+};
+
+export const clearNetworkConfig = () => {
+  if (typeof window === "undefined" || !window.localStorage) return;
+  window.localStorage.removeItem(STORAGE_KEY);
+};
+
+
+export const createAptosClient = (config) => {
+  const aptosConfig = new AptosConfig({
+    network: NETWORKS[config.network],
+    fullnode: config.fullnodeUrl || undefined,
+  });
+  return new Aptos(aptosConfig);
+};
@@ -0,0 +1,59 @@
+import {
+  DEFAULT_MODULE_NAME,
+  clearNetworkConfig,
+  getEnvConfig,
+  loadNetworkConfig,
+  saveNetworkConfig,
+  validateNetworkConfig,
+} from './networkConfig';
+
+const valid = { ...getEnvConfig(), network: 'testnet', moduleAddress: '0xa', timeZone: 'UTC' };
+
+describe('validateNetworkConfig', () => {
+  it('accepts a complete config', () => {
+    expect(validateNetworkConfig(valid)).toBe(valid);
+    expect(validateNetworkConfig({ ...valid, network: 'custom', fullnodeUrl: 'http://127.0.0.1:8080/v1' }).network)
+      .toBe('custom');
+  });
+
+  it('names the field that is wrong', () => {
+    const cases = [
+      [{ network: 'moonnet' }, /Unsupported network "moonnet"/],
+      [{ network: 'custom', fullnodeUrl: '' }, /fullnode URL is required/],
+      [{ moduleAddress: 'abc' }, /Invalid module address "abc"/],
+      [{ backend: 'file' }, /Unsupported backend "file"/],
+      [{ institution: 'north' }, /Invalid institution address "north"/],
+      [{ moduleName: '' }, /module name is required/],
+      [{ timeZone: 'Mars/Olympus' }, /Unknown timezone "Mars\/Olympus"/],
+      [{ sponsorUrl: 'ftp://sponsor' }, /Invalid sponsor URL/],
+    ];
+    cases.forEach(([change, message]) => {
+      expect(() => validateNetworkConfig({ ...valid, ...change })).toThrow(message);
+    });
+  });
+});
+
+describe('saved config', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    clearNetworkConfig();
+  });
+
+  it('starts from the environment and applies what was saved over it', () => {
+    expect(loadNetworkConfig()).toEqual(getEnvConfig());
+    expect(loadNetworkConfig().moduleName).toBe(DEFAULT_MODULE_NAME);
+
+    saveNetworkConfig({ network: 'devnet', moduleAddress: '0xb', timeZone: 'Asia/Colombo' });
+    expect(loadNetworkConfig()).toMatchObject({ network: 'devnet', moduleAddress: '0xb', timeZone: 'Asia/Colombo' });
+
+    clearNetworkConfig();
+    expect(loadNetworkConfig()).toEqual(getEnvConfig());
+  });
+
+  it('ignores a saved config that is no longer valid', () => {
+    saveNetworkConfig({ network: 'moonnet' });
+
+    expect(loadNetworkConfig()).toEqual(getEnvConfig());
+    expect(console.warn).toHaveBeenCalledWith('Ignoring saved network config:', expect.stringMatching(/moonnet/));
+  });
+});
@@ -0,0 +1,225 @@
+import { normalizeAddress } from "./addressUtils";
+import { classifyArrival } from "./attendanceStatus";
+import { DAILY_WINDOW_SLOT } from "./constants";
+
+// Check-in and checkout intents saved while the app cannot reach the network,
+// replayed through AptosService once it can. Each intent keeps the day it was
+// made for and the time it was made at. The contract records the time the
+// replayed transaction lands, so a check-in synced after the grace period is
+// recorded late; replay keeps the recorded status next to the one the queued
+// time would have given, and the queue panel shows the student when they
+// differ so they can ask for a correction.
+//
+// States: queued -> syncing -> confirmed, or failed when the contract rejects
+// it for a reason other than the day already being marked.
+
+export const INTENT_KINDS = ["check_in", "checkout"];
+
+const INTENTS = "intents";
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+class IndexedDbQueueStore {
+  constructor(name) {
+    this.name = name;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      const request = window.indexedDB.open(this.name, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(INTENTS, { keyPath: "id" });
+      };
+      this.db = promisify(request);
+    }
+    return this.db;
+  }
+
+  async list() {
+    const db = await this.open();
+    return promisify(db.transaction(INTENTS).objectStore(INTENTS).getAll());
+  }
+
+  async put(intent) {
+    const db = await this.open();
+    await promisify(db.transaction(INTENTS, "readwrite").objectStore(INTENTS).put(intent));
+  }
+
+  async remove(id) {
+    const db = await this.open();
+    await promisify(db.transaction(INTENTS, "readwrite").objectStore(INTENTS).delete(id));
+  }
+}
+
+class MemoryQueueStore {
+  constructor() {
+    this.intents = new Map();
+  }
+
+  async list() {
+    return [...this.intents.values()].map((intent) => ({ ...intent }));
+  }
+
+  async put(intent) {
+    this.intents.set(intent.id, { ...intent });
+  }
+
+  async remove(id) {
+    this.intents.delete(id);
+  }
+}
+
+// The status and time a replayed check-in was recorded with, and the status
+// it would have had at the time it was queued.
+const checkInStatuses = async (service, userAddress, intent) => {
+  const [record, windows] = await Promise.all([
+    service.getUserAttendance(userAddress, intent.date),
+    service.getAttendanceWindows(),
+  ]);
+  return {
+    recordedStatus: record.success ? record.data.status : null,
+    recordedAt: record.success ? Number(record.data.checkInTime) : null,
+    queuedStatus: windows.success
+      ? classifyArrival(windows.data.find((window) => window.slot === DAILY_WINDOW_SLOT), intent.queuedAt)
+      : null,
+  };
+};
+
+const byQueueOrder = (a, b) => (
+  a.queuedAt - b.queuedAt || INTENT_KINDS.indexOf(a.kind) - INTENT_KINDS.indexOf(b.kind)
+);
+
+class OfflineQueue {
+  constructor(store) {
+    this.store = store;
+  }
+
+  
+  async list(userAddress) {
+    const intents = await this.store.list();
+    return intents
+      .filter((intent) => !userAddress || intent.userAddress === normalizeAddress(userAddress))
+      .sort(byQueueOrder);
+  }
+
+  // One intent per user, day and kind: queueing the same check-in twice keeps
+  // the first unless it failed.
+  async enqueue(userAddress, kind, date) {
+    const id = `${normalizeAddress(userAddress)}:${date}:${kind}`;
+    const existing = (await this.store.list()).find((intent) => intent.id === id);
+    if (existing && existing.state !== "failed") return existing;
+
+    const intent = {
+      id,
+      userAddress: normalizeAddress(userAddress),
+      kind,
+      date,
+      queuedAt: Math.floor(Date.now() / 1000),
+      state: "queued",
+      resolution: null,
+      hash: null,
+      error: null,
+      recordedStatus: null,
+      recordedAt: null,
+      queuedStatus: null,
+    };
+    await this.store.put(intent);
+    return intent;
+  }
+
+  async update(intent, changes) {
+    const updated = { ...intent, ...changes };
+    await this.store.put(updated);
+    return updated;
+  }
+
+  async remove(id) {
+    await this.store.remove(id);
+  }
+
+  async clearConfirmed(userAddress) {
+    const confirmed = (await this.list(userAddress)).filter((intent) => intent.state === "confirmed");
+    await Promise.all(confirmed.map((intent) => this.store.remove(intent.id)));
+  }
+
+  
+  // Replays the user's queued intents in order. An intent whose day is already
+  // marked (or already checked out) is confirmed without a transaction, and
+  // E_ATTENDANCE_ALREADY_MARKED from a race is treated the same way. A failure
+  // without an abort code (no connectivity, or the wallet declined) puts the
+  // intent back in the queue and stops the pass. onChange runs after each
+  // state change.
+  async replay(service, signer, { onChange = () => {}, options = {} } = {}) {
+    const userAddress = normalizeAddress(signer.address);
+    const pending = (await this.list(userAddress))
+      .filter((intent) => intent.state === "queued" || intent.state === "syncing");
+    const failedDays = new Set();
+    const results = [];
+
+    for (const queued of pending) {
+      if (queued.kind === "checkout" && failedDays.has(queued.date)) {
+        results.push(await this.update(queued, { state: "failed", error: "The check-in for this day did not go through" }));
+        onChange();
+        continue;
+      }
+
+      const intent = await this.update(queued, { state: "syncing", error: null });
+      onChange();
+
+      const record = await service.getUserAttendance(userAddress, intent.date);
+      const done = record.success && (intent.kind === "check_in" || Number(record.data.checkOutTime) > 0);
+      if (done) {
+        results.push(await this.update(intent, { state: "confirmed", resolution: "already_marked" }));
+        onChange();
+        continue;
+      }
+
+      const result = intent.kind === "check_in"
+        ? await service.markAttendance(signer, userAddress, intent.date, "present", options)
+        : await service.markCheckout(signer, intent.date, options);
+
+      if (result.success) {
+        const statuses = intent.kind === "check_in" ? await checkInStatuses(service, userAddress, intent) : {};
+        results.push(await this.update(intent, { state: "confirmed", resolution: "submitted", hash: result.hash, ...statuses }));
+      } else if (result.abortName === "E_ATTENDANCE_ALREADY_MARKED") {
+        results.push(await this.update(intent, { state: "confirmed", resolution: "already_marked" }));
+      } else if (result.abortName) {
+        if (intent.kind === "check_in") failedDays.add(intent.date);
+        results.push(await this.update(intent, { state: "failed", error: result.error }));
+      } else {
+        results.push(await this.update(intent, { state: "queued", error: result.error }));
+        onChange();
+        break;
+      }
+      onChange();
+    }
+
+    return results;
+  }
+}
+
+export const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+// Whether a failed submission should be queued rather than reported: the
+// browser is offline, or the request never reached the network.
+export const isConnectivityFailure = (result) => (
+  !result.success && !result.abortName && (isOffline() || /network|fetch|timed? ?out|offline/i.test(result.error || ""))
+);
+
+// Takes AptosService's config. Intents for an institution other than the
+// module's own are kept apart, so they are never replayed against another
+// institution.
+export const createOfflineQueue = (config) => {
+  const { network, moduleAddress, institution, backend } = config;
+  const scope = institution ? `${moduleAddress}-${institution}` : moduleAddress;
+  const store = backend !== "mock" && typeof window !== "undefined" && window.indexedDB
+    ? new IndexedDbQueueStore(`wenidi-offline-${network}-${scope}`)
+    : new MemoryQueueStore();
+  return new OfflineQueue(store);
+};
+
+export default OfflineQueue;
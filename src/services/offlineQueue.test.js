@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+
+import MockAptosService from "./mockAptosService";
+import { createOfflineQueue, isConnectivityFailure } from "./offlineQueue";
+
+const ADMIN = { address: "0xa" };
+const STUDENT = { address: "0xb" };
+const DAY = "2026-10-19";
+const at = (time) => Date.parse(`${DAY}T${time}:00Z`);
+
+const setup = async () => {
+  const service = new MockAptosService({ moduleAddress: "0xa", backend: "mock", timeZone: "UTC" });
+  await service.registerUser(STUDENT, "Student", "student");
+  await service.setSelfCheckIn(ADMIN, true);
+  await service.setAttendanceWindow(ADMIN, 0, { startsAt: 8 * 3600, graceSeconds: 600, halfDayBefore: 0 });
+  return { service, queue: createOfflineQueue(service.getConfig()) };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(Date, "now").mockReturnValue(at("08:05"));
+});
+
+describe("offline queue", () => {
+  it("keeps one intent per user, day and kind", async () => {
+    const { queue } = await setup();
+    const first = await queue.enqueue(STUDENT.address, "check_in", DAY);
+    Date.now.mockReturnValue(at("08:30"));
+    const second = await queue.enqueue(STUDENT.address, "check_in", DAY);
+
+    expect(second.queuedAt).toBe(first.queuedAt);
+    expect(await queue.list(STUDENT.address)).toHaveLength(1);
+  });
+
+  it("replays check-ins and checkouts in order", async () => {
+    const { service, queue } = await setup();
+    await queue.enqueue(STUDENT.address, "checkout", DAY);
+    await queue.enqueue(STUDENT.address, "check_in", DAY);
+    const onChange = jest.fn();
+
+    const results = await queue.replay(service, STUDENT, { onChange });
+
+    expect(results.map((intent) => [intent.kind, intent.state, intent.resolution])).toEqual([
+      ["check_in", "confirmed", "submitted"],
+      ["checkout", "confirmed", "submitted"],
+    ]);
+    expect(onChange).toHaveBeenCalled();
+    const record = await service.getUserAttendance(STUDENT.address, DAY);
+    expect(Number(record.data.checkOutTime)).toBeGreaterThan(0);
+  });
+
+  it("records the status a late sync gave next to the one it was queued with", async () => {
+    const { service, queue } = await setup();
+    await queue.enqueue(STUDENT.address, "check_in", DAY);
+    Date.now.mockReturnValue(at("09:00"));
+
+    const [intent] = await queue.replay(service, STUDENT);
+
+    expect(intent).toMatchObject({
+      state: "confirmed",
+      queuedStatus: "present",
+      recordedStatus: "late",
+      recordedAt: at("09:00") / 1000,
+    });
+  });
+
+  it("confirms days that are already marked without a transaction", async () => {
+    const { service, queue } = await setup();
+    await service.markAttendance(STUDENT, STUDENT.address, DAY, "present");
+    await queue.enqueue(STUDENT.address, "check_in", DAY);
+    const markAttendance = jest.spyOn(service, "markAttendance");
+
+    const [intent] = await queue.replay(service, STUDENT);
+
+    expect(intent.resolution).toBe("already_marked");
+    expect(markAttendance).not.toHaveBeenCalled();
+  });
+
+  it("fails the checkout when the check-in for its day is rejected", async () => {
+    const { service, queue } = await setup();
+    await service.setSelfCheckIn(ADMIN, false);
+    await queue.enqueue(STUDENT.address, "check_in", DAY);
+    await queue.enqueue(STUDENT.address, "checkout", DAY);
+
+    const results = await queue.replay(service, STUDENT);
+
+    expect(results.map((intent) => intent.state)).toEqual(["failed", "failed"]);
+    expect(results[1].error).toBe("The check-in for this day did not go through");
+  });
+
+  it("puts the intent back and stops when the network is unreachable", async () => {
+    const { service, queue } = await setup();
+    await queue.enqueue(STUDENT.address, "check_in", DAY);
+    await queue.enqueue(STUDENT.address, "check_in", "2026-10-20");
+    jest.spyOn(service, "markAttendance").mockResolvedValue({ success: false, error: "Failed to fetch" });
+
+    const results = await queue.replay(service, STUDENT);
+
+    expect(results).toHaveLength(1);
+    expect(results[0].state).toBe("queued");
+    expect(isConnectivityFailure({ success: false, error: "Failed to fetch" })).toBe(true);
+  });
+});
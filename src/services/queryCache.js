@@ -0,0 +1,176 @@
+// Cached reads keyed by arrays such as ["dailyAttendance", "2026-10-19"]. A
+// fresh value is served from the cache; a stale one is served while it is
+// fetched again (stale-while-revalidate). Concurrent fetches of one key share a
+// request, and failures that could pass on a second try are retried with
+// exponential backoff. Invalidating a key prefix marks its queries stale and
+// refetches the ones a component is watching.
+//
+// Fetchers return an AptosService result ({ success, data, error }); the cache
+// stores data and turns a failure into an Error.
+
+const DEFAULT_STALE_TIME = 30 * 1000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 500;
+
+const IDLE = { status: "idle", data: undefined, error: null, fetching: false, stale: true, updatedAt: 0 };
+
+export const hashKey = (key) => JSON.stringify(key);
+
+const startsWith = (key, prefix) => prefix.every((part, index) => hashKey(part) === hashKey(key[index]));
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Aborts and rejected arguments fail the same way every time.
+export const isRetryable = (error) => (
+  !error.abortName && !/Move abort|ABORTED|not a valid date|INVALID_ARGUMENT/i.test(error.message || "")
+);
+
+const unwrap = (result) => {
+  if (result && result.success) return result.data;
+
+  const error = new Error((result && result.error) || "Request failed");
+  error.abortName = result?.abortName;
+  throw error;
+};
+
+class QueryCache {
+  constructor({
+    staleTime = DEFAULT_STALE_TIME,
+    retries = DEFAULT_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY,
+  } = {}) {
+    this.staleTime = staleTime;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.entries = new Map();
+  }
+
+  entry(key) {
+    const hash = hashKey(key);
+    if (!this.entries.has(hash)) {
+      this.entries.set(hash, {
+        key,
+        state: IDLE,
+        promise: null,
+        fetcher: null,
+        generation: 0,
+        listeners: new Set(),
+      });
+    }
+    return this.entries.get(hash);
+  }
+
+  // The same object until the query changes, as useSyncExternalStore expects.
+  getState(key) {
+    const entry = this.entries.get(hashKey(key));
+    return entry ? entry.state : IDLE;
+  }
+
+  setState(entry, changes) {
+    entry.state = { ...entry.state, ...changes };
+    entry.listeners.forEach((listener) => listener());
+  }
+
+  subscribe(key, listener) {
+    const entry = this.entry(key);
+    entry.listeners.add(listener);
+    return () => entry.listeners.delete(listener);
+  }
+
+  
+  // Resolves to the query's data. force skips the freshness check; a fetch
+  // already in flight is shared either way.
+  fetch(key, fetcher, { staleTime = this.staleTime, retries = this.retries, force = false } = {}) {
+    const entry = this.entry(key);
+    entry.fetcher = fetcher;
+    if (entry.promise) return entry.promise;
+
+    const { state } = entry;
+    const fresh = state.status === "success" && !state.stale && Date.now() - state.updatedAt < staleTime;
+    if (fresh && !force) return Promise.resolve(state.data);
+
+    const generation = entry.generation;
+    this.setState(entry, { status: state.status === "idle" ? "loading" : state.status, fetching: true });
+
+    entry.promise = this.run(fetcher, retries).then(
+      (data) => {
+        entry.promise = null;
+        this.setState(entry, {
+          status: "success",
+          data,
+          error: null,
+          fetching: false,
+          stale: generation !== entry.generation,
+          updatedAt: Date.now(),
+        });
+        this.revalidate(entry);
+        return data;
+      },
+      (error) => {
+        entry.promise = null;
+        this.setState(entry, { status: "error", error, fetching: false });
+        if (generation !== entry.generation) this.revalidate(entry);
+        throw error;
+      }
+    );
+    return entry.promise;
+  }
+
+  async run(fetcher, retries) {
+    let attempt = 0;
+    while (true) {
+      try {
+        return unwrap(await fetcher());
+      } catch (error) {
+        if (attempt >= retries || !isRetryable(error)) throw error;
+        await delay(this.retryDelay * 2 ** attempt);
+        attempt += 1;
+      }
+    }
+  }
+
+  // Refetches a query that went stale while a component is watching it,
+  // including one invalidated while its previous fetch was in flight.
+  revalidate(entry) {
+    if (entry.state.stale && !entry.promise && entry.fetcher && entry.listeners.size > 0) {
+      this.fetch(entry.key, entry.fetcher, { force: true }).catch(() => {});
+    }
+  }
+
+  
+  // Marks every query whose key starts with prefix stale.
+  invalidate(prefix) {
+    this.entries.forEach((entry) => {
+      if (!startsWith(entry.key, prefix)) return;
+      entry.generation += 1;
+      this.setState(entry, { stale: true });
+      this.revalidate(entry);
+    });
+  }
+
+  // Forgets queries nobody is watching or fetching that were last updated more
+  // than maxAge ms ago, so a long-running process does not keep every key.
+  prune(maxAge) {
+    const cutoff = Date.now() - maxAge;
+    this.entries.forEach((entry, hash) => {
+      if (!entry.promise && entry.listeners.size === 0 && entry.state.updatedAt < cutoff) {
+        this.entries.delete(hash);
+      }
+    });
+  }
+
+  // Drops every cached value, for a network or contract switch.
+  reset() {
+    this.entries.forEach((entry) => {
+      entry.generation += 1;
+      entry.state = IDLE;
+      entry.listeners.forEach((listener) => listener());
+      this.revalidate(entry);
+    });
+  }
+}
+
+const queryCache = new QueryCache();
+
+export { QueryCache };
+export default queryCache;
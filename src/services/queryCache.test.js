@@ -0,0 +1,107 @@
+import { QueryCache, isRetryable } from "./queryCache";
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+const ok = (data) => ({ success: true, data });
+
+describe("QueryCache", () => {
+  it("shares one request between concurrent fetches of a key", async () => {
+    const cache = new QueryCache();
+    const pending = deferred();
+    const fetcher = jest.fn(() => pending.promise);
+
+    const first = cache.fetch(["userInfo", "0xb"], fetcher);
+    const second = cache.fetch(["userInfo", "0xb"], fetcher);
+    pending.resolve(ok({ name: "Student" }));
+
+    expect(await first).toEqual({ name: "Student" });
+    expect(await second).toEqual({ name: "Student" });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it("serves fresh data from the cache and refetches when forced", async () => {
+    const cache = new QueryCache();
+    const fetcher = jest.fn(async () => ok(fetcher.mock.calls.length));
+
+    expect(await cache.fetch(["institutions"], fetcher)).toBe(1);
+    expect(await cache.fetch(["institutions"], fetcher)).toBe(1);
+    expect(await cache.fetch(["institutions"], fetcher, { force: true })).toBe(2);
+  });
+
+  it("marks queries under an invalidated prefix stale", async () => {
+    const cache = new QueryCache();
+    const fetcher = jest.fn(async () => ok(true));
+    await cache.fetch(["userAttendance", "0xb", "2026-10-19"], fetcher);
+    await cache.fetch(["userAttendance", "0xc", "2026-10-19"], fetcher);
+
+    cache.invalidate(["userAttendance", "0xb"]);
+
+    expect(cache.getState(["userAttendance", "0xb", "2026-10-19"]).stale).toBe(true);
+    expect(cache.getState(["userAttendance", "0xc", "2026-10-19"]).stale).toBe(false);
+    await cache.fetch(["userAttendance", "0xb", "2026-10-19"], fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(3);
+  });
+
+  it("refetches a watched query when it is invalidated", async () => {
+    const cache = new QueryCache();
+    const key = ["dailyAttendance", "2026-10-19"];
+    const fetcher = jest.fn(async () => ok(fetcher.mock.calls.length));
+    await cache.fetch(key, fetcher);
+    const listener = jest.fn();
+    cache.subscribe(key, listener);
+
+    cache.invalidate(["dailyAttendance"]);
+    await cache.entry(key).promise;
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(cache.getState(key)).toMatchObject({ data: 2, stale: false });
+    expect(listener).toHaveBeenCalled();
+  });
+
+  it("fetches again when invalidated while a fetch is in flight", async () => {
+    const cache = new QueryCache();
+    const key = ["userInfo", "0xb"];
+    const first = deferred();
+    const fetcher = jest.fn()
+      .mockReturnValueOnce(first.promise)
+      .mockResolvedValueOnce(ok("after"));
+    cache.subscribe(key, () => {});
+
+    const request = cache.fetch(key, fetcher);
+    cache.invalidate(["userInfo"]);
+    first.resolve(ok("before"));
+    await request;
+    await cache.entry(key).promise;
+
+    expect(cache.getState(key).data).toBe("after");
+  });
+
+  it("retries failures that could pass, but not aborts", async () => {
+    const cache = new QueryCache({ retryDelay: 0 });
+    const flaky = jest.fn()
+      .mockResolvedValueOnce({ success: false, error: "Failed to fetch" })
+      .mockResolvedValueOnce(ok("done"));
+    expect(await cache.fetch(["flaky"], flaky)).toBe("done");
+
+    const aborted = jest.fn(async () => ({ success: false, error: "Move abort", abortName: "E_NOT_AUTHORIZED" }));
+    await expect(cache.fetch(["aborted"], aborted)).rejects.toThrow("Move abort");
+    expect(aborted).toHaveBeenCalledTimes(1);
+    expect(cache.getState(["aborted"]).status).toBe("error");
+    expect(isRetryable(new Error("ABORTED"))).toBe(false);
+  });
+
+  it("drops every value on reset", async () => {
+    const cache = new QueryCache();
+    await cache.fetch(["institutions"], async () => ok([]));
+
+    cache.reset();
+
+    expect(cache.getState(["institutions"])).toMatchObject({ status: "idle", data: undefined });
+  });
+});
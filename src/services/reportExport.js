@@ -0,0 +1,81 @@
+import { formatCsv } from "./csv";
+
+export const REPORT_FORMATS = ["csv", "xlsx", "pdf"];
+
+const toTable = (report) => ({
+  head: report.columns.map((column) => column.label),
+  body: report.rows.map((row) => report.columns.map((column) => row[column.key] ?? "")),
+});
+
+export const toCsv = (report) => {
+  const { head, body } = toTable(report);
+  const lines = [
+    [report.title],
+    ...report.summary,
+    [],
+    head,
+    ...body,
+  ];
+  return formatCsv(lines);
+};
+
+const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const exportCsv = (report) => {
+  // The BOM makes Excel read the file as UTF-8.
+  download(new Blob(["\uFEFF", toCsv(report)], { type: "text/csv;charset=utf-8" }), `${report.filename}.csv`);
+};
+
+const exportXlsx = async (report) => {
+  const XLSX = await import("xlsx");
+  const { head, body } = toTable(report);
+  const sheet = XLSX.utils.aoa_to_sheet([[report.title], ...report.summary, [], head, ...body]);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "Attendance");
+  XLSX.writeFile(workbook, `${report.filename}.xlsx`);
+};
+
+const exportPdf = async (report) => {
+  const { jsPDF } = await import("jspdf");
+  const { autoTable } = await import("jspdf-autotable");
+  const { head, body } = toTable(report);
+
+  const doc = new jsPDF({ orientation: head.length > 8 ? "landscape" : "portrait" });
+  doc.setFontSize(14);
+  doc.text(report.title, 14, 16);
+  doc.setFontSize(9);
+  report.summary.forEach(([label, value], index) => {
+    doc.text(`${label}: ${value}`, 14, 24 + index * 5);
+  });
+
+  autoTable(doc, {
+    head: [head],
+    body,
+    startY: 28 + report.summary.length * 5,
+    styles: { fontSize: head.length > 20 ? 6 : 8, cellPadding: 1 },
+    headStyles: { fillColor: [102, 126, 234] },
+  });
+  doc.save(`${report.filename}.pdf`);
+};
+
+export const exportReport = async (report, format) => {
+  switch (format) {
+    case "csv":
+      return exportCsv(report);
+    case "xlsx":
+      return exportXlsx(report);
+    case "pdf":
+      return exportPdf(report);
+    default:
+      throw new Error(`Unsupported report format: ${format}`);
+  }
+};
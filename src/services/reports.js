@@ -0,0 +1,178 @@
+import { normalizeAddress } from "./addressUtils";
+import { formatTimestamp } from "./formatters";
+import { STATUS_OPTIONS, countsAsPresent, formatStatus } from "./attendanceStatus";
+
+const RECORD_COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "name", label: "Name" },
+  { key: "address", label: "Address" },
+  { key: "status", label: "Status" },
+  { key: "checkIn", label: "Check-in" },
+  { key: "checkOut", label: "Check-out" },
+  { key: "markedByName", label: "Marked by" },
+  { key: "markedBy", label: "Marked by address" },
+  { key: "transaction", label: "Transaction version" },
+];
+
+const daysInMonth = (month) => {
+  const [year, monthIndex] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+};
+
+const attendanceRate = (present, total) => (total > 0 ? `${Math.round((present / total) * 100)}%` : "n/a");
+
+// One-letter codes for the monthly register grid.
+const REGISTER_CODES = {
+  present: "P",
+  late: "L",
+  half_day: "H",
+  excused: "E",
+  absent: "A",
+};
+
+const statusSummary = (records) => STATUS_OPTIONS.map((status) => [
+  formatStatus(status).replace(/^\w/, (letter) => letter.toUpperCase()),
+  records.filter((record) => record.status === status).length,
+]);
+
+const unwrap = (result) => {
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data;
+};
+
+// Builds tabular reports ({ title, filename, summary, columns, rows }) from the
+// contract views. Names are resolved with get_user_info and cached per builder;
+// transaction versions come from the event indexer when one is supplied.
+class ReportBuilder {
+  constructor(service, indexer = null) {
+    this.service = service;
+    this.indexer = indexer;
+    this.names = new Map();
+  }
+
+  
+  resolveName(address) {
+    const key = normalizeAddress(address);
+    if (!this.names.has(key)) {
+      this.names.set(key, this.service.getUserInfo(address).then((result) => (result.success ? result.data.name : "")));
+    }
+    return this.names.get(key);
+  }
+
+  async loadTransactionRefs() {
+    const refs = new Map();
+    if (!this.indexer) return refs;
+
+    try {
+      await this.indexer.sync();
+    } catch (error) {
+      console.error("Error syncing indexer for report:", error);
+    }
+
+    const records = await this.indexer.getAttendanceRecords();
+    records.forEach((record) => refs.set(`${record.userAddress}:${record.date}`, record.version));
+    return refs;
+  }
+
+  async toRecordRows(records) {
+    const refs = await this.loadTransactionRefs();
+
+    return Promise.all(records.map(async (record) => ({
+      date: record.date,
+      name: await this.resolveName(record.userAddress),
+      address: normalizeAddress(record.userAddress),
+      status: formatStatus(record.status),
+      checkIn: formatTimestamp(record.checkInTime, ""),
+      checkOut: formatTimestamp(record.checkOutTime, ""),
+      markedByName: await this.resolveName(record.markedBy),
+      markedBy: normalizeAddress(record.markedBy),
+      transaction: refs.get(`${normalizeAddress(record.userAddress)}:${record.date}`) || "",
+    })));
+  }
+
+  
+  async dailyReport(date) {
+    const records = unwrap(await this.service.getDailyAttendance(date));
+    const rows = await this.toRecordRows(records);
+
+    return {
+      title: `Daily attendance: ${date}`,
+      filename: `attendance-${date}`,
+      summary: [
+        ...statusSummary(records),
+        ["Total", records.length],
+      ],
+      columns: RECORD_COLUMNS.filter((column) => column.key !== "date"),
+      rows: rows.sort((a, b) => a.name.localeCompare(b.name)),
+    };
+  }
+
+  async studentReport(userAddress, startDate, endDate) {
+    const records = unwrap(await this.service.getUserAttendanceRange(userAddress, startDate, endDate));
+    const rows = await this.toRecordRows(records);
+    const name = await this.resolveName(userAddress);
+    const attended = records.filter((record) => countsAsPresent(record.status)).length;
+
+    return {
+      title: `Attendance summary: ${name || normalizeAddress(userAddress)}`,
+      filename: `attendance-${normalizeAddress(userAddress).slice(0, 10)}-${startDate}-${endDate}`,
+      summary: [
+        ["Student", name],
+        ["Address", normalizeAddress(userAddress)],
+        ["Period", `${startDate} to ${endDate}`],
+        ["Days recorded", records.length],
+        ...statusSummary(records),
+        ["Attendance rate", attendanceRate(attended, records.length)],
+      ],
+      columns: RECORD_COLUMNS.filter((column) => column.key !== "name" && column.key !== "address"),
+      rows,
+    };
+  }
+
+  // month is "YYYY-MM"; students is a list of addresses (a roster or class).
+  async monthlyRegister(month, students, className = "Class") {
+    const lastDay = daysInMonth(month);
+    const days = Array.from({ length: lastDay }, (_, index) => String(index + 1).padStart(2, "0"));
+
+    const rows = await Promise.all(students.map(async (address) => {
+      const records = unwrap(await this.service.getUserAttendanceRange(address, `${month}-01`, `${month}-${days[lastDay - 1]}`));
+      const byDay = new Map(records.map((record) => [record.date.slice(8, 10), record]));
+      const attended = records.filter((record) => countsAsPresent(record.status)).length;
+
+      const row = {
+        name: await this.resolveName(address),
+        address: normalizeAddress(address),
+        attended,
+        absent: records.length - attended,
+        rate: attendanceRate(attended, records.length),
+      };
+      days.forEach((day) => {
+        const record = byDay.get(day);
+        row[day] = record ? REGISTER_CODES[record.status] : "";
+      });
+      return row;
+    }));
+
+    return {
+      title: `${className} register: ${month}`,
+      filename: `register-${className.replace(/\W+/g, "-").toLowerCase()}-${month}`,
+      summary: [
+        ["Students", students.length],
+        ["Key", "P = present, L = late, H = half-day, E = excused, A = absent, blank = not marked"],
+      ],
+      columns: [
+        { key: "name", label: "Name" },
+        { key: "address", label: "Address" },
+        ...days.map((day) => ({ key: day, label: String(Number(day)) })),
+        { key: "attended", label: "Attended" },
+        { key: "absent", label: "Absent or excused" },
+        { key: "rate", label: "Rate" },
+      ],
+      rows: rows.sort((a, b) => a.name.localeCompare(b.name)),
+    };
+  }
+}
+
+export default ReportBuilder;
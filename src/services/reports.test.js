@@ -0,0 +1,79 @@
+/**
+ * @jest-environment node
+ */
+
+import MockAptosService from "./mockAptosService";
+import { normalizeAddress } from "./addressUtils";
+import ReportBuilder from "./reports";
+import { exportReport, toCsv } from "./reportExport";
+
+const ADMIN = { address: "0xa" };
+const ZOE = normalizeAddress("0xb");
+const AMY = normalizeAddress("0xc");
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+const setup = async () => {
+  const service = new MockAptosService({ moduleAddress: "0xa", backend: "mock", timeZone: "UTC" });
+  await service.registerUser({ address: ZOE }, "Zoe, Z.", "student");
+  await service.registerUser({ address: AMY }, "Amy", "student");
+  await service.markAttendance(ADMIN, ZOE, "2026-10-19", "late");
+  await service.markAttendance(ADMIN, AMY, "2026-10-19", "absent");
+  await service.markAttendance(ADMIN, ZOE, "2026-10-20", "absent");
+  await service.markAttendance(ADMIN, ZOE, "2026-10-21", "half_day");
+  return new ReportBuilder(service);
+};
+
+describe("reports", () => {
+  it("lists a day by name with a count per status", async () => {
+    const report = await (await setup()).dailyReport("2026-10-19");
+
+    expect(report).toMatchObject({ title: "Daily attendance: 2026-10-19", filename: "attendance-2026-10-19" });
+    expect(report.rows.map((row) => [row.name, row.status, row.markedByName])).toEqual([
+      ["Amy", "absent", "System Admin"],
+      ["Zoe, Z.", "late", "System Admin"],
+    ]);
+    expect(report.summary).toEqual([["Present", 0], ["Late", 1], ["Half-day", 0], ["Excused", 0], ["Absent", 1], ["Total", 2]]);
+    expect(report.columns.map((column) => column.key)).not.toContain("date");
+  });
+
+  it("summarizes a student's period with their attendance rate", async () => {
+    const report = await (await setup()).studentReport(ZOE, "2026-10-01", "2026-10-31");
+
+    expect(report.title).toBe("Attendance summary: Zoe, Z.");
+    expect(report.rows.map((row) => row.date)).toEqual(["2026-10-19", "2026-10-20", "2026-10-21"]);
+    expect(report.summary).toContainEqual(["Attendance rate", "67%"]);
+  });
+
+  it("builds a monthly register with a code per day", async () => {
+    const report = await (await setup()).monthlyRegister("2026-10", [ZOE, AMY], "Year 7 / A");
+
+    expect(report.filename).toBe("register-year-7-a-2026-10");
+    expect(report.columns).toHaveLength(2 + 31 + 3);
+    const [amy, zoe] = report.rows;
+    expect([amy["19"], amy.rate]).toEqual(["A", "0%"]);
+    expect([zoe["19"], zoe["20"], zoe["21"], zoe["22"], zoe.attended, zoe.absent]).toEqual(["L", "A", "H", "", 2, 1]);
+  });
+
+  it("fails when the contract read fails", async () => {
+    await expect((await setup()).dailyReport("2026-02-30")).rejects.toThrow();
+  });
+});
+
+describe("export", () => {
+  it("writes the title, summary and table as CSV with quoting", async () => {
+    const report = await (await setup()).dailyReport("2026-10-19");
+    const lines = toCsv(report).split("\r\n");
+
+    expect(lines[0]).toBe("Daily attendance: 2026-10-19");
+    expect(lines[7]).toBe("");
+    expect(lines[8]).toBe("Name,Address,Status,Check-in,Check-out,Marked by,Marked by address,Transaction version");
+    expect(lines[10]).toMatch(new RegExp(`^"Zoe, Z\\.",${ZOE},late,`));
+  });
+
+  it("refuses formats it does not know", async () => {
+    await expect(exportReport({}, "docx")).rejects.toThrow("Unsupported report format: docx");
+  });
+});
@@ -0,0 +1,94 @@
+import { Ed25519Account, Ed25519PrivateKey, Ed25519PublicKey } from "@aptos-labs/ts-sdk";
+
+// A signer is { address, publicKey, signAndSubmitTransaction(aptos, data) } where data
+// is an entry function payload ({ function, functionArguments }). It resolves to
+// { hash }. publicKey is only used to simulate and may be undefined.
+//
+// signTransaction(aptos, transaction) signs a built transaction without
+// submitting it and resolves to the sender's AccountAuthenticator; it is used
+// for sponsored (fee payer) transactions and may be missing.
+//
+// signMessage({ message, nonce }) resolves to { fullMessage, signature, publicKey }
+// (hex strings) for the plain "APTOS\nmessage: ...\nnonce: ..." format.
+
+export const toFullMessage = ({ message, nonce }) => `APTOS\nmessage: ${message}\nnonce: ${nonce}`;
+
+
+export const createWalletSigner = (account, signAndSubmitTransaction, signMessage, signTransaction) => {
+  if (!account || !signAndSubmitTransaction) {
+    throw new Error("A connected wallet is required to sign transactions");
+  }
+
+  const address = account.address.toString();
+  const publicKey = typeof account.publicKey === "string"
+    ? new Ed25519PublicKey(account.publicKey)
+    : undefined;
+
+  return {
+    address,
+    publicKey,
+    async signAndSubmitTransaction(aptos, data) {
+      const response = await signAndSubmitTransaction({ sender: address, data });
+      return { hash: response.hash };
+    },
+    signTransaction: signTransaction && (async (aptos, transaction) => signTransaction(transaction)),
+    async signMessage({ message, nonce }) {
+      if (!signMessage) {
+        throw new Error("The connected wallet cannot sign messages");
+      }
+
+      const response = await signMessage({ message, nonce, address: false, application: false, chainId: false });
+      if (response.fullMessage !== toFullMessage({ message, nonce })) {
+        throw new Error("The wallet signed an unexpected message format");
+      }
+      return {
+        fullMessage: response.fullMessage,
+        signature: response.signature.toString(),
+        publicKey: account.publicKey.toString(),
+      };
+    },
+  };
+};
+
+
+export const createLocalSigner = (account) => {
+  const address = account.accountAddress.toString();
+
+  return {
+    address,
+    publicKey: account.publicKey,
+    account,
+    async signAndSubmitTransaction(aptos, data) {
+      const transaction = await aptos.transaction.build.simple({
+        sender: account.accountAddress,
+        data,
+      });
+
+      const committedTxn = await aptos.signAndSubmitTransaction({
+        signer: account,
+        transaction,
+      });
+
+      return { hash: committedTxn.hash };
+    },
+    async signTransaction(aptos, transaction) {
+      return aptos.transaction.sign({ signer: account, transaction });
+    },
+    async signMessage({ message, nonce }) {
+      const fullMessage = toFullMessage({ message, nonce });
+      return {
+        fullMessage,
+        signature: account.sign(new TextEncoder().encode(fullMessage)).toString(),
+        publicKey: account.publicKey.toString(),
+      };
+    },
+  };
+};
+
+
+export const createPrivateKeySigner = (privateKey) => {
+  const account = new Ed25519Account({
+    privateKey: new Ed25519PrivateKey(privateKey),
+  });
+  return createLocalSigner(account);
+};
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+
+import { Ed25519PrivateKey, Ed25519Signature } from "@aptos-labs/ts-sdk";
+import { createPrivateKeySigner, createWalletSigner, toFullMessage } from "./signers";
+
+const PRIVATE_KEY = `ed25519-priv-0x${"4".repeat(64)}`;
+const local = createPrivateKeySigner(PRIVATE_KEY);
+const publicKey = new Ed25519PrivateKey(PRIVATE_KEY).publicKey();
+
+// What the wallet adapter exposes for a connected account.
+const walletAccount = { address: { toString: () => local.address }, publicKey: publicKey.toString() };
+
+describe("wallet signer", () => {
+  it("needs a connected wallet", () => {
+    expect(() => createWalletSigner(null, jest.fn())).toThrow("A connected wallet is required to sign transactions");
+    expect(() => createWalletSigner(walletAccount, undefined)).toThrow("A connected wallet is required");
+  });
+
+  it("submits through the wallet as the connected account", async () => {
+    const signAndSubmitTransaction = jest.fn().mockResolvedValue({ hash: "0x1", output: "ignored" });
+    const signer = createWalletSigner(walletAccount, signAndSubmitTransaction);
+    const data = { function: "0xa::attendance_system::mark_checkout", functionArguments: ["2026-10-19"] };
+
+    expect(await signer.signAndSubmitTransaction({}, data)).toEqual({ hash: "0x1" });
+    expect(signAndSubmitTransaction).toHaveBeenCalledWith({ sender: local.address, data });
+    expect(signer.publicKey.toString()).toBe(publicKey.toString());
+    expect(signer.signTransaction).toBeUndefined();
+  });
+
+  it("hands built transactions to the wallet for fee payer signing", async () => {
+    const signTransaction = jest.fn().mockResolvedValue("authenticator");
+    const signer = createWalletSigner(walletAccount, jest.fn(), undefined, signTransaction);
+
+    expect(await signer.signTransaction({}, "transaction")).toBe("authenticator");
+    expect(signTransaction).toHaveBeenCalledWith("transaction");
+  });
+
+  it("signs messages in the plain format only", async () => {
+    const message = { message: "wenidi check-in", nonce: "01" };
+    const expected = await local.signMessage(message);
+    const signMessage = jest.fn().mockResolvedValue({ fullMessage: expected.fullMessage, signature: expected.signature });
+    const signer = createWalletSigner(walletAccount, jest.fn(), signMessage);
+
+    expect(await signer.signMessage(message)).toEqual(expected);
+    expect(signMessage).toHaveBeenCalledWith({ ...message, address: false, application: false, chainId: false });
+
+    signMessage.mockResolvedValue({ fullMessage: `APTOS\naddress: ${local.address}\n...`, signature: expected.signature });
+    await expect(signer.signMessage(message)).rejects.toThrow("The wallet signed an unexpected message format");
+    await expect(createWalletSigner(walletAccount, jest.fn()).signMessage(message))
+      .rejects.toThrow("The connected wallet cannot sign messages");
+  });
+});
+
+describe("local signer", () => {
+  it("signs the same full message a wallet would", async () => {
+    const { fullMessage, signature } = await local.signMessage({ message: "hello", nonce: "02" });
+
+    expect(fullMessage).toBe(toFullMessage({ message: "hello", nonce: "02" }));
+    expect(publicKey.verifySignature({
+      message: new TextEncoder().encode(fullMessage),
+      signature: new Ed25519Signature(signature),
+    })).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+import { normalizeAddress } from "./addressUtils";
+import { AttendanceError } from "./transactionErrors";
+
+// Client for the fee payer service in sponsor/server.mjs. The service pays gas
+// for the functions its policy allows; AptosService asks it for those and
+// submits everything else from the signer's own balance.
+
+export class SponsorError extends AttendanceError {
+  constructor(message, reason) {
+    super(message);
+    this.name = "SponsorError";
+    this.reason = reason;
+  }
+}
+
+class SponsorClient {
+  constructor(url) {
+    this.url = url.replace(/\/+$/, "");
+    this.policy = null;
+  }
+
+  async request(path, init) {
+    const response = await fetch(`${this.url}${path}`, init);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new SponsorError(
+        body.error ? `Sponsor: ${body.error}` : `Sponsor service returned ${response.status}`,
+        body.reason
+      );
+    }
+    return body;
+  }
+
+  // Fetched once; a failed fetch is retried on the next call.
+  getPolicy() {
+    if (!this.policy) {
+      this.policy = this.request("/policy").catch((error) => {
+        this.policy = null;
+        throw error;
+      });
+    }
+    return this.policy;
+  }
+
+  // Whether the sponsor pays for functionId (address::module::function).
+  async covers(functionId) {
+    const [address, moduleName, name] = functionId.split("::");
+    const policy = await this.getPolicy();
+    return normalizeAddress(policy.moduleAddress) === normalizeAddress(address)
+      && policy.moduleName === moduleName
+      && policy.functions.includes(name);
+  }
+
+  async getQuota(address) {
+    return this.request(`/quota/${normalizeAddress(address)}`);
+  }
+
+  // Resolves to { hash, used, limit, remaining } once the sponsor has signed
+  // as fee payer and submitted.
+  async submit(transaction, senderAuthenticator) {
+    return this.request("/sponsor", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        transaction: transaction.bcsToHex().toString(),
+        senderAuthenticator: senderAuthenticator.bcsToHex().toString(),
+      }),
+    });
+  }
+}
+
+export default SponsorClient;
@@ -0,0 +1,195 @@
+import { ERROR_CODES } from "./constants";
+
+const ERROR_NAMES = Object.fromEntries(
+  Object.entries(ERROR_CODES).map(([name, code]) => [code, name])
+);
+
+const ABORT_PATTERN = /Move abort in (0x[0-9a-fA-F]+)::(\w+): (?:(\w+)\()?0x([0-9a-fA-F]+)/;
+
+
+export class AttendanceError extends Error {
+  constructor(message, { code = null, abortName = null, vmStatus = null } = {}) {
+    super(message);
+    this.name = "AttendanceError";
+    this.code = code;
+    this.abortName = abortName;
+    this.vmStatus = vmStatus;
+  }
+}
+
+export class InsufficientBalanceError extends AttendanceError {
+  constructor(fee, balance) {
+    super(
+      `Estimated gas fee of ${formatApt(fee)} APT exceeds your balance of ${formatApt(balance)} APT`
+    );
+    this.name = "InsufficientBalanceError";
+    this.fee = fee;
+    this.balance = balance;
+  }
+}
+
+
+export const formatApt = (octas) => (Number(octas) / 100000000).toFixed(6);
+
+
+const describeAbort = (code, context) => {
+  const date = context.date ? ` for ${context.date}` : "";
+
+  switch (code) {
+    case ERROR_CODES.E_NOT_AUTHORIZED:
+      if (context.function === "request_correction") {
+        return "You can only correct records of students enrolled in your courses";
+      }
+      if (context.function === "request_leave") {
+        return "Only registered students can request leave";
+      }
+      if (context.function === "approve_leave" || context.function === "reject_leave") {
+        return "You can only review leave for students enrolled in your courses";
+      }
+      if (context.function === "propose_admin_transfer" || context.function === "cancel_admin_transfer") {
+        return "Only the system admin can transfer the system";
+      }
+      if (context.function === "accept_admin_transfer") {
+        return "The pending admin transfer is for a different account";
+      }
+      return context.function === "mark_attendance_with_status"
+        ? "You can only mark your own attendance or students enrolled in your courses"
+        : "You are not authorized to perform this action";
+    case ERROR_CODES.E_USER_NOT_FOUND:
+      if (context.function === "request_correction") {
+        return `No attendance record to correct${date}`;
+      }
+      return context.function === "mark_checkout"
+        ? `No check-in found${date}; check in before checking out`
+        : "User is not registered in the attendance system";
+    case ERROR_CODES.E_ALREADY_REGISTERED:
+      return "This account is already registered";
+    case ERROR_CODES.E_INVALID_USER_TYPE:
+      if (context.function === "propose_admin_transfer" || context.function === "accept_admin_transfer") {
+        return "The new system admin must be another admin; promote them first";
+      }
+      if (context.function === "set_user_type") {
+        return "Invalid role; use student, teacher or admin";
+      }
+      if (context.function === "create_course") {
+        return "Courses can only be assigned to registered teachers";
+      }
+      if (context.function === "enroll_students") {
+        return "Only registered students can be enrolled";
+      }
+      return context.function === "admin_register_users"
+        ? "Invalid role in roster; use student, teacher or admin"
+        : "Invalid user type; only students and teachers can register themselves";
+    case ERROR_CODES.E_ATTENDANCE_ALREADY_MARKED:
+      return `Attendance already marked${date}`;
+    case ERROR_CODES.E_BATCH_LENGTH_MISMATCH:
+      return context.function === "admin_register_users"
+        ? "Each user in the roster needs exactly one name and role"
+        : "Each student in the batch needs exactly one attendance status";
+    case ERROR_CODES.E_COURSE_NOT_FOUND:
+      return "Course not found";
+    case ERROR_CODES.E_SESSION_NOT_FOUND:
+      return "Session not found";
+    case ERROR_CODES.E_SESSION_EXISTS:
+      return `This course already has a session in that slot${date}`;
+    case ERROR_CODES.E_NOT_ENROLLED:
+      return "You are not enrolled in this session's course";
+    case ERROR_CODES.E_CHECK_IN_CODE_EXPIRED:
+      return "This check-in code has expired; scan the current code";
+    case ERROR_CODES.E_INVALID_CHECK_IN_CODE:
+      return "This check-in code is not valid for this session";
+    case ERROR_CODES.E_INVALID_STATUS:
+      if (context.function === "approve_leave") {
+        return "Excused leave needs attendance statuses; run initialize_attendance_policy first";
+      }
+      return context.function === "mark_attendance_with_status"
+        ? "Invalid attendance status; when marking yourself you can only check in or mark yourself absent"
+        : "Invalid attendance status";
+    case ERROR_CODES.E_INVALID_WINDOW:
+      return "Window times must fall within a single day";
+    case ERROR_CODES.E_CORRECTION_NOT_FOUND:
+      return "Correction not found";
+    case ERROR_CODES.E_CORRECTION_NOT_PENDING:
+      return "This correction has already been reviewed";
+    case ERROR_CODES.E_INVALID_LEAVE:
+      return "A leave request needs 1 to 31 dates, a valid reason category and an optional 32-byte document hash";
+    case ERROR_CODES.E_LEAVE_NOT_FOUND:
+      return "Leave request not found";
+    case ERROR_CODES.E_LEAVE_NOT_PENDING:
+      return "This leave request has already been reviewed or cancelled";
+    case ERROR_CODES.E_PROTECTED_ADMIN:
+      return "The system admin cannot be demoted or deactivated; transfer the system first";
+    case ERROR_CODES.E_USER_INACTIVE:
+      return context.function === "deactivate_user"
+        ? "This account is already deactivated"
+        : "This account has been deactivated; ask an admin to reactivate it";
+    case ERROR_CODES.E_USER_ACTIVE:
+      return "This account is already active";
+    case ERROR_CODES.E_NO_ADMIN_TRANSFER:
+      return "There is no pending admin transfer";
+    case ERROR_CODES.E_INVALID_DATE:
+      return context.date
+        ? `"${context.date}" is not a valid date; use YYYY-MM-DD`
+        : "Dates must be real calendar days written as YYYY-MM-DD";
+    case ERROR_CODES.E_INSTITUTION_NOT_FOUND:
+      return "No institution exists at this address; pick another institution";
+    case ERROR_CODES.E_SELF_CHECK_IN_DISABLED:
+      return "Self check-in is turned off; check in with your teacher's session code";
+    case ERROR_CODES.E_INSTITUTION_LIMIT:
+      return "This account has already created the most institutions allowed";
+    case ERROR_CODES.E_INVALID_CHECKOUT:
+      return "Check out once, on the day itself, from a day you were marked present or late";
+    case ERROR_CODES.E_INVALID_UTC_OFFSET:
+      return "UTC offsets run from UTC-12:00 to UTC+14:00";
+    default:
+      return null;
+  }
+};
+
+
+// Turns SDK, VM and wallet failures into an AttendanceError with a readable
+// message. context may carry { function, date, moduleName } for wording.
+export const decodeTransactionError = (error, context = {}) => {
+  if (error instanceof AttendanceError) {
+    return error;
+  }
+
+  const raw = typeof error === "string" ? error : (error && error.message) || String(error);
+  const match = raw.match(ABORT_PATTERN);
+
+  if (match && (!context.moduleName || match[2] === context.moduleName)) {
+    const code = parseInt(match[4], 16);
+    const message = describeAbort(code, context);
+    if (message) {
+      return new AttendanceError(message, {
+        code,
+        abortName: ERROR_NAMES[code],
+        vmStatus: raw,
+      });
+    }
+  }
+
+  if (/INSUFFICIENT_BALANCE/.test(raw)) {
+    return new AttendanceError("Your balance is too low to pay for gas", { vmStatus: raw });
+  }
+  if (/rejected|denied|cancel/i.test(raw)) {
+    return new AttendanceError("Transaction was rejected in the wallet", { vmStatus: raw });
+  }
+
+  return new AttendanceError(raw, { vmStatus: raw });
+};
+
+
+// The error the contract would raise for abortName, for checks the services
+// make before submitting.
+export const abortError = (abortName, context = {}) => new AttendanceError(
+  describeAbort(ERROR_CODES[abortName], context),
+  { code: ERROR_CODES[abortName], abortName }
+);
+
+export const toFailureResult = (error) => ({
+  success: false,
+  error: error.message,
+  code: error.code,
+  abortName: error.abortName,
+});
@@ -0,0 +1,87 @@
+import { ERROR_CODES } from "./constants";
+import {
+  AttendanceError,
+  InsufficientBalanceError,
+  abortError,
+  decodeTransactionError,
+  formatApt,
+  toFailureResult,
+} from "./transactionErrors";
+
+const moveAbort = (name, moduleName = "attendance_system") => (
+  `Move abort in 0x1::${moduleName}: ${name}(0x${ERROR_CODES[name].toString(16)}): `
+);
+
+describe("decodeTransactionError", () => {
+  it("names the abort and words it for the function", () => {
+    const error = decodeTransactionError(new Error(moveAbort("E_ATTENDANCE_ALREADY_MARKED")), {
+      function: "mark_attendance_with_status",
+      date: "2026-10-19",
+      moduleName: "attendance_system",
+    });
+
+    expect(error).toBeInstanceOf(AttendanceError);
+    expect(error.message).toBe("Attendance already marked for 2026-10-19");
+    expect(error.abortName).toBe("E_ATTENDANCE_ALREADY_MARKED");
+    expect(error.code).toBe(ERROR_CODES.E_ATTENDANCE_ALREADY_MARKED);
+  });
+
+  it("reads aborts reported by code alone", () => {
+    const raw = `Move abort in 0x1::attendance_system: 0x${ERROR_CODES.E_SESSION_NOT_FOUND.toString(16)}`;
+    expect(decodeTransactionError(raw).abortName).toBe("E_SESSION_NOT_FOUND");
+  });
+
+  it("words one abort differently per function", () => {
+    const raw = moveAbort("E_USER_NOT_FOUND");
+    expect(decodeTransactionError(raw, { function: "mark_checkout" }).message).toMatch(/check in before checking out/);
+    expect(decodeTransactionError(raw, { function: "register_user" }).message).toBe(
+      "User is not registered in the attendance system"
+    );
+    expect(decodeTransactionError(moveAbort("E_SELF_CHECK_IN_DISABLED")).message).toMatch(/session code/);
+  });
+
+  it("leaves aborts from other modules undecoded", () => {
+    const raw = moveAbort("E_NOT_AUTHORIZED", "coin");
+    const error = decodeTransactionError(raw, { moduleName: "attendance_system" });
+    expect(error.abortName).toBeNull();
+    expect(error.message).toBe(raw);
+  });
+
+  it("recognizes balance and wallet failures", () => {
+    expect(decodeTransactionError("INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE").message).toBe(
+      "Your balance is too low to pay for gas"
+    );
+    expect(decodeTransactionError(new Error("User rejected the request")).message).toBe(
+      "Transaction was rejected in the wallet"
+    );
+  });
+
+  it("passes attendance errors through", () => {
+    const error = new InsufficientBalanceError(150000000, 50000000);
+    expect(decodeTransactionError(error)).toBe(error);
+    expect(error.message).toBe("Estimated gas fee of 1.500000 APT exceeds your balance of 0.500000 APT");
+  });
+});
+
+describe("abortError", () => {
+  it("builds the error the contract would raise", () => {
+    const error = abortError("E_INVALID_DATE", { date: "2026-02-30" });
+    expect(error.message).toBe('"2026-02-30" is not a valid date; use YYYY-MM-DD');
+    expect(toFailureResult(error)).toEqual({
+      success: false,
+      error: error.message,
+      code: ERROR_CODES.E_INVALID_DATE,
+      abortName: "E_INVALID_DATE",
+    });
+  });
+
+  it("has a message for every error code", () => {
+    Object.keys(ERROR_CODES).forEach((name) => {
+      expect(abortError(name).message).toBeTruthy();
+    });
+  });
+});
+
+it("formats octas as APT", () => {
+  expect(formatApt(123456789)).toBe("1.234568");
+});
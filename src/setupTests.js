@@ -0,0 +1,14 @@
+// jsdom has no TextEncoder, which the Aptos SDK needs when it loads.
+import { TextDecoder, TextEncoder } from "util";
+import { webcrypto } from "crypto";
+
+Object.assign(global, { TextDecoder, TextEncoder });
+
+// Neither jsdom nor Jest's node environment has Web Crypto, which check-in
+// codes draw their nonce from.
+if (!global.crypto?.getRandomValues) {
+  Object.defineProperty(global, "crypto", { value: webcrypto, configurable: true });
+}
+
+// Tells React that tests wrap updates in act().
+global.IS_REACT_ACT_ENVIRONMENT = true;